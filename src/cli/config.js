@@ -0,0 +1,65 @@
+/**
+ * @fileoverview Configuration for the headless CLI.
+ * Reads WordPress credentials from environment variables or a JSON config file.
+ * @module cli/config
+ */
+
+import { readFile } from 'node:fs/promises'
+import { mergeSettings } from '../main/utils/settings-defaults.js'
+
+/**
+ * @typedef {Object} CliConfig
+ * @property {import('../main/services/wp-client.js').WpCredentials} credentials - WordPress credentials
+ * @property {import('../main/utils/settings-defaults.js').AppSettings} settings - Settings merged with defaults
+ */
+
+/**
+ * Environment variables read by the CLI. Credentials from the environment
+ * take precedence over the config file.
+ * @type {Object<string, string>}
+ */
+export const ENV_VARS = {
+  config: 'FOTOKOPILOT_CONFIG',
+  url: 'FOTOKOPILOT_WP_URL',
+  username: 'FOTOKOPILOT_WP_USERNAME',
+  password: 'FOTOKOPILOT_WP_APP_PASSWORD',
+}
+
+/**
+ * Loads CLI configuration.
+ *
+ * The optional config file is JSON with `url`, `username`, `password` and a
+ * `settings` object using the same keys as the app settings (maxAltLength,
+ * copilotModel, copilotServerUrl, concurrency, fieldMapping).
+ * @param {Object} [options] - Load options
+ * @param {string} [options.configPath] - Config file path (defaults to $FOTOKOPILOT_CONFIG)
+ * @param {Object<string, string>} [options.env=process.env] - Environment variables
+ * @returns {Promise<CliConfig>}
+ * @throws {Error} If the config file cannot be read or credentials are missing
+ */
+export async function loadCliConfig({ configPath, env = process.env } = {}) {
+  const path = configPath || env[ENV_VARS.config]
+  let file = {}
+
+  if (path) {
+    try {
+      file = JSON.parse(await readFile(path, 'utf8'))
+    } catch (err) {
+      throw new Error(`Cannot read config file ${path}: ${err.message}`)
+    }
+  }
+
+  const credentials = {
+    url: env[ENV_VARS.url] || file.url,
+    username: env[ENV_VARS.username] || file.username,
+    password: env[ENV_VARS.password] || file.password,
+  }
+
+  const missing = Object.keys(credentials).filter((key) => !credentials[key])
+  if (missing.length > 0) {
+    const vars = missing.map((key) => ENV_VARS[key]).join(', ')
+    throw new Error(`Missing WordPress credentials: set ${vars} or pass --config`)
+  }
+
+  return { credentials, settings: mergeSettings(file.settings) }
+}
@@ -0,0 +1,235 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Headless command-line interface for batch alt text generation.
+ * Reuses the main process services without Electron, e.g. for nightly
+ * backfills on a build server.
+ * @module cli/index
+ */
+
+import { parseArgs } from 'node:util'
+import { readFile, writeFile } from 'node:fs/promises'
+import { realpathSync } from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { randomUUID } from 'node:crypto'
+import { createWpClient } from '../main/services/wp-client.js'
+import { JobQueue } from '../main/services/job-queue.js'
+import { serializeJob } from '../main/services/job-store.js'
+import { createItemHandler } from '../main/services/item-handler.js'
+import { formatJobExport } from '../main/services/job-export.js'
+import { resolveJobOptions } from '../main/utils/job-options.js'
+import { hasApplicableResult, buildApplyJob } from '../main/utils/apply-items.js'
+import { resolveProviderConfig } from '../main/services/vision-provider.js'
+import { setCliServerUrl, stopCopilot } from '../main/services/copilot-adapter.js'
+import { loadCliConfig, ENV_VARS } from './config.js'
+
+const USAGE = `Usage: fotokopilot <command> [options]
+
+Commands:
+  scan        Print matching media items as JSON
+  generate    Generate alt text for scanned (or --input) items and print the changes
+  apply       Write the alt text from a generate job (--job) to WordPress
+  export      Print the changes of a saved job (--job)
+
+Scan options (scan, generate):
+  --missing-alt          Only items without alt text
+  --invalid-alt          Only items whose alt text fails validation
+  --low-quality          Also include low-quality and duplicated alt text
+  --after <date>         Uploaded on or after (YYYY-MM-DD)
+  --before <date>        Uploaded on or before (YYYY-MM-DD)
+  --search <term>        Search term
+  --limit <n>            Maximum items
+
+Options:
+  -c, --config <file>    JSON config with url, username, password and settings
+  -i, --input <file>     Items JSON from "scan" (generate)
+  -j, --job <file>       Saved job JSON (apply, export)
+  -s, --save <file>      Save the finished job as JSON, for apply or export
+  -f, --format <format>  Output format for changes: csv (default) or json
+  -o, --output <file>    Write output to a file instead of stdout
+      --fields <list>    Extra fields to generate, e.g. caption,title
+  -h, --help             Show this help
+
+Credentials are read from ${ENV_VARS.url}, ${ENV_VARS.username} and
+${ENV_VARS.password}, or from the config file (${ENV_VARS.config}).
+
+Exit codes: 0 success, 1 error, 2 finished with failed items.`
+
+const OPTIONS = {
+  config: { type: 'string', short: 'c' },
+  input: { type: 'string', short: 'i' },
+  job: { type: 'string', short: 'j' },
+  save: { type: 'string', short: 's' },
+  format: { type: 'string', short: 'f', default: 'csv' },
+  output: { type: 'string', short: 'o' },
+  fields: { type: 'string' },
+  'missing-alt': { type: 'boolean' },
+  'invalid-alt': { type: 'boolean' },
+  'low-quality': { type: 'boolean' },
+  after: { type: 'string' },
+  before: { type: 'string' },
+  search: { type: 'string' },
+  limit: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+}
+
+/**
+ * Reads and parses a JSON file.
+ * @private
+ * @param {string} path - File path
+ * @returns {Promise<any>}
+ */
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf8'))
+}
+
+/**
+ * Writes command output to a file or stdout.
+ * @private
+ * @param {string} text - Output text
+ * @param {string} [path] - File path (stdout if omitted)
+ * @returns {Promise<void>}
+ */
+async function writeOutput(text, path) {
+  if (path) {
+    await writeFile(path, `${text}\n`)
+  } else {
+    process.stdout.write(`${text}\n`)
+  }
+}
+
+/**
+ * Scans the media library with the scan options from the command line.
+ * @private
+ * @param {Object} wpClient - WordPress client
+ * @param {Object} values - Parsed options
+ * @param {Object} settings - Application settings
+ * @returns {Promise<Object[]>} Media items
+ */
+async function scan(wpClient, values, settings) {
+  const items = []
+  const filters = {
+    missingAltOnly: values['missing-alt'],
+    invalidAltOnly: values['invalid-alt'],
+    lowQualityAlt: values['low-quality'],
+    after: values.after,
+    before: values.before,
+    search: values.search,
+    limit: values.limit ? parseInt(values.limit) : undefined,
+    maxAltLength: settings.maxAltLength,
+  }
+
+  for await (const item of wpClient.scanMedia(filters)) {
+    items.push(item)
+  }
+  console.error(`[CLI] Scanned ${items.length} items`)
+  return items
+}
+
+/**
+ * Runs a job to completion, reporting progress on stderr.
+ * @private
+ * @param {string} type - Job type ('generate' | 'apply' | 'apply-inline')
+ * @param {Object[]} items - Items to process
+ * @param {Object} context - Job context
+ * @param {Object} context.wpClient - WordPress client
+ * @param {Object} context.settings - Application settings
+ * @param {string} context.siteId - Site identifier stored on the job
+ * @param {Object} [context.options] - Job options
+ * @returns {Promise<Object>} Serialized finished job
+ */
+async function runJob(type, items, { wpClient, settings, siteId, options = {} }) {
+  const { concurrency, maxRetries, timeout } = resolveJobOptions(settings, options)
+  const queue = new JobQueue({ concurrency, maxRetries })
+  const handler = await createItemHandler({ type, wpClient, settings, siteId, options })
+  const job = queue.createJob(randomUUID(), items, handler, { siteId, type, options })
+
+  let reported = -1
+  queue.on('job:progress', ({ completed, failed, total }) => {
+    if (completed + failed === reported) return
+    reported = completed + failed
+    console.error(`[CLI] ${type}: ${reported}/${total}${failed > 0 ? ` (${failed} failed)` : ''}`)
+  })
+
+  await queue.start(job.id, { timeout: timeout * 1000 })
+  return serializeJob(job)
+}
+
+/**
+ * Runs a CLI command.
+ * @param {string[]} argv - Command line arguments (without node and script)
+ * @returns {Promise<number>} Exit code
+ */
+export async function main(argv) {
+  const { values, positionals } = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true })
+  const [command] = positionals
+
+  if (values.help || !command) {
+    console.error(USAGE)
+    return values.help ? 0 : 1
+  }
+  if (values.format !== 'csv' && values.format !== 'json') {
+    throw new Error(`Unknown format: ${values.format}`)
+  }
+
+  if (command === 'export') {
+    if (!values.job) throw new Error('export requires --job <file>')
+    await writeOutput(formatJobExport(await readJson(values.job), values.format), values.output)
+    return 0
+  }
+
+  const { credentials, settings } = await loadCliConfig({ configPath: values.config })
+  const wpClient = createWpClient(credentials)
+  const context = { wpClient, settings, siteId: credentials.url }
+
+  if (settings.copilotServerUrl) {
+    setCliServerUrl(settings.copilotServerUrl)
+  }
+
+  let job
+  switch (command) {
+    case 'scan': {
+      const items = await scan(wpClient, values, settings)
+      await writeOutput(JSON.stringify(items, undefined, 2), values.output)
+      return 0
+    }
+    case 'generate': {
+      const items = values.input ? await readJson(values.input) : await scan(wpClient, values, settings)
+      const options = values.fields ? { fields: values.fields.split(',').map((f) => f.trim()) } : {}
+      try {
+        job = await runJob('generate', items, { ...context, options })
+      } finally {
+        // Only the Copilot provider starts a process that keeps the CLI alive
+        if (resolveProviderConfig(settings, context.siteId).provider === 'copilot') await stopCopilot()
+      }
+      break
+    }
+    case 'apply': {
+      if (!values.job) throw new Error('apply requires --job <file>')
+      const generated = await readJson(values.job)
+      const { type, items } = buildApplyJob(generated.items.filter(hasApplicableResult))
+      job = await runJob(type, items, context)
+      break
+    }
+    default:
+      throw new Error(`Unknown command: ${command}\n\n${USAGE}`)
+  }
+
+  if (values.save) {
+    await writeFile(values.save, JSON.stringify(job, undefined, 2))
+  }
+  await writeOutput(formatJobExport(job, values.format), values.output)
+  return job.failed > 0 ? 2 : 0
+}
+
+// Run only when executed directly (also through the npm bin symlink), not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  // Services log progress with console.log; keep stdout for the command output
+  console.log = console.error
+
+  main(process.argv.slice(2))
+    .then((code) => process.exit(code))
+    .catch((err) => {
+      console.error(`Error: ${err.message}`)
+      process.exit(1)
+    })
+}
@@ -8,15 +8,32 @@ import { app, BrowserWindow, ipcMain } from 'electron'
 import { join } from 'node:path'
 import { registerIpcHandlers } from './ipc/router.js'
 import { initSettings } from './services/settings-store.js'
+import { attachTray, keepInTray } from './tray.js'
 
 const isDev = !app.isPackaged
 
 /** @type {BrowserWindow|undefined} */
 let mainWindow
 
+/**
+ * Stand-in for the main window that the IPC handlers send events to. The
+ * handlers, their job store and schedulers are set up once, while macOS
+ * recreates the window on activate; events sent while no window is open
+ * are dropped.
+ * @type {{webContents: {send: function(string, ...*): void}}}
+ */
+const currentWindow = {
+  webContents: {
+    send(channel, ...args) {
+      if (mainWindow && !mainWindow.isDestroyed()) mainWindow.webContents.send(channel, ...args)
+    },
+  },
+}
+
 /**
  * Creates the main application window with appropriate settings
- * for development or production mode.
+ * for development or production mode. Runs again on macOS when the dock
+ * icon is clicked with no window open.
  * @returns {void}
  */
 function createWindow() {
@@ -41,12 +58,14 @@ function createWindow() {
     mainWindow.loadFile(join(import.meta.dirname, '../../dist/index.html'))
   }
 
-  registerIpcHandlers(mainWindow, ipcMain)
+  keepInTray(mainWindow)
 }
 
 app.whenReady().then(async () => {
   // Initialize settings and sync with services
   await initSettings()
+  registerIpcHandlers(currentWindow, ipcMain)
+  attachTray(() => mainWindow)
   createWindow()
 })
 
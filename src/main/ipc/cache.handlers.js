@@ -0,0 +1,24 @@
+import { getCacheStats, clearCache } from '../services/thumbnail-cache.js'
+
+export function cacheHandlers(mainWindow) {
+  return [
+    {
+      channel: 'cache:stats',
+      async handler() {
+        return getCacheStats()
+      },
+    },
+    {
+      channel: 'cache:clear',
+      /**
+       * Clears the image cache, or one site's images.
+       * @param {{siteId?: string}} [params] - Site to clear (default: all)
+       * @returns {Promise<import('../services/thumbnail-cache.js').CacheStats>} Stats after clearing
+       */
+      async handler({ siteId } = {}) {
+        await clearCache(siteId)
+        return getCacheStats()
+      },
+    },
+  ]
+}
@@ -1,85 +1,328 @@
+import { app } from 'electron'
+import { join } from 'node:path'
 import { JobQueue } from '../services/job-queue.js'
-import { getThumbnailPath } from '../services/thumbnail-cache.js'
-import { generateAltText, generateAltTextWithFolder, clearSessionSuggestedFolders } from '../services/copilot-adapter.js'
+import { createJobScheduler } from '../services/job-scheduler.js'
+import { startRunScheduler } from '../services/run-scheduler.js'
+import { createJobStore, serializeJob } from '../services/job-store.js'
+import { createItemHandler } from '../services/item-handler.js'
+import { formatJobExport } from '../services/job-export.js'
+import { clearSessionSuggestedFolders } from '../services/vision-provider.js'
 import { createWpClient } from '../services/wp-client.js'
 import { getCredentials } from '../services/credential-store.js'
 import { getSettings } from '../services/settings-store.js'
+import { validateJobOptions, validateJobTuning, resolveJobOptions } from '../utils/job-options.js'
+import { buildApplyJob } from '../utils/apply-items.js'
 
 const jobQueue = new JobQueue({ concurrency: 3, maxRetries: 3 })
+const scheduler = createJobScheduler(jobQueue)
+
+/** @type {string[]} Statuses of a job that has finished running */
+const FINISHED_STATUSES = ['completed', 'completed_with_errors', 'cancelled']
+
+/** @type {number} Finished items after which a running job is saved again */
+const SAVE_EVERY_ITEMS = 25
+
+/** @type {number} Longest time in ms other progress of a running job goes unsaved */
+const SAVE_INTERVAL = 3000
+
+/**
+ * Counts the items of a job that have finished, one way or another.
+ * @param {import('../services/job-queue.js').Job} job - Job
+ * @returns {number}
+ */
+function countDone(job) {
+  return job.completed + job.failed + (job.skipped || 0)
+}
+
+/**
+ * Converts job tuning to the queue's run options, leaving out unset values.
+ * @param {Partial<import('../utils/job-options.js').JobTuning>} tuning - Job tuning
+ * @returns {import('../services/job-queue.js').RunOptions}
+ */
+function toRunOptions({ concurrency, maxRetries, timeout }) {
+  const runOptions = { concurrency, maxRetries, timeout: timeout === undefined ? undefined : timeout * 1000 }
+  return Object.fromEntries(Object.entries(runOptions).filter(([, value]) => value !== undefined))
+}
+
+/**
+ * Validates a job priority.
+ * @param {*} priority - Priority from the renderer
+ * @returns {number}
+ * @throws {Error} If the priority is not a whole number
+ */
+function validatePriority(priority) {
+  if (!Number.isInteger(priority)) throw new Error('Priority must be a whole number')
+  return priority
+}
 
 export function jobHandlers(mainWindow) {
+  const jobStore = createJobStore(join(app.getPath('userData'), 'jobs'))
+
+  /** @type {Map<string, {status: string, done: number, timer?: NodeJS.Timeout}>} What was last saved of each unfinished job */
+  const checkpoints = new Map()
+
+  /**
+   * Saves a job now, replacing any save that was waiting.
+   * @param {import('../services/job-queue.js').Job} job - Job to save
+   * @returns {Promise<void>}
+   */
+  function checkpoint(job) {
+    clearTimeout(checkpoints.get(job.id)?.timer)
+    checkpoints.set(job.id, { status: job.status, done: countDone(job) })
+    return jobStore.save(job)
+  }
+
   jobQueue.on('job:progress', (data) => {
     mainWindow.webContents.send('job:progress', data)
+
+    // Results survive restarts and crashes. Each save serializes the whole
+    // job, so progress is saved in batches; status changes (pause, resume,
+    // retry) at once. Finished jobs are saved on job:finished.
+    const job = jobQueue.getJob(data.jobId)
+    if (!job || FINISHED_STATUSES.includes(job.status)) return
+    const saved = checkpoints.get(job.id)
+    if (!saved || saved.status !== job.status || countDone(job) - saved.done >= SAVE_EVERY_ITEMS) {
+      checkpoint(job)
+    } else {
+      saved.timer ??= setTimeout(() => checkpoint(job), SAVE_INTERVAL)
+    }
   })
 
+  jobQueue.on('job:finished', ({ jobId }) => {
+    const job = jobQueue.getJob(jobId)
+    if (job) {
+      checkpoint(job)
+      checkpoints.delete(jobId)
+    }
+    // Results that pass the auto-approve rule are applied right away; the rest wait for review
+    startAutoApply(jobId).catch((error) => console.error('[Job] Auto-apply failed:', error.message))
+  })
+
+  /**
+   * Starts an apply job for the auto-approved items of a finished generate job.
+   * Items are applied once; a retried or regenerated job only applies its new results.
+   * @param {string} jobId - Generate job identifier
+   * @returns {Promise<void>}
+   */
+  async function startAutoApply(jobId) {
+    const job = jobQueue.getJob(jobId)
+    if (job?.type !== 'generate' || job.status === 'cancelled') return
+
+    const approved = job.items.filter(
+      (i) => i.status === 'completed' && i.result?.review?.autoApprove && !i.autoApplied
+    )
+    if (approved.length === 0) return
+    for (const item of approved) item.autoApplied = true
+
+    const { type, items } = buildApplyJob(approved)
+    const applyJobId = crypto.randomUUID()
+    const handler = await createJobItemHandler({ type, siteId: job.siteId })
+    jobQueue.createJob(applyJobId, items, handler, { siteId: job.siteId, type, autoApplyOf: jobId })
+    await startJob(applyJobId, { priority: job.priority })
+
+    mainWindow.webContents.send('job:autoApplied', {
+      jobId,
+      applyJobId,
+      total: approved.length,
+      review: job.items.filter((i) => i.result?.review && !i.result.review.autoApprove).length,
+    })
+  }
+
+  /**
+   * Queues a job with its own tuning options, falling back to the settings.
+   * It starts once the global worker budget allows, highest priority first;
+   * the queue adapts concurrency downwards while WordPress or the model is
+   * throttling.
+   * @param {string} jobId - Job identifier
+   * @param {Object} [options] - Queue options
+   * @param {number} [options.priority=0] - Higher runs first
+   * @returns {Promise<{options: import('../utils/job-options.js').JobTuning, status: string, position?: number}>}
+   *   Tuning, status ('running' or 'pending') and place in the waiting line
+   */
+  async function startJob(jobId, { priority = 0 } = {}) {
+    const settings = await getSettings()
+    const job = jobQueue.getJob(jobId)
+    const tuning = resolveJobOptions(settings, job.options)
+    scheduler.setBudget(settings.globalConcurrency)
+    const { position } = scheduler.enqueue(jobId, { priority, runOptions: toRunOptions(tuning) })
+    // Running jobs are saved on progress; waiting ones now, so they survive a restart
+    if (job.status === 'pending') checkpoint(job)
+    return { options: tuning, status: job.status, position }
+  }
+
+  /**
+   * Runs a schedule: scans the site for images without (valid) alt text
+   * and queues a generate job for them.
+   * @param {import('../services/run-scheduler.js').Schedule} schedule - Schedule to run
+   * @returns {Promise<{jobId?: string, total: number}>} Queued job, none if nothing was found
+   */
+  async function runSchedule(schedule) {
+    const credentials = await getCredentials(schedule.siteId)
+    if (!credentials) throw new Error('Site not found')
+
+    const settings = await getSettings()
+    const items = []
+    const scan = createWpClient(credentials).scanMedia({
+      missingAltOnly: schedule.missingAltOnly ?? true,
+      limit: schedule.limit,
+      maxAltLength: settings.maxAltLength,
+    })
+    for await (const item of scan) {
+      items.push(item)
+    }
+    if (items.length === 0) return { total: 0 }
+
+    const jobId = crypto.randomUUID()
+    const handler = await createJobItemHandler({ type: 'generate', siteId: schedule.siteId })
+    jobQueue.createJob(jobId, items, handler, {
+      siteId: schedule.siteId,
+      type: 'generate',
+      options: {},
+      scheduleId: schedule.id,
+    })
+    await startJob(jobId, { priority: schedule.priority ?? 0 })
+    return { jobId, total: items.length }
+  }
+
+  /**
+   * Queues items of a job again (see JobQueue.retryItems) and queues the job
+   * in the scheduler if it had finished. A job only found on disk is restored
+   * first, which also resumes its unfinished items.
+   * @param {string} jobId - Job identifier
+   * @param {function(Object): boolean} select - Picks the items to queue again
+   * @param {Object} [overrides] - Fields to set on the items
+   * @returns {Promise<{retried: number, status: string, position?: number}>}
+   * @throws {Error} If the job does not exist or has no matching items
+   */
+  async function retryJobItems(jobId, select, overrides) {
+    let job = jobQueue.getJob(jobId)
+    const restored = !job
+    if (restored) {
+      const saved = await jobStore.find(jobId)
+      if (!saved) throw new Error('Job not found')
+      job = jobQueue.restoreJob(saved, await createJobItemHandler(saved))
+    }
+    const idle = restored || FINISHED_STATUSES.includes(job.status)
+
+    const retried = jobQueue.retryItems(jobId, job.items.filter(select).map((i) => i.id), overrides)
+    if (retried === 0) {
+      if (restored) jobQueue.clearJob(jobId)
+      throw new Error('No items to retry')
+    }
+    // Waiting or running jobs pick the items up themselves
+    if (!idle) return { retried, status: job.status }
+
+    const { status, position } = await startJob(jobId, { priority: job.priority })
+    return { retried, status, position }
+  }
+
+  const runScheduler = getSettings().then((settings) => startRunScheduler({ run: runSchedule }, settings.schedules))
+
+  /**
+   * Gets a job from the running queue, falling back to the on-disk history.
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object|undefined>} Serializable job
+   */
+  async function findJob(jobId) {
+    const job = jobQueue.getJob(jobId)
+    if (job) return serializeJob(job)
+    return jobStore.find(jobId)
+  }
+
   return [
     {
       channel: 'job:start',
-      async handler({ type, siteId, items, options = {} }) {
+      async handler({ type, siteId, items, options = {}, priority = 0 }) {
+        options = validateJobOptions(options)
+        validatePriority(priority)
         const jobId = crypto.randomUUID()
-        const credentials = await getCredentials(siteId)
-        const settings = await getSettings()
-        const wpClient = createWpClient(credentials)
-
-        // Fetch site language for prompts
-        let languageName = 'English'
-        try {
-          const locale = await wpClient.getSiteLocale()
-          languageName = wpClient.getLanguageName(locale)
-        } catch {
-          // Fallback to English if locale fetch fails
-        }
 
         // Clear session-suggested folders for new job
         if (options.withFolders) {
           clearSessionSuggestedFolders()
         }
 
-        const handler = async (item) => {
-          if (type === 'generate') {
-            try {
-              console.log(`[Job] Processing item ${item.id}: ${item.filename || item.sourceUrl}`)
-              const imagePath = await getThumbnailPath(item)
-              console.log(`[Job] Downloaded to: ${imagePath}`)
-              
-              if (options.withFolders && options.existingFolders) {
-                // Use folder suggestion mode
-                const result = await generateAltTextWithFolder(imagePath, options.existingFolders, {
-                  maxLength: settings.maxAltLength || 125,
-                  model: settings.copilotModel || 'gpt-4o',
-                  languageName,
-                  metadata: {
-                    filename: item.filename,
-                    title: item.title,
-                    alt: item.currentAlt,
-                    caption: item.caption,
-                  },
-                })
-                console.log(`[Job] Result for ${item.id}:`, result.altText || result.error)
-                return result
-              }
-              
-              const result = await generateAltText(imagePath, {
-                maxLength: settings.maxAltLength || 125,
-                model: settings.copilotModel || 'gpt-4o',
-              })
-              console.log(`[Job] Result for ${item.id}:`, result.altText || result.error)
-              return result
-            } catch (err) {
-              console.error(`[Job] Error processing ${item.id}:`, err.message)
-              throw err
-            }
-          }
-          if (type === 'apply') {
-            await wpClient.updateAltText(item.id, item.proposedAlt)
-            return { applied: true }
+        const handler = await createJobItemHandler({ type, siteId, options })
+        jobQueue.createJob(jobId, items, handler, { siteId, type, options })
+        return { jobId, ...(await startJob(jobId, { priority })) }
+      },
+    },
+    {
+      channel: 'job:configure',
+      async handler({ jobId, options }) {
+        const job = jobQueue.getJob(jobId)
+        if (!['pending', 'running', 'paused'].includes(job?.status)) throw new Error('Job is not running')
+
+        const changes = validateJobTuning(options)
+        // Stored with the job so a resumed job keeps the new values
+        job.options = { ...job.options, ...changes }
+        scheduler.configure(jobId, toRunOptions(changes))
+        job.handler.configure?.(changes)
+        return { options: resolveJobOptions(await getSettings(), job.options) }
+      },
+    },
+    {
+      channel: 'job:queue',
+      async handler() {
+        return scheduler.list().map((entry) => {
+          const job = jobQueue.getJob(entry.jobId)
+          return {
+            ...entry,
+            siteId: job.siteId,
+            type: job.type,
+            status: job.status,
+            total: job.total,
+            completed: job.completed,
+            failed: job.failed,
+            scheduleId: job.scheduleId,
           }
-          throw new Error(`Unknown job type: ${type}`)
+        })
+      },
+    },
+    {
+      channel: 'job:prioritize',
+      async handler({ jobId, priority }) {
+        if (!scheduler.prioritize(jobId, validatePriority(priority))) throw new Error('Job is not waiting')
+        return { priority }
+      },
+    },
+    {
+      channel: 'schedule:list',
+      async handler() {
+        return (await runScheduler).list()
+      },
+    },
+    {
+      channel: 'schedule:runNow',
+      async handler(scheduleId) {
+        return (await runScheduler).runNow(scheduleId)
+      },
+    },
+    {
+      channel: 'job:skipItem',
+      async handler({ jobId, itemId }) {
+        if (!jobQueue.skipItem(jobId, itemId)) throw new Error('Item is not waiting or running')
+        return { skipped: true }
+      },
+    },
+    {
+      channel: 'job:retryFailed',
+      async handler(jobId) {
+        return retryJobItems(jobId, (item) => item.status === 'failed')
+      },
+    },
+    {
+      channel: 'job:retryItem',
+      async handler({ jobId, itemId, model }) {
+        const overrides = {}
+        if (model !== undefined) {
+          const job = jobQueue.getJob(jobId) || (await jobStore.find(jobId))
+          if (job?.type !== 'generate') throw new Error('Only generate jobs can use another model')
+          overrides.model = validateJobOptions({ model }).model || undefined
         }
-
-        const job = jobQueue.createJob(jobId, items, handler)
-        jobQueue.start(jobId)
-        return { jobId }
+        // A regenerated result goes through auto-approve again
+        overrides.autoApplied = false
+        return retryJobItems(jobId, (item) => item.id === itemId, overrides)
       },
     },
     {
@@ -92,8 +335,19 @@ export function jobHandlers(mainWindow) {
     {
       channel: 'job:resume',
       async handler(jobId) {
-        jobQueue.resume(jobId)
-        return { resumed: true }
+        if (jobQueue.getJob(jobId)) {
+          jobQueue.resume(jobId)
+          return { resumed: true }
+        }
+
+        // Not in memory: restore an interrupted job from its checkpoint on disk
+        const saved = await jobStore.find(jobId)
+        if (!saved) throw new Error('Job not found')
+
+        const handler = await createJobItemHandler(saved)
+        jobQueue.restoreJob(saved, handler)
+        await startJob(jobId, { priority: saved.priority })
+        return { resumed: true, restored: true }
       },
     },
     {
@@ -106,44 +360,115 @@ export function jobHandlers(mainWindow) {
     {
       channel: 'job:get',
       async handler(jobId) {
-        return jobQueue.getJob(jobId)
+        return findJob(jobId)
       },
     },
     {
-      channel: 'job:export',
-      async handler({ jobId, format }) {
-        const job = jobQueue.getJob(jobId)
+      channel: 'job:list',
+      async handler({ siteId }) {
+        const jobs = await jobStore.list(siteId)
+        // Jobs stored as running/paused that are not in memory were cut off by a quit or crash
+        return jobs.map((job) => ({
+          ...job,
+          interrupted:
+            (job.status === 'running' || job.status === 'paused' || job.status === 'pending') &&
+            !jobQueue.getJob(job.id),
+        }))
+      },
+    },
+    {
+      channel: 'job:revert',
+      async handler(jobId) {
+        const job = await findJob(jobId)
         if (!job) throw new Error('Job not found')
+        if (job.type !== 'apply' && job.type !== 'revert' && job.type !== 'apply-inline') {
+          throw new Error('Only apply, revert and inline apply jobs can be reverted')
+        }
 
-        const changes = job.items.map((i) => ({
-          id: i.id,
-          filename: i.filename,
-          oldAlt: i.currentAlt,
-          newAlt: i.result?.altText,
-          status: i.status,
-          error: i.error,
-        }))
+        // Write the journaled previous alt text back for every applied item. Items
+        // whose alt text no longer matches what was applied fail as drifted (see
+        // createItemHandler) instead of overwriting later edits.
+        const applied = job.items.filter((i) => i.status === 'completed' && i.result?.previousAlt !== undefined)
 
-        if (format === 'json') {
-          return JSON.stringify(changes, undefined, 2)
+        // Inline rewrites are reverted by rewriting the post content again
+        if (job.type === 'apply-inline') {
+          const items = applied.map((i) => ({
+            ...i,
+            currentAlt: i.result.appliedAlt,
+            expectedAlt: i.result.appliedAlt,
+            proposedAlt: i.result.previousAlt,
+          }))
+          if (items.length === 0) throw new Error('Nothing to revert')
+
+          const revertJobId = crypto.randomUUID()
+          const handler = await createJobItemHandler({ type: 'apply-inline', siteId: job.siteId })
+          jobQueue.createJob(revertJobId, items, handler, {
+            siteId: job.siteId,
+            type: 'apply-inline',
+            revertOf: jobId,
+          })
+          await startJob(revertJobId)
+          return { jobId: revertJobId }
         }
 
-        const header = 'id,filename,old_alt,new_alt,status,error'
-        const rows = changes.map((c) =>
-          [c.id, c.filename, c.oldAlt, c.newAlt, c.status, c.error || '']
-            .map(escapeCSV)
-            .join(',')
-        )
-        return [header, ...rows].join('\n')
+        const items = applied
+          .map((i) => ({
+            id: i.id,
+            filename: i.filename,
+            title: i.title,
+            sourceUrl: i.sourceUrl,
+            thumbnailUrl: i.thumbnailUrl,
+            ...i.result.appliedFields,
+            currentAlt: i.result.appliedAlt,
+            expectedAlt: i.result.appliedAlt,
+            proposedAlt: i.result.previousAlt,
+            proposedFields: i.result.previousFields,
+            markedDecorative: i.result.appliedDecorative,
+            decorative: i.result.previousDecorative,
+            proposedTranslations: i.result.appliedTranslations?.map((t) => ({
+              mediaId: t.mediaId,
+              locale: t.locale,
+              altText: t.previousAlt,
+              expectedAlt: t.appliedAlt,
+            })),
+          }))
+        if (items.length === 0) throw new Error('Nothing to revert')
+
+        const revertJobId = crypto.randomUUID()
+        const handler = await createJobItemHandler({ type: 'revert', siteId: job.siteId })
+        jobQueue.createJob(revertJobId, items, handler, {
+          siteId: job.siteId,
+          type: 'revert',
+          revertOf: jobId,
+        })
+        await startJob(revertJobId)
+        return { jobId: revertJobId }
+      },
+    },
+    {
+      channel: 'job:export',
+      async handler({ jobId, format }) {
+        const job = await findJob(jobId)
+        if (!job) throw new Error('Job not found')
+
+        return formatJobExport(job, format)
       },
     },
   ]
 }
 
-function escapeCSV(value) {
-  const str = String(value ?? '')
-  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
-    return `"${str.replace(/"/g, '""')}"`
-  }
-  return str
+/**
+ * Builds the per-item handler for a job from the stored site credentials
+ * and settings. Used both for new jobs and for jobs restored from disk,
+ * so resumed items are processed exactly like new ones.
+ * @param {Object} job - Job description
+ * @param {string} job.type - 'generate' | 'apply' | 'revert' | 'apply-inline'
+ * @param {string} job.siteId - Site identifier
+ * @param {Object} [job.options] - Job options (withFolders, existingFolders, fields)
+ * @returns {Promise<Function>} Async item handler
+ */
+async function createJobItemHandler({ type, siteId, options = {} }) {
+  const credentials = await getCredentials(siteId)
+  const settings = await getSettings()
+  return createItemHandler({ type, wpClient: createWpClient(credentials), settings, siteId, options })
 }
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview IPC handlers for vision provider selection and prompt preview.
+ * Lists providers and checks provider status and models, including for
+ * unsaved OpenAI-compatible settings so they can be tested before saving.
+ * @module main/ipc/provider.handlers
+ */
+
+import {
+  PROVIDERS,
+  createBackend,
+  buildAltTextRequest,
+  buildFolderRequest,
+} from '../services/vision-provider.js'
+import { getPromptContext, loadPostContext } from '../services/item-handler.js'
+import { createWpClient } from '../services/wp-client.js'
+import { getCredentials } from '../services/credential-store.js'
+import { getSettings } from '../services/settings-store.js'
+import { getSitePrompts, buildPromptVariables } from '../utils/vision-prompts.js'
+import { resolveFieldRequests } from '../utils/field-mapping.js'
+
+/** @type {Object} Item used to preview prompts when no media has been scanned */
+const SAMPLE_ITEM = {
+  id: 0,
+  filename: 'team-meeting-2025',
+  title: 'Team meeting',
+  caption: 'Our team planning the spring release',
+  currentAlt: '',
+  postTitle: 'Meet the people behind the product',
+}
+
+/**
+ * Builds a backend from the provider ID and optional unsaved OpenAI settings.
+ * @param {Object} params - Provider parameters
+ * @param {string} params.provider - 'copilot' | 'openai'
+ * @param {Object} [params.openai] - OpenAI-compatible settings (defaults to saved settings)
+ * @returns {Promise<import('../services/vision-provider.js').VisionBackend>}
+ */
+async function backendFor({ provider, openai }) {
+  if (provider !== 'openai') {
+    return createBackend({ provider })
+  }
+  const settings = await getSettings()
+  return createBackend({ provider, ...settings.openai, ...openai })
+}
+
+/**
+ * Creates vision provider IPC handlers.
+ * @param {Electron.BrowserWindow} mainWindow - The main application window
+ * @returns {Array<{channel: string, handler: Function}>} Array of IPC handlers
+ */
+export function providerHandlers(mainWindow) {
+  return [
+    {
+      channel: 'provider:list',
+      /** @returns {Promise<Array<{id: string, name: string}>>} */
+      async handler() {
+        return PROVIDERS
+      },
+    },
+    {
+      channel: 'provider:status',
+      /**
+       * @param {{provider: string, openai?: Object}} params - Provider to check
+       * @returns {Promise<{running: boolean, error?: string}>}
+       */
+      async handler(params) {
+        try {
+          return (await backendFor(params)).status()
+        } catch (err) {
+          return { running: false, error: err.message }
+        }
+      },
+    },
+    {
+      channel: 'provider:listModels',
+      /**
+       * @param {{provider: string, openai?: Object, visionOnly?: boolean}} params - Provider and filter
+       * @returns {Promise<Array<{id: string, name: string, supportsVision: boolean}>>}
+       */
+      async handler({ visionOnly, ...params }) {
+        return (await backendFor(params)).listModels({ visionOnly })
+      },
+    },
+    {
+      channel: 'provider:previewPrompt',
+      /**
+       * Renders the final prompts for a sample item without calling the model.
+       * @param {Object} params - Preview parameters
+       * @param {string} params.siteId - Site identifier
+       * @param {Object} [params.prompts] - Unsaved prompt templates and style guide (defaults to saved)
+       * @param {Object} [params.item] - Media item (defaults to a built-in sample)
+       * @param {boolean} [params.withFolders] - Preview the folder suggestion prompt
+       * @returns {Promise<{systemPrompt: string, prompt: string, variables: Object}>}
+       */
+      async handler({ siteId, prompts, item = SAMPLE_ITEM, withFolders = false }) {
+        const settings = await getSettings()
+        const credentials = await getCredentials(siteId)
+        const wpClient = credentials && createWpClient(credentials)
+        const context = wpClient
+          ? await getPromptContext(wpClient, settings.siteLocales?.[siteId])
+          : { languageName: 'English', siteName: '' }
+        const posts = wpClient && settings.usePostContext && item.id ? await loadPostContext(wpClient, item) : []
+
+        const maxLength = settings.maxAltLength || 125
+        const variables = buildPromptVariables(item, { maxLength, ...context, posts })
+        const options = {
+          maxLength,
+          fields: resolveFieldRequests(item, settings.fieldMapping),
+          prompts: { ...getSitePrompts(settings, siteId), ...prompts },
+          variables,
+          languageName: context.languageName,
+          metadata: {
+            filename: item.filename,
+            title: item.title,
+            alt: item.currentAlt,
+            caption: item.caption,
+            posts,
+          },
+        }
+
+        const request = withFolders
+          ? buildFolderRequest([], options)
+          : buildAltTextRequest({ ...options, metadata: { posts } })
+        return { ...request, variables }
+      },
+    },
+  ]
+}
@@ -10,10 +10,12 @@ import { jobHandlers } from './job.handlers.js'
 import { vmfHandlers } from './vmf.handlers.js'
 import { settingsHandlers } from './settings.handlers.js'
 import { copilotHandlers } from './copilot.handlers.js'
+import { providerHandlers } from './provider.handlers.js'
+import { cacheHandlers } from './cache.handlers.js'
 
 /**
- * Registers all IPC handlers with security validation.
- * @param {Electron.BrowserWindow} mainWindow - The main application window
+ * Registers all IPC handlers with security validation. Called once per app run.
+ * @param {Electron.BrowserWindow} mainWindow - The main application window, or a stand-in that sends to the window open now
  * @param {Electron.IpcMain} ipcMain - Electron IPC main process
  * @returns {void}
  */
@@ -25,6 +27,8 @@ export function registerIpcHandlers(mainWindow, ipcMain) {
     ...vmfHandlers(mainWindow),
     ...settingsHandlers(mainWindow),
     ...copilotHandlers(mainWindow),
+    ...providerHandlers(mainWindow),
+    ...cacheHandlers(mainWindow),
   ]
 
   for (const { channel, handler } of allHandlers) {
@@ -1,23 +1,86 @@
+import { app } from 'electron'
+import { join } from 'node:path'
 import { createWpClient } from '../services/wp-client.js'
+import {
+  createMediaIndexStore,
+  mergeMediaItems,
+  incrementalCursor,
+  queryMediaIndex,
+} from '../services/media-index.js'
 import { getCredentials } from '../services/credential-store.js'
+import { getSettings } from '../services/settings-store.js'
 
 let scanController
 
 export function scanHandlers(mainWindow) {
+  const mediaIndexStore = createMediaIndexStore(join(app.getPath('userData'), 'media-index'))
+
+  /**
+   * Fetches media changed since the last indexed scan, merges it into the
+   * site's index and returns the indexed items matching the filters.
+   * @param {Object} client - WordPress client
+   * @param {string} siteId - Site identifier
+   * @param {Object} filters - Scan filters, applied to the index
+   * @param {AbortSignal} signal - Cancels the scan; the items fetched so far are kept
+   * @returns {Promise<{items: Object[], changed: number}>}
+   */
+  async function scanIncremental(client, siteId, filters, signal) {
+    const index = await mediaIndexStore.load(siteId)
+    const changed = []
+
+    try {
+      // Oldest change first, so a cancelled scan still leaves a valid cursor
+      const scan = client.scanMedia({ modifiedAfter: incrementalCursor(index), orderBy: 'modified' })
+      for await (const item of scan) {
+        if (signal.aborted) break
+        changed.push(item)
+      }
+    } catch (error) {
+      if (error.name !== 'AbortError') throw error
+    }
+
+    mergeMediaItems(index, changed)
+    await mediaIndexStore.save(index)
+    return { items: queryMediaIndex(index, filters), changed: changed.length }
+  }
+
   return [
     {
       channel: 'scan:start',
-      async handler({ siteId, missingAltOnly = false, limit }) {
+      async handler({ siteId, missingAltOnly = false, limit, filters = {}, incremental = false }) {
         const credentials = await getCredentials(siteId)
         if (!credentials) throw new Error('Site not found')
 
-        const client = createWpClient(credentials)
-        scanController = new AbortController()
+        const settings = await getSettings()
+        // The client's requests abort on scan:cancel instead of finishing the current page
+        const controller = (scanController = new AbortController())
+        const client = createWpClient(credentials, { signal: controller.signal })
+
+        if (incremental) {
+          const { items, changed } = await scanIncremental(client, siteId, {
+            ...filters,
+            missingAltOnly,
+            limit,
+            maxAltLength: settings.maxAltLength,
+          }, controller.signal)
+          for (const item of items) {
+            mainWindow.webContents.send('scan:item', item)
+          }
+          mainWindow.webContents.send('scan:complete', { total: items.length, changed })
+          return items
+        }
+
         const items = []
 
         try {
-          for await (const item of client.scanMedia({ missingAltOnly, limit })) {
-            if (scanController.signal.aborted) break
+          const scan = client.scanMedia({
+            ...filters,
+            missingAltOnly,
+            limit,
+            maxAltLength: settings.maxAltLength,
+          })
+          for await (const item of scan) {
+            if (controller.signal.aborted) break
             items.push(item)
             mainWindow.webContents.send('scan:item', item)
           }
@@ -29,6 +92,43 @@ export function scanHandlers(mainWindow) {
         return items
       },
     },
+    {
+      channel: 'scan:inlineUsages',
+      async handler({ siteId, issuesOnly = true, limit }) {
+        const credentials = await getCredentials(siteId)
+        if (!credentials) throw new Error('Site not found')
+
+        const controller = (scanController = new AbortController())
+        const client = createWpClient(credentials, { signal: controller.signal })
+        const usages = []
+
+        try {
+          for await (const usage of client.scanInlineUsages({ issuesOnly, limit })) {
+            if (controller.signal.aborted) break
+            usages.push(usage)
+          }
+        } catch (error) {
+          if (error.name !== 'AbortError') throw error
+        }
+        return usages
+      },
+    },
+    {
+      channel: 'scan:authors',
+      async handler({ siteId }) {
+        const credentials = await getCredentials(siteId)
+        if (!credentials) throw new Error('Site not found')
+        return createWpClient(credentials).listAuthors()
+      },
+    },
+    {
+      channel: 'scan:clearIndex',
+      async handler({ siteId }) {
+        // Incremental scans cannot see deletions; clearing forces a full rebuild
+        await mediaIndexStore.remove(siteId)
+        return { cleared: true }
+      },
+    },
     {
       channel: 'scan:cancel',
       async handler() {
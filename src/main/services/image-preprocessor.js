@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Image preprocessing before images are sent to a vision model.
+ * Picks a registered WordPress size close to the target resolution, then
+ * converts, resizes and strips metadata so every image the model sees is a
+ * predictable JPEG, PNG or WebP under a size cap.
+ * @module main/services/image-preprocessor
+ */
+
+import sharp from 'sharp'
+
+/** @type {string[]} MIME types vision models accept as-is */
+export const SUPPORTED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+/**
+ * @type {string[]} MIME types of HEVC-coded HEIF images. Prebuilt sharp ships
+ * libheif without an HEVC decoder, so these cannot be read at all.
+ */
+const UNDECODABLE_MIME_TYPES = ['image/heic', 'image/heif', 'image/heic-sequence', 'image/heif-sequence']
+
+/** @type {string[]} ISO-BMFF brands of HEVC-coded HEIF files */
+const HEIC_BRANDS = ['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'hevm', 'hevs']
+
+/** @type {Object<string, string>} File extension per output format */
+const FORMAT_EXTENSIONS = { jpeg: 'jpg', png: 'png', webp: 'webp' }
+
+/** @type {number} Default longest edge in pixels */
+const DEFAULT_TARGET_SIZE = 1024
+
+/** @type {number} Default file size cap in bytes (1 MB) */
+const DEFAULT_MAX_BYTES = 1024 * 1024
+
+/** @type {number[]} JPEG/WebP qualities tried, in order, to get under the size cap */
+const QUALITY_STEPS = [82, 70, 55, 40]
+
+/**
+ * @typedef {Object} ImageSize
+ * @property {string} name - Registered size name ('thumbnail', 'medium', 'large', 'full', ...)
+ * @property {string} url - Image URL
+ * @property {number} [width] - Width in pixels
+ * @property {number} [height] - Height in pixels
+ * @property {string} [mimeType] - MIME type
+ */
+
+/**
+ * @typedef {Object} PreprocessOptions
+ * @property {number} [targetSize=1024] - Longest edge in pixels sent to the model
+ * @property {number} [maxBytes=1048576] - File size cap in bytes
+ */
+
+/**
+ * Tells whether a size is a crop of the original rather than a scaled copy,
+ * like WordPress' 150×150 'thumbnail'. Crops can cut off the subject.
+ * @private
+ * @param {ImageSize} size - Candidate size
+ * @param {ImageSize} full - Original image
+ * @returns {boolean}
+ */
+function isCropped(size, full) {
+  if (!size.width || !size.height || !full?.width || !full?.height) return false
+  return Math.abs(size.width / size.height - full.width / full.height) > 0.02
+}
+
+/**
+ * Creates the permanent error for an image that cannot be decoded.
+ * @private
+ * @param {string} reason - What could not be read
+ * @returns {Error}
+ */
+function unsupportedFormat(reason) {
+  const error = new Error(`Unsupported image format: ${reason}`)
+  error.code = 'UNSUPPORTED_FORMAT'
+  error.permanent = true
+  return error
+}
+
+/**
+ * Tells whether a file is an HEVC-coded HEIF image (HEIC), from its `ftyp` box.
+ * @private
+ * @param {Buffer} input - Downloaded image
+ * @returns {boolean}
+ */
+function isHeic(input) {
+  return input.toString('latin1', 4, 8) === 'ftyp' && HEIC_BRANDS.includes(input.toString('latin1', 8, 12))
+}
+
+/**
+ * Picks the smallest size whose longest edge reaches the target, or the
+ * largest size when none does.
+ * @private
+ * @param {ImageSize[]} sizes - Candidate sizes
+ * @param {number} targetSize - Longest edge in pixels
+ * @returns {ImageSize|undefined}
+ */
+function pickClosest(sizes, targetSize) {
+  const longest = (size) => Math.max(size.width || 0, size.height || 0)
+  const sorted = [...sizes].sort((a, b) => longest(a) - longest(b))
+  return sorted.find((size) => longest(size) >= targetSize) || sorted[sorted.length - 1]
+}
+
+/**
+ * Selects the registered size to download for a target resolution. Cropped
+ * sizes and HEIC sizes, which cannot be decoded, are skipped. A size the
+ * model accepts as-is is preferred when it reaches the target; otherwise the
+ * closest size is converted after download.
+ * @param {ImageSize[]} sizes - Registered sizes, including 'full'
+ * @param {number} [targetSize=1024] - Longest edge in pixels
+ * @returns {ImageSize|undefined} Size to download, undefined if there are none
+ */
+export function selectImageSize(sizes = [], targetSize = DEFAULT_TARGET_SIZE) {
+  const full = sizes.find((size) => size.name === 'full')
+  const candidates = sizes.filter(
+    (size) => size.url && !isCropped(size, full) && !UNDECODABLE_MIME_TYPES.includes(size.mimeType)
+  )
+  if (candidates.length === 0) return undefined
+
+  const supported = pickClosest(
+    candidates.filter((size) => SUPPORTED_MIME_TYPES.includes(size.mimeType)),
+    targetSize
+  )
+  if (supported && Math.max(supported.width || 0, supported.height || 0) >= targetSize) {
+    return supported
+  }
+  return pickClosest(candidates, targetSize)
+}
+
+/**
+ * Chooses the output format: PNG and WebP stay as they are, images with
+ * transparency become PNG, everything else (GIF, AVIF, TIFF, SVG) JPEG.
+ * @private
+ * @param {import('sharp').Metadata} metadata - Input image metadata
+ * @returns {'jpeg'|'png'|'webp'}
+ */
+function chooseFormat(metadata) {
+  if (metadata.format === 'png' || metadata.format === 'webp') return metadata.format
+  if (metadata.format === 'jpeg') return 'jpeg'
+  return metadata.hasAlpha ? 'png' : 'jpeg'
+}
+
+/**
+ * Loads an image, rasterizing SVG at a density that yields the target size.
+ * @private
+ * @param {Buffer} input - Downloaded image
+ * @param {number} targetSize - Longest edge in pixels
+ * @returns {Promise<{image: import('sharp').Sharp, metadata: import('sharp').Metadata}>}
+ */
+async function loadImage(input, targetSize) {
+  let metadata = await sharp(input).metadata()
+  if (metadata.format !== 'svg') {
+    return { image: sharp(input, { animated: false }), metadata }
+  }
+
+  // SVGs render at 72 DPI by default; scale the density so small icons stay sharp
+  const longest = Math.max(metadata.width || 0, metadata.height || 0) || targetSize
+  const density = Math.min(Math.max((72 * targetSize) / longest, 1), 2400)
+  const image = sharp(input, { density })
+  metadata = { ...metadata, hasAlpha: true }
+  return { image, metadata }
+}
+
+/**
+ * Converts, resizes and compresses an image for a vision model. The
+ * output carries no metadata, so EXIF GPS coordinates are never uploaded;
+ * EXIF orientation is applied to the pixels first. If the image still
+ * exceeds the cap after six reductions, the smallest attempt is returned.
+ * @param {Buffer} input - Downloaded image
+ * @param {PreprocessOptions} [options] - Preprocessing options
+ * @returns {Promise<{data: Buffer, format: string, extension: string, width: number, height: number}>}
+ * @throws {Error} If the image format cannot be decoded, e.g. HEIC (code UNSUPPORTED_FORMAT)
+ */
+export async function preprocessImage(input, options = {}) {
+  const targetSize = options.targetSize > 0 ? options.targetSize : DEFAULT_TARGET_SIZE
+  const maxBytes = options.maxBytes > 0 ? options.maxBytes : DEFAULT_MAX_BYTES
+
+  // libheif would only fail with a corrupt-header message
+  if (isHeic(input)) throw unsupportedFormat('HEIC cannot be decoded, and WordPress has no JPEG copy of this image')
+
+  let loaded
+  try {
+    loaded = await loadImage(input, targetSize)
+  } catch (err) {
+    throw unsupportedFormat(err.message)
+  }
+  const { image, metadata } = loaded
+  const format = chooseFormat(metadata)
+
+  let size = targetSize
+  let output
+  for (let attempt = 0; attempt < 6; attempt++) {
+    const resized = image
+      .clone()
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: metadata.format !== 'svg' })
+
+    // Lower the quality first, then the resolution, until the file fits
+    const qualities = format === 'png' ? [undefined] : QUALITY_STEPS
+    for (const quality of qualities) {
+      const encoded = format === 'png'
+        ? resized.clone().png({ compressionLevel: 9 })
+        : resized.clone()[format]({ quality })
+      output = await encoded.toBuffer({ resolveWithObject: true })
+      if (output.data.length <= maxBytes) break
+    }
+    if (output.data.length <= maxBytes) break
+    size = Math.round(Math.max(output.info.width, output.info.height) * 0.75)
+  }
+
+  return {
+    data: output.data,
+    format,
+    extension: FORMAT_EXTENSIONS[format],
+    width: output.info.width,
+    height: output.info.height,
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Per-item job handlers for generating and applying alt text.
+ * Shared by the Electron IPC handlers and the CLI.
+ * @module main/services/item-handler
+ */
+
+import { getThumbnailPath, releaseThumbnail } from './thumbnail-cache.js'
+import { getVisionProvider } from './vision-provider.js'
+import { resolveFieldRequests, selectFieldsToApply } from '../utils/field-mapping.js'
+import { getSitePrompts, buildPromptVariables, getCandidateStyles } from '../utils/vision-prompts.js'
+import { replaceInlineAlt } from '../utils/inline-images.js'
+import { evaluateAutoApprove } from '../utils/validation.js'
+import { getLanguageName, getTextDirection } from '../utils/locale.js'
+import { createLimiter } from '../utils/limiter.js'
+import { readMediaFields, DECORATIVE_META_KEY } from './wp-client.js'
+
+/**
+ * Creates the error for an item whose alt text was edited after this app
+ * wrote it. A revert leaves such items alone rather than overwriting the edit.
+ * @private
+ * @returns {Error}
+ */
+function driftError() {
+  const error = new Error('Alt text was changed after it was applied; left unchanged')
+  error.code = 'DRIFTED'
+  error.permanent = true
+  return error
+}
+
+/**
+ * Fetches the site name and language used in prompts. A per-site locale
+ * override (settings.siteLocales) wins over the locale WordPress reports.
+ * Falls back to English and an empty name if the site cannot be reached.
+ * @param {Object} wpClient - WordPress client (see createWpClient)
+ * @param {string} [localeOverride] - Locale to use instead of the site's
+ * @returns {Promise<{languageName: string, siteName: string, locale: string}>}
+ */
+export async function getPromptContext(wpClient, localeOverride) {
+  let siteName = ''
+  let locale = 'en_US'
+  try {
+    const details = await wpClient.getSiteDetails()
+    siteName = details.name
+    locale = details.locale
+  } catch {
+    // Unreachable site: keep the defaults
+  }
+  locale = localeOverride?.trim() || locale
+  return { languageName: getLanguageName(locale), siteName, locale }
+}
+
+/**
+ * Looks up the posts an image is used in, for context-aware prompts.
+ * Lookup failures are logged and yield no context rather than failing the item.
+ * @param {Object} wpClient - WordPress client (see createWpClient)
+ * @param {Object} item - Media item
+ * @returns {Promise<import('../utils/post-context.js').PostContext[]>}
+ */
+export async function loadPostContext(wpClient, item) {
+  try {
+    return await wpClient.getPostContext(item)
+  } catch (err) {
+    console.warn(`[Job] Post context lookup failed for ${item.id}:`, err.message)
+    return []
+  }
+}
+
+/**
+ * Generates alt text for each translated copy of an attachment, in the
+ * translation's language. Decorative images stay decorative in every
+ * language; a failed translation is reported on its entry rather than
+ * failing the item.
+ * @param {Object} params - Generation parameters
+ * @param {Object} params.provider - Vision provider (see getVisionProvider)
+ * @param {import('../utils/limiter.js').Limiter} params.modelLimit - Limiter for model calls
+ * @param {string} params.imagePath - Local thumbnail path
+ * @param {Object} params.item - Media item with `translations`
+ * @param {Object} params.result - Alt text result in the item's own language
+ * @param {Object} params.options - Options the item's alt text was generated with, including its `signal`
+ * @returns {Promise<Object[]>} One entry per translation: mediaId, locale, languageName, direction and altText or error
+ */
+async function generateTranslations({ provider, modelLimit, imagePath, item, result, options }) {
+  const translations = []
+  for (const { mediaId, locale } of item.translations) {
+    const languageName = getLanguageName(locale)
+    const direction = getTextDirection(locale)
+    if (result.decorative) {
+      translations.push({ mediaId, locale, languageName, direction, altText: '', decorative: true, valid: true, issues: [] })
+      continue
+    }
+
+    try {
+      const translated = await modelLimit.run(() => provider.generateAltText(imagePath, {
+        ...options,
+        fields: {},
+        candidates: [],
+        variables: { ...options.variables, language: languageName },
+      }), options.signal)
+      translations.push({
+        mediaId,
+        locale,
+        languageName,
+        direction,
+        altText: translated.altText,
+        decorative: translated.decorative,
+        valid: translated.valid,
+        issues: translated.issues,
+      })
+    } catch (err) {
+      // A cancelled job stops instead of recording every translation as failed
+      options.signal?.throwIfAborted()
+      translations.push({ mediaId, locale, languageName, error: err.message })
+    }
+  }
+  return translations
+}
+
+/**
+ * Builds the handler that processes one job item.
+ * @param {Object} params - Handler parameters
+ * @param {string} params.type - 'generate' | 'apply' | 'revert' | 'apply-inline'
+ * @param {Object} params.wpClient - WordPress client (see createWpClient)
+ * @param {import('../utils/settings-defaults.js').AppSettings} params.settings - Application settings
+ * @param {string} [params.siteId] - Site identifier, selects the site's vision provider
+ * @param {Object} [params.options] - Job options (withFolders, existingFolders, fields, model, modelConcurrency, writeConcurrency)
+ * @returns {Promise<Function>} Async item handler `(item, {signal})`; its `configure` method changes the model and
+ *   service limits while the job runs. Model calls, downloads and WordPress requests stop when the signal aborts.
+ */
+export async function createItemHandler({ type, wpClient, settings, siteId, options = {} }) {
+  const provider = getVisionProvider(settings, siteId)
+  const prompts = getSitePrompts(settings, siteId)
+  const maxLength = settings.maxAltLength || 125
+
+  // Model calls and WordPress writes hit different services, so each has its own limit
+  let model = options.model || undefined
+  const modelLimit = createLimiter(options.modelConcurrency ?? settings.modelConcurrency)
+  const writeLimit = createLimiter(options.writeConcurrency ?? settings.writeConcurrency)
+
+  // Fetch site language and name for prompts
+  const { locale: siteLocale, ...promptContext } = await getPromptContext(wpClient, settings.siteLocales?.[siteId])
+  const { languageName } = promptContext
+
+  // Inline rewrites read, modify and write whole posts, so one post at a time
+  const postLocks = new Map()
+  const withPostLock = (key, task) => {
+    const run = (postLocks.get(key) || Promise.resolve()).catch(() => {}).then(task)
+    postLocks.set(key, run)
+    return run
+  }
+
+  const handler = async (item, { signal } = {}) => {
+    // Requests for this item stop when the job is cancelled or the item skipped
+    const client = signal ? wpClient.withSignal(signal) : wpClient
+    if (type === 'generate') {
+      let imagePath
+      try {
+        console.log(`[Job] Processing item ${item.id}: ${item.filename || item.sourceUrl}`)
+        // An item regenerated with another model carries it (see JobQueue.retryItems)
+        const itemModel = item.model || model
+        // Held so the cache does not evict the image while the model reads it
+        imagePath = await getThumbnailPath(item, { ...settings.imagePreprocessing, siteId, signal, hold: true })
+        console.log(`[Job] Downloaded to: ${imagePath}`)
+
+        // Extra media fields (caption, description, title) to generate alongside alt text
+        const fields = resolveFieldRequests(item, settings.fieldMapping, options.fields)
+        // Inline usages carry the post they are used in; media items look it up if enabled
+        const posts = item.postContext
+          ? [item.postContext]
+          : settings.usePostContext ? await loadPostContext(client, item) : []
+        // On multilingual sites the attachment's own language wins over the site language
+        const locale = item.language || siteLocale
+        const variables = buildPromptVariables(item, {
+          maxLength,
+          ...promptContext,
+          languageName: getLanguageName(locale),
+          posts,
+        })
+
+        if (options.withFolders && options.existingFolders) {
+          // Use folder suggestion mode
+          const result = await modelLimit.run(() => provider.suggestFolder(imagePath, options.existingFolders, {
+            model: itemModel,
+            maxLength,
+            languageName,
+            fields,
+            prompts,
+            variables,
+            metadata: {
+              filename: item.filename,
+              title: item.title,
+              alt: item.currentAlt,
+              caption: item.caption,
+              posts,
+            },
+            signal,
+          }), signal)
+          result.direction = getTextDirection(locale)
+          console.log(`[Job] Result for ${item.id}:`, result.altText || result.error)
+          return result
+        }
+
+        const generateOptions = {
+          model: itemModel,
+          maxLength,
+          fields,
+          prompts,
+          variables,
+          metadata: { posts },
+          candidates: getCandidateStyles(settings.altTextCandidates),
+          repairAttempts: settings.maxRepairAttempts,
+          signal,
+        }
+        const result = await modelLimit.run(() => provider.generateAltText(imagePath, generateOptions), signal)
+        // Lets the review editor render right-to-left text correctly
+        result.direction = getTextDirection(locale)
+        if (item.translations?.length > 0 && settings.generateTranslations) {
+          result.translations = await generateTranslations({
+            provider,
+            modelLimit,
+            imagePath,
+            item,
+            result,
+            options: generateOptions,
+          })
+        }
+        if (settings.autoApprove?.enabled) {
+          result.review = evaluateAutoApprove(result, settings.autoApprove)
+        }
+        console.log(`[Job] Result for ${item.id}:`, result.altText || result.error)
+        return result
+      } catch (err) {
+        console.error(`[Job] Error processing ${item.id}:`, err.message)
+        throw err
+      } finally {
+        if (imagePath) await releaseThumbnail(imagePath)
+      }
+    }
+    if (type === 'apply' || type === 'revert') {
+      // Reverts restore every journaled field regardless of the "only if empty" rules
+      const fields = type === 'revert'
+        ? { ...item.proposedFields }
+        : selectFieldsToApply(item, settings.fieldMapping)
+
+      // Journal before/after so the change can be reverted later. The live
+      // values are journaled, as the scan may be out of date by now.
+      const live = readMediaFields(await client.getMedia(item.id, { signal }))
+      // Reverts carry the alt text they undo (see job:revert)
+      if (item.expectedAlt !== undefined && (live.altText ?? '') !== item.expectedAlt) throw driftError()
+
+      const previousAlt = live.altText ?? ''
+      const previousFields = {}
+      for (const field of Object.keys(fields)) {
+        previousFields[field] = live[field] ?? ''
+      }
+
+      // Classified or marked items set or clear the decorative marker; an empty alt is only intentional when decorative
+      const classified = item.decorative ?? item.markedDecorative
+      const decorative = classified === undefined ? undefined : classified === true && !item.proposedAlt
+
+      const stored = await writeLimit.run(
+        () => client.updateMedia(item.id, { altText: item.proposedAlt, ...fields, decorative }),
+        signal
+      )
+      const appliedFields = {}
+      for (const field of Object.keys(fields)) {
+        appliedFields[field] = stored[field] ?? fields[field]
+      }
+
+      // WordPress drops meta keys that are not registered with show_in_rest without an error
+      const warnings = []
+      if (decorative !== undefined && stored.decorative !== decorative) {
+        warnings.push(`WordPress did not store the decorative marker; register the ${DECORATIVE_META_KEY} meta key with show_in_rest`)
+        console.warn(`[Job] Decorative marker not stored for ${item.id}`)
+      }
+
+      // Translated copies get their own alt text; failed and drifted translations are left unchanged
+      const appliedTranslations = []
+      const driftedTranslations = []
+      for (const translation of item.proposedTranslations || []) {
+        if (typeof translation.altText !== 'string') continue
+        const media = await client.getMedia(translation.mediaId, { signal })
+        if (translation.expectedAlt !== undefined && (media.alt_text || '') !== translation.expectedAlt) {
+          driftedTranslations.push({ mediaId: translation.mediaId, locale: translation.locale })
+          continue
+        }
+        const storedTranslation = await writeLimit.run(() => client.updateMedia(translation.mediaId, {
+          altText: translation.altText,
+          decorative: decorative === undefined ? undefined : decorative && !translation.altText,
+        }), signal)
+        appliedTranslations.push({
+          mediaId: translation.mediaId,
+          locale: translation.locale,
+          previousAlt: media.alt_text || '',
+          appliedAlt: storedTranslation.altText ?? translation.altText,
+        })
+      }
+
+      return {
+        applied: true,
+        previousAlt,
+        appliedAlt: stored.altText ?? item.proposedAlt,
+        previousFields,
+        appliedFields,
+        previousDecorative: live.decorative,
+        appliedDecorative: stored.decorative,
+        ...(appliedTranslations.length > 0 && { appliedTranslations }),
+        ...(driftedTranslations.length > 0 && { driftedTranslations }),
+        ...(warnings.length > 0 && { warnings }),
+      }
+    }
+    if (type === 'apply-inline') {
+      return withPostLock(`${item.postType}:${item.postId}`, async () => {
+        signal?.throwIfAborted()
+        const post = await client.getPostContent(item.postType, item.postId)
+        const { content, previousAlt } = replaceInlineAlt(post.content, {
+          attachmentId: item.attachmentId,
+          occurrence: item.occurrence,
+          alt: item.proposedAlt ?? '',
+        })
+        if (item.expectedAlt !== undefined && previousAlt !== item.expectedAlt) throw driftError()
+        await writeLimit.run(() => client.updatePostContent(item.postType, item.postId, content), signal)
+        return { applied: true, previousAlt, appliedAlt: item.proposedAlt ?? '' }
+      })
+    }
+    throw new Error(`Unknown job type: ${type}`)
+  }
+
+  /**
+   * Changes the model and service limits; calls already running keep theirs.
+   * @param {Object} changes - Validated job options
+   * @param {string} [changes.model] - Model ID, empty for the site's model
+   * @param {number} [changes.modelConcurrency] - Concurrent model calls
+   * @param {number} [changes.writeConcurrency] - Concurrent WordPress writes
+   */
+  handler.configure = (changes) => {
+    if (changes.model !== undefined) model = changes.model || undefined
+    if (changes.modelConcurrency !== undefined) modelLimit.setLimit(changes.modelConcurrency)
+    if (changes.writeConcurrency !== undefined) writeLimit.setLimit(changes.writeConcurrency)
+  }
+
+  return handler
+}
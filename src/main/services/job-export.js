@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Export of job changes as CSV or JSON.
+ * Shared by job:export and the CLI so both produce identical output.
+ * @module main/services/job-export
+ */
+
+/**
+ * @typedef {Object} JobChange
+ * @property {number} id - Media item ID
+ * @property {string} [filename] - Media filename
+ * @property {string} [oldAlt] - Alt text before the job
+ * @property {string} [newAlt] - Generated or applied alt text
+ * @property {string} status - Item status
+ * @property {string} [error] - Error message if failed
+ */
+
+/**
+ * Lists the alt text changes made or proposed by a job.
+ * @param {Object} job - Serialized job (see job-store serializeJob)
+ * @returns {JobChange[]}
+ */
+export function getJobChanges(job) {
+  return job.items.map((i) => ({
+    id: i.id,
+    filename: i.filename,
+    oldAlt: i.result?.previousAlt ?? i.currentAlt,
+    newAlt: i.result?.altText ?? i.result?.appliedAlt,
+    status: i.status,
+    error: i.error,
+  }))
+}
+
+/**
+ * Formats a job's changes for export.
+ * @param {Object} job - Serialized job (see job-store serializeJob)
+ * @param {'csv'|'json'} format - Export format
+ * @returns {string} CSV or pretty-printed JSON
+ */
+export function formatJobExport(job, format) {
+  const changes = getJobChanges(job)
+
+  if (format === 'json') {
+    return JSON.stringify(changes, undefined, 2)
+  }
+
+  const header = 'id,filename,old_alt,new_alt,status,error'
+  const rows = changes.map((c) =>
+    [c.id, c.filename, c.oldAlt, c.newAlt, c.status, c.error || '']
+      .map(escapeCSV)
+      .join(',')
+  )
+  return [header, ...rows].join('\n')
+}
+
+/**
+ * Quotes a CSV value when it contains a comma, quote or newline.
+ * @private
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+function escapeCSV(value) {
+  const str = String(value ?? '')
+  if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+    return `"${str.replace(/"/g, '""')}"`
+  }
+  return str
+}
@@ -5,34 +5,62 @@
  */
 
 import { EventEmitter } from 'node:events'
+import { createRateController, classifyError } from './rate-controller.js'
+import { untilAborted, sleep } from '../utils/abort.js'
+
+/** @type {string[]} Item statuses that are final until the item is retried */
+const FINISHED_STATUSES = ['completed', 'failed', 'skipped']
 
 /**
  * @typedef {Object} JobItem
  * @property {number} id - Media item ID
- * @property {string} status - 'pending' | 'processing' | 'completed' | 'failed' | 'retry'
+ * @property {string} status - 'pending' | 'processing' | 'completed' | 'failed' | 'retry' | 'skipped'
  * @property {number} attempts - Number of processing attempts
+ * @property {string} [model] - Model for this item when it was regenerated with another one
  * @property {string} [error] - Error message if failed
  * @property {Object} [result] - Handler result data
  * @property {string} [proposedAlt] - Generated alt text
+ * @property {Object<string, string>} [proposedFields] - Generated caption/description/title
  */
 
 /**
  * @typedef {Object} Job
  * @property {string} id - Unique job identifier
+ * @property {string} [siteId] - Site the job belongs to
+ * @property {string} [type] - Job type ('generate' | 'apply' | 'revert')
  * @property {string} status - 'pending' | 'running' | 'paused' | 'completed' | 'cancelled'
  * @property {number} total - Total items in job
  * @property {number} completed - Successfully completed items
  * @property {number} failed - Failed items
+ * @property {number} skipped - Items skipped by the user
+ * @property {number} createdAt - Job creation timestamp
  * @property {number} [startedAt] - Job start timestamp
  * @property {number} [finishedAt] - Job completion timestamp
  * @property {JobItem[]} items - All job items
- * @property {Function} handler - Async handler function for processing items
+ * @property {ItemHandler} handler - Async handler function for processing items
  * @property {boolean} paused - Whether job is paused
  * @property {boolean} cancelled - Whether job is cancelled
  */
 
 /**
- * Concurrent job queue with automatic retries and progress events.
+ * Processes one item. The signal aborts when the job is cancelled, the item
+ * is skipped or the attempt times out; handlers pass it on to their
+ * network requests so the work stops instead of running to completion.
+ * @callback ItemHandler
+ * @param {JobItem} item - Item to process
+ * @param {{signal: AbortSignal}} context - Attempt context
+ * @returns {Promise<Object>} Result stored on the item
+ */
+
+/**
+ * @typedef {Object} RunOptions
+ * @property {number} [concurrency] - Maximum concurrent workers (default: queue concurrency)
+ * @property {number} [maxRetries] - Attempts per item (default: queue maxRetries)
+ * @property {number} [timeout] - Per-item timeout in milliseconds, 0 for none (default: 0)
+ */
+
+/**
+ * Concurrent job queue with adaptive rate control, retries and progress events.
  * @extends EventEmitter
  * @fires JobQueue#job:started
  * @fires JobQueue#job:progress
@@ -44,15 +72,22 @@ export class JobQueue extends EventEmitter {
    * @param {Object} options - Queue configuration
    * @param {number} [options.concurrency=3] - Maximum concurrent workers
    * @param {number} [options.maxRetries=3] - Maximum retry attempts per item
+   * @param {number} [options.baseRetryDelay=1000] - First retry delay in milliseconds, doubled per attempt
    */
-  constructor({ concurrency = 3, maxRetries = 3 } = {}) {
+  constructor({ concurrency = 3, maxRetries = 3, baseRetryDelay = 1000 } = {}) {
     super()
     /** @type {number} */
     this.concurrency = concurrency
     /** @type {number} */
     this.maxRetries = maxRetries
+    /** @type {number} */
+    this.baseRetryDelay = baseRetryDelay
     /** @type {Map<string, Job>} */
     this.jobs = new Map()
+    /** @type {Map<string, {rate: Object, maxRetries: number, timeout: number, queue: JobItem[], next: number}>} Running jobs' rate controllers (see createRateController), options and item queues */
+    this.runs = new Map()
+    /** @type {WeakMap<JobItem, AbortController>} Attempts and retry waits in flight, so skipItem and cancel can stop them */
+    this.inFlight = new WeakMap()
   }
 
   /**
@@ -60,15 +95,19 @@ export class JobQueue extends EventEmitter {
    * @param {string} id - Unique job identifier
    * @param {Array<{id: number}>} items - Items to process
    * @param {Function} handler - Async handler for each item
+   * @param {Object} [meta] - Extra job metadata (e.g. siteId, type) kept on the job
    * @returns {Job} Created job
    */
-  createJob(id, items, handler) {
+  createJob(id, items, handler, meta = {}) {
     const job = {
+      ...meta,
       id,
       status: 'pending',
       total: items.length,
       completed: 0,
       failed: 0,
+      skipped: 0,
+      createdAt: Date.now(),
       startedAt: undefined,
       finishedAt: undefined,
       items: items.map((item) => ({
@@ -87,37 +126,89 @@ export class JobQueue extends EventEmitter {
     return job
   }
 
+  /**
+   * Recreates a job from a saved checkpoint without starting it.
+   * Completed, failed and skipped items keep their results; items that
+   * were pending, waiting for a retry or in flight are queued again.
+   * @param {Object} snapshot - Serialized job (see job-store serializeJob)
+   * @param {Function} handler - Async handler for each item
+   * @returns {Job} Restored job
+   */
+  restoreJob(snapshot, handler) {
+    const items = snapshot.items.map((item) =>
+      FINISHED_STATUSES.includes(item.status)
+        ? { ...item }
+        : { ...item, status: 'pending', attempts: 0, error: undefined }
+    )
+
+    const job = {
+      ...snapshot,
+      status: 'pending',
+      total: items.length,
+      completed: items.filter((i) => i.status === 'completed').length,
+      failed: items.filter((i) => i.status === 'failed').length,
+      skipped: items.filter((i) => i.status === 'skipped').length,
+      finishedAt: undefined,
+      items,
+      handler,
+      paused: false,
+      cancelled: false,
+    }
+
+    this.jobs.set(job.id, job)
+    return job
+  }
+
   /**
    * Starts processing a job.
    * @param {string} jobId - Job identifier
+   * @param {RunOptions} [options] - Options for this run; change them later with configure
    * @returns {Promise<Job>} Completed job
    * @throws {Error} If job not found
    */
-  async start(jobId) {
+  async start(jobId, { concurrency = this.concurrency, maxRetries = this.maxRetries, timeout = 0 } = {}) {
     const job = this.jobs.get(jobId)
     if (!job) {
       throw new Error(`Job not found: ${jobId}`)
     }
 
+    const rate = createRateController({ concurrency, baseDelay: this.baseRetryDelay })
+    const queue = job.items.filter(
+      (i) => i.status === 'pending' || i.status === 'retry'
+    )
+    const run = { rate, maxRetries, timeout, queue, next: 0 }
+    this.runs.set(jobId, run)
+
     job.status = 'running'
     job.startedAt = Date.now()
     this.emit('job:started', { jobId })
     this.emitProgress(job)
 
-    const pending = job.items.filter(
-      (i) => i.status === 'pending' || i.status === 'retry'
-    )
     const executing = new Set()
 
-    for (const item of pending) {
-      if (job.cancelled) break
+    // retryItems appends to the queue while the job runs, so wait for running
+    // items before deciding the queue is done
+    while (!job.cancelled) {
+      if (run.next >= queue.length) {
+        if (executing.size === 0) break
+        await Promise.race([...executing, new Promise((resolve) => (run.wake = resolve))])
+        continue
+      }
+      const item = queue[run.next++]
 
       while (job.paused) {
         await sleep(100)
         if (job.cancelled) break
       }
 
+      // Hold new requests while the server asked us to back off
+      while (rate.wait() > 0 && !job.cancelled) {
+        await sleep(Math.min(rate.wait(), 100))
+      }
+
       if (job.cancelled) break
+      // Skipped while it waited
+      if (item.status !== 'pending' && item.status !== 'retry') continue
 
       const promise = this.processItem(job, item).finally(() => {
         executing.delete(promise)
@@ -125,12 +216,15 @@ export class JobQueue extends EventEmitter {
 
       executing.add(promise)
 
-      if (executing.size >= this.concurrency) {
-        await Promise.race(executing)
+      // Concurrency can shrink while items run, so wait until below the current limit;
+      // configure() wakes the loop so a raised limit applies right away
+      while (executing.size >= rate.concurrency) {
+        await Promise.race([...executing, new Promise((resolve) => (run.wake = resolve))])
       }
     }
 
-    await Promise.all(executing)
+    // Only a cancelled job leaves the loop with items still running
+    if (executing.size > 0) await Promise.all(executing)
 
     job.finishedAt = Date.now()
 
@@ -142,20 +236,36 @@ export class JobQueue extends EventEmitter {
       job.status = 'completed'
     }
 
-    this.emit('job:finished', {
-      jobId,
-      status: job.status,
-      completed: job.completed,
-      failed: job.failed,
-      duration: job.finishedAt - job.startedAt,
-    })
-
+    this.emitFinished(job)
     this.emitProgress(job)
+    this.runs.delete(jobId)
     return job
   }
 
   /**
-   * Processes a single item with retry logic.
+   * Changes the options of a running job. A higher concurrency applies at
+   * once, a lower one as running items finish; the new timeout applies to
+   * the next attempts.
+   * @param {string} jobId - Job identifier
+   * @param {RunOptions} options - Options to change
+   * @returns {boolean} Whether the job is running
+   */
+  configure(jobId, { concurrency, maxRetries, timeout }) {
+    const run = this.runs.get(jobId)
+    if (!run) return false
+
+    if (concurrency !== undefined) run.rate.setMaxConcurrency(concurrency)
+    if (maxRetries !== undefined) run.maxRetries = maxRetries
+    if (timeout !== undefined) run.timeout = timeout
+    run.wake?.()
+    this.emitProgress(this.jobs.get(jobId))
+    return true
+  }
+
+  /**
+   * Processes a single item with retry logic. Permanent errors (bad
+   * credentials, missing media, validation) fail at once; others are
+   * retried after a backoff or the server's `Retry-After`.
    * @private
    * @param {Job} job - Parent job
    * @param {JobItem} item - Item to process
@@ -166,34 +276,92 @@ export class JobQueue extends EventEmitter {
     item.attempts++
     this.emitProgress(job)
 
+    const run = this.runs.get(job.id)
+    const rate = run?.rate
+    const maxRetries = run?.maxRetries ?? this.maxRetries
+    const attempt = new AbortController()
+    this.inFlight.set(item, attempt)
+
     try {
-      const result = await job.handler(item)
+      const result = await untilAborted(
+        withTimeout(job.handler(item, { signal: attempt.signal }), run?.timeout),
+        attempt.signal
+      )
+      if (item.status === 'skipped') return
       item.status = 'completed'
       item.result = result
       job.completed++
+      rate?.onSuccess()
 
       if (result?.altText !== undefined) {
         item.proposedAlt = result.altText
       }
+      if (result?.fields) {
+        item.proposedFields = result.fields
+      }
     } catch (error) {
-      if (item.attempts < this.maxRetries) {
-        item.status = 'retry'
-        const delay = Math.pow(2, item.attempts) * 1000
-        await sleep(delay)
+      // skipItem has counted and reported the item already
+      if (item.status === 'skipped') return
+      // Stop the work of a timed-out attempt
+      attempt.abort(error)
+      if (job.cancelled) return this.requeueCancelled(job, item)
+
+      const failure = classifyError(error)
+      rate?.onError(failure)
 
-        if (!job.cancelled) {
-          return this.processItem(job, item)
-        }
+      if (failure.retryable && item.attempts < maxRetries) {
+        item.status = 'retry'
+        this.emitProgress(job)
+        const wait = new AbortController()
+        this.inFlight.set(item, wait)
+        await sleep(
+          rate ? rate.retryDelay(item.attempts, failure) : Math.pow(2, item.attempts) * 1000,
+          wait.signal
+        ).catch(() => {})
+
+        if (item.status === 'skipped') return
+        if (job.cancelled) return this.requeueCancelled(job, item)
+        return this.processItem(job, item)
       }
 
       item.status = 'failed'
       item.error = error.message || String(error)
       job.failed++
+      rate?.onFailure()
     }
 
     this.emitProgress(job)
   }
 
+  /**
+   * Puts an item stopped by cancel back to pending. It did not fail, so it
+   * is not counted and the rate controller does not hear about it; a
+   * resumed job runs it again.
+   * @private
+   * @param {Job} job - Cancelled job
+   * @param {JobItem} item - Item that was in flight or waiting to retry
+   */
+  requeueCancelled(job, item) {
+    item.status = 'pending'
+    this.emitProgress(job)
+  }
+
+  /**
+   * Emits the job:finished event for a job that has just finished.
+   * @private
+   * @param {Job} job - Finished job
+   */
+  emitFinished(job) {
+    this.emit('job:finished', {
+      jobId: job.id,
+      status: job.status,
+      completed: job.completed,
+      failed: job.failed,
+      skipped: job.skipped,
+      duration: job.startedAt ? job.finishedAt - job.startedAt : 0,
+    })
+  }
+
   /**
    * Emits a progress event for the job.
    * @private
@@ -206,13 +374,18 @@ export class JobQueue extends EventEmitter {
       total: job.total,
       completed: job.completed,
       failed: job.failed,
+      skipped: job.skipped,
       paused: job.paused,
+      rate: this.runs.get(job.id)?.rate.snapshot(),
       items: job.items.map((i) => ({
         id: i.id,
         status: i.status,
         proposedAlt: i.proposedAlt || i.result?.altText,
+        proposedFields: i.proposedFields,
         result: i.result, // Include full result for folder suggestions etc.
         error: i.error,
+        attempts: i.attempts,
+        model: i.model,
       })),
     }
 
@@ -246,15 +419,86 @@ export class JobQueue extends EventEmitter {
   }
 
   /**
-   * Cancels a job.
+   * Cancels a job. A job that has not started (e.g. still waiting in the
+   * scheduler) finishes as cancelled at once; a running job aborts the
+   * items in flight, which go back to pending.
    * @param {string} jobId - Job identifier
    */
   cancel(jobId) {
     const job = this.jobs.get(jobId)
-    if (job) {
-      job.cancelled = true
-      job.paused = false
+    if (!job) return
+
+    job.cancelled = true
+    job.paused = false
+    for (const item of job.items) {
+      this.inFlight.get(item)?.abort(new Error('Cancelled'))
     }
+    if (job.status === 'pending') {
+      job.status = 'cancelled'
+      job.finishedAt = Date.now()
+      this.emitProgress(job)
+      this.emitFinished(job)
+    }
+  }
+
+  /**
+   * Skips an item that has not finished. A pending item will not start; for
+   * an item in flight the job stops waiting for it and moves on.
+   * @param {string} jobId - Job identifier
+   * @param {number|string} itemId - Item identifier
+   * @returns {boolean} Whether the item was skipped
+   */
+  skipItem(jobId, itemId) {
+    const job = this.jobs.get(jobId)
+    const item = job?.items.find((i) => i.id === itemId)
+    if (!item || !['pending', 'processing', 'retry'].includes(item.status)) return false
+
+    item.status = 'skipped'
+    job.skipped++
+    this.inFlight.get(item)?.abort(new Error('Skipped'))
+    this.emitProgress(job)
+    return true
+  }
+
+  /**
+   * Queues finished items again: failed and skipped items to retry them,
+   * completed items to regenerate them (their result is kept until the new
+   * one arrives). A running job picks them up; a finished job goes back to
+   * 'pending' and has to be started again.
+   * @param {string} jobId - Job identifier
+   * @param {Array<number|string>} itemIds - Items to queue again
+   * @param {Object} [overrides] - Fields to set on the items, e.g. `model`
+   * @returns {number} Number of items queued again
+   * @throws {Error} If the job does not exist or is being cancelled
+   */
+  retryItems(jobId, itemIds, overrides = {}) {
+    const job = this.jobs.get(jobId)
+    if (!job) throw new Error(`Job not found: ${jobId}`)
+
+    const run = this.runs.get(jobId)
+    if (run && job.cancelled) throw new Error('Job is being cancelled')
+
+    const ids = new Set(itemIds)
+    const items = job.items.filter((i) => ids.has(i.id) && FINISHED_STATUSES.includes(i.status))
+    if (items.length === 0) return 0
+
+    for (const item of items) {
+      // The job's counters are named after the item statuses
+      job[item.status]--
+      Object.assign(item, overrides, { status: 'pending', attempts: 0, error: undefined })
+    }
+
+    if (run) {
+      run.queue.push(...items)
+      run.wake?.()
+    } else if (job.status !== 'pending') {
+      job.status = 'pending'
+      job.cancelled = false
+      job.finishedAt = undefined
+    }
+
+    this.emitProgress(job)
+    return items.length
   }
 
   /**
@@ -294,11 +538,23 @@ export class JobQueue extends EventEmitter {
 }
 
 /**
- * Sleeps for specified milliseconds.
+ * Rejects if a promise does not settle in time. The timeout error is
+ * retryable; processItem aborts the timed-out work.
  * @private
- * @param {number} ms - Milliseconds to sleep
- * @returns {Promise<void>}
+ * @param {Promise<*>} promise - Handler promise
+ * @param {number} [ms] - Timeout in milliseconds, 0 or undefined for none
+ * @returns {Promise<*>}
  */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms))
+function withTimeout(promise, ms) {
+  if (!(ms > 0)) return promise
+
+  let timer
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${ms / 1000} seconds`)
+      error.code = 'TIMEOUT'
+      reject(error)
+    }, ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
 }
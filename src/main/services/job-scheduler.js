@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Job scheduler with priorities and a global concurrency budget.
+ * Jobs from any site wait in priority order until enough of the budget is
+ * free; running jobs share the budget, so several sites can be processed at
+ * once without exceeding the total number of workers.
+ * @module main/services/job-scheduler
+ */
+
+/**
+ * @typedef {Object} ScheduledJob
+ * @property {string} jobId - Job identifier
+ * @property {'waiting'|'running'} state - Waiting for budget or started
+ * @property {number} priority - Higher runs first
+ * @property {number} [position] - Place in the waiting line, starting at 1
+ * @property {number} [workers] - Budget slots held by a running job
+ */
+
+/**
+ * Creates a scheduler that starts jobs of a JobQueue.
+ * @param {import('./job-queue.js').JobQueue} queue - Queue that runs the jobs
+ * @param {Object} [options] - Scheduler options
+ * @param {number} [options.budget=6] - Workers shared by all running jobs
+ * @returns {Object} Scheduler with enqueue, configure, prioritize, setBudget and list methods
+ */
+export function createJobScheduler(queue, { budget = 6 } = {}) {
+  let total = Math.max(1, budget)
+  let sequence = 0
+  /** @type {Array<{jobId: string, priority: number, sequence: number, runOptions: Object}>} */
+  const waiting = []
+  /** @type {Map<string, {requested: number, workers: number}>} Budget held by running jobs */
+  const running = new Map()
+
+  const used = () => [...running.values()].reduce((sum, run) => sum + run.workers, 0)
+  const byPriority = (a, b) => b.priority - a.priority || a.sequence - b.sequence
+
+  /**
+   * Hands free budget to running jobs that got less than they asked for,
+   * then starts waiting jobs in priority order while budget is left.
+   * @private
+   */
+  function pump() {
+    for (const [jobId, run] of running) {
+      const extra = Math.min(run.requested - run.workers, total - used())
+      if (extra <= 0) continue
+      run.workers += extra
+      queue.configure(jobId, { concurrency: run.workers })
+    }
+
+    waiting.sort(byPriority)
+    while (waiting.length > 0 && used() < total) {
+      const { jobId, runOptions } = waiting.shift()
+      // Jobs cancelled while waiting are finished already
+      if (queue.getJob(jobId)?.status !== 'pending') continue
+
+      const requested = runOptions.concurrency ?? queue.concurrency
+      const run = { requested, workers: Math.min(requested, total - used()) }
+      running.set(jobId, run)
+      queue
+        .start(jobId, { ...runOptions, concurrency: run.workers })
+        .catch((error) => console.error(`[Scheduler] Job ${jobId} failed:`, error.message))
+        .finally(() => {
+          running.delete(jobId)
+          pump()
+        })
+    }
+  }
+
+  return {
+    /**
+     * Queues a created job. It starts at once if budget is free.
+     * @param {string} jobId - Job identifier (see JobQueue.createJob)
+     * @param {Object} [options] - Queue options
+     * @param {number} [options.priority=0] - Higher runs first; equal priorities run in order
+     * @param {import('./job-queue.js').RunOptions} [options.runOptions] - Options passed to JobQueue.start
+     * @returns {ScheduledJob}
+     */
+    enqueue(jobId, { priority = 0, runOptions = {} } = {}) {
+      const job = queue.getJob(jobId)
+      if (!job) throw new Error(`Job not found: ${jobId}`)
+
+      job.priority = priority
+      waiting.push({ jobId, priority, sequence: sequence++, runOptions })
+      pump()
+      return this.list().find((entry) => entry.jobId === jobId)
+    },
+
+    /**
+     * Changes the run options of a waiting or running job. A running job's
+     * concurrency is capped by the budget it can get.
+     * @param {string} jobId - Job identifier
+     * @param {import('./job-queue.js').RunOptions} runOptions - Options to change
+     * @returns {boolean} Whether the job is waiting or running
+     */
+    configure(jobId, runOptions) {
+      const entry = waiting.find((w) => w.jobId === jobId)
+      if (entry) {
+        entry.runOptions = { ...entry.runOptions, ...runOptions }
+        return true
+      }
+
+      const run = running.get(jobId)
+      if (!run) return false
+      const changes = { ...runOptions }
+      if (runOptions.concurrency !== undefined) {
+        run.requested = runOptions.concurrency
+        run.workers = Math.min(run.requested, run.workers + total - used())
+        changes.concurrency = run.workers
+      }
+      queue.configure(jobId, changes)
+      pump()
+      return true
+    },
+
+    /**
+     * Changes the priority of a waiting job.
+     * @param {string} jobId - Job identifier
+     * @param {number} priority - Higher runs first
+     * @returns {boolean} Whether the job is waiting
+     */
+    prioritize(jobId, priority) {
+      const entry = waiting.find((w) => w.jobId === jobId)
+      if (!entry) return false
+      entry.priority = priority
+      queue.getJob(jobId).priority = priority
+      pump()
+      return true
+    },
+
+    /**
+     * Changes the budget. Running jobs keep their workers until they finish.
+     * @param {number} value - Workers shared by all running jobs
+     */
+    setBudget(value) {
+      total = Math.max(1, value)
+      pump()
+    },
+
+    /**
+     * Lists running jobs, then waiting jobs in the order they will start.
+     * @returns {ScheduledJob[]}
+     */
+    list() {
+      const runningJobs = [...running].map(([jobId, run]) => ({
+        jobId,
+        state: 'running',
+        priority: queue.getJob(jobId)?.priority ?? 0,
+        workers: run.workers,
+      }))
+      const waitingJobs = waiting
+        .filter((w) => queue.getJob(w.jobId)?.status === 'pending')
+        .sort(byPriority)
+        .map((w, index) => ({ jobId: w.jobId, state: 'waiting', priority: w.priority, position: index + 1 }))
+      return [...runningJobs, ...waitingJobs]
+    },
+  }
+}
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Persistent job history stored as JSON files on disk.
+ * Keeps jobs, their items and per-item results per site so they survive app restarts.
+ * @module main/services/job-store
+ */
+
+import { mkdir, readFile, writeFile, rename, readdir, unlink } from 'node:fs/promises'
+import { join } from 'node:path'
+
+/**
+ * @typedef {Object} JobSummary
+ * @property {string} id - Job identifier
+ * @property {string} siteId - Site the job belongs to
+ * @property {string} type - Job type ('generate' | 'apply' | 'revert')
+ * @property {string} [revertOf] - For revert jobs, the apply job being reverted
+ * @property {string} status - Last known job status
+ * @property {number} total - Total items in job
+ * @property {number} completed - Successfully completed items
+ * @property {number} failed - Failed items
+ * @property {number} [skipped] - Items skipped by the user
+ * @property {number} [createdAt] - Job creation timestamp
+ * @property {number} [startedAt] - Job start timestamp
+ * @property {number} [finishedAt] - Job completion timestamp
+ * @property {number} [updatedAt] - Last time the job was written to disk
+ */
+
+/**
+ * Converts a job into a plain object that can be written to disk or sent over IPC.
+ * Drops the handler and runtime-only flags.
+ * @param {import('./job-queue.js').Job} job - Job to serialize
+ * @returns {Object} Serializable job snapshot
+ */
+export function serializeJob(job) {
+  const { handler, paused, cancelled, ...rest } = job
+  return {
+    ...rest,
+    items: job.items.map((item) => ({ ...item })),
+    updatedAt: Date.now(),
+  }
+}
+
+/**
+ * Reduces a stored job to the fields shown in the history list.
+ * @private
+ * @param {Object} job - Stored job
+ * @returns {JobSummary}
+ */
+function summarize(job) {
+  return {
+    id: job.id,
+    siteId: job.siteId,
+    type: job.type,
+    revertOf: job.revertOf,
+    status: job.status,
+    total: job.total,
+    completed: job.completed,
+    failed: job.failed,
+    skipped: job.skipped,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+    updatedAt: job.updatedAt,
+  }
+}
+
+/**
+ * Makes an identifier safe to use as a file or directory name.
+ * @private
+ * @param {string} id - Site or job identifier
+ * @returns {string}
+ */
+function safeName(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '_')
+}
+
+/**
+ * Creates a job store rooted at the given directory.
+ * Jobs are stored as `<baseDir>/<siteId>/<jobId>.json`.
+ * @param {string} baseDir - Directory that holds the job history
+ * @returns {Object} Job store with save, load, find, list and remove methods
+ */
+export function createJobStore(baseDir) {
+  /** @type {Map<string, {job: Object, dirty: boolean, promise: Promise<void>}>} */
+  const writes = new Map()
+
+  const siteDir = (siteId) => join(baseDir, safeName(siteId))
+  const jobPath = (siteId, jobId) => join(siteDir(siteId), `${safeName(jobId)}.json`)
+
+  /**
+   * Writes a job snapshot atomically (temp file + rename).
+   * @private
+   * @param {Object} job - Job to write
+   * @returns {Promise<void>}
+   */
+  async function writeJob(job) {
+    await mkdir(siteDir(job.siteId), { recursive: true })
+    const target = jobPath(job.siteId, job.id)
+    const temp = `${target}.tmp`
+    await writeFile(temp, JSON.stringify(serializeJob(job)))
+    await rename(temp, target)
+  }
+
+  /**
+   * Reads and parses a stored job file.
+   * @private
+   * @param {string} path - Job file path
+   * @returns {Promise<Object|undefined>}
+   */
+  async function readJob(path) {
+    try {
+      return JSON.parse(await readFile(path, 'utf8'))
+    } catch {
+      return undefined
+    }
+  }
+
+  return {
+    /**
+     * Persists a job. Calls made while a write is in flight are coalesced,
+     * so the latest state is written once the current write finishes.
+     * @param {import('./job-queue.js').Job} job - Job with `siteId` set
+     * @returns {Promise<void>} Resolves when the job is on disk
+     */
+    save(job) {
+      if (!job?.siteId) return Promise.resolve()
+
+      const pending = writes.get(job.id)
+      if (pending) {
+        pending.job = job
+        pending.dirty = true
+        return pending.promise
+      }
+
+      const state = { job, dirty: true, promise: undefined }
+      state.promise = (async () => {
+        try {
+          while (state.dirty) {
+            state.dirty = false
+            await writeJob(state.job)
+          }
+        } catch (err) {
+          console.error(`[JobStore] Failed to save job ${job.id}:`, err.message)
+        } finally {
+          writes.delete(job.id)
+        }
+      })()
+      writes.set(job.id, state)
+      return state.promise
+    },
+
+    /**
+     * Loads a stored job.
+     * @param {string} siteId - Site identifier
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object|undefined>} Stored job or undefined if not found
+     */
+    async load(siteId, jobId) {
+      return readJob(jobPath(siteId, jobId))
+    },
+
+    /**
+     * Finds a stored job by ID across all sites.
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<Object|undefined>} Stored job or undefined if not found
+     */
+    async find(jobId) {
+      let sites
+      try {
+        sites = await readdir(baseDir)
+      } catch {
+        return undefined
+      }
+
+      for (const site of sites) {
+        const job = await readJob(join(baseDir, site, `${safeName(jobId)}.json`))
+        if (job) return job
+      }
+      return undefined
+    },
+
+    /**
+     * Lists stored jobs for a site, newest first.
+     * @param {string} siteId - Site identifier
+     * @returns {Promise<JobSummary[]>}
+     */
+    async list(siteId) {
+      let files
+      try {
+        files = await readdir(siteDir(siteId))
+      } catch {
+        return []
+      }
+
+      const jobs = await Promise.all(
+        files
+          .filter((name) => name.endsWith('.json'))
+          .map((name) => readJob(join(siteDir(siteId), name)))
+      )
+
+      return jobs
+        .filter(Boolean)
+        .map(summarize)
+        .sort((a, b) => (b.createdAt || b.startedAt || 0) - (a.createdAt || a.startedAt || 0))
+    },
+
+    /**
+     * Deletes a stored job.
+     * @param {string} siteId - Site identifier
+     * @param {string} jobId - Job identifier
+     * @returns {Promise<void>}
+     */
+    async remove(siteId, jobId) {
+      await unlink(jobPath(siteId, jobId)).catch(() => {})
+    },
+
+    /**
+     * Waits for all pending writes to finish.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      await Promise.all(Array.from(writes.values(), (w) => w.promise))
+    },
+  }
+}
@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Per-site local index of scanned media, stored as JSON on disk.
+ * Lets rescans fetch only attachments changed since the last scan.
+ * @module main/services/media-index
+ */
+
+import { mkdir, readFile, writeFile, rename, unlink } from 'node:fs/promises'
+import { join } from 'node:path'
+import { createMediaFilter } from '../utils/media-filter.js'
+
+/**
+ * @typedef {Object} MediaIndex
+ * @property {string} siteId - Site the index belongs to
+ * @property {string} [lastModified] - Latest `modified` date seen (site local time, ISO 8601)
+ * @property {number} [updatedAt] - Last time the index was written to disk
+ * @property {Map<number, import('./wp-client.js').MediaItem>} items - Indexed media by ID
+ */
+
+/**
+ * Makes an identifier safe to use as a file name.
+ * @private
+ * @param {string} id - Site identifier
+ * @returns {string}
+ */
+function safeName(id) {
+  return String(id).replace(/[^a-zA-Z0-9_-]/g, '_')
+}
+
+/**
+ * Adds new and changed media to an index, replacing older copies.
+ * @param {MediaIndex} index - Index to update
+ * @param {import('./wp-client.js').MediaItem[]} items - Scanned media items
+ * @returns {{added: number, updated: number}} Merge counts
+ */
+export function mergeMediaItems(index, items) {
+  let added = 0
+  let updated = 0
+
+  for (const item of items) {
+    const { altIssues, ...entry } = item
+    if (index.items.has(item.id)) updated++
+    else added++
+    index.items.set(item.id, entry)
+
+    if (item.modified && (!index.lastModified || item.modified > index.lastModified)) {
+      index.lastModified = item.modified
+    }
+  }
+
+  return { added, updated }
+}
+
+/**
+ * Gets the `modifiedAfter` value for an incremental scan.
+ * Goes back one second because `modified_after` is exclusive and several
+ * items can share the last modified timestamp; re-fetched items merge harmlessly.
+ * @param {MediaIndex} index - Media index
+ * @returns {string|undefined} ISO 8601 date, or undefined if a full scan is needed
+ */
+export function incrementalCursor(index) {
+  if (!index.lastModified) return undefined
+
+  const time = Date.parse(`${index.lastModified}Z`)
+  if (Number.isNaN(time)) return index.lastModified
+  return new Date(time - 1000).toISOString().slice(0, 19)
+}
+
+/**
+ * Applies scan filters to the indexed media, newest uploads first.
+ * @param {MediaIndex} index - Media index
+ * @param {import('./wp-client.js').ScanFilters} [filters] - Scan filters
+ * @returns {import('./wp-client.js').MediaItem[]} Matching items
+ */
+export function queryMediaIndex(index, { limit, ...filters } = {}) {
+  const filter = createMediaFilter(filters, { includeQueryFilters: true })
+  const sorted = Array.from(index.items.values()).sort(
+    (a, b) => (b.date || '').localeCompare(a.date || '') || b.id - a.id
+  )
+
+  const results = []
+  for (const item of sorted) {
+    results.push(...filter(item))
+    if (limit && results.length >= limit) return results.slice(0, limit)
+  }
+  return results
+}
+
+/**
+ * Creates a media index store rooted at the given directory.
+ * Indexes are stored as `<baseDir>/<siteId>.json`.
+ * @param {string} baseDir - Directory that holds the indexes
+ * @returns {Object} Media index store with load, save and remove methods
+ */
+export function createMediaIndexStore(baseDir) {
+  const indexPath = (siteId) => join(baseDir, `${safeName(siteId)}.json`)
+
+  return {
+    /**
+     * Loads a site's index. Returns an empty index if none exists yet.
+     * @param {string} siteId - Site identifier
+     * @returns {Promise<MediaIndex>}
+     */
+    async load(siteId) {
+      try {
+        const stored = JSON.parse(await readFile(indexPath(siteId), 'utf8'))
+        return {
+          ...stored,
+          siteId,
+          items: new Map(stored.items.map((item) => [item.id, item])),
+        }
+      } catch {
+        return { siteId, lastModified: undefined, items: new Map() }
+      }
+    },
+
+    /**
+     * Writes an index atomically (temp file + rename).
+     * @param {MediaIndex} index - Index to save
+     * @returns {Promise<void>}
+     */
+    async save(index) {
+      await mkdir(baseDir, { recursive: true })
+      const target = indexPath(index.siteId)
+      const temp = `${target}.tmp`
+      index.updatedAt = Date.now()
+      await writeFile(
+        temp,
+        JSON.stringify({ ...index, items: Array.from(index.items.values()) })
+      )
+      await rename(temp, target)
+    },
+
+    /**
+     * Deletes a site's index, so the next incremental scan is a full scan.
+     * @param {string} siteId - Site identifier
+     * @returns {Promise<void>}
+     */
+    async remove(siteId) {
+      await unlink(indexPath(siteId)).catch(() => {})
+    },
+  }
+}
@@ -0,0 +1,141 @@
+/**
+ * @fileoverview OpenAI-compatible HTTP vision backend.
+ * Talks to any server implementing `/v1/chat/completions` with image input,
+ * such as OpenAI, Ollama or llama.cpp.
+ * @module main/services/openai-provider
+ */
+
+import { readFile } from 'node:fs/promises'
+import { extname } from 'node:path'
+import { parseRetryAfter } from './rate-controller.js'
+
+/** @type {Object<string, string>} Image MIME types by file extension */
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+}
+
+/**
+ * Reads an image file as a base64 data URL.
+ * @private
+ * @param {string} imagePath - Local image path
+ * @returns {Promise<string>}
+ */
+async function toDataUrl(imagePath) {
+  const mimeType = MIME_TYPES[extname(imagePath).toLowerCase()] || 'image/jpeg'
+  const data = await readFile(imagePath)
+  return `data:${mimeType};base64,${data.toString('base64')}`
+}
+
+/**
+ * Creates an OpenAI-compatible vision backend.
+ * @param {Object} config - Server configuration
+ * @param {string} config.baseUrl - API base URL including the version, e.g. http://localhost:11434/v1
+ * @param {string} [config.apiKey] - Bearer token (local servers usually need none)
+ * @returns {import('./vision-provider.js').VisionBackend}
+ */
+export function createOpenAiBackend({ baseUrl, apiKey }) {
+  if (!baseUrl) {
+    throw new Error('OpenAI-compatible provider requires a base URL')
+  }
+  const root = baseUrl.replace(/\/$/, '')
+
+  /**
+   * Makes a request to the server.
+   * @private
+   * @param {string} path - Endpoint path
+   * @param {Object} [options] - Fetch options
+   * @returns {Promise<any>} Parsed JSON body
+   * @throws {Error} For non-2xx responses
+   */
+  async function request(path, options = {}) {
+    const response = await fetch(`${root}${path}`, {
+      ...options,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+      },
+    })
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '')
+      const error = new Error(`OpenAI-compatible server returned ${response.status}: ${body.slice(0, 200)}`)
+      error.status = response.status
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
+      throw error
+    }
+
+    return response.json()
+  }
+
+  /**
+   * Starts a conversation about an image.
+   * @private
+   * @param {Object} options - Session options
+   * @param {string} options.systemPrompt - System prompt
+   * @param {string} options.model - Model ID
+   * @param {number} [options.timeout=60000] - Timeout per message in milliseconds
+   * @param {AbortSignal} [options.signal] - Aborts pending messages
+   * @returns {Promise<import('./vision-provider.js').VisionSession>}
+   */
+  async function openSession({ systemPrompt, model, timeout = 60000, signal }) {
+    // The API is stateless, so the conversation is resent with every message
+    const messages = [{ role: 'system', content: systemPrompt }]
+
+    return {
+      async send({ prompt, imagePath }) {
+        const message = {
+          role: 'user',
+          content: imagePath
+            ? [
+                { type: 'text', text: prompt },
+                { type: 'image_url', image_url: { url: await toDataUrl(imagePath) } },
+              ]
+            : prompt,
+        }
+        const data = await request('/chat/completions', {
+          method: 'POST',
+          body: JSON.stringify({ model, temperature: 0.2, messages: [...messages, message] }),
+          signal: signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout),
+        })
+
+        const content = data.choices?.[0]?.message?.content
+        if (!content) {
+          throw new Error('Empty response from OpenAI-compatible server')
+        }
+        messages.push(message, { role: 'assistant', content })
+        return content
+      },
+
+      async close() {},
+    }
+  }
+
+  return {
+    id: 'openai',
+    openSession,
+
+    async complete({ prompt, imagePath, ...options }) {
+      const session = await openSession(options)
+      return session.send({ prompt, imagePath })
+    },
+
+    async listModels() {
+      const data = await request('/models')
+      // The models endpoint does not report vision support, so every model is offered
+      return (data.data || []).map((m) => ({ id: m.id, name: m.id, supportsVision: true }))
+    },
+
+    async status() {
+      try {
+        const data = await request('/models')
+        return { running: true, models: (data.data || []).length }
+      } catch (err) {
+        return { running: false, error: err.message }
+      }
+    },
+  }
+}
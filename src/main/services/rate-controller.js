@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Adaptive rate control for job processing.
+ * Classifies errors as retryable, throttled or permanent, honors
+ * `Retry-After`, and shrinks concurrency when WordPress or the vision
+ * model pushes back, growing it again while requests succeed.
+ * @module main/services/rate-controller
+ */
+
+/** @type {number[]} HTTP statuses that will fail the same way on retry */
+const PERMANENT_STATUSES = [400, 401, 403, 404, 405, 410, 413, 415, 422]
+
+/** @type {string[]} Error codes that will fail the same way on retry */
+const PERMANENT_CODES = ['UNAUTHORIZED', 'FORBIDDEN', 'rest_invalid_param', 'rest_post_invalid_id', 'rest_forbidden']
+
+/** @type {RegExp} Messages of throttling errors without a status (e.g. from the Copilot SDK) */
+const THROTTLE_MESSAGE = /rate.?limit|too many requests|\b429\b|quota/i
+
+/** @type {number} Window for the items-per-minute rate in milliseconds */
+const RATE_WINDOW = 60 * 1000
+
+/**
+ * @typedef {Object} ErrorClass
+ * @property {boolean} retryable - Retrying may succeed
+ * @property {boolean} throttled - The server asked us to slow down (429, 503, rate limit)
+ * @property {number} [retryAfterMs] - Server-requested wait in milliseconds
+ */
+
+/**
+ * @typedef {Object} RateSnapshot
+ * @property {number} concurrency - Current number of concurrent workers
+ * @property {number} maxConcurrency - Configured maximum
+ * @property {number} itemsPerMinute - Items finished in the last minute
+ * @property {number} [throttledUntil] - Timestamp until which no new requests start
+ */
+
+/**
+ * Parses a `Retry-After` header: delay in seconds or an HTTP date.
+ * @param {string|null|undefined} value - Header value
+ * @param {number} [now=Date.now()] - Current time, for HTTP dates
+ * @returns {number|undefined} Delay in seconds, undefined if absent or invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return undefined
+  const trimmed = String(value).trim()
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed)
+
+  const date = Date.parse(trimmed)
+  return Number.isNaN(date) ? undefined : Math.max(0, Math.ceil((date - now) / 1000))
+}
+
+/**
+ * Decides how a failed item should be handled. Errors are retryable unless
+ * they carry a status or code that will fail the same way again (bad
+ * credentials, missing media, validation) or are marked `permanent`.
+ * @param {Error & {status?: number, code?: string, retryAfter?: number, permanent?: boolean}} error -
+ *   Handler error; `retryAfter` is in seconds, as set by the WordPress and OpenAI clients
+ * @returns {ErrorClass}
+ */
+export function classifyError(error) {
+  const status = error?.status
+  const retryAfterMs = typeof error?.retryAfter === 'number' ? error.retryAfter * 1000 : undefined
+
+  if (status === 429 || status === 503 || error?.code === 'RATE_LIMITED' ||
+      (!status && THROTTLE_MESSAGE.test(error?.message || ''))) {
+    return { retryable: true, throttled: true, retryAfterMs }
+  }
+
+  if (error?.permanent || PERMANENT_STATUSES.includes(status) || PERMANENT_CODES.includes(error?.code)) {
+    return { retryable: false, throttled: false }
+  }
+
+  return { retryable: true, throttled: false, retryAfterMs }
+}
+
+/**
+ * Creates a rate controller for one job. Concurrency starts at the
+ * configured maximum, halves on every throttling error (not below 1) and
+ * grows by one after as many consecutive successes as there are workers.
+ * @param {Object} [options] - Controller options
+ * @param {number} [options.concurrency=3] - Maximum concurrent workers
+ * @param {number} [options.baseDelay=1000] - First retry delay in milliseconds, doubled per attempt
+ * @param {number} [options.maxDelay=60000] - Longest retry delay in milliseconds
+ * @returns {Object} Controller with concurrency, setMaxConcurrency, wait, retryDelay, onSuccess, onFailure, onError and snapshot
+ */
+export function createRateController({ concurrency = 3, baseDelay = 1000, maxDelay = 60000 } = {}) {
+  let maxConcurrency = Math.max(1, Math.floor(concurrency) || 1)
+  let current = maxConcurrency
+  let successes = 0
+  let throttledUntil = 0
+  /** @type {number[]} Finish timestamps within the rate window */
+  const finished = []
+
+  const recordFinished = () => {
+    const now = Date.now()
+    finished.push(now)
+    while (finished.length > 0 && finished[0] <= now - RATE_WINDOW) finished.shift()
+  }
+
+  return {
+    /** @returns {number} Current number of concurrent workers */
+    get concurrency() {
+      return current
+    },
+
+    /**
+     * Changes the maximum. Lowering it applies at once; raising it applies
+     * at once unless throttling has reduced concurrency, which then grows
+     * back to the new maximum as requests succeed.
+     * @param {number} value - Maximum concurrent workers
+     */
+    setMaxConcurrency(value) {
+      const next = Math.max(1, Math.floor(value) || 1)
+      if (current === maxConcurrency || next < current) current = next
+      maxConcurrency = next
+    },
+
+    /**
+     * Milliseconds to wait before starting a request (0 unless throttled).
+     * @returns {number}
+     */
+    wait() {
+      return Math.max(0, throttledUntil - Date.now())
+    },
+
+    /**
+     * Delay before retrying an item: the server's `Retry-After` if given,
+     * otherwise exponential backoff with jitter, and never before the
+     * throttling pause ends.
+     * @param {number} attempts - Attempts made so far
+     * @param {ErrorClass} failure - Classified error
+     * @returns {number} Delay in milliseconds
+     */
+    retryDelay(attempts, failure) {
+      const backoff = failure.retryAfterMs ??
+        Math.min(maxDelay, baseDelay * Math.pow(2, attempts)) * (0.75 + Math.random() * 0.25)
+      return Math.max(backoff, this.wait())
+    },
+
+    /** Records a successful item; may grow concurrency. */
+    onSuccess() {
+      recordFinished()
+      successes++
+      if (current < maxConcurrency && successes >= current) {
+        current++
+        successes = 0
+      }
+    },
+
+    /** Records an item that failed for good. */
+    onFailure() {
+      recordFinished()
+    },
+
+    /**
+     * Records a failed attempt; throttling errors shrink concurrency and
+     * pause new requests for the server-requested time.
+     * @param {ErrorClass} failure - Classified error
+     */
+    onError(failure) {
+      if (!failure.throttled) return
+      successes = 0
+      current = Math.max(1, Math.floor(current / 2))
+      if (failure.retryAfterMs) {
+        throttledUntil = Math.max(throttledUntil, Date.now() + failure.retryAfterMs)
+      }
+    },
+
+    /**
+     * Current rate for progress events.
+     * @returns {RateSnapshot}
+     */
+    snapshot() {
+      const now = Date.now()
+      return {
+        concurrency: current,
+        maxConcurrency,
+        itemsPerMinute: finished.filter((t) => t > now - RATE_WINDOW).length,
+        ...(throttledUntil > now && { throttledUntil }),
+      }
+    },
+  }
+}
@@ -0,0 +1,197 @@
+/**
+ * @fileoverview Scheduled runs, such as a nightly scan for missing alt text.
+ * Schedules are checked periodically while the app runs (also when it is
+ * minimized to the tray); a run missed while the computer slept starts
+ * when it wakes up, runs missed while the app was closed are skipped.
+ * @module main/services/run-scheduler
+ */
+
+/** @type {number} How often schedules are checked, in milliseconds */
+const CHECK_INTERVAL = 30 * 1000
+
+/** @type {number[]} All weekdays, 0 = Sunday */
+const EVERY_DAY = [0, 1, 2, 3, 4, 5, 6]
+
+/**
+ * @typedef {Object} Schedule
+ * @property {string} id - Schedule identifier
+ * @property {string} siteId - Site to scan
+ * @property {boolean} enabled - Whether the schedule runs
+ * @property {string} time - Local time of day, 'HH:MM'
+ * @property {number[]} [days] - Weekdays to run on (0 = Sunday); empty for every day
+ * @property {boolean} [missingAltOnly=true] - Only queue images without (valid) alt text
+ * @property {number} [limit] - Maximum images per run
+ * @property {number} [priority=0] - Priority of the generate job (see job-scheduler)
+ */
+
+/**
+ * @typedef {Object} ScheduleRun
+ * @property {number} at - Start timestamp
+ * @property {string} [jobId] - Generate job, if images were found
+ * @property {number} [total] - Images queued
+ * @property {string} [error] - Error message if the run failed
+ */
+
+/**
+ * Computes the next time a schedule is due.
+ * @param {Schedule} schedule - Schedule
+ * @param {number} [from=Date.now()] - Timestamp after which to look
+ * @returns {number|undefined} Timestamp, undefined if disabled or invalid
+ */
+export function nextRunAt(schedule, from = Date.now()) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(schedule?.time || '')
+  if (!schedule?.enabled || !match) return undefined
+
+  const hours = Number(match[1])
+  const minutes = Number(match[2])
+  if (hours > 23 || minutes > 59) return undefined
+
+  const days = schedule.days?.length > 0 ? schedule.days : EVERY_DAY
+  for (let offset = 0; offset <= 7; offset++) {
+    const date = new Date(from)
+    date.setDate(date.getDate() + offset)
+    date.setHours(hours, minutes, 0, 0)
+    if (date.getTime() > from && days.includes(date.getDay())) return date.getTime()
+  }
+  return undefined
+}
+
+/**
+ * Creates a scheduler that calls `run` whenever a schedule is due. A
+ * schedule whose previous run is still scanning is skipped.
+ * @param {Object} options - Scheduler options
+ * @param {function(Schedule): Promise<{jobId?: string, total: number}>} options.run - Starts a scheduled run
+ * @param {function(): number} [options.now=Date.now] - Clock, for tests
+ * @param {number} [options.interval=30000] - Check interval in milliseconds
+ * @returns {Object} Scheduler with update, check, start, stop, runNow and list methods
+ */
+export function createRunScheduler({ run, now = Date.now, interval = CHECK_INTERVAL }) {
+  /** @type {Schedule[]} */
+  let schedules = []
+  /** @type {Map<string, number>} Next due time per schedule */
+  const due = new Map()
+  /** @type {Map<string, ScheduleRun>} Last run per schedule */
+  const lastRuns = new Map()
+  /** @type {Set<string>} Schedules whose run is in progress */
+  const active = new Set()
+  let timer
+
+  /**
+   * Runs a schedule and records the outcome.
+   * @private
+   * @param {Schedule} schedule - Schedule to run
+   * @returns {Promise<ScheduleRun>}
+   */
+  async function execute(schedule) {
+    const record = { at: now() }
+    active.add(schedule.id)
+    try {
+      Object.assign(record, await run(schedule))
+    } catch (error) {
+      record.error = error.message
+      console.error(`[Schedule] Run of ${schedule.id} failed:`, error.message)
+    } finally {
+      active.delete(schedule.id)
+    }
+    lastRuns.set(schedule.id, record)
+    return record
+  }
+
+  return {
+    /**
+     * Replaces the schedules. Due times are recomputed from now.
+     * @param {Schedule[]} [next] - Schedules from the settings
+     */
+    update(next = []) {
+      schedules = next
+      due.clear()
+      for (const schedule of schedules) {
+        const at = nextRunAt(schedule, now())
+        if (at !== undefined) due.set(schedule.id, at)
+      }
+    },
+
+    /**
+     * Starts the runs that are due.
+     * @returns {Promise<ScheduleRun[]>} Outcomes of the started runs
+     */
+    async check() {
+      const time = now()
+      const started = []
+      for (const schedule of schedules) {
+        const at = due.get(schedule.id)
+        if (at === undefined || at > time) continue
+
+        due.set(schedule.id, nextRunAt(schedule, time))
+        if (active.has(schedule.id)) continue
+        started.push(execute(schedule))
+      }
+      return Promise.all(started)
+    },
+
+    /** Starts checking periodically. */
+    start() {
+      clearInterval(timer)
+      timer = setInterval(() => this.check(), interval)
+      timer.unref?.()
+    },
+
+    /** Stops checking. */
+    stop() {
+      clearInterval(timer)
+      timer = undefined
+    },
+
+    /**
+     * Runs a schedule right away, whether or not it is enabled.
+     * @param {string} id - Schedule identifier
+     * @returns {Promise<ScheduleRun>}
+     * @throws {Error} If the schedule does not exist or is running
+     */
+    async runNow(id) {
+      const schedule = schedules.find((s) => s.id === id)
+      if (!schedule) throw new Error('Schedule not found')
+      if (active.has(id)) throw new Error('Schedule is already running')
+      return execute(schedule)
+    },
+
+    /**
+     * Lists the schedules with their next and last run.
+     * @returns {Array<Schedule & {nextRunAt?: number, lastRun?: ScheduleRun, running: boolean}>}
+     */
+    list() {
+      return schedules.map((schedule) => ({
+        ...schedule,
+        nextRunAt: due.get(schedule.id),
+        lastRun: lastRuns.get(schedule.id),
+        running: active.has(schedule.id),
+      }))
+    },
+  }
+}
+
+/** @type {ReturnType<typeof createRunScheduler>|undefined} Scheduler of the app */
+let scheduler
+
+/**
+ * Starts the app's run scheduler, replacing a previous one.
+ * @param {Object} options - See createRunScheduler
+ * @param {Schedule[]} schedules - Schedules from the settings
+ * @returns {ReturnType<typeof createRunScheduler>}
+ */
+export function startRunScheduler(options, schedules) {
+  scheduler?.stop()
+  scheduler = createRunScheduler(options)
+  scheduler.update(schedules)
+  scheduler.start()
+  return scheduler
+}
+
+/**
+ * Applies changed schedules to the app's run scheduler, if it runs.
+ * @param {Schedule[]} schedules - Schedules from the settings
+ * @returns {void}
+ */
+export function updateSchedules(schedules) {
+  scheduler?.update(schedules)
+}
@@ -5,37 +5,24 @@
  */
 
 import Store from 'electron-store'
+import { app } from 'electron'
+import { join } from 'node:path'
 import { setCliServerUrl } from './copilot-adapter.js'
+import { configureCache, setCacheLimit } from './thumbnail-cache.js'
+import { mergeSettings } from '../utils/settings-defaults.js'
+import { updateSchedules } from './run-scheduler.js'
+import { setRunInTray } from '../tray.js'
 
 const store = new Store({ name: 'wp-fotokopilot-settings' })
 
-/**
- * @typedef {Object} AppSettings
- * @property {number} maxAltLength - Maximum alt text length (default: 125)
- * @property {number} concurrency - Concurrent job workers (default: 3)
- * @property {string} exportFormat - Export format: 'csv' or 'json'
- * @property {string} copilotServerUrl - Custom Copilot CLI server URL (empty = auto)
- * @property {string} copilotModel - Model ID for alt text generation
- */
-
-/** @type {AppSettings} */
-const DEFAULT_SETTINGS = {
-  maxAltLength: 125,
-  concurrency: 3,
-  exportFormat: 'csv',
-  copilotServerUrl: '',  // Empty = use default (auto-managed CLI)
-  copilotModel: 'gpt-4o',  // Default model for alt text generation
-}
+/** @typedef {import('../utils/settings-defaults.js').AppSettings} AppSettings */
 
 /**
  * Gets the current application settings merged with defaults.
  * @returns {Promise<AppSettings>}
  */
 export async function getSettings() {
-  return {
-    ...DEFAULT_SETTINGS,
-    ...store.get('settings', {}),
-  }
+  return mergeSettings(store.get('settings', {}))
 }
 
 /**
@@ -53,6 +40,18 @@ export async function saveSettings(settings) {
   if ('copilotServerUrl' in settings) {
     setCliServerUrl(settings.copilotServerUrl || null)
   }
+
+  if ('cacheMaxSize' in settings) {
+    await setCacheLimit(settings.cacheMaxSize)
+  }
+
+  if ('schedules' in settings) {
+    updateSchedules(settings.schedules)
+  }
+
+  if ('runInTray' in settings) {
+    await setRunInTray(settings.runInTray)
+  }
 }
 
 /**
@@ -65,4 +64,12 @@ export async function initSettings() {
   if (settings.copilotServerUrl) {
     setCliServerUrl(settings.copilotServerUrl)
   }
+
+  // Keep downloaded images across restarts
+  configureCache({
+    dir: join(app.getPath('userData'), 'thumbnail-cache'),
+    maxSize: settings.cacheMaxSize,
+  })
+
+  await setRunInTray(settings.runInTray)
 }
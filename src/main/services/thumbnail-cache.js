@@ -1,155 +1,485 @@
 /**
- * @fileoverview Local thumbnail cache with LRU eviction.
- * Downloads and caches image thumbnails for Copilot vision analysis.
+ * @fileoverview Persistent image cache with LRU eviction.
+ * Downloads, preprocesses and caches images for vision analysis. Files are
+ * content-addressed; a JSON index maps each source (site, URL and
+ * preprocessing options) to its file and keeps access times and hit/miss
+ * statistics across restarts.
  * @module main/services/thumbnail-cache
  */
 
-import { createWriteStream } from 'node:fs'
-import { mkdir, stat, unlink, readdir } from 'node:fs/promises'
-import { pipeline } from 'node:stream/promises'
+import { mkdir, readFile, writeFile, rename, unlink, readdir } from 'node:fs/promises'
 import { tmpdir } from 'node:os'
-import { join } from 'node:path'
+import { basename, join } from 'node:path'
 import { createHash } from 'node:crypto'
+import { selectImageSize, preprocessImage } from './image-preprocessor.js'
+import { untilAborted } from '../utils/abort.js'
 
-/** @type {string} Cache directory path */
-const CACHE_DIR = join(tmpdir(), 'wp-fotokopilot-cache')
+/** @type {number} Default maximum cache size in bytes (500 MB) */
+export const DEFAULT_MAX_CACHE_SIZE = 500 * 1024 * 1024
 
-/** @type {number} Maximum cache size in bytes (500 MB) */
-const MAX_CACHE_SIZE = 500 * 1024 * 1024
+/** @type {string} Cache directory used until configureCache is called (the CLI keeps it) */
+const DEFAULT_CACHE_DIR = join(tmpdir(), 'wp-fotokopilot-cache')
 
-/** @type {Map<string, number>} LRU tracking: hash -> last access timestamp */
-const lruOrder = new Map()
+/** @type {number} Index format version (2: keys include the site) */
+const INDEX_VERSION = 2
+
+/** @type {number} Delay in ms before the access times of cache hits are saved */
+const PERSIST_DELAY = 2000
 
 /**
- * Initializes the cache directory.
- * @returns {Promise<void>}
+ * @typedef {Object} CacheEntry
+ * @property {string} file - Content-addressed file name in `<baseDir>/files`
+ * @property {number} size - File size in bytes
+ * @property {string} [siteId] - Site the image was downloaded for
+ * @property {number} lastAccess - Last access timestamp
  */
-export async function initCache() {
-  await mkdir(CACHE_DIR, { recursive: true })
+
+/**
+ * @typedef {Object} CacheStats
+ * @property {number} entries - Cached sources
+ * @property {number} files - Files on disk (identical images share one)
+ * @property {number} size - Total size of the files in bytes
+ * @property {number} maxSize - Size limit in bytes
+ * @property {number} hits - Lookups served from the cache
+ * @property {number} misses - Lookups that downloaded the image
+ */
+
+/**
+ * @typedef {Object} PendingDownload
+ * @property {Promise<string>} promise - Resolves with the local file path
+ * @property {AbortController} controller - Aborts the download
+ * @property {number} waiters - Callers waiting for the download
+ * @property {number} holds - Waiting callers that asked for a hold on the file
+ * @property {string} [file] - File name, once the holds have been handed over
+ */
+
+/**
+ * Hashes a string or buffer to a short hex key.
+ * @private
+ * @param {string|Buffer} value - Value to hash
+ * @returns {string}
+ */
+function hash(value) {
+  return createHash('sha256').update(value).digest('hex').slice(0, 16)
 }
 
 /**
- * Gets or downloads a thumbnail to the local cache.
- * @param {Object} mediaItem - WordPress media item
- * @param {string} [mediaItem.thumbnailUrl] - Thumbnail URL
- * @param {string} [mediaItem.sourceUrl] - Full image URL (fallback)
- * @returns {Promise<string>} Local file path to the cached thumbnail
- * @throws {Error} If no image URL available or download fails
+ * Creates an image cache rooted at the given directory.
+ * Files are stored as `<baseDir>/files/<content hash>.<ext>`, the index as `<baseDir>/index.json`.
+ * @param {string} baseDir - Directory that holds the cache
+ * @param {Object} [options] - Cache options
+ * @param {number} [options.maxSize] - Size limit in bytes (default: 500 MB)
+ * @returns {Object} Cache with getThumbnailPath, release, clear, getStats, setMaxSize and flush methods
  */
-export async function getThumbnailPath(mediaItem) {
-  await mkdir(CACHE_DIR, { recursive: true })
+export function createThumbnailCache(baseDir, { maxSize = DEFAULT_MAX_CACHE_SIZE } = {}) {
+  const filesDir = join(baseDir, 'files')
+  const indexPath = join(baseDir, 'index.json')
+
+  /** @type {{entries: Object<string, CacheEntry>, hits: number, misses: number}|undefined} */
+  let index
+  /** @type {Promise<void>|undefined} */
+  let loading
+  /** @type {Map<string, PendingDownload>} Downloads in flight, by cache key */
+  const pending = new Map()
+  /** @type {Map<string, number>} Files callers still use, with their number of holds */
+  const holds = new Map()
+  const write = { dirty: false, promise: undefined, timer: undefined }
+
+  /**
+   * Loads the index once. Entries whose file is gone are dropped and files
+   * no entry refers to (e.g. after a crash) are deleted.
+   * @private
+   * @returns {Promise<void>}
+   */
+  function load() {
+    loading ??= (async () => {
+      await mkdir(filesDir, { recursive: true })
+      let stored
+      try {
+        stored = JSON.parse(await readFile(indexPath, 'utf8'))
+      } catch {
+        stored = undefined
+      }
+      index = stored?.version === INDEX_VERSION
+        ? { entries: stored.entries || {}, hits: stored.hits || 0, misses: stored.misses || 0 }
+        : { entries: {}, hits: 0, misses: 0 }
+
+      const files = new Set(await readdir(filesDir))
+      for (const [key, entry] of Object.entries(index.entries)) {
+        if (!files.has(entry.file)) delete index.entries[key]
+      }
+      const referenced = new Set(Object.values(index.entries).map((entry) => entry.file))
+      await Promise.all(
+        [...files].filter((file) => !referenced.has(file)).map((file) => unlink(join(filesDir, file)).catch(() => {}))
+      )
+    })()
+    return loading
+  }
+
+  /**
+   * Writes the index atomically (temp file + rename). Calls made while a
+   * write is in flight are coalesced into one more write.
+   * @private
+   * @returns {Promise<void>}
+   */
+  function persist() {
+    clearTimeout(write.timer)
+    write.timer = undefined
+    write.dirty = true
+    write.promise ??= (async () => {
+      try {
+        while (write.dirty) {
+          write.dirty = false
+          const temp = `${indexPath}.tmp`
+          await writeFile(temp, JSON.stringify({ version: INDEX_VERSION, ...index }))
+          await rename(temp, indexPath)
+        }
+      } catch (err) {
+        console.error('[Cache] Failed to save index:', err.message)
+      } finally {
+        write.promise = undefined
+      }
+    })()
+    return write.promise
+  }
+
+  /**
+   * Saves the index after a delay, so a run of cache hits writes it once.
+   * @private
+   * @returns {void}
+   */
+  function schedulePersist() {
+    if (write.timer) return
+    write.timer = setTimeout(persist, PERSIST_DELAY)
+    // Access times are not worth keeping the CLI alive for
+    write.timer.unref?.()
+  }
+
+  /**
+   * Keeps a file from being deleted until it is released.
+   * @private
+   * @param {string} file - File name in `<baseDir>/files`
+   * @returns {void}
+   */
+  function acquire(file) {
+    holds.set(file, (holds.get(file) || 0) + 1)
+  }
+
+  /**
+   * Releases a hold on a file, deleting it if it was removed from the index
+   * while held.
+   * @private
+   * @param {string} file - File name in `<baseDir>/files`
+   * @returns {Promise<void>}
+   */
+  async function releaseFile(file) {
+    if (!holds.has(file)) return
+    const count = holds.get(file) - 1
+    if (count > 0) {
+      holds.set(file, count)
+      return
+    }
+    holds.delete(file)
+    if (!Object.values(index.entries).some((entry) => entry.file === file)) {
+      await unlink(join(filesDir, file)).catch(() => {})
+    }
+  }
+
+  /**
+   * Sizes of the files on disk; entries that share a file count once.
+   * @private
+   * @returns {Map<string, number>} File name -> size
+   */
+  function fileSizes() {
+    const sizes = new Map()
+    for (const entry of Object.values(index.entries)) sizes.set(entry.file, entry.size)
+    return sizes
+  }
 
-  const url = mediaItem.thumbnailUrl || mediaItem.sourceUrl
-  if (!url) {
-    throw new Error('No image URL available')
+  /**
+   * Removes entries and deletes the files no remaining entry refers to.
+   * Held files are deleted once released.
+   * @private
+   * @param {string[]} keys - Cache keys to remove
+   * @returns {Promise<void>}
+   */
+  async function removeEntries(keys) {
+    const files = new Set(keys.map((key) => index.entries[key]?.file).filter(Boolean))
+    for (const key of keys) delete index.entries[key]
+    for (const entry of Object.values(index.entries)) files.delete(entry.file)
+    for (const file of holds.keys()) files.delete(file)
+    await Promise.all([...files].map((file) => unlink(join(filesDir, file)).catch(() => {})))
   }
 
-  const hash = createHash('sha256').update(url).digest('hex').slice(0, 16)
-  const ext = extractExtension(url)
-  const localPath = join(CACHE_DIR, `${hash}.${ext}`)
+  /**
+   * Evicts least recently used entries while the cache exceeds its limit,
+   * down to 80% of the limit. Entries whose file is held stay.
+   * @private
+   * @returns {Promise<void>}
+   */
+  async function evictIfNeeded() {
+    let total = [...fileSizes().values()].reduce((sum, size) => sum + size, 0)
+    if (total <= maxSize) return
+
+    // A shared file only frees space once its last entry is evicted
+    const refs = new Map()
+    for (const entry of Object.values(index.entries)) refs.set(entry.file, (refs.get(entry.file) || 0) + 1)
+
+    const byAge = Object.entries(index.entries).sort(([, a], [, b]) => a.lastAccess - b.lastAccess)
+    const evicted = []
+    for (const [key, entry] of byAge) {
+      if (holds.has(entry.file)) continue
+      evicted.push(key)
+      refs.set(entry.file, refs.get(entry.file) - 1)
+      if (refs.get(entry.file) === 0) total -= entry.size
+      if (total <= maxSize * 0.8) break
+    }
+    await removeEntries(evicted)
+  }
 
-  try {
-    await stat(localPath)
-    lruOrder.set(hash, Date.now())
-    return localPath
-  } catch {
-    const response = await fetch(url)
+  /**
+   * Downloads, preprocesses and stores an image.
+   * @private
+   * @param {string} key - Cache key
+   * @param {string} url - Image URL
+   * @param {Object} options - Preprocessing options and siteId
+   * @param {PendingDownload} pendingDownload - Download record; its controller aborts the download
+   * @returns {Promise<string>} Local file path
+   */
+  async function download(key, url, options, pendingDownload) {
+    const response = await fetch(url, { signal: pendingDownload.controller.signal })
     if (!response.ok) {
-      throw new Error(`Failed to download image: ${response.status}`)
+      const error = new Error(`Failed to download image: ${response.status}`)
+      error.status = response.status
+      throw error
+    }
+
+    const { data, extension } = await preprocessImage(Buffer.from(await response.arrayBuffer()), options)
+    const file = `${hash(data)}.${extension}`
+    await writeFile(join(filesDir, file), data)
+
+    // Held while the index is updated, so a concurrent eviction cannot take it
+    acquire(file)
+    try {
+      index.entries[key] = { file, size: data.length, siteId: options.siteId, lastAccess: Date.now() }
+      await evictIfNeeded()
+      await persist()
+      // Waiters that asked for a hold get theirs before this one is released,
+      // so the file is never unheld on its way to them
+      for (let i = 0; i < pendingDownload.holds; i++) acquire(file)
+      pendingDownload.file = file
+      return join(filesDir, file)
+    } finally {
+      await releaseFile(file)
     }
+  }
 
-    await pipeline(response.body, createWriteStream(localPath))
-    lruOrder.set(hash, Date.now())
-    await evictIfNeeded()
+  /**
+   * Waits for a shared download. The download is only aborted once every
+   * caller waiting for it has aborted; the others keep waiting.
+   * @private
+   * @param {PendingDownload} pendingDownload - Download in flight
+   * @param {AbortSignal} [signal] - Aborts this caller's wait
+   * @returns {Promise<string>} Local file path
+   */
+  function waitFor(pendingDownload, signal) {
+    pendingDownload.waiters++
+    if (!signal) return pendingDownload.promise
 
-    return localPath
+    return untilAborted(pendingDownload.promise, signal).catch((error) => {
+      if (signal.aborted && --pendingDownload.waiters === 0) {
+        pendingDownload.controller.abort(signal.reason)
+      }
+      throw error
+    })
+  }
+
+  return {
+    /**
+     * Gets or downloads an image, preprocessed for the vision model (see
+     * preprocessImage). The registered size closest to the target
+     * resolution is downloaded when the item lists its sizes. A file
+     * requested with `hold` is not evicted or purged until released.
+     * @param {Object} mediaItem - WordPress media item
+     * @param {import('./image-preprocessor.js').ImageSize[]} [mediaItem.sizes] - Registered image sizes
+     * @param {string} [mediaItem.thumbnailUrl] - Thumbnail URL (fallback)
+     * @param {string} [mediaItem.sourceUrl] - Full image URL (fallback)
+     * @param {import('./image-preprocessor.js').PreprocessOptions & {siteId?: string, signal?: AbortSignal, hold?: boolean}} [options] - Preprocessing options, the site the image belongs to, a signal that stops waiting and whether to hold the file until released
+     * @returns {Promise<string>} Local file path to the cached image
+     * @throws {Error} If no image URL available, download fails, the format is unsupported or the signal aborted
+     */
+    async getThumbnailPath(mediaItem, { signal, hold = false, ...options } = {}) {
+      signal?.throwIfAborted()
+      await load()
+
+      const url = selectImageSize(mediaItem.sizes, options.targetSize)?.url ||
+        mediaItem.thumbnailUrl ||
+        mediaItem.sourceUrl
+      if (!url) {
+        const error = new Error('No image URL available')
+        error.permanent = true
+        throw error
+      }
+
+      // The site is part of the key so a per-site purge only removes that
+      // site's entries; preprocessing options are so changed settings re-process
+      const key = hash(`${options.siteId ?? ''}|${url}|${options.targetSize ?? ''}|${options.maxBytes ?? ''}`)
+      const entry = index.entries[key]
+      if (entry) {
+        entry.lastAccess = Date.now()
+        index.hits++
+        schedulePersist()
+        if (hold) acquire(entry.file)
+        return join(filesDir, entry.file)
+      }
+
+      if (!pending.has(key)) {
+        index.misses++
+        const pendingDownload = { controller: new AbortController(), waiters: 0, holds: 0 }
+        pendingDownload.promise = download(key, url, options, pendingDownload).finally(() => pending.delete(key))
+        pending.set(key, pendingDownload)
+      }
+      const pendingDownload = pending.get(key)
+      if (hold) pendingDownload.holds++
+      try {
+        return await waitFor(pendingDownload, signal)
+      } catch (error) {
+        // A caller that stopped waiting gives back the hold it asked for, or was handed
+        if (hold && pendingDownload.file) await releaseFile(pendingDownload.file)
+        else if (hold) pendingDownload.holds--
+        throw error
+      }
+    },
+
+    /**
+     * Releases a file requested with `hold`.
+     * @param {string} path - Path returned by getThumbnailPath
+     * @returns {Promise<void>}
+     */
+    async release(path) {
+      await releaseFile(basename(path))
+    },
+
+    /**
+     * Clears cached images, all of them or those of one site. Statistics
+     * are reset when the whole cache is cleared.
+     * @param {string} [siteId] - Only clear images downloaded for this site
+     * @returns {Promise<void>}
+     */
+    async clear(siteId) {
+      await load()
+      const keys = Object.keys(index.entries).filter((key) => !siteId || index.entries[key].siteId === siteId)
+      await removeEntries(keys)
+      if (!siteId) {
+        index.hits = 0
+        index.misses = 0
+      }
+      await persist()
+    },
+
+    /**
+     * Gets cache size and hit/miss statistics.
+     * @returns {Promise<CacheStats>}
+     */
+    async getStats() {
+      await load()
+      const sizes = fileSizes()
+      return {
+        entries: Object.keys(index.entries).length,
+        files: sizes.size,
+        size: [...sizes.values()].reduce((sum, size) => sum + size, 0),
+        maxSize,
+        hits: index.hits,
+        misses: index.misses,
+      }
+    },
+
+    /**
+     * Changes the size limit, evicting entries if the cache is now too big.
+     * @param {number} bytes - Size limit in bytes
+     * @returns {Promise<void>}
+     */
+    async setMaxSize(bytes) {
+      maxSize = bytes > 0 ? bytes : DEFAULT_MAX_CACHE_SIZE
+      await load()
+      await evictIfNeeded()
+      await persist()
+    },
+
+    /**
+     * Saves index changes that are still waiting to be written.
+     * @returns {Promise<void>}
+     */
+    async flush() {
+      if (write.timer) await persist()
+      else await write.promise
+    },
   }
 }
 
+/** @type {ReturnType<typeof createThumbnailCache>} Cache used by getThumbnailPath */
+let cache = createThumbnailCache(DEFAULT_CACHE_DIR)
+
 /**
- * Extracts file extension from a URL.
- * @private
- * @param {string} url - Image URL
- * @returns {string} File extension (defaults to 'jpg')
+ * Moves the shared cache to a directory, e.g. the app's userData directory.
+ * @param {Object} options - Cache options
+ * @param {string} options.dir - Directory that holds the cache
+ * @param {number} [options.maxSize] - Size limit in bytes
+ * @returns {void}
  */
-function extractExtension(url) {
-  try {
-    const pathname = new URL(url).pathname
-    const match = pathname.match(/\.(\w+)$/)
-    return match ? match[1] : 'jpg'
-  } catch {
-    return 'jpg'
-  }
+export function configureCache({ dir, maxSize }) {
+  cache = createThumbnailCache(dir, { maxSize: maxSize > 0 ? maxSize : DEFAULT_MAX_CACHE_SIZE })
 }
 
 /**
- * Evicts least recently used files if cache exceeds size limit.
- * @private
+ * Changes the shared cache's size limit.
+ * @param {number} bytes - Size limit in bytes
  * @returns {Promise<void>}
  */
-async function evictIfNeeded() {
-  try {
-    const files = await readdir(CACHE_DIR)
-    let totalSize = 0
-
-    const fileStats = await Promise.all(
-      files.map(async (filename) => {
-        try {
-          const filepath = join(CACHE_DIR, filename)
-          const s = await stat(filepath)
-          totalSize += s.size
-          return {
-            name: filename,
-            path: filepath,
-            size: s.size,
-            hash: filename.split('.')[0],
-          }
-        } catch {
-          return undefined
-        }
-      })
-    )
-
-    const validFiles = fileStats.filter(Boolean)
-
-    if (totalSize <= MAX_CACHE_SIZE) {
-      return
-    }
+export async function setCacheLimit(bytes) {
+  await cache.setMaxSize(bytes)
+}
 
-    validFiles.sort(
-      (a, b) => (lruOrder.get(a.hash) || 0) - (lruOrder.get(b.hash) || 0)
-    )
+/**
+ * Initializes the shared cache: creates its directory and loads the index.
+ * @returns {Promise<void>}
+ */
+export async function initCache() {
+  await cache.getStats()
+}
 
-    for (const file of validFiles) {
-      try {
-        await unlink(file.path)
-        lruOrder.delete(file.hash)
-        totalSize -= file.size
+/**
+ * Gets or downloads an image to the shared cache.
+ * @param {Object} mediaItem - WordPress media item (sizes, thumbnailUrl, sourceUrl)
+ * @param {import('./image-preprocessor.js').PreprocessOptions & {siteId?: string, signal?: AbortSignal, hold?: boolean}} [options] - Preprocessing options, the site the image belongs to, a signal that stops waiting and whether to hold the file until released
+ * @returns {Promise<string>} Local file path to the cached image
+ */
+export async function getThumbnailPath(mediaItem, options) {
+  return cache.getThumbnailPath(mediaItem, options)
+}
 
-        if (totalSize <= MAX_CACHE_SIZE * 0.8) {
-          break
-        }
-      } catch {
-        continue
-      }
-    }
-  } catch {
-    // Ignore cache eviction errors
-  }
+/**
+ * Releases an image requested from the shared cache with `hold`.
+ * @param {string} path - Path returned by getThumbnailPath
+ * @returns {Promise<void>}
+ */
+export async function releaseThumbnail(path) {
+  await cache.release(path)
 }
 
 /**
- * Clears all cached thumbnails.
+ * Clears the shared cache, or one site's images.
+ * @param {string} [siteId] - Only clear images downloaded for this site
  * @returns {Promise<void>}
  */
-export async function clearCache() {
-  try {
-    const files = await readdir(CACHE_DIR)
-    await Promise.all(
-      files.map((filename) => unlink(join(CACHE_DIR, filename)).catch(() => {}))
-    )
-    lruOrder.clear()
-  } catch {
-    // Ignore errors
-  }
+export async function clearCache(siteId) {
+  await cache.clear(siteId)
+}
+
+/**
+ * Gets size and hit/miss statistics of the shared cache.
+ * @returns {Promise<CacheStats>}
+ */
+export async function getCacheStats() {
+  return cache.getStats()
 }
@@ -0,0 +1,382 @@
+/**
+ * @fileoverview Vision provider abstraction for alt text and folder suggestions.
+ * Wraps a low-level backend (GitHub Copilot or an OpenAI-compatible server)
+ * with the shared prompts, response parsing and validation.
+ * @module main/services/vision-provider
+ */
+
+import { copilotBackend } from './copilot-adapter.js'
+import { createOpenAiBackend } from './openai-provider.js'
+import { validateAltText, sanitizeAltText, findBannedWords } from '../utils/validation.js'
+import { normalizeFields } from '../utils/field-mapping.js'
+import {
+  buildAltTextSystemPrompt,
+  buildAltTextUserPrompt,
+  buildFolderSystemPrompt,
+  buildFolderUserPrompt,
+  buildFieldsInstruction,
+  buildRepairPrompt,
+  parseJsonResponse,
+} from '../utils/vision-prompts.js'
+
+/**
+ * @typedef {Object} VisionRequest
+ * @property {string} systemPrompt - System prompt
+ * @property {string} prompt - User prompt
+ * @property {string} imagePath - Local image path
+ * @property {string} model - Model ID
+ * @property {number} [timeout=60000] - Request timeout in milliseconds
+ * @property {AbortSignal} [signal] - Aborts the request
+ */
+
+/**
+ * @typedef {Object} VisionSession
+ * @property {function({prompt: string, imagePath?: string}): Promise<string>} send - Sends a message in the conversation, returns the raw reply
+ * @property {function(): Promise<void>} close - Ends the conversation
+ */
+
+/**
+ * @typedef {Object} VisionBackend
+ * @property {string} id - Provider ID
+ * @property {function(VisionRequest): Promise<string>} complete - Sends an image prompt, returns the raw reply
+ * @property {function({systemPrompt: string, model: string, timeout?: number, signal?: AbortSignal}): Promise<VisionSession>} openSession - Starts a conversation for follow-up prompts; the signal ends it
+ * @property {function(Object): Promise<Array<{id: string, name: string, supportsVision: boolean}>>} listModels - Lists models
+ * @property {function(): Promise<{running: boolean, error?: string}>} status - Checks the backend is reachable
+ */
+
+/**
+ * @typedef {Object} PromptOptions
+ * @property {number} [maxLength=125] - Maximum alt text length
+ * @property {Object} [fields] - Extra fields to request (see resolveFieldRequests)
+ * @property {import('../utils/vision-prompts.js').SitePrompts} [prompts] - Site prompt templates and style guide
+ * @property {Object<string, string|number>} [variables] - Template variables (see buildPromptVariables)
+ * @property {string} [languageName] - Site language name (folder suggestions)
+ * @property {Object} [metadata] - Image metadata and post context (see buildMetadataSection)
+ * @property {Array<{id: string, instruction: string}>} [candidates] - Alternative styles to generate (see getCandidateStyles)
+ * @property {number} [repairAttempts=2] - Follow-up prompts to fix alt text that fails validation
+ * @property {AbortSignal} [signal] - Stops the model call, e.g. when the job is cancelled
+ */
+
+/**
+ * @typedef {Object} RepairAttempt
+ * @property {'model'|'sanitize'|'reprompt'} source - Initial answer, deterministic fix or follow-up answer
+ * @property {string|undefined} altText - Alt text of this attempt
+ * @property {string[]} issues - Validation issues of this attempt
+ */
+
+/**
+ * @typedef {Object} AltTextCandidate
+ * @property {string} style - Candidate style ID
+ * @property {string} altText - Alt text
+ * @property {boolean} valid - Whether the candidate passes validation
+ * @property {string[]} issues - Validation issues
+ */
+
+/**
+ * @typedef {Object} VisionProvider
+ * @property {string} id - Provider ID
+ * @property {string} model - Default model ID
+ * @property {function(string, Object): Promise<Object>} generateAltText - Generates alt text for an image
+ * @property {function(string, Array, Object): Promise<Object>} suggestFolder - Generates alt text and a folder suggestion
+ * @property {function(Object): Promise<Array>} listModels - Lists models
+ * @property {function(): Promise<Object>} status - Checks the backend is reachable
+ */
+
+/** @type {Array<{id: string, name: string}>} Selectable providers */
+export const PROVIDERS = [
+  { id: 'copilot', name: 'GitHub Copilot' },
+  { id: 'openai', name: 'OpenAI-compatible HTTP' },
+]
+
+// Session-suggested folders to track newly suggested folders during a session
+// This prevents the AI from suggesting duplicate new folders
+const sessionSuggestedFolders = new Set()
+
+/**
+ * Builds the system and user prompts for alt text generation.
+ * @param {PromptOptions} [options] - Prompt options
+ * @returns {{systemPrompt: string, prompt: string}}
+ */
+export function buildAltTextRequest(options = {}) {
+  const maxLength = options.maxLength || 125
+  return {
+    systemPrompt: buildAltTextSystemPrompt({
+      template: options.prompts?.altText,
+      styleGuide: options.prompts?.styleGuide,
+      variables: { ...options.variables, maxLength },
+    }),
+    prompt: buildAltTextUserPrompt(maxLength, options.fields, options.metadata, options.candidates),
+  }
+}
+
+/**
+ * Builds the system and user prompts for a folder suggestion.
+ * @param {Array<{id: number, path: string}>} existingFolders - Available folders
+ * @param {PromptOptions} [options] - Prompt options
+ * @returns {{systemPrompt: string, prompt: string}}
+ */
+export function buildFolderRequest(existingFolders = [], options = {}) {
+  return {
+    systemPrompt: buildFolderSystemPrompt({
+      template: options.prompts?.folder,
+      styleGuide: options.prompts?.styleGuide,
+      variables: {
+        ...options.variables,
+        maxLength: options.maxLength || 125,
+        language: options.languageName || options.variables?.language || 'English',
+      },
+    }),
+    prompt:
+      buildFolderUserPrompt(options.metadata || {}, existingFolders, sessionSuggestedFolders) +
+      buildFieldsInstruction(options.fields),
+  }
+}
+
+/**
+ * Validates generated alt text, including the style guide's banned words.
+ * @private
+ * @param {string} altText - Generated alt text
+ * @param {PromptOptions} options - Prompt options
+ * @returns {{valid: boolean, issues: string[]}}
+ */
+function validateGenerated(altText, options) {
+  const validation = validateAltText(altText, options.maxLength || 125)
+  const issues = [...validation.issues, ...findBannedWords(altText, options.prompts?.styleGuide?.bannedWords)]
+  return { valid: issues.length === 0, issues }
+}
+
+/**
+ * Fixes generated alt text that fails validation. Deterministic fixes
+ * (see sanitizeAltText) are tried first; if the text is still invalid the
+ * model is asked again in the same session with the issues listed.
+ * @private
+ * @param {VisionSession} session - Session the alt text was generated in
+ * @param {string|undefined} altText - Generated alt text
+ * @param {PromptOptions} options - Prompt options
+ * @returns {Promise<{altText: string|undefined, valid: boolean, issues: string[], history: RepairAttempt[]}>}
+ *   The valid attempt, or the one with the fewest issues
+ */
+async function repairAltText(session, altText, options) {
+  const maxLength = options.maxLength || 125
+  const maxRepairs = Number.isInteger(options.repairAttempts) ? options.repairAttempts : 2
+  const history = []
+  let best
+
+  for (let repairs = 0; ; repairs++) {
+    const validation = validateGenerated(altText, options)
+    history.push({ source: repairs === 0 ? 'model' : 'reprompt', altText, issues: validation.issues })
+    if (!best || validation.issues.length < best.issues.length) best = { altText, ...validation }
+    if (validation.valid) break
+
+    const sanitized = typeof altText === 'string' ? sanitizeAltText(altText, maxLength) : ''
+    if (sanitized && sanitized !== altText.trim()) {
+      const fixed = validateGenerated(sanitized, options)
+      history.push({ source: 'sanitize', altText: sanitized, issues: fixed.issues })
+      if (fixed.issues.length < best.issues.length) best = { altText: sanitized, ...fixed }
+      if (fixed.valid) break
+    }
+
+    if (repairs >= maxRepairs) break
+    const reply = await session.send({ prompt: buildRepairPrompt(validation.issues, maxLength) })
+    try {
+      altText = parseJsonResponse(reply).alt_text
+    } catch {
+      history.push({ source: 'reprompt', altText: undefined, issues: ['Unreadable response'] })
+      break
+    }
+  }
+
+  return { ...best, history }
+}
+
+/**
+ * Reads the model's self-assessment from a parsed response.
+ * @private
+ * @param {Object} parsed - Parsed model response
+ * @returns {{confidence: number|null, flags: {containsText: boolean, containsPeople: boolean, sensitive: boolean}}}
+ */
+function readAssessment(parsed) {
+  const confidence = Number(parsed.confidence)
+  return {
+    confidence:
+      parsed.confidence !== undefined && parsed.confidence !== null && Number.isFinite(confidence)
+        ? Math.min(Math.max(confidence, 0), 1)
+        : null,
+    flags: {
+      containsText: parsed.contains_text === true,
+      containsPeople: parsed.contains_people === true,
+      sensitive: parsed.sensitive === true,
+    },
+  }
+}
+
+/**
+ * Reads the alternative candidates from a parsed response. Blank and
+ * repeated alternatives are dropped; the main alt text is always included.
+ * @private
+ * @param {Object} parsed - Parsed model response
+ * @param {PromptOptions} options - Prompt options
+ * @returns {AltTextCandidate[]} Candidates, empty when none were requested
+ */
+function readCandidates(parsed, options) {
+  if (!options.candidates?.length) return []
+
+  const raw = Array.isArray(parsed.candidates) ? parsed.candidates : []
+  const candidates = []
+  for (const entry of [...raw, { style: 'best', alt_text: parsed.alt_text }]) {
+    const altText = typeof entry?.alt_text === 'string' ? entry.alt_text.trim() : ''
+    if (!altText || candidates.some((c) => c.altText === altText)) continue
+    candidates.push({ style: String(entry.style || 'alternative'), altText, ...validateGenerated(altText, options) })
+  }
+  return candidates
+}
+
+/**
+ * Wraps a backend with the alt text and folder suggestion logic.
+ * @param {VisionBackend} backend - Low-level backend
+ * @param {Object} [defaults] - Provider defaults
+ * @param {string} [defaults.model] - Model used when a call does not name one
+ * @returns {VisionProvider}
+ */
+export function createVisionProvider(backend, { model: defaultModel } = {}) {
+  return {
+    id: backend.id,
+    model: defaultModel,
+
+    async generateAltText(imagePath, options = {}) {
+      const { systemPrompt, prompt } = buildAltTextRequest(options)
+      const session = await backend.openSession({
+        systemPrompt,
+        model: options.model || defaultModel,
+        timeout: 60000,
+        signal: options.signal,
+      })
+
+      try {
+        const content = await session.send({ prompt, imagePath })
+        const parsed = parseJsonResponse(content)
+        // Decorative images get an intentionally empty alt text, which needs no repair
+        const decorative = parsed.decorative === true || parsed.alt_text === ''
+        const repaired = decorative
+          ? { altText: '', valid: true, issues: [], history: [] }
+          : await repairAltText(session, parsed.alt_text ?? readCandidates(parsed, options)[0]?.altText, options)
+
+        return {
+          altText: repaired.altText,
+          decorative,
+          candidates: readCandidates({ ...parsed, alt_text: repaired.altText }, options),
+          ...readAssessment(parsed),
+          fields: normalizeFields(parsed, options.fields),
+          valid: repaired.valid,
+          issues: repaired.issues,
+          attemptHistory: repaired.history,
+          raw: content,
+        }
+      } finally {
+        await session.close()
+      }
+    },
+
+    async suggestFolder(imagePath, existingFolders = [], options = {}) {
+      const content = await backend.complete({
+        ...buildFolderRequest(existingFolders, options),
+        imagePath,
+        model: options.model || defaultModel,
+        timeout: 30000,
+        signal: options.signal,
+      })
+
+      const parsed = parseJsonResponse(content)
+
+      // Track new folder suggestions to prevent duplicates within session
+      if (parsed.action === 'new' && parsed.new_folder_path) {
+        sessionSuggestedFolders.add(parsed.new_folder_path)
+      }
+
+      // Use visual_description as alt text if available
+      const altText = parsed.alt_text || parsed.visual_description || ''
+      const validation = validateGenerated(altText, options)
+
+      // The visual description doubles as the media description when one was requested
+      const fields = normalizeFields(parsed, options.fields)
+      if (options.fields?.description && !fields.description && parsed.visual_description) {
+        fields.description = normalizeFields(
+          { description: parsed.visual_description },
+          { description: options.fields.description }
+        ).description
+      }
+
+      return {
+        altText,
+        fields,
+        visualDescription: parsed.visual_description || '',
+        action: parsed.action || 'skip',
+        folderId: parsed.folder_id || null,
+        folderPath: parsed.folder_path || '',
+        newFolderPath: parsed.new_folder_path || '',
+        confidence: parsed.confidence || 0,
+        reason: parsed.reason || '',
+        valid: validation.valid,
+        issues: validation.issues,
+        raw: content,
+      }
+    },
+
+    listModels: (options) => backend.listModels(options),
+    status: () => backend.status(),
+  }
+}
+
+/**
+ * Resolves which provider and model a site uses.
+ * A per-site choice in `siteProviders` overrides `visionProvider`.
+ * @param {import('../utils/settings-defaults.js').AppSettings} settings - Application settings
+ * @param {string} [siteId] - Site identifier
+ * @returns {{provider: string, model: string, baseUrl?: string, apiKey?: string}}
+ */
+export function resolveProviderConfig(settings, siteId) {
+  const provider = settings.siteProviders?.[siteId] || settings.visionProvider || 'copilot'
+
+  if (provider === 'openai') {
+    return { provider, ...settings.openai }
+  }
+  return { provider: 'copilot', model: settings.copilotModel || 'gpt-4o' }
+}
+
+/**
+ * Creates a backend from a resolved provider configuration.
+ * @param {{provider: string, baseUrl?: string, apiKey?: string}} config - Provider configuration
+ * @returns {VisionBackend}
+ */
+export function createBackend(config) {
+  if (config.provider === 'openai') {
+    return createOpenAiBackend(config)
+  }
+  return copilotBackend
+}
+
+/**
+ * Gets the vision provider configured for a site.
+ * @param {import('../utils/settings-defaults.js').AppSettings} settings - Application settings
+ * @param {string} [siteId] - Site identifier
+ * @returns {VisionProvider}
+ */
+export function getVisionProvider(settings, siteId) {
+  const config = resolveProviderConfig(settings, siteId)
+  return createVisionProvider(createBackend(config), { model: config.model })
+}
+
+/**
+ * Clear session-suggested folders (call at start of new batch/session)
+ */
+export function clearSessionSuggestedFolders() {
+  sessionSuggestedFolders.clear()
+}
+
+/**
+ * Get current session-suggested folders
+ * @returns {string[]}
+ */
+export function getSessionSuggestedFolders() {
+  return Array.from(sessionSuggestedFolders)
+}
@@ -4,6 +4,25 @@
  * @module main/services/wp-client
  */
 
+import { stripHtml } from '../utils/field-mapping.js'
+import { createMediaFilter, toWpDate } from '../utils/media-filter.js'
+import { buildPostContext, imageFileStem } from '../utils/post-context.js'
+import { findInlineImages, classifyInlineAlt } from '../utils/inline-images.js'
+import { getLanguageName } from '../utils/locale.js'
+import { parseRetryAfter } from './rate-controller.js'
+
+/** @type {string[]} REST bases searched for posts that use an image */
+const CONTENT_TYPES = ['posts', 'pages']
+
+/**
+ * @type {string} Attachment meta key marking an intentionally empty alt text.
+ * WordPress only stores it when the key is registered with `show_in_rest`.
+ */
+export const DECORATIVE_META_KEY = 'fotokopilot_decorative'
+
+/** @type {string} Post fields needed for image context */
+const CONTEXT_FIELDS = 'id,title,excerpt,content'
+
 /**
  * @typedef {Object} WpCredentials
  * @property {string} url - WordPress site URL
@@ -16,10 +35,76 @@
  * @property {number} id - WordPress media ID
  * @property {string} sourceUrl - Full image URL
  * @property {string} [thumbnailUrl] - Thumbnail URL
+ * @property {import('./image-preprocessor.js').ImageSize[]} [sizes] - Registered image sizes, including 'full'
  * @property {string} filename - Original filename/slug
  * @property {string} title - Media title
+ * @property {string} caption - Current caption (plain text)
+ * @property {string} description - Current description (plain text)
  * @property {string} currentAlt - Current alt text
  * @property {string} mimeType - MIME type
+ * @property {number} [parentId] - ID of the post the media is attached to (0 = unattached)
+ * @property {number} [author] - ID of the user who uploaded the media
+ * @property {string} [date] - Upload date (site local time, ISO 8601)
+ * @property {string} [modified] - Last modified date (site local time, ISO 8601)
+ * @property {string[]} [altIssues] - Why the existing alt text was flagged as low quality
+ * @property {boolean} [markedDecorative] - Marked decorative in WordPress: the empty alt text is intentional
+ * @property {string} [language] - Language of the attachment on multilingual sites (WPML locale or Polylang slug)
+ * @property {MediaTranslation[]} [translations] - Translated copies of the attachment
+ */
+
+/**
+ * @typedef {Object} MediaTranslation
+ * @property {number} mediaId - Media ID of the translated attachment
+ * @property {string} locale - Translation language (WPML locale or Polylang slug)
+ */
+
+/**
+ * @typedef {Object} ScanFilters
+ * @property {boolean} [missingAltOnly=false] - Only items without alt text
+ * @property {number} [limit] - Maximum items to return
+ * @property {number} [perPage=100] - Items per API request
+ * @property {string} [after] - Only items uploaded on or after this date (YYYY-MM-DD or ISO 8601)
+ * @property {string} [before] - Only items uploaded on or before this date (YYYY-MM-DD or ISO 8601)
+ * @property {number} [author] - Only items uploaded by this user ID
+ * @property {string[]} [mimeTypes] - Only these MIME types
+ * @property {string[]} [excludeMimeTypes] - Skip these MIME types (e.g. 'image/svg+xml', 'image/gif')
+ * @property {'any'|'attached'|'unattached'} [attachment='any'] - Parent post status
+ * @property {string} [search] - Search term
+ * @property {number} [altShorterThan] - Only items whose alt text is shorter than N characters
+ * @property {boolean} [invalidAltOnly=false] - Only items whose existing alt text fails validateAltText
+ * @property {boolean} [lowQualityAlt=false] - Also flag low-quality existing alt text (see assessAltQuality),
+ *   including alt text duplicated across many items; flagged items carry `altIssues`
+ * @property {number} [maxAltLength=125] - Max length used by the validation filter
+ * @property {string} [modifiedAfter] - Only items modified after this date (ISO 8601, requires WordPress 5.7+)
+ * @property {'date'|'modified'} [orderBy='date'] - 'modified' walks items oldest change first,
+ *   so a partial scan can be resumed from the last modified date seen
+ */
+
+/**
+ * @typedef {Object} MediaFields
+ * @property {string} [altText] - Alt text
+ * @property {string} [caption] - Caption
+ * @property {string} [description] - Description
+ * @property {string} [title] - Title
+ * @property {boolean} [decorative] - Sets or clears the decorative marker (see DECORATIVE_META_KEY)
+ */
+
+/**
+ * @typedef {Object} InlineUsage
+ * @property {string} id - Usage ID: `<postType>:<postId>:<attachmentId>:<occurrence>`
+ * @property {string} postType - REST base of the post ('posts' | 'pages')
+ * @property {number} postId - Post ID
+ * @property {string} postTitle - Post title
+ * @property {number} attachmentId - Attachment ID
+ * @property {number} occurrence - Which of the attachment's images in the post (0-based)
+ * @property {'block'|'classic'} kind - `wp:image` block or classic markup
+ * @property {string} currentAlt - Inline alt text in the post
+ * @property {string} attachmentAlt - Attachment alt text in the media library
+ * @property {'empty'|'stale'|'ok'} issue - Inline alt compared with the attachment
+ * @property {string} sourceUrl - Image URL
+ * @property {string} [thumbnailUrl] - Thumbnail URL
+ * @property {string} [filename] - Attachment filename
+ * @property {import('../utils/post-context.js').PostContext|null} postContext - Text around the image in this post
  */
 
 /**
@@ -31,12 +116,119 @@
  * @property {Object} capabilities - Available features (REST, VMF)
  */
 
+/**
+ * Reads the language and translations that WPML (`wpml_current_locale`,
+ * `wpml_translations`) or Polylang (`lang`, `translations`) add to REST
+ * media objects.
+ * @private
+ * @param {Object} item - WordPress media object
+ * @returns {{language?: string, translations?: MediaTranslation[]}} Empty on single-language sites
+ */
+function readTranslations(item) {
+  let language
+  let translations = []
+
+  if (Array.isArray(item.wpml_translations)) {
+    language = item.wpml_current_locale
+    translations = item.wpml_translations.map((t) => ({ mediaId: t.id, locale: t.locale }))
+  } else if (item.lang) {
+    language = item.lang
+    translations = Object.entries(item.translations || {}).map(([locale, id]) => ({ mediaId: id, locale }))
+  } else {
+    return {}
+  }
+
+  // Without media translation, all languages share the attachment
+  translations = translations.filter((t) => t.mediaId && t.mediaId !== item.id && t.locale !== language)
+  return { language, translations }
+}
+
+/**
+ * Lists the registered sizes of a WordPress media object, plus the
+ * original as 'full' (which WordPress omits from `sizes` for some formats).
+ * @private
+ * @param {Object} item - WordPress media object
+ * @returns {import('./image-preprocessor.js').ImageSize[]}
+ */
+function readImageSizes(item) {
+  const sizes = Object.entries(item.media_details?.sizes || {}).map(([name, size]) => ({
+    name,
+    url: size.source_url,
+    width: size.width,
+    height: size.height,
+    mimeType: size.mime_type,
+  }))
+  if (item.source_url && !sizes.some((size) => size.name === 'full')) {
+    sizes.push({
+      name: 'full',
+      url: item.source_url,
+      width: item.media_details?.width,
+      height: item.media_details?.height,
+      mimeType: item.mime_type,
+    })
+  }
+  return sizes
+}
+
+/**
+ * Reads the text fields and decorative marker of a WordPress media object,
+ * preferring raw values (edit context) over rendered HTML.
+ * @param {Object} media - WordPress media object (see getMedia)
+ * @returns {MediaFields & {id: number}}
+ */
+export function readMediaFields(media) {
+  const text = (field) => field?.raw ?? stripHtml(field?.rendered)
+
+  return {
+    id: media.id,
+    altText: media.alt_text,
+    caption: text(media.caption),
+    description: text(media.description),
+    title: text(media.title),
+    decorative: media.meta?.[DECORATIVE_META_KEY] === true,
+  }
+}
+
+/**
+ * Maps a WordPress media object to a scanned media item.
+ * @private
+ * @param {Object} item - WordPress media object
+ * @returns {MediaItem}
+ */
+function toMediaItem(item) {
+  const thumbnailUrl =
+    item.media_details?.sizes?.thumbnail?.source_url ||
+    item.media_details?.sizes?.medium?.source_url
+
+  return {
+    id: item.id,
+    sourceUrl: item.source_url,
+    thumbnailUrl,
+    sizes: readImageSizes(item),
+    filename: item.slug,
+    title: item.title?.rendered || '',
+    caption: stripHtml(item.caption?.rendered),
+    description: stripHtml(item.description?.rendered),
+    currentAlt: item.alt_text || '',
+    mimeType: item.mime_type,
+    parentId: item.post || 0,
+    author: item.author,
+    date: item.date,
+    modified: item.modified,
+    ...(item.meta?.[DECORATIVE_META_KEY] === true && { markedDecorative: true }),
+    ...readTranslations(item),
+  }
+}
+
 /**
  * Creates a WordPress REST API client.
  * @param {WpCredentials} credentials - WordPress site credentials
+ * @param {Object} [options] - Client options
+ * @param {AbortSignal} [options.signal] - Aborts every request of the client, e.g. when a scan is cancelled
  * @returns {Object} WordPress client with API methods
  */
-export function createWpClient({ url, username, password }) {
+export function createWpClient(credentials, { signal } = {}) {
+  const { url, username, password } = credentials
   const baseUrl = url.replace(/\/$/, '')
   const authHeader = `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`
 
@@ -44,7 +236,7 @@ export function createWpClient({ url, username, password }) {
    * Makes an authenticated request to the WordPress REST API.
    * @private
    * @param {string} endpoint - API endpoint path
-   * @param {Object} [options] - Fetch options
+   * @param {Object} [options] - Fetch options; `options.signal` overrides the client's signal
    * @returns {Promise<{data: any, headers: Headers}>}
    * @throws {Error} For API errors (401, 403, 429, etc.)
    */
@@ -53,6 +245,7 @@ export function createWpClient({ url, username, password }) {
     
     const response = await fetch(fullUrl, {
       ...options,
+      signal: options.signal ?? signal,
       headers: {
         Authorization: authHeader,
         'Content-Type': 'application/json',
@@ -61,22 +254,24 @@ export function createWpClient({ url, username, password }) {
     })
 
     if (response.status === 429) {
-      const retryAfter = response.headers.get('Retry-After')
       const error = new Error('Rate limited')
       error.code = 'RATE_LIMITED'
-      error.retryAfter = retryAfter ? parseInt(retryAfter) : 60
+      error.status = 429
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After')) ?? 60
       throw error
     }
 
     if (response.status === 401) {
       const error = new Error('Unauthorized - check your credentials')
       error.code = 'UNAUTHORIZED'
+      error.status = 401
       throw error
     }
 
     if (response.status === 403) {
       const error = new Error('Forbidden - insufficient permissions')
       error.code = 'FORBIDDEN'
+      error.status = 403
       throw error
     }
 
@@ -100,6 +295,8 @@ export function createWpClient({ url, username, password }) {
       error.code = errorData?.code || 'WP_ERROR'
       error.status = response.status
       error.data = errorData
+      // Sent with 503 (maintenance mode, overloaded host)
+      error.retryAfter = parseRetryAfter(response.headers.get('Retry-After'))
       throw error
     }
 
@@ -110,6 +307,15 @@ export function createWpClient({ url, username, password }) {
   }
 
   return {
+    /**
+     * Creates a client for the same site whose requests abort with the signal.
+     * @param {AbortSignal} [requestSignal] - Abort signal, e.g. of a job item
+     * @returns {Object} WordPress client
+     */
+    withSignal(requestSignal) {
+      return createWpClient(credentials, { signal: requestSignal })
+    },
+
     /**
      * Tests connection and retrieves site information.
      * @returns {Promise<SiteInfo>} Site info with capabilities
@@ -137,6 +343,15 @@ export function createWpClient({ url, username, password }) {
       }
     },
 
+    /**
+     * Gets the site name and locale, without probing for plugins.
+     * @returns {Promise<{name: string, locale: string}>}
+     */
+    async getSiteDetails() {
+      const { data } = await request('/')
+      return { name: data.name || '', locale: data.language || 'en_US' }
+    },
+
     /**
      * Gets the site's configured locale.
      * @returns {Promise<string>} WordPress locale code (e.g., 'en_US')
@@ -147,98 +362,74 @@ export function createWpClient({ url, username, password }) {
     },
 
     /**
-     * Converts WordPress locale code to human-readable language name.
+     * Converts a WordPress locale code to a human-readable language name.
      * @param {string} locale - WordPress locale code
      * @returns {string} Human-readable language name
+     * @see module:main/utils/locale.getLanguageName
      */
     getLanguageName(locale) {
-      // Map WordPress locale codes to human-readable language names
-      const languageMap = {
-        en_US: 'English',
-        en_GB: 'English',
-        en_AU: 'English',
-        nb_NO: 'Norwegian (Bokmål)',
-        nn_NO: 'Norwegian (Nynorsk)',
-        sv_SE: 'Swedish',
-        da_DK: 'Danish',
-        fi: 'Finnish',
-        de_DE: 'German',
-        de_AT: 'German',
-        de_CH: 'German',
-        fr_FR: 'French',
-        fr_CA: 'French',
-        es_ES: 'Spanish',
-        es_MX: 'Spanish',
-        it_IT: 'Italian',
-        pt_PT: 'Portuguese',
-        pt_BR: 'Portuguese',
-        nl_NL: 'Dutch',
-        pl_PL: 'Polish',
-        ru_RU: 'Russian',
-        ja: 'Japanese',
-        ko_KR: 'Korean',
-        zh_CN: 'Chinese (Simplified)',
-        zh_TW: 'Chinese (Traditional)',
-        ar: 'Arabic',
-        he_IL: 'Hebrew',
-      }
-
-      // Try exact match first
-      if (languageMap[locale]) {
-        return languageMap[locale]
-      }
-
-      // Try language code only (e.g., 'en' from 'en_US')
-      const langCode = locale.split('_')[0]
-      for (const [key, value] of Object.entries(languageMap)) {
-        if (key.startsWith(langCode)) {
-          return value
-        }
-      }
-
-      // Fallback to English
-      return 'English'
+      return getLanguageName(locale)
     },
 
     /**
      * Scans media library and yields items as an async generator.
-     * @param {Object} options - Scan options
-     * @param {boolean} [options.missingAltOnly=false] - Only return items without alt text
-     * @param {number} [options.limit] - Maximum items to return
-     * @param {number} [options.perPage=100] - Items per API request
+     * Date, author, attachment, search and single-MIME filters are applied by
+     * WordPress; MIME exclusions and alt text filters are applied locally
+     * (see createMediaFilter).
+     * @param {ScanFilters} options - Scan options
      * @yields {MediaItem} Media items one at a time
      */
-    async *scanMedia({ missingAltOnly = false, limit = undefined, perPage = 100 }) {
+    async *scanMedia({
+      missingAltOnly = false,
+      limit = undefined,
+      perPage = 100,
+      after,
+      before,
+      author,
+      mimeTypes = [],
+      attachment = 'any',
+      search,
+      modifiedAfter,
+      orderBy = 'date',
+      ...localFilters
+    }) {
       let page = 1
       let fetched = 0
 
+      const query = new URLSearchParams({ per_page: String(perPage), media_type: 'image' })
+      if (after) query.set('after', toWpDate(after))
+      if (before) query.set('before', toWpDate(before, true))
+      if (author) query.set('author', String(author))
+      if (mimeTypes.length === 1) query.set('mime_type', mimeTypes[0])
+      if (attachment === 'unattached') query.set('parent', '0')
+      if (attachment === 'attached') query.set('parent_exclude', '0')
+      if (search) query.set('search', search)
+      if (modifiedAfter) query.set('modified_after', modifiedAfter)
+      if (orderBy === 'modified') {
+        query.set('orderby', 'modified')
+        query.set('order', 'asc')
+      }
+
+      const filter = createMediaFilter({ missingAltOnly, mimeTypes, ...localFilters })
+      // Translations are generated with the first language version found, not as items of their own
+      const translationIds = new Set()
+
       while (true) {
-        const { data, headers } = await request(
-          `/wp/v2/media?per_page=${perPage}&page=${page}&media_type=image`
-        )
+        query.set('page', String(page))
+        const { data, headers } = await request(`/wp/v2/media?${query}`)
 
         for (const item of data) {
-          if (missingAltOnly && item.alt_text) {
-            continue
-          }
+          const scanned = toMediaItem(item)
+          if (translationIds.has(scanned.id)) continue
+          for (const t of scanned.translations || []) translationIds.add(t.mediaId)
 
-          const thumbnailUrl =
-            item.media_details?.sizes?.thumbnail?.source_url ||
-            item.media_details?.sizes?.medium?.source_url
-
-          yield {
-            id: item.id,
-            sourceUrl: item.source_url,
-            thumbnailUrl,
-            filename: item.slug,
-            title: item.title?.rendered || '',
-            currentAlt: item.alt_text || '',
-            mimeType: item.mime_type,
-          }
+          for (const mediaItem of filter(scanned)) {
+            yield mediaItem
 
-          fetched++
-          if (limit && fetched >= limit) {
-            return
+            fetched++
+            if (limit && fetched >= limit) {
+              return
+            }
           }
         }
 
@@ -251,6 +442,15 @@ export function createWpClient({ url, username, password }) {
       }
     },
 
+    /**
+     * Lists users that can author media, for the scan author filter.
+     * @returns {Promise<Array<{id: number, name: string}>>}
+     */
+    async listAuthors() {
+      const { data } = await request('/wp/v2/users?per_page=100&who=authors')
+      return data.map((u) => ({ id: u.id, name: u.name }))
+    },
+
     /**
      * Updates alt text for a media item.
      * @param {number} mediaId - WordPress media ID
@@ -270,15 +470,191 @@ export function createWpClient({ url, username, password }) {
     },
 
     /**
-     * Gets a single media item by ID.
+     * Updates alt text and other text fields of a media item in one request.
+     * Only the fields present in `fields` are sent.
      * @param {number} mediaId - WordPress media ID
+     * @param {MediaFields} fields - Field values to write
+     * @returns {Promise<MediaFields & {id: number}>} Values stored by WordPress
+     */
+    async updateMedia(mediaId, fields) {
+      const body = {}
+      if (fields.altText !== undefined) body.alt_text = fields.altText
+      if (fields.caption !== undefined) body.caption = fields.caption
+      if (fields.description !== undefined) body.description = fields.description
+      if (fields.title !== undefined) body.title = fields.title
+      if (fields.decorative !== undefined) body.meta = { [DECORATIVE_META_KEY]: fields.decorative }
+
+      const { data } = await request(`/wp/v2/media/${mediaId}`, {
+        method: 'POST',
+        body: JSON.stringify(body),
+      })
+
+      return readMediaFields(data)
+    },
+
+    /**
+     * Gets a single media item by ID, in edit context so text fields carry
+     * their raw values, as updateMedia writes them.
+     * @param {number} mediaId - WordPress media ID
+     * @param {Object} [options] - Request options
+     * @param {AbortSignal} [options.signal] - Aborts the request instead of the client's signal
      * @returns {Promise<Object>} WordPress media object
      */
-    async getMedia(mediaId) {
-      const { data } = await request(`/wp/v2/media/${mediaId}`)
+    async getMedia(mediaId, { signal: requestSignal } = {}) {
+      const { data } = await request(`/wp/v2/media/${mediaId}?context=edit`, { signal: requestSignal })
       return data
     },
 
+    /**
+     * Gets the posts an image is used in: the attachment's parent post and
+     * posts or pages whose content embeds it, with the text around the image.
+     * @param {MediaItem} item - Media item (id, sourceUrl, parentId)
+     * @param {Object} [options] - Lookup options
+     * @param {number} [options.limit=3] - Maximum posts to return
+     * @returns {Promise<import('../utils/post-context.js').PostContext[]>} Parent post first
+     */
+    async getPostContext(item, { limit = 3 } = {}) {
+      const contexts = []
+
+      if (item.parentId) {
+        // The parent can be a post or a page; other post types are skipped
+        for (const type of CONTENT_TYPES) {
+          try {
+            const { data } = await request(`/wp/v2/${type}/${item.parentId}?_fields=${CONTEXT_FIELDS}`)
+            contexts.push(buildPostContext(data, item, { type, parent: true }))
+            break
+          } catch (err) {
+            if (err.status !== 404) throw err
+          }
+        }
+      }
+
+      // Posts that embed the image mention its file name in their content
+      const stem = imageFileStem(item.sourceUrl)
+      if (!stem) return contexts
+
+      for (const type of CONTENT_TYPES) {
+        if (contexts.length >= limit) break
+        const params = new URLSearchParams({ search: stem, per_page: '10', _fields: CONTEXT_FIELDS })
+        const { data } = await request(`/wp/v2/${type}?${params}`)
+        for (const post of data) {
+          if (contexts.length >= limit) break
+          if (contexts.some((c) => c.id === post.id)) continue
+          const context = buildPostContext(post, item, { type })
+          if (context) contexts.push(context)
+        }
+      }
+
+      return contexts
+    },
+
+    /**
+     * Scans post and page content for attachment images (`wp:image` blocks
+     * and classic `<img class="wp-image-N">`) and compares each inline alt
+     * attribute with the attachment's alt text.
+     * @param {Object} [options] - Scan options
+     * @param {string[]} [options.types=['posts', 'pages']] - REST bases to scan
+     * @param {boolean} [options.issuesOnly=true] - Only yield empty or stale inline alt
+     * @param {number} [options.limit] - Maximum usages to yield
+     * @param {number} [options.perPage=50] - Posts per request
+     * @yields {InlineUsage} Image usages one at a time
+     */
+    async *scanInlineUsages({ types = CONTENT_TYPES, issuesOnly = true, limit, perPage = 50 } = {}) {
+      const attachments = new Map()
+      let yielded = 0
+
+      for (const type of types) {
+        const query = new URLSearchParams({
+          context: 'edit',
+          status: 'any',
+          per_page: String(perPage),
+          _fields: 'id,title,excerpt,content',
+        })
+
+        for (let page = 1; ; page++) {
+          query.set('page', String(page))
+          const { data, headers } = await request(`/wp/v2/${type}?${query}`)
+
+          // Images per post, then the alt text of attachments not seen yet
+          const posts = data.map((post) => ({ post, images: findInlineImages(post.content?.raw) }))
+          const missing = [...new Set(posts.flatMap((p) => p.images.map((i) => i.attachmentId)))]
+            .filter((id) => !attachments.has(id))
+          for (let i = 0; i < missing.length; i += 100) {
+            const ids = missing.slice(i, i + 100)
+            const { data: media } = await request(`/wp/v2/media?include=${ids.join(',')}&per_page=100`)
+            for (const item of media) attachments.set(item.id, toMediaItem(item))
+            // Deleted attachments are remembered so they are not looked up again
+            for (const id of ids) if (!attachments.has(id)) attachments.set(id, undefined)
+          }
+
+          for (const { post, images } of posts) {
+            for (const image of images) {
+              const attachment = attachments.get(image.attachmentId)
+              const attachmentAlt = attachment?.currentAlt || ''
+              const issue = classifyInlineAlt(image.alt, attachmentAlt)
+              if (issuesOnly && issue === 'ok') continue
+
+              const sourceUrl = attachment?.sourceUrl || image.src
+              yield {
+                id: `${type}:${post.id}:${image.attachmentId}:${image.occurrence}`,
+                postType: type,
+                postId: post.id,
+                postTitle: post.title?.raw ?? stripHtml(post.title?.rendered),
+                attachmentId: image.attachmentId,
+                occurrence: image.occurrence,
+                kind: image.kind,
+                currentAlt: image.alt ?? '',
+                attachmentAlt,
+                issue,
+                sourceUrl,
+                thumbnailUrl: attachment?.thumbnailUrl || image.src,
+                sizes: attachment?.sizes,
+                filename: attachment?.filename || imageFileStem(image.src),
+                title: attachment?.title || '',
+                postContext: buildPostContext(
+                  { ...post, content: { rendered: post.content.raw } },
+                  { id: image.attachmentId, sourceUrl },
+                  { type, parent: attachment?.parentId === post.id }
+                ),
+              }
+
+              yielded++
+              if (limit && yielded >= limit) return
+            }
+          }
+
+          const totalPages = parseInt(headers.get('X-WP-TotalPages') || '1')
+          if (data.length < perPage || page >= totalPages) break
+        }
+      }
+    },
+
+    /**
+     * Gets the raw content of a post or page for editing.
+     * @param {string} type - REST base ('posts' | 'pages')
+     * @param {number} postId - Post ID
+     * @returns {Promise<{id: number, content: string}>}
+     */
+    async getPostContent(type, postId) {
+      const { data } = await request(`/wp/v2/${type}/${postId}?context=edit&_fields=id,content`)
+      return { id: data.id, content: data.content?.raw ?? '' }
+    },
+
+    /**
+     * Replaces the content of a post or page.
+     * @param {string} type - REST base ('posts' | 'pages')
+     * @param {number} postId - Post ID
+     * @param {string} content - New raw content
+     * @returns {Promise<{id: number}>}
+     */
+    async updatePostContent(type, postId, content) {
+      const { data } = await request(`/wp/v2/${type}/${postId}`, {
+        method: 'POST',
+        body: JSON.stringify({ content }),
+      })
+      return { id: data.id }
+    },
+
     /**
      * Gets media items not assigned to any VMF folder.
      * @param {number} [limit=50] - Maximum items to return
@@ -326,6 +702,7 @@ export function createWpClient({ url, username, password }) {
               id: item.id,
               sourceUrl: item.source_url,
               thumbnailUrl,
+              sizes: readImageSizes(item),
               filename: item.slug,
               title: item.title?.rendered || '',
               currentAlt: item.alt_text || '',
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview System tray icon that keeps the app running with its window closed.
+ * While enabled, closing the window hides it, so scheduled runs and queued
+ * jobs continue; the tray menu reopens the window or quits.
+ * @module main/tray
+ */
+
+import { app, Menu, Tray, nativeImage } from 'electron'
+import { readFile } from 'node:fs/promises'
+import { join } from 'node:path'
+import sharp from 'sharp'
+
+/** @type {number} Tray icon size in points */
+const ICON_SIZE = 16
+
+/** @type {Tray|undefined} */
+let tray
+/** @type {function(): (Electron.BrowserWindow|undefined)} Returns the main window open now */
+let getWindow = () => undefined
+let quitting = false
+
+/**
+ * Rasterizes the app icon for the tray (nativeImage cannot load SVG).
+ * The file is read first because sharp cannot open files inside the asar archive.
+ * @private
+ * @returns {Promise<Electron.NativeImage>}
+ */
+async function loadIcon() {
+  const svg = await readFile(join(import.meta.dirname, 'assets/tray-icon.svg'))
+  const png = await sharp(svg, { density: 384 }).resize(ICON_SIZE * 2, ICON_SIZE * 2).png().toBuffer()
+  return nativeImage.createFromBuffer(png, { scaleFactor: 2 })
+}
+
+/**
+ * Shows and focuses the main window.
+ * @private
+ */
+function showWindow() {
+  const window = getWindow()
+  if (!window || window.isDestroyed()) return
+  window.show()
+  window.focus()
+}
+
+/**
+ * Connects the tray menu to the main window. Called once; macOS recreates
+ * the window when the dock icon is clicked, so the window is looked up
+ * when the menu is used.
+ * @param {function(): (Electron.BrowserWindow|undefined)} windowGetter - Returns the main window open now
+ * @returns {void}
+ */
+export function attachTray(windowGetter) {
+  getWindow = windowGetter
+}
+
+/**
+ * Hides a window instead of closing it while the tray is enabled.
+ * @param {Electron.BrowserWindow} mainWindow - Main window
+ * @returns {void}
+ */
+export function keepInTray(mainWindow) {
+  mainWindow.on('close', (event) => {
+    if (tray && !quitting) {
+      event.preventDefault()
+      mainWindow.hide()
+    }
+  })
+}
+
+/**
+ * Enables or disables the tray icon.
+ * @param {boolean} enabled - Keep running in the tray when the window is closed
+ * @returns {Promise<void>}
+ */
+export async function setRunInTray(enabled) {
+  if (!enabled) {
+    tray?.destroy()
+    tray = undefined
+    return
+  }
+  if (tray) return
+
+  // Created before the icon loads so concurrent calls see it
+  tray = new Tray(nativeImage.createEmpty())
+  tray.setToolTip('WP FotoKopilot')
+  tray.setContextMenu(
+    Menu.buildFromTemplate([
+      { label: 'Open WP FotoKopilot', click: showWindow },
+      { type: 'separator' },
+      { label: 'Quit', click: () => app.quit() },
+    ])
+  )
+  tray.on('click', showWindow)
+  tray.setImage(await loadIcon())
+}
+
+app.on('before-quit', () => {
+  quitting = true
+})
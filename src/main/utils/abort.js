@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Helpers for cancelling work with an AbortSignal.
+ * Job items, downloads and model calls receive the signal of their job, so
+ * cancelling a job or skipping an item stops waiting at once instead of
+ * when the work times out.
+ * @module main/utils/abort
+ */
+
+/**
+ * Settles like the promise, but rejects with the signal's reason as soon
+ * as it aborts. The work behind the promise is not stopped by this.
+ * @param {Promise<*>} promise - Work to wait for
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<*>}
+ */
+export function untilAborted(promise, signal) {
+  if (!signal) return promise
+  if (signal.aborted) return Promise.reject(signal.reason)
+
+  let onAbort
+  const aborted = new Promise((resolve, reject) => {
+    onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+  return Promise.race([promise, aborted]).finally(() => signal.removeEventListener('abort', onAbort))
+}
+
+/**
+ * Sleeps for a number of milliseconds, rejecting early when the signal aborts.
+ * @param {number} ms - Milliseconds to sleep
+ * @param {AbortSignal} [signal] - Abort signal
+ * @returns {Promise<void>}
+ */
+export function sleep(ms, signal) {
+  if (!signal) return new Promise((resolve) => setTimeout(resolve, ms))
+
+  let timer
+  const slept = new Promise((resolve) => {
+    timer = setTimeout(resolve, ms)
+  })
+  return untilAborted(slept, signal).finally(() => clearTimeout(timer))
+}
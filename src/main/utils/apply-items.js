@@ -0,0 +1,33 @@
+/**
+ * @fileoverview Turns the results of a generate job into the apply job that writes them.
+ * Shared by auto-apply and the CLI's apply command.
+ * @module main/utils/apply-items
+ */
+
+/**
+ * Tells whether a generate item has a result to write: alt text, or the
+ * intentionally empty alt text of a decorative image.
+ * @param {import('../services/job-queue.js').JobItem} item - Generate job item
+ * @returns {boolean}
+ */
+export function hasApplicableResult(item) {
+  return item.status === 'completed' && (Boolean(item.proposedAlt) || item.result?.decorative === true)
+}
+
+/**
+ * Builds the apply job for generated items. Inline usages carry their post
+ * and are rewritten in the post content; media items get their decorative
+ * marker and translated copies written too.
+ * @param {import('../services/job-queue.js').JobItem[]} items - Completed generate items of one job
+ * @returns {{type: 'apply'|'apply-inline', items: Object[]}} Job type and items
+ */
+export function buildApplyJob(items) {
+  return {
+    type: items[0]?.postId ? 'apply-inline' : 'apply',
+    items: items.map((i) => ({
+      ...i,
+      decorative: i.result.decorative,
+      proposedTranslations: i.result.translations,
+    })),
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Field mapping between AI results and WordPress media fields.
+ * Decides which extra fields (caption, description, title) to generate and apply.
+ * @module main/utils/field-mapping
+ */
+
+import { sanitizeAltText } from './validation.js'
+
+/** @type {string[]} Media fields that can be filled besides alt_text */
+export const MEDIA_FIELDS = ['caption', 'description', 'title']
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {boolean} enabled - Generate this field by default
+ * @property {string} prompt - Instruction sent to the model for this field
+ * @property {number} maxLength - Maximum allowed character length
+ * @property {boolean} onlyIfEmpty - Only fill the field when it is currently empty
+ */
+
+/**
+ * @typedef {Object} FieldRequest
+ * @property {string} prompt - Instruction sent to the model
+ * @property {number} maxLength - Maximum allowed character length
+ */
+
+/**
+ * Strips HTML tags and collapses whitespace, e.g. for `caption.rendered`.
+ * @param {string|undefined} html - Rendered HTML
+ * @returns {string} Plain text
+ */
+export function stripHtml(html) {
+  if (!html) return ''
+  return String(html)
+    .replace(/<[^>]*>/g, ' ')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+}
+
+/**
+ * Resolves which extra fields to ask the model for on a given item.
+ * Fields with `onlyIfEmpty` are skipped when the item already has a value.
+ * @param {Object} item - Media item with current `caption`, `description`, `title`
+ * @param {Object<string, FieldRule>} fieldMapping - Field rules from settings
+ * @param {string[]} [selected] - Fields chosen for this job (defaults to enabled rules)
+ * @returns {Object<string, FieldRequest>} Requests keyed by field name
+ */
+export function resolveFieldRequests(item, fieldMapping = {}, selected) {
+  const requests = {}
+
+  for (const field of MEDIA_FIELDS) {
+    const rule = fieldMapping[field]
+    if (!rule) continue
+
+    const wanted = selected ? selected.includes(field) : rule.enabled
+    if (!wanted) continue
+
+    if (rule.onlyIfEmpty && stripHtml(item[field])) continue
+
+    requests[field] = { prompt: rule.prompt, maxLength: rule.maxLength }
+  }
+
+  return requests
+}
+
+/**
+ * Normalizes field values returned by the model to the requested fields,
+ * trimming and enforcing each field's maximum length.
+ * @param {Object} parsed - Parsed model response
+ * @param {Object<string, FieldRequest>} requests - Requested fields
+ * @returns {Object<string, string>} Field values keyed by field name
+ */
+export function normalizeFields(parsed, requests = {}) {
+  const fields = {}
+
+  for (const [field, { maxLength }] of Object.entries(requests)) {
+    const value = parsed?.[field]
+    if (typeof value === 'string' && value.trim()) {
+      fields[field] = sanitizeAltText(value, maxLength)
+    }
+  }
+
+  return fields
+}
+
+/**
+ * Picks the proposed field values that may be written to WordPress,
+ * honoring `onlyIfEmpty` against the item's current values.
+ * @param {Object} item - Job item with `proposedFields` and current field values
+ * @param {Object<string, FieldRule>} [fieldMapping] - Field rules from settings
+ * @returns {Object<string, string>} Field values to write
+ */
+export function selectFieldsToApply(item, fieldMapping = {}) {
+  const fields = {}
+
+  for (const [field, value] of Object.entries(item.proposedFields || {})) {
+    if (!MEDIA_FIELDS.includes(field) || typeof value !== 'string') continue
+    if (fieldMapping[field]?.onlyIfEmpty && stripHtml(item[field])) continue
+    fields[field] = value
+  }
+
+  return fields
+}
@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Finds attachment images in raw post content and rewrites
+ * their inline alt attribute. Handles both `wp:image` blocks and classic
+ * `<img class="wp-image-123">` markup.
+ * @module main/utils/inline-images
+ */
+
+/**
+ * @typedef {Object} InlineImage
+ * @property {number} attachmentId - Attachment ID the image references
+ * @property {number} occurrence - Index among this attachment's images in the post (0-based)
+ * @property {string|null} alt - Inline alt text (null when the attribute is missing)
+ * @property {string} src - Image URL
+ * @property {'block'|'classic'} kind - Inside a `wp:image` block or classic markup
+ * @property {number} start - Offset of the `<img` tag in the content
+ * @property {number} end - Offset just after the tag
+ */
+
+/**
+ * Reads an attribute value from an HTML tag.
+ * @private
+ * @param {string} tag - HTML tag
+ * @param {string} name - Attribute name
+ * @returns {string|null} Decoded value, or null if the attribute is missing
+ */
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'))
+  if (!match) return null
+  return (match[1] ?? match[2])
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * Escapes text for a double-quoted HTML attribute.
+ * @private
+ * @param {string} text - Attribute value
+ * @returns {string}
+ */
+function escapeAttribute(text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/"/g, '&quot;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+}
+
+/**
+ * Finds the `wp:image` block that contains an offset.
+ * @private
+ * @param {Array<{start: number, end: number, id: number|undefined}>} blocks - Image blocks
+ * @param {number} offset - Offset in the content
+ * @returns {{start: number, end: number, id: number|undefined}|undefined}
+ */
+function blockAt(blocks, offset) {
+  return blocks.find((block) => block.start < offset && offset < block.end)
+}
+
+/**
+ * Lists the `wp:image` blocks in raw content with their attachment IDs.
+ * @private
+ * @param {string} content - Raw post content
+ * @returns {Array<{start: number, end: number, id: number|undefined}>}
+ */
+function findImageBlocks(content) {
+  const blocks = []
+  const opener = /<!--\s+wp:image(?:\s+(\{[\s\S]*?\}))?\s+-->/g
+  for (const match of content.matchAll(opener)) {
+    const close = content.indexOf('<!-- /wp:image -->', match.index)
+    if (close === -1) continue
+    let id
+    try {
+      id = match[1] ? JSON.parse(match[1]).id : undefined
+    } catch {
+      // Malformed block attributes; fall back to the img class
+    }
+    blocks.push({ start: match.index, end: close, id })
+  }
+  return blocks
+}
+
+/**
+ * Finds the attachment images in raw post content. Images are matched to
+ * attachments by their `wp-image-<id>` class or the ID of the surrounding
+ * `wp:image` block; external images are skipped.
+ * @param {string} content - Raw post content (`content.raw` from `context=edit`)
+ * @returns {InlineImage[]} Images in document order
+ */
+export function findInlineImages(content) {
+  if (!content) return []
+
+  const blocks = findImageBlocks(content)
+  const occurrences = new Map()
+  const images = []
+
+  for (const match of content.matchAll(/<img\b[^>]*>/gi)) {
+    const tag = match[0]
+    const block = blockAt(blocks, match.index)
+    const classId = (readAttribute(tag, 'class') || '').match(/\bwp-image-(\d+)\b/)?.[1]
+    const attachmentId = Number(classId || block?.id)
+    if (!attachmentId) continue
+
+    const occurrence = occurrences.get(attachmentId) || 0
+    occurrences.set(attachmentId, occurrence + 1)
+
+    images.push({
+      attachmentId,
+      occurrence,
+      alt: readAttribute(tag, 'alt'),
+      src: readAttribute(tag, 'src') || '',
+      kind: block ? 'block' : 'classic',
+      start: match.index,
+      end: match.index + tag.length,
+    })
+  }
+
+  return images
+}
+
+/**
+ * Classifies an inline alt attribute against the attachment's alt text.
+ * @param {string|null} inlineAlt - Inline alt text
+ * @param {string} attachmentAlt - Attachment alt text in the media library
+ * @returns {'empty'|'stale'|'ok'} `empty` when missing or blank, `stale` when it differs from the attachment
+ */
+export function classifyInlineAlt(inlineAlt, attachmentAlt) {
+  const normalize = (text) => String(text || '').replace(/\s+/g, ' ').trim()
+  if (!normalize(inlineAlt)) return 'empty'
+  if (normalize(inlineAlt) !== normalize(attachmentAlt)) return 'stale'
+  return 'ok'
+}
+
+/**
+ * Rewrites the alt attribute of one attachment image in raw post content.
+ * @param {string} content - Raw post content
+ * @param {Object} target - Image to rewrite
+ * @param {number} target.attachmentId - Attachment ID
+ * @param {number} [target.occurrence=0] - Which of the attachment's images in the post
+ * @param {string} target.alt - New alt text
+ * @returns {{content: string, previousAlt: string}} Updated content and the replaced alt
+ * @throws {Error} If the image is no longer in the content
+ */
+export function replaceInlineAlt(content, { attachmentId, occurrence = 0, alt }) {
+  const image = findInlineImages(content).find(
+    (i) => i.attachmentId === attachmentId && i.occurrence === occurrence
+  )
+  if (!image) {
+    throw new Error(`Image ${attachmentId} is no longer in the post content`)
+  }
+
+  const tag = content.slice(image.start, image.end)
+  const value = `alt="${escapeAttribute(alt)}"`
+  const updated = image.alt === null
+    ? tag.replace(/^<img\b/i, `<img ${value}`)
+    : tag.replace(/\salt\s*=\s*(?:"[^"]*"|'[^']*')/i, ` ${value}`)
+
+  return {
+    content: content.slice(0, image.start) + updated + content.slice(image.end),
+    previousAlt: image.alt ?? '',
+  }
+}
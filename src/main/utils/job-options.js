@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Per-job tuning options: validation and defaults.
+ * Jobs can override the concurrency, retry, timeout, model and service
+ * limit settings when they start, and change them while they run.
+ * @module main/utils/job-options
+ */
+
+import { DEFAULT_SETTINGS } from './settings-defaults.js'
+
+/**
+ * @typedef {Object} JobTuning
+ * @property {number} concurrency - Items processed at once
+ * @property {number} maxRetries - Attempts per item, including the first
+ * @property {number} timeout - Per-item timeout in seconds (0 = none)
+ * @property {number} modelConcurrency - Concurrent vision model calls (Copilot or OpenAI-compatible)
+ * @property {number} writeConcurrency - Concurrent WordPress write calls
+ * @property {string} [model] - Model ID for this job instead of the site's model
+ */
+
+/** @type {Object<string, {min: number, max: number}>} Allowed range of each numeric option */
+export const JOB_OPTION_LIMITS = {
+  concurrency: { min: 1, max: 10 },
+  maxRetries: { min: 1, max: 10 },
+  timeout: { min: 0, max: 3600 },
+  modelConcurrency: { min: 1, max: 10 },
+  writeConcurrency: { min: 1, max: 10 },
+}
+
+/** @type {string[]} Options job:configure can change while a job runs */
+export const TUNABLE_OPTIONS = [...Object.keys(JOB_OPTION_LIMITS), 'model']
+
+/** @type {Object<string, string>} Setting that provides each option's default */
+const SETTING_KEYS = {
+  concurrency: 'concurrency',
+  maxRetries: 'maxRetries',
+  timeout: 'itemTimeout',
+  modelConcurrency: 'modelConcurrency',
+  writeConcurrency: 'writeConcurrency',
+}
+
+/**
+ * Validates the tuning options of a job. Other job options (fields,
+ * withFolders, ...) are passed through unchanged. An empty model selects
+ * the site's model.
+ * @param {Object} [options] - Job options from job:start or job:configure
+ * @returns {Object} Validated options
+ * @throws {Error} If an option is out of range or has the wrong type
+ */
+export function validateJobOptions(options = {}) {
+  const issues = []
+  const validated = { ...options }
+
+  for (const [key, { min, max }] of Object.entries(JOB_OPTION_LIMITS)) {
+    const value = options[key]
+    if (value === undefined) continue
+    if (!Number.isInteger(value) || value < min || value > max) {
+      issues.push(`${key} must be a whole number from ${min} to ${max}`)
+    }
+  }
+
+  if (options.model !== undefined && typeof options.model !== 'string') {
+    issues.push('model must be a string')
+  } else if (typeof options.model === 'string') {
+    validated.model = options.model.trim()
+  }
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid job options: ${issues.join('; ')}`)
+  }
+  return validated
+}
+
+/**
+ * Validates changes to the tuning of a running job. Unlike validateJobOptions,
+ * only the tunable options are accepted, so nothing else ends up in the
+ * job's stored options.
+ * @param {Object} [options] - Changes from job:configure
+ * @returns {Object} Validated changes
+ * @throws {Error} If an option is not tunable, out of range or has the wrong type
+ */
+export function validateJobTuning(options = {}) {
+  const unknown = Object.keys(options).filter((key) => !TUNABLE_OPTIONS.includes(key))
+  if (unknown.length > 0) {
+    throw new Error(`Invalid job options: ${unknown.join(', ')} cannot be changed (only ${TUNABLE_OPTIONS.join(', ')})`)
+  }
+  return validateJobOptions(options)
+}
+
+/**
+ * Resolves a job's tuning: its own options, else the settings, else the defaults.
+ * @param {import('./settings-defaults.js').AppSettings} settings - Application settings
+ * @param {Object} [options] - Validated job options
+ * @returns {JobTuning}
+ */
+export function resolveJobOptions(settings, options = {}) {
+  const tuning = {}
+  for (const [key, settingKey] of Object.entries(SETTING_KEYS)) {
+    tuning[key] = options[key] ?? settings?.[settingKey] ?? DEFAULT_SETTINGS[settingKey]
+  }
+  if (options.model) tuning.model = options.model
+  return tuning
+}
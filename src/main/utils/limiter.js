@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Concurrency limiter for calls to one service.
+ * Lets a job cap model calls and WordPress writes separately from the
+ * number of items it processes at once.
+ * @module main/utils/limiter
+ */
+
+/**
+ * @typedef {Object} Limiter
+ * @property {function(function(): Promise<*>, AbortSignal=): Promise<*>} run - Runs a task once a slot is free;
+ *   a task whose signal aborts while it waits is dropped from the queue
+ * @property {function(number): void} setLimit - Changes the limit; queued tasks start if it grew
+ * @property {number} limit - Current limit
+ * @property {number} active - Tasks running
+ * @property {number} queued - Tasks waiting for a slot
+ */
+
+/**
+ * Creates a limiter that runs at most `limit` tasks at once, in call order.
+ * @param {number} [limit=Infinity] - Maximum concurrent tasks (at least 1)
+ * @returns {Limiter}
+ */
+export function createLimiter(limit = Infinity) {
+  let max = limit >= 1 ? limit : 1
+  let active = 0
+  /** @type {Array<function(): void>} */
+  const waiting = []
+
+  const next = () => {
+    while (active < max && waiting.length > 0) {
+      active++
+      waiting.shift()()
+    }
+  }
+
+  return {
+    async run(task, signal) {
+      signal?.throwIfAborted()
+      await new Promise((resolve, reject) => {
+        const onAbort = () => {
+          waiting.splice(waiting.indexOf(start), 1)
+          reject(signal.reason)
+        }
+        const start = () => {
+          signal?.removeEventListener('abort', onAbort)
+          resolve()
+        }
+        signal?.addEventListener('abort', onAbort, { once: true })
+        waiting.push(start)
+        next()
+      })
+      try {
+        return await task()
+      } finally {
+        active--
+        next()
+      }
+    },
+
+    setLimit(value) {
+      max = value >= 1 ? value : 1
+      next()
+    },
+
+    get limit() {
+      return max
+    },
+
+    get active() {
+      return active
+    },
+
+    get queued() {
+      return waiting.length
+    },
+  }
+}
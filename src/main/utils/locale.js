@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Locale resolution for prompts and text direction.
+ * Accepts WordPress locales (`nb_NO`, `de_DE_formal`), Polylang slugs (`nb`)
+ * and BCP-47 tags (`pt-BR`), and resolves names with Intl.DisplayNames.
+ * @module main/utils/locale
+ */
+
+/** @type {Object<string, string>} Names that differ from the English CLDR names, keyed by language or language-script */
+const LANGUAGE_NAME_OVERRIDES = {
+  nb: 'Norwegian (Bokmål)',
+  nn: 'Norwegian (Nynorsk)',
+  'zh-Hans': 'Chinese (Simplified)',
+  'zh-Hant': 'Chinese (Traditional)',
+}
+
+/** @type {Object<string, string>} WordPress languages CLDR has no English name for */
+const EXTRA_LANGUAGE_NAMES = {
+  azb: 'South Azerbaijani',
+  haz: 'Hazaragi',
+  skr: 'Saraiki',
+}
+
+/** @type {Set<string>} Scripts written right to left */
+const RTL_SCRIPTS = new Set(['Adlm', 'Arab', 'Hebr', 'Mand', 'Nkoo', 'Rohg', 'Samr', 'Syrc', 'Thaa'])
+
+/** @type {Intl.DisplayNames} */
+const displayNames = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'code' })
+
+/**
+ * Converts a WordPress locale to a canonical BCP-47 tag. Keeps the language,
+ * script and region; drops WordPress variants such as `formal` or `ao90`.
+ * @param {string|undefined} locale - WordPress locale, Polylang slug or BCP-47 tag
+ * @returns {string|undefined} Canonical tag (e.g. 'nb-NO'), or undefined if invalid
+ */
+export function toLanguageTag(locale) {
+  const [language, ...rest] = String(locale || '').trim().split(/[-_]/)
+  if (!language) return undefined
+
+  const script = rest.find((part) => /^[A-Za-z]{4}$/.test(part))
+  const region = rest.find((part) => /^([A-Za-z]{2}|\d{3})$/.test(part))
+  try {
+    return new Intl.Locale([language, script, region].filter(Boolean).join('-')).toString()
+  } catch {
+    return undefined
+  }
+}
+
+/**
+ * Resolves the English name of a locale's language, for prompts. Regions are
+ * left out ('pt_BR' is 'Portuguese'); Chinese keeps its script.
+ * @param {string|undefined} locale - WordPress locale, Polylang slug or BCP-47 tag
+ * @returns {string} Language name, 'English' if the locale is unknown
+ */
+export function getLanguageName(locale) {
+  const tag = toLanguageTag(locale)
+  if (!tag) return 'English'
+
+  const { language, script } = new Intl.Locale(tag).maximize()
+  const override = LANGUAGE_NAME_OVERRIDES[`${language}-${script}`] || LANGUAGE_NAME_OVERRIDES[language]
+  if (override) return override
+
+  const name = displayNames.of(language)
+  if (name && name !== language) return name
+  return EXTRA_LANGUAGE_NAMES[language] || 'English'
+}
+
+/**
+ * Resolves the text direction of a locale from its (likely) script.
+ * @param {string|undefined} locale - WordPress locale, Polylang slug or BCP-47 tag
+ * @returns {'ltr'|'rtl'} Text direction, 'ltr' if the locale is unknown
+ */
+export function getTextDirection(locale) {
+  const tag = toLanguageTag(locale)
+  if (!tag) return 'ltr'
+  return RTL_SCRIPTS.has(new Intl.Locale(tag).maximize().script) ? 'rtl' : 'ltr'
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Local media filters shared by live scans and the media index.
+ * Applies the scan filters to already-mapped media items.
+ * @module main/utils/media-filter
+ */
+
+import { validateAltText, createAltQualityChecker } from './validation.js'
+
+/**
+ * Converts a date input to the ISO 8601 format WordPress expects.
+ * Plain dates cover the whole day, so `before` uses the end of the day.
+ * @param {string} value - Date (YYYY-MM-DD) or ISO 8601 date-time
+ * @param {boolean} [endOfDay=false] - Use 23:59:59 for plain dates
+ * @returns {string}
+ */
+export function toWpDate(value, endOfDay = false) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value}T${endOfDay ? '23:59:59' : '00:00:00'}`
+  }
+  return value
+}
+
+/**
+ * Creates a filter for scanned media items.
+ *
+ * MIME exclusions and alt text filters are always applied. Date, author,
+ * attachment, search and single-MIME filters are normally applied by WordPress
+ * in the REST query; pass `includeQueryFilters` to apply them locally too,
+ * e.g. when querying the local media index.
+ *
+ * When several alt text filters are set, an item matches if any of them match.
+ * With `lowQualityAlt`, items are checked with createAltQualityChecker, so one
+ * call can return earlier items that are now flagged as duplicates.
+ * @param {import('../services/wp-client.js').ScanFilters} filters - Scan filters
+ * @param {Object} [options] - Filter options
+ * @param {boolean} [options.includeQueryFilters=false] - Also apply the filters WordPress normally applies
+ * @returns {function(import('../services/wp-client.js').MediaItem): import('../services/wp-client.js').MediaItem[]}
+ *   Function returning the items to emit for each input item
+ */
+export function createMediaFilter(
+  {
+    missingAltOnly = false,
+    after,
+    before,
+    author,
+    mimeTypes = [],
+    excludeMimeTypes = [],
+    attachment = 'any',
+    search,
+    altShorterThan,
+    invalidAltOnly = false,
+    lowQualityAlt = false,
+    maxAltLength = 125,
+  } = {},
+  { includeQueryFilters = false } = {}
+) {
+  const altFilters = missingAltOnly || altShorterThan > 0 || invalidAltOnly || lowQualityAlt
+  const quality = lowQualityAlt ? createAltQualityChecker({ maxLength: maxAltLength }) : undefined
+  const afterDate = after && toWpDate(after)
+  const beforeDate = before && toWpDate(before, true)
+  const searchText = search?.trim().toLowerCase()
+
+  /**
+   * Checks the filters WordPress applies in the REST query.
+   * @param {import('../services/wp-client.js').MediaItem} item - Media item
+   * @returns {boolean}
+   */
+  const matchesQuery = (item) => {
+    if (mimeTypes.length === 1 && item.mimeType !== mimeTypes[0]) return false
+    if (afterDate && !(item.date >= afterDate)) return false
+    if (beforeDate && !(item.date <= beforeDate)) return false
+    if (author && item.author !== Number(author)) return false
+    if (attachment === 'unattached' && item.parentId) return false
+    if (attachment === 'attached' && !item.parentId) return false
+    if (searchText) {
+      const haystack = [item.title, item.filename, item.caption, item.description]
+        .join(' ')
+        .toLowerCase()
+      if (!haystack.includes(searchText)) return false
+    }
+    return true
+  }
+
+  /**
+   * Checks the MIME type filters.
+   * @param {import('../services/wp-client.js').MediaItem} item - Media item
+   * @returns {boolean}
+   */
+  const matchesType = (item) => {
+    if (mimeTypes.length > 1 && !mimeTypes.includes(item.mimeType)) return false
+    if (excludeMimeTypes.includes(item.mimeType)) return false
+    return true
+  }
+
+  /**
+   * Checks the alt text filters other than the low-quality check.
+   * @param {import('../services/wp-client.js').MediaItem} item - Media item
+   * @returns {boolean}
+   */
+  const matchesAlt = (item) => {
+    if (!altFilters) return true
+
+    const alt = (item.currentAlt || '').trim()
+    // Decorative images have an intentionally empty alt text
+    if (item.markedDecorative && !alt) return false
+    if (missingAltOnly && !alt) return true
+    if (altShorterThan > 0 && alt.length < altShorterThan) return true
+    if (invalidAltOnly && alt && !validateAltText(alt, maxAltLength).valid) return true
+    return false
+  }
+
+  const withIssues = (item, altIssues) =>
+    altIssues.length > 0 ? { ...item, altIssues } : item
+
+  return (item) => {
+    if (includeQueryFilters && !matchesQuery(item)) return []
+    if (!matchesType(item)) return []
+
+    const matched = matchesAlt(item)
+    if (!quality) return matched ? [item] : []
+
+    const { issues, release } = quality.check(item.currentAlt, {
+      filename: item.filename,
+      title: item.title,
+      matched,
+      payload: item,
+    })
+    const results = release.map(({ payload, issues }) => withIssues(payload, issues))
+    if (matched || issues.length > 0) results.push(withIssues(item, issues))
+    return results
+  }
+}
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Extracts the context an image is used in from post content.
+ * Finds the image in rendered post HTML and returns the nearby paragraph
+ * and figure caption for context-aware alt text prompts.
+ * @module main/utils/post-context
+ */
+
+import { stripHtml } from './field-mapping.js'
+
+/** @type {number} Maximum characters kept from an excerpt or paragraph */
+const MAX_CONTEXT_LENGTH = 400
+
+/**
+ * @typedef {Object} PostContext
+ * @property {number} id - Post ID
+ * @property {string} type - REST base ('posts' | 'pages')
+ * @property {string} title - Post title
+ * @property {string} excerpt - Post excerpt
+ * @property {string} paragraph - Paragraph nearest to the image
+ * @property {string} caption - Figure caption of the image in the post
+ * @property {boolean} parent - Whether this is the attachment's parent post
+ */
+
+/**
+ * Converts rendered HTML to plain text, decoding common entities.
+ * @private
+ * @param {string} html - Rendered HTML
+ * @returns {string}
+ */
+function toText(html) {
+  return stripHtml(html)
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&')
+}
+
+/**
+ * Shortens text to the context length on a word boundary.
+ * @private
+ * @param {string} text - Plain text
+ * @returns {string}
+ */
+function truncate(text) {
+  if (text.length <= MAX_CONTEXT_LENGTH) return text
+  return text.slice(0, text.lastIndexOf(' ', MAX_CONTEXT_LENGTH)).trim() + '…'
+}
+
+/**
+ * Gets the file stem used to find an image in post content, without
+ * extension and without the `-scaled` suffix WordPress adds to big uploads.
+ * @param {string} sourceUrl - Attachment source URL
+ * @returns {string} File stem, e.g. "team-meeting" (empty if unknown)
+ */
+export function imageFileStem(sourceUrl) {
+  const file = String(sourceUrl || '').split(/[?#]/)[0].split('/').pop() || ''
+  return file.replace(/\.[a-z0-9]+$/i, '').replace(/-scaled$/, '')
+}
+
+/**
+ * Finds an image in rendered post content and extracts the text around it.
+ * The image is matched by its `wp-image-<id>` class or by its file name.
+ * @param {string} html - Rendered post content
+ * @param {Object} image - Image to find
+ * @param {number} image.id - Attachment ID
+ * @param {string} [image.sourceUrl] - Attachment source URL
+ * @returns {{paragraph: string, caption: string}|null} Context, or null if the image is not used
+ */
+export function extractImageContext(html, { id, sourceUrl }) {
+  if (!html) return null
+
+  const imgTags = html.matchAll(/<img\b[^>]*>/gi)
+  const stem = imageFileStem(sourceUrl)
+  let position = -1
+  for (const match of imgTags) {
+    const tag = match[0]
+    if (new RegExp(`\\bwp-image-${id}\\b`).test(tag) || (stem && tag.includes(`/${stem}`))) {
+      position = match.index
+      break
+    }
+  }
+  if (position === -1) return null
+
+  // Caption of the figure the image sits in
+  let caption = ''
+  const figureEnd = html.indexOf('</figure>', position)
+  if (figureEnd !== -1) {
+    const figcaption = html.slice(position, figureEnd).match(/<figcaption\b[^>]*>([\s\S]*?)<\/figcaption>/i)
+    if (figcaption) caption = toText(figcaption[1])
+  }
+
+  // Paragraph closest to the image, before or after it
+  let paragraph = ''
+  let distance = Infinity
+  for (const match of html.matchAll(/<p\b[^>]*>([\s\S]*?)<\/p>/gi)) {
+    const end = match.index + match[0].length
+    // Classic editor content often wraps the image in the paragraph itself
+    const gap = end <= position ? position - end : Math.max(match.index - position, 0)
+    const text = toText(match[1])
+    if (gap < distance && text) {
+      distance = gap
+      paragraph = text
+    }
+  }
+
+  return { paragraph: truncate(paragraph), caption: truncate(caption) }
+}
+
+/**
+ * Builds the context for an image from a REST API post object.
+ * @param {Object} post - Post from /wp/v2/posts or /wp/v2/pages
+ * @param {Object} item - Media item (id, sourceUrl)
+ * @param {Object} [options] - Options
+ * @param {string} [options.type='posts'] - REST base the post came from
+ * @param {boolean} [options.parent=false] - Whether the post is the attachment's parent
+ * @returns {PostContext|null} Context, or null if a non-parent post does not use the image
+ */
+export function buildPostContext(post, item, { type = 'posts', parent = false } = {}) {
+  const usage = extractImageContext(post.content?.rendered, item)
+  if (!usage && !parent) return null
+
+  return {
+    id: post.id,
+    type,
+    title: toText(post.title?.rendered),
+    excerpt: truncate(toText(post.excerpt?.rendered)),
+    paragraph: usage?.paragraph || '',
+    caption: usage?.caption || '',
+    parent,
+  }
+}
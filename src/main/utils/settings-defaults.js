@@ -0,0 +1,115 @@
+/**
+ * @fileoverview Default application settings and merging of stored settings.
+ * Kept free of Electron so the CLI can use the same defaults.
+ * @module main/utils/settings-defaults
+ */
+
+/**
+ * @typedef {Object} AppSettings
+ * @property {number} maxAltLength - Maximum alt text length (default: 125)
+ * @property {number} concurrency - Concurrent job workers (default: 3)
+ * @property {number} maxRetries - Attempts per job item, including the first (default: 3)
+ * @property {number} itemTimeout - Seconds before a job item attempt times out, 0 for none (default: 120)
+ * @property {number} modelConcurrency - Concurrent vision model calls per job (default: 3)
+ * @property {number} writeConcurrency - Concurrent WordPress write calls per job (default: 2)
+ * @property {number} globalConcurrency - Workers shared by all running jobs; further jobs wait in priority order (default: 6)
+ * @property {import('../services/run-scheduler.js').Schedule[]} schedules - Scheduled scan-and-generate runs
+ * @property {boolean} runInTray - Keep running in the system tray when the window is closed
+ * @property {string} exportFormat - Export format: 'csv' or 'json'
+ * @property {string} copilotServerUrl - Custom Copilot CLI server URL (empty = auto)
+ * @property {string} copilotModel - Model ID for alt text generation
+ * @property {string} visionProvider - Default vision provider: 'copilot' or 'openai'
+ * @property {Object<string, string>} siteProviders - Per-site vision provider overrides, keyed by site ID
+ * @property {Object<string, string>} siteLocales - Per-site language overrides (WordPress locale or BCP-47 tag), keyed by site ID
+ * @property {{baseUrl: string, apiKey: string, model: string}} openai - OpenAI-compatible server settings
+ * @property {import('../services/image-preprocessor.js').PreprocessOptions} imagePreprocessing - Resolution and file size cap of images sent to the model
+ * @property {number} cacheMaxSize - Image cache size limit in bytes (default: 500 MB)
+ * @property {number} maxRepairAttempts - Follow-up prompts to fix generated alt text that fails validation (default: 2)
+ * @property {number} altTextCandidates - Alt text alternatives to generate per image (1 = a single suggestion, up to 3)
+ * @property {import('./validation.js').AutoApproveRule} autoApprove - Rule for applying generated alt text without review
+ * @property {boolean} generateTranslations - On WPML/Polylang sites, also generate alt text for each translated attachment
+ * @property {boolean} usePostContext - Include the posts an image is used in as prompt context
+ * @property {Object<string, import('./vision-prompts.js').SitePrompts>} sitePrompts - Per-site prompt templates and style guides, keyed by site ID
+ * @property {Object<string, import('./field-mapping.js').FieldRule>} fieldMapping - Rules for filling caption, description and title
+ */
+
+/** @type {AppSettings} */
+export const DEFAULT_SETTINGS = {
+  maxAltLength: 125,
+  concurrency: 3,
+  maxRetries: 3,
+  itemTimeout: 120,
+  modelConcurrency: 3,
+  writeConcurrency: 2,
+  globalConcurrency: 6,
+  schedules: [],
+  runInTray: false,
+  exportFormat: 'csv',
+  copilotServerUrl: '',  // Empty = use default (auto-managed CLI)
+  copilotModel: 'gpt-4o',  // Default model for alt text generation
+  visionProvider: 'copilot',
+  siteProviders: {},
+  siteLocales: {},
+  openai: {
+    baseUrl: 'http://localhost:11434/v1',  // Ollama's OpenAI-compatible endpoint
+    apiKey: '',
+    model: 'llava',
+  },
+  imagePreprocessing: {
+    targetSize: 1024,  // Longest edge in pixels
+    maxBytes: 1024 * 1024,
+  },
+  cacheMaxSize: 500 * 1024 * 1024,
+  maxRepairAttempts: 2,
+  altTextCandidates: 1,
+  autoApprove: {
+    enabled: false,
+    minConfidence: 0.9,
+    reviewFlags: ['sensitive'],
+  },
+  generateTranslations: true,
+  usePostContext: false,
+  sitePrompts: {},
+  fieldMapping: {
+    caption: {
+      enabled: false,
+      prompt: 'A short caption suitable for display below the image',
+      maxLength: 150,
+      onlyIfEmpty: true,
+    },
+    description: {
+      enabled: false,
+      prompt: 'A detailed description of the image content in 2-3 sentences',
+      maxLength: 500,
+      onlyIfEmpty: true,
+    },
+    title: {
+      enabled: false,
+      prompt: 'A concise, human-readable title for the image',
+      maxLength: 60,
+      onlyIfEmpty: true,
+    },
+  },
+}
+
+/**
+ * Merges stored settings over the defaults. Field rules are merged
+ * field by field so new rule properties get their default values.
+ * @param {Partial<AppSettings>} [stored] - Stored or user-supplied settings
+ * @returns {AppSettings} Complete settings
+ */
+export function mergeSettings(stored = {}) {
+  const fieldMapping = {}
+  for (const [field, rule] of Object.entries(DEFAULT_SETTINGS.fieldMapping)) {
+    fieldMapping[field] = { ...rule, ...stored.fieldMapping?.[field] }
+  }
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...stored,
+    openai: { ...DEFAULT_SETTINGS.openai, ...stored.openai },
+    imagePreprocessing: { ...DEFAULT_SETTINGS.imagePreprocessing, ...stored.imagePreprocessing },
+    autoApprove: { ...DEFAULT_SETTINGS.autoApprove, ...stored.autoApprove },
+    fieldMapping,
+  }
+}
@@ -119,3 +119,179 @@ export function sanitizeAltText(text, maxLength = 125) {
 
   return sanitized
 }
+
+/**
+ * Finds style guide banned words in alt text. Matches whole words,
+ * case-insensitively.
+ * @param {string|undefined} text - Alt text to check
+ * @param {string[]} [bannedWords] - Banned words and phrases
+ * @returns {string[]} Issues, one per banned word found
+ */
+export function findBannedWords(text, bannedWords = []) {
+  if (!text || typeof text !== 'string') return []
+
+  const issues = []
+  for (const word of bannedWords) {
+    const trimmed = word.trim()
+    if (!trimmed) continue
+    const escaped = trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+    if (new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'iu').test(text)) {
+      issues.push(`Contains banned word: "${trimmed}"`)
+    }
+  }
+  return issues
+}
+
+/** @type {Object<string, string>} Review flags reported by the vision model */
+export const REVIEW_FLAGS = {
+  containsText: 'contains text',
+  containsPeople: 'contains people',
+  sensitive: 'possibly sensitive',
+}
+
+/**
+ * @typedef {Object} AutoApproveRule
+ * @property {boolean} enabled - Apply qualifying results without review
+ * @property {number} minConfidence - Minimum model confidence (0-1)
+ * @property {string[]} reviewFlags - Flags that always require review (keys of REVIEW_FLAGS)
+ */
+
+/**
+ * Decides whether generated alt text can be applied without human review:
+ * it must pass validation, reach the confidence threshold and carry none
+ * of the flags that require review.
+ * @param {Object} result - Generation result (valid, issues, confidence, flags)
+ * @param {AutoApproveRule} rule - Auto-approve rule
+ * @returns {{autoApprove: boolean, reasons: string[]}} Decision and why review is needed
+ */
+export function evaluateAutoApprove(result, { minConfidence = 0.9, reviewFlags = [] } = {}) {
+  const reasons = []
+  if (!result.valid) {
+    reasons.push(...(result.issues?.length ? result.issues : ['Fails validation']))
+  }
+  if (typeof result.confidence !== 'number') {
+    reasons.push('No confidence score')
+  } else if (result.confidence < minConfidence) {
+    reasons.push(`Confidence ${result.confidence.toFixed(2)} is below ${minConfidence}`)
+  }
+  for (const flag of reviewFlags) {
+    if (result.flags?.[flag]) reasons.push(`Flagged: ${REVIEW_FLAGS[flag] || flag}`)
+  }
+  return { autoApprove: reasons.length === 0, reasons }
+}
+
+/** @type {string[]} Alt texts that say nothing about the image */
+const GENERIC_ALT_TEXTS = [
+  'image',
+  'img',
+  'photo',
+  'picture',
+  'logo',
+  'icon',
+  'graphic',
+  'banner',
+  'untitled',
+  'placeholder',
+  'screenshot',
+]
+
+/**
+ * Normalizes text for loose comparison (case, separators, file extension).
+ * @private
+ * @param {string|undefined} text - Text to normalize
+ * @returns {string}
+ */
+function normalizeForCompare(text) {
+  return String(text || '')
+    .replace(/<[^>]*>/g, '')
+    .toLowerCase()
+    .replace(/\.(jpe?g|png|gif|webp|svg|bmp|tiff?|avif|heic)$/i, '')
+    .replace(/[-_.\s]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Assesses existing alt text for signs of low quality, beyond the
+ * rules in validateAltText: alt equal to the filename or title, a single
+ * word, or a generic word like "image" or "logo". Empty alt text is not assessed.
+ * @param {string|undefined} text - Existing alt text
+ * @param {Object} [context] - Media context
+ * @param {string} [context.filename] - Filename or slug
+ * @param {string} [context.title] - Media title
+ * @param {number} [context.maxLength=125] - Maximum allowed character length
+ * @returns {string[]} Reasons the alt text is low quality (empty if it looks fine)
+ */
+export function assessAltQuality(text, { filename, title, maxLength = 125 } = {}) {
+  const trimmed = typeof text === 'string' ? text.trim() : ''
+  if (!trimmed) return []
+
+  const reasons = [...validateAltText(trimmed, maxLength).issues]
+  const normalized = normalizeForCompare(trimmed)
+
+  if (filename && normalized === normalizeForCompare(filename)) {
+    reasons.push('Same as filename')
+  }
+
+  if (title && normalized === normalizeForCompare(title)) {
+    reasons.push('Same as title')
+  }
+
+  if (GENERIC_ALT_TEXTS.includes(normalized)) {
+    reasons.push('Generic alt text')
+  } else if (!/\s/.test(trimmed)) {
+    reasons.push('Single word')
+  }
+
+  return reasons
+}
+
+/**
+ * Creates a stateful checker that flags low-quality alt text while items
+ * stream in, including alt text duplicated across many items. Items that
+ * look fine on their own are held back and released once their alt text
+ * has been seen `duplicateThreshold` times.
+ * @param {Object} [options] - Checker options
+ * @param {number} [options.maxLength=125] - Maximum allowed character length
+ * @param {number} [options.duplicateThreshold=3] - Occurrences that count as duplicated
+ * @returns {{check: Function}} Checker
+ */
+export function createAltQualityChecker({ maxLength = 125, duplicateThreshold = 3 } = {}) {
+  /** @type {Map<string, {count: number, held: Array}>} */
+  const seen = new Map()
+
+  return {
+    /**
+     * Checks one item.
+     * @param {string} alt - Existing alt text
+     * @param {Object} context - Media context
+     * @param {string} [context.filename] - Filename or slug
+     * @param {string} [context.title] - Media title
+     * @param {boolean} [context.matched=false] - Item is emitted anyway (e.g. by another filter)
+     * @param {*} context.payload - Value returned in `release` when a held item is flagged
+     * @returns {{issues: string[], release: Array<{payload: *, issues: string[]}>}}
+     *   Issues for this item, and held items that are now flagged as duplicates
+     */
+    check(alt, { filename, title, matched = false, payload }) {
+      const issues = assessAltQuality(alt, { filename, title, maxLength })
+      const key = normalizeForCompare(alt)
+      if (!key) return { issues, release: [] }
+
+      const entry = seen.get(key) || { count: 0, held: [] }
+      entry.count++
+      seen.set(key, entry)
+
+      const duplicateIssue = `Duplicated across ${entry.count}+ items`
+      let release = []
+
+      if (entry.count >= duplicateThreshold) {
+        issues.push(duplicateIssue)
+        release = entry.held.map((held) => ({ payload: held, issues: [duplicateIssue] }))
+        entry.held = []
+      } else if (issues.length === 0 && !matched) {
+        entry.held.push(payload)
+      }
+
+      return { issues, release }
+    },
+  }
+}
@@ -0,0 +1,454 @@
+/**
+ * @fileoverview Prompts and response parsing shared by all vision providers.
+ * @module main/utils/vision-prompts
+ */
+
+/** @type {string} System prompt for alt text generation */
+export const ALT_TEXT_SYSTEM_PROMPT = `You are an accessibility expert generating alt text for web images.
+
+RULES:
+- Output ONLY valid JSON: {"alt_text":"..."}
+- Maximum length will be specified in the user message
+- Describe the visual content concisely for screen reader users
+- Focus on: subject, action, context, important details
+- Do NOT start with "Image of", "Picture of", "Photo of", "A photo", "An image"
+- Do NOT guess or transcribe text unless it is clearly legible
+- Do NOT include file names, SEO keywords, or hashtags
+- Do NOT mention AI, Copilot, or that this was auto-generated
+- If the image is purely decorative or cannot be described, return {"alt_text":""}
+
+EXAMPLES:
+- Person photo: {"alt_text":"Smiling woman in business attire presenting at a conference podium"}
+- Product: {"alt_text":"Red leather handbag with gold clasp on white background"}
+- Landscape: {"alt_text":"Sunset over Norwegian fjord with snow-capped mountains"}
+- Abstract/decorative: {"alt_text":""}
+- Chart: {"alt_text":"Bar chart showing quarterly sales growth from Q1 to Q4 2025"}`
+
+/** @type {string} Output format appended to custom alt text templates */
+export const ALT_TEXT_OUTPUT_FORMAT = `OUTPUT FORMAT:
+Output ONLY valid JSON: {"alt_text":"..."}. Return {"alt_text":""} for purely decorative images.`
+
+/** @type {string} Output format shared by the built-in and custom folder prompts */
+export const FOLDER_OUTPUT_FORMAT = `OUTPUT FORMAT:
+You must respond with ONLY a valid JSON object:
+{
+  "visual_description": "Brief description of what the image shows",
+  "action": "existing|new|skip",
+  "folder_id": 123,
+  "folder_path": "Category/Subcategory",
+  "new_folder_path": "Category/NewSubcategory",
+  "confidence": 0.95,
+  "reason": "Brief explanation of the decision"
+}
+
+FIELD DEFINITIONS:
+- visual_description: What you see in the image (2-3 sentences max)
+- action: "existing" to use existing folder, "new" to create new folder, "skip" if uncategorizable
+- folder_id: ID of existing folder (only when action="existing")
+- folder_path: Full path of existing folder (only when action="existing")
+- new_folder_path: Full path for new folder (only when action="new")
+- confidence: 0.0 to 1.0 confidence score
+- reason: Brief explanation of why this folder was chosen`
+
+/**
+ * @typedef {Object} StyleGuide
+ * @property {string} [tone] - Desired tone, e.g. "Warm and plain-spoken"
+ * @property {string[]} [bannedWords] - Words and phrases the alt text must not contain
+ * @property {string} [terminology] - Preferred terminology, one rule per line
+ */
+
+/**
+ * @typedef {Object} SitePrompts
+ * @property {string} altText - Custom alt text system prompt template (empty = built-in)
+ * @property {string} folder - Custom folder system prompt template (empty = built-in)
+ * @property {StyleGuide} styleGuide - Brand style guide injected into both prompts
+ */
+
+/** @type {string[]} Variables available in prompt templates as {{name}} */
+export const PROMPT_VARIABLES = [
+  'maxLength',
+  'language',
+  'siteName',
+  'title',
+  'filename',
+  'caption',
+  'postTitle',
+]
+
+/**
+ * Replaces {{variable}} placeholders in a template. Unknown variables are
+ * left in place so they show up in the preview.
+ * @param {string} template - Template text
+ * @param {Object<string, string|number>} variables - Variable values
+ * @returns {string}
+ */
+export function renderPromptTemplate(template, variables = {}) {
+  return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+    Object.hasOwn(variables, name) ? String(variables[name] ?? '') : match
+  )
+}
+
+/**
+ * Collects the template variables for an item.
+ * @param {Object} item - Media item
+ * @param {Object} context - Site context
+ * @param {number} context.maxLength - Maximum alt text length
+ * @param {string} [context.languageName] - Site language name
+ * @param {string} [context.siteName] - Site name
+ * @param {import('./post-context.js').PostContext[]} [context.posts] - Posts the image is used in
+ * @returns {Object<string, string|number>}
+ */
+export function buildPromptVariables(item = {}, { maxLength, languageName, siteName, posts } = {}) {
+  return {
+    maxLength,
+    language: languageName || 'English',
+    siteName: siteName || '',
+    title: item.title || '',
+    filename: item.filename || '',
+    caption: item.caption || '',
+    postTitle: posts?.[0]?.title || item.postTitle || '',
+  }
+}
+
+/**
+ * Build the style guide section of a system prompt
+ * @param {StyleGuide} [styleGuide] - Site style guide
+ * @returns {string} Prompt addition, or empty string when the guide is empty
+ */
+export function buildStyleGuideInstruction(styleGuide = {}) {
+  const lines = []
+  if (styleGuide.tone?.trim()) {
+    lines.push(`- Tone: ${styleGuide.tone.trim()}`)
+  }
+  const banned = (styleGuide.bannedWords || []).filter((w) => w.trim())
+  if (banned.length > 0) {
+    lines.push(`- Never use these words or phrases: ${banned.map((w) => `"${w.trim()}"`).join(', ')}`)
+  }
+  const terminology = (styleGuide.terminology || '').split('\n').filter((l) => l.trim())
+  if (terminology.length > 0) {
+    lines.push('- Preferred terminology:')
+    for (const rule of terminology) lines.push(`  - ${rule.trim()}`)
+  }
+
+  return lines.length > 0 ? `\n\nSTYLE GUIDE:\n${lines.join('\n')}` : ''
+}
+
+/**
+ * Build the instruction to write alt text in the site or translation language
+ * @param {string} [language] - Language name, e.g. "Norwegian (Bokmål)"
+ * @returns {string} Prompt addition, or empty string for English
+ */
+export function buildLanguageInstruction(language) {
+  if (!language || language === 'English') return ''
+  return `\n\nLANGUAGE:\n- Write the alt text in ${language}, even though these instructions are in English.`
+}
+
+/**
+ * Build the alt text system prompt from the site's template and style guide
+ * @param {Object} params - Prompt parameters
+ * @param {string} [params.template] - Custom template (empty = built-in prompt)
+ * @param {StyleGuide} [params.styleGuide] - Site style guide
+ * @param {Object<string, string|number>} [params.variables] - Template variables
+ * @returns {string}
+ */
+export function buildAltTextSystemPrompt({ template, styleGuide, variables } = {}) {
+  const base = template?.trim()
+    ? `${renderPromptTemplate(template.trim(), variables)}\n\n${ALT_TEXT_OUTPUT_FORMAT}`
+    : ALT_TEXT_SYSTEM_PROMPT
+  return base + buildLanguageInstruction(variables?.language) + buildStyleGuideInstruction(styleGuide)
+}
+
+/**
+ * Build the folder system prompt from the site's template and style guide.
+ * Custom templates always get the folder output format appended.
+ * @param {Object} params - Prompt parameters
+ * @param {string} [params.template] - Custom template (empty = built-in prompt)
+ * @param {StyleGuide} [params.styleGuide] - Site style guide
+ * @param {Object<string, string|number>} [params.variables] - Template variables
+ * @returns {string}
+ */
+export function buildFolderSystemPrompt({ template, styleGuide, variables = {} } = {}) {
+  const base = template?.trim()
+    ? `${renderPromptTemplate(template.trim(), variables)}\n\n${FOLDER_OUTPUT_FORMAT}`
+    : getFolderSystemPrompt(variables.language || 'English')
+  return base + buildStyleGuideInstruction(styleGuide)
+}
+
+/**
+ * Gets a site's prompt templates and style guide, with empty defaults.
+ * @param {Object} settings - Application settings
+ * @param {string} [siteId] - Site identifier
+ * @returns {SitePrompts}
+ */
+export function getSitePrompts(settings, siteId) {
+  const stored = settings.sitePrompts?.[siteId] || {}
+  return {
+    altText: stored.altText || '',
+    folder: stored.folder || '',
+    styleGuide: { tone: '', bannedWords: [], terminology: '', ...stored.styleGuide },
+  }
+}
+
+/** @type {string} Asks for the self-assessment used to decide which results need human review */
+export const ASSESSMENT_INSTRUCTION = `
+
+ALSO INCLUDE in the same JSON object:
+- "confidence": 0.0 to 1.0, how sure you are the alt text is accurate and complete
+- "contains_text": true if the image contains text that matters for understanding it
+- "contains_people": true if people are recognizably shown
+- "sensitive": true if the image may be sensitive (medical, violence, minors, private documents)
+- "decorative": true if the image is purely decorative and adds no information (then "alt_text" is "")
+`
+
+/** @type {Array<{id: string, label: string, instruction: string}>} Alternative alt text styles, in the order they are offered */
+export const CANDIDATE_STYLES = [
+  {
+    id: 'concise',
+    label: 'Concise',
+    instruction: 'The shortest description that still identifies the subject',
+  },
+  {
+    id: 'detailed',
+    label: 'Detailed',
+    instruction: 'Uses the available length for setting, action and important details',
+  },
+  {
+    id: 'neutral',
+    label: 'SEO-neutral',
+    instruction: 'Plain, factual wording with no marketing or keyword phrasing',
+  },
+]
+
+/**
+ * Gets the candidate styles for a candidate count.
+ * @param {number} count - Number of candidates (1 = a single suggestion)
+ * @returns {Array<{id: string, label: string, instruction: string}>} Styles, empty for a single suggestion
+ */
+export function getCandidateStyles(count) {
+  if (!count || count < 2) return []
+  return CANDIDATE_STYLES.slice(0, count)
+}
+
+/**
+ * Build the instruction asking for alternative alt text candidates
+ * @param {Array<{id: string, instruction: string}>} [styles] - Candidate styles
+ * @returns {string} Prompt addition, or empty string when no candidates are requested
+ */
+export function buildCandidatesInstruction(styles = []) {
+  if (styles.length === 0) return ''
+
+  let prompt = `\n\nALSO INCLUDE ${styles.length} ALTERNATIVES in the same JSON object as "candidates": [{"style":"...","alt_text":"..."}], one per style:\n`
+  for (const style of styles) {
+    prompt += `- "${style.id}": ${style.instruction}\n`
+  }
+  prompt += 'Set "alt_text" to the alternative you consider best.\n'
+  return prompt
+}
+
+/**
+ * Build the user prompt for alt text generation
+ * @param {number} maxLength - Maximum alt text length
+ * @param {Object<string, {prompt: string, maxLength: number}>} [fields] - Extra fields to request
+ * @param {Object} [metadata] - Image metadata and post context (see buildMetadataSection)
+ * @param {Array<{id: string, instruction: string}>} [candidates] - Candidate styles (see getCandidateStyles)
+ * @returns {string}
+ */
+export function buildAltTextUserPrompt(maxLength, fields, metadata, candidates) {
+  return (
+    buildMetadataSection(metadata) +
+    `Generate alt text for this image. Maximum length: ${maxLength} characters.` +
+    ASSESSMENT_INSTRUCTION +
+    buildCandidatesInstruction(candidates) +
+    buildFieldsInstruction(fields)
+  )
+}
+
+/**
+ * Build the follow-up prompt asking the model to fix invalid alt text
+ * @param {string[]} issues - Validation issues of the previous answer
+ * @param {number} maxLength - Maximum alt text length
+ * @returns {string}
+ */
+export function buildRepairPrompt(issues, maxLength) {
+  return (
+    'Your alt text has these problems:\n' +
+    issues.map((issue) => `- ${issue}`).join('\n') +
+    `\n\nRewrite it to fix them. Maximum length: ${maxLength} characters.\n` +
+    'Output ONLY valid JSON: {"alt_text":"..."}'
+  )
+}
+
+/**
+ * Generate the folder organization system prompt with language support
+ * Based on vmfa-ai-organizer AbstractProvider.php patterns
+ */
+export function getFolderSystemPrompt(languageName = 'English') {
+  return `You are an image analysis and categorization expert with vision capabilities.
+You will analyze images and their metadata to suggest the best organization folder.
+
+LANGUAGE REQUIREMENT:
+- Respond in ${languageName}. All text including folder names and explanations must be in ${languageName}.
+
+ANALYSIS APPROACH:
+1. Examine the image content carefully
+2. Review any provided metadata (filename, title, existing description)
+3. Consider the available folder structure
+4. Make a categorization decision
+
+FOLDER CONSISTENCY RULES:
+1. AVOID SYNONYMS: Check if a semantically equivalent folder exists
+   - Don't suggest "Photographs" if "Photos" exists
+   - Don't suggest "Images" if "Pictures" exists
+   - Don't suggest "Portraits" if "People" exists
+2. CHECK FOR SUBSETS: Determine if image fits existing subcategory
+   - Use "Nature/Mountains" rather than creating just "Mountains"
+   - Use "People/Team" rather than creating separate "Team Photos"
+3. PREVENT DUPLICATES: Never suggest a folder that already exists
+
+STANDARD CATEGORY EXAMPLES (adapt to ${languageName}):
+- Products, Services, Portfolio
+- People, Team, Profiles  
+- Events, News, Blog
+- Locations, Office, Facilities
+- Marketing, Branding, Logos
+- Screenshots, Technical, Documentation
+- Backgrounds, Decorative, Icons
+
+${FOLDER_OUTPUT_FORMAT}`
+}
+
+/**
+ * Build the image metadata and post context sections of a user prompt
+ * @param {Object} metadata - Image metadata
+ * @param {string} [metadata.filename] - Filename
+ * @param {string} [metadata.title] - Media title
+ * @param {string} [metadata.alt] - Current alt text
+ * @param {string} [metadata.caption] - Media caption
+ * @param {import('./post-context.js').PostContext[]} [metadata.posts] - Posts the image is used in
+ * @returns {string} Prompt sections, each followed by a blank line (empty if no metadata)
+ */
+export function buildMetadataSection(metadata = {}) {
+  let prompt = ''
+
+  if (metadata.filename || metadata.title || metadata.alt || metadata.caption) {
+    prompt += 'IMAGE METADATA:\n'
+    if (metadata.filename) prompt += `- Filename: ${metadata.filename}\n`
+    if (metadata.title) prompt += `- Title: ${metadata.title}\n`
+    if (metadata.alt) prompt += `- Alt text: ${metadata.alt}\n`
+    if (metadata.caption) prompt += `- Caption: ${metadata.caption}\n`
+    prompt += '\n'
+  }
+
+  if (metadata.posts?.length > 0) {
+    prompt += 'POST CONTEXT (where the image is used):\n'
+    for (const post of metadata.posts) {
+      prompt += `- ${post.parent ? 'Attached to' : 'Used in'}: "${post.title}"\n`
+      if (post.excerpt) prompt += `  Excerpt: ${post.excerpt}\n`
+      if (post.caption) prompt += `  Image caption in post: ${post.caption}\n`
+      if (post.paragraph) prompt += `  Text near the image: ${post.paragraph}\n`
+    }
+    prompt +=
+      'Use the context to name people, places and products correctly, but describe only what is visible in the image.\n\n'
+  }
+
+  return prompt
+}
+
+/**
+ * Build the user prompt with metadata and available folders
+ * Based on vmfa-ai-organizer AbstractProvider.php patterns
+ */
+export function buildFolderUserPrompt(metadata, existingFolders, sessionSuggested) {
+  let prompt = 'Analyze this image and suggest the appropriate folder.\n\n'
+
+  prompt += buildMetadataSection(metadata)
+
+  // Add available folders
+  if (existingFolders.length > 0) {
+    prompt += 'AVAILABLE FOLDERS:\n'
+    existingFolders.forEach((folder) => {
+      prompt += `- ID ${folder.id}: ${folder.path}\n`
+    })
+    prompt += '\n'
+  } else {
+    prompt += 'AVAILABLE FOLDERS: None yet (you may suggest a new folder)\n\n'
+  }
+
+  // Add session-suggested folders to prevent duplicates
+  if (sessionSuggested.size > 0) {
+    prompt += 'FOLDERS SUGGESTED THIS SESSION (already being created, do not duplicate):\n'
+    sessionSuggested.forEach((path) => {
+      prompt += `- ${path}\n`
+    })
+    prompt += '\n'
+  }
+
+  prompt += 'Please analyze the image and provide your folder recommendation in JSON format.'
+
+  return prompt
+}
+
+/**
+ * Build the instruction asking for extra media fields in the same JSON object
+ * @param {Object<string, {prompt: string, maxLength: number}>} fields - Requested fields
+ * @returns {string} Prompt addition, or empty string when no fields are requested
+ */
+export function buildFieldsInstruction(fields = {}) {
+  const entries = Object.entries(fields)
+  if (entries.length === 0) return ''
+
+  let prompt = '\n\nALSO INCLUDE THESE FIELDS in the same JSON object:\n'
+  for (const [field, { prompt: instruction, maxLength }] of entries) {
+    prompt += `- "${field}": ${instruction} (maximum ${maxLength} characters)\n`
+  }
+  return prompt
+}
+
+/**
+ * Parse the JSON object from a model response, tolerating markdown code
+ * fences, surrounding prose and truncated closing braces
+ * @param {string} text - Raw model response
+ * @returns {Object} Parsed JSON object
+ * @throws {Error} If no valid JSON object can be recovered
+ */
+export function parseJsonResponse(text) {
+  // Try to extract JSON from the response
+  let jsonStr = text
+  
+  // Remove markdown code blocks if present
+  const codeBlockMatch = text.match(/```(?:json)?\s*([\s\S]*?)```/)
+  if (codeBlockMatch) {
+    jsonStr = codeBlockMatch[1].trim()
+  } else {
+    // Try to find JSON object in text
+    const match = text.match(/\{[\s\S]*\}/)
+    if (match) {
+      jsonStr = match[0]
+    }
+  }
+
+  if (!jsonStr || !jsonStr.includes('{')) {
+    throw new Error('No JSON found in model response')
+  }
+
+  try {
+    return JSON.parse(jsonStr)
+  } catch (err) {
+    // Try to recover from truncated JSON by adding closing braces
+    let recovered = jsonStr
+    const openBraces = (recovered.match(/\{/g) || []).length
+    const closeBraces = (recovered.match(/\}/g) || []).length
+    
+    if (openBraces > closeBraces) {
+      // Add missing closing braces
+      recovered += '}'.repeat(openBraces - closeBraces)
+      try {
+        return JSON.parse(recovered)
+      } catch {
+        // Recovery failed
+      }
+    }
+    
+    throw new Error(`Invalid JSON in model response: ${err.message}`)
+  }
+}
@@ -48,6 +48,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
     /** @param {Object} options - Scan options */
     start: (options) => ipcRenderer.invoke('scan:start', options),
     cancel: () => ipcRenderer.invoke('scan:cancel'),
+    /** @param {string} siteId - Site ID, @returns {Promise<Array<{id: number, name: string}>>} */
+    authors: (siteId) => ipcRenderer.invoke('scan:authors', { siteId }),
+    /** @param {string} siteId - Site whose local media index to delete */
+    clearIndex: (siteId) => ipcRenderer.invoke('scan:clearIndex', { siteId }),
+    /** @param {{siteId: string, issuesOnly?: boolean, limit?: number}} options - Inline usage scan options */
+    inlineUsages: (options) => ipcRenderer.invoke('scan:inlineUsages', options),
     /** @param {Function} callback - Item callback, @returns {Function} Unsubscribe */
     onItem: (callback) => {
       const handler = (_event, data) => callback(data)
@@ -67,16 +73,32 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * @namespace electronAPI.job
    */
   job: {
-    /** @param {Object} options - Job options */
+    /** @param {Object} options - type, siteId, items, options, priority, @returns {Promise<{jobId, options, status, position?}>} 'pending' jobs wait for the worker budget */
     start: (options) => ipcRenderer.invoke('job:start', options),
+    /** @returns {Promise<Array>} Running jobs, then waiting jobs in start order, across sites */
+    queue: () => ipcRenderer.invoke('job:queue'),
+    /** @param {string} jobId - Waiting job ID, @param {number} priority - Higher runs first */
+    prioritize: (jobId, priority) => ipcRenderer.invoke('job:prioritize', { jobId, priority }),
     /** @param {string} jobId - Job ID */
     pause: (jobId) => ipcRenderer.invoke('job:pause', jobId),
     /** @param {string} jobId - Job ID */
     resume: (jobId) => ipcRenderer.invoke('job:resume', jobId),
     /** @param {string} jobId - Job ID */
     cancel: (jobId) => ipcRenderer.invoke('job:cancel', jobId),
+    /** @param {string} jobId - Job ID, @param {number|string} itemId - Pending or running item to skip */
+    skipItem: (jobId, itemId) => ipcRenderer.invoke('job:skipItem', { jobId, itemId }),
+    /** @param {string} jobId - Job ID, @returns {Promise<{retried, status, position?}>} Failed items queued again */
+    retryFailed: (jobId) => ipcRenderer.invoke('job:retryFailed', jobId),
+    /** @param {string} jobId - Job ID, @param {number|string} itemId - Finished item, @param {string} [model] - Other model (generate jobs), @returns {Promise<{retried, status, position?}>} */
+    retryItem: (jobId, itemId, model) => ipcRenderer.invoke('job:retryItem', { jobId, itemId, model }),
+    /** @param {string} jobId - Running job ID, @param {Object} options - concurrency, maxRetries, timeout, model, modelConcurrency, writeConcurrency, @returns {Promise<{options: Object}>} Tuning now in effect */
+    configure: (jobId, options) => ipcRenderer.invoke('job:configure', { jobId, options }),
     /** @param {string} jobId - Job ID */
     get: (jobId) => ipcRenderer.invoke('job:get', jobId),
+    /** @param {string} siteId - Site ID, @returns {Promise<Array>} Stored jobs, newest first */
+    list: (siteId) => ipcRenderer.invoke('job:list', { siteId }),
+    /** @param {string} jobId - Apply job to revert, @returns {Promise<{jobId: string}>} Revert job */
+    revert: (jobId) => ipcRenderer.invoke('job:revert', jobId),
     /** @param {Object} options - Export options */
     export: (options) => ipcRenderer.invoke('job:export', options),
     /** @param {Function} callback - Progress callback, @returns {Function} Unsubscribe */
@@ -85,6 +107,23 @@ contextBridge.exposeInMainWorld('electronAPI', {
       ipcRenderer.on('job:progress', handler)
       return () => ipcRenderer.removeListener('job:progress', handler)
     },
+    /** @param {Function} callback - Called when auto-approved results start applying, @returns {Function} Unsubscribe */
+    onAutoApplied: (callback) => {
+      const handler = (_event, data) => callback(data)
+      ipcRenderer.on('job:autoApplied', handler)
+      return () => ipcRenderer.removeListener('job:autoApplied', handler)
+    },
+  },
+
+  /**
+   * Scheduled run APIs (schedules are saved with the settings)
+   * @namespace electronAPI.schedule
+   */
+  schedule: {
+    /** @returns {Promise<Array>} Schedules with nextRunAt, lastRun and running */
+    list: () => ipcRenderer.invoke('schedule:list'),
+    /** @param {string} scheduleId - Schedule ID, @returns {Promise<{at, jobId?, total?, error?}>} Run outcome */
+    runNow: (scheduleId) => ipcRenderer.invoke('schedule:runNow', scheduleId),
   },
 
   /**
@@ -141,4 +180,28 @@ contextBridge.exposeInMainWorld('electronAPI', {
     /** @param {Object} [options] - Filter options */
     listModels: (options) => ipcRenderer.invoke('copilot:listModels', options),
   },
+
+  /**
+   * Vision provider APIs
+   * @namespace electronAPI.provider
+   */
+  provider: {
+    list: () => ipcRenderer.invoke('provider:list'),
+    /** @param {{provider: string, openai?: Object}} params - Provider to check */
+    status: (params) => ipcRenderer.invoke('provider:status', params),
+    /** @param {{provider: string, openai?: Object, visionOnly?: boolean}} params - Provider and filter */
+    listModels: (params) => ipcRenderer.invoke('provider:listModels', params),
+    /** @param {{siteId: string, prompts?: Object, item?: Object, withFolders?: boolean}} params - Preview parameters */
+    previewPrompt: (params) => ipcRenderer.invoke('provider:previewPrompt', params),
+  },
+
+  /**
+   * Image cache APIs
+   * @namespace electronAPI.cache
+   */
+  cache: {
+    stats: () => ipcRenderer.invoke('cache:stats'),
+    /** @param {string} [siteId] - Only clear this site's images */
+    clear: (siteId) => ipcRenderer.invoke('cache:clear', { siteId }),
+  },
 })
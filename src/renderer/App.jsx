@@ -3,12 +3,17 @@ import { useAppStore } from './stores/appStore'
 import ConnectTab from './components/ConnectTab'
 import MediaTab from './components/MediaTab'
 import FoldersTab from './components/FoldersTab'
+import HistoryTab from './components/HistoryTab'
 import SettingsTab from './components/SettingsTab'
 
+/** Tabs that need an active site connection */
+const SITE_TABS = ['media', 'folders', 'history']
+
 const TABS = [
   { id: 'sites', label: 'Sites', icon: '🔗' },
   { id: 'media', label: 'Alt Text', icon: '📷' },
   { id: 'folders', label: 'Folders', icon: '📁' },
+  { id: 'history', label: 'History', icon: '🗂️' },
   { id: 'settings', label: 'Settings', icon: '⚙️' },
 ]
 
@@ -24,6 +29,8 @@ export default function App() {
         return <MediaTab />
       case 'folders':
         return <FoldersTab />
+      case 'history':
+        return <HistoryTab onOpenJob={() => setActiveTab('media')} />
       case 'settings':
         return <SettingsTab />
       default:
@@ -43,10 +50,10 @@ export default function App() {
             <li key={tab.id}>
               <button
                 className={`nav-item ${activeTab === tab.id ? 'active' : ''} ${
-                  (tab.id === 'media' || tab.id === 'folders') && !isConnected ? 'disabled' : ''
+                  SITE_TABS.includes(tab.id) && !isConnected ? 'disabled' : ''
                 }`}
                 onClick={() => setActiveTab(tab.id)}
-                disabled={(tab.id === 'media' || tab.id === 'folders') && !isConnected}
+                disabled={SITE_TABS.includes(tab.id) && !isConnected}
               >
                 <span className="nav-icon">{tab.icon}</span>
                 <span className="nav-label">{tab.label}</span>
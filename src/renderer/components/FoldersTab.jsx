@@ -158,7 +158,7 @@ export default function FoldersTab() {
     )
     
     try {
-      const { jobId } = await api.job.start({
+      const { jobId, status } = await api.job.start({
         type: 'generate',
         siteId: activeSiteId,
         items: itemsToProcess,
@@ -167,7 +167,7 @@ export default function FoldersTab() {
           existingFolders: flatFolders,
         },
       })
-      setCurrentJob({ jobId, status: 'running', total: itemsToProcess.length })
+      setCurrentJob({ jobId, status, total: itemsToProcess.length })
     } catch (err) {
       setError(err.message || 'Failed to start folder suggestion')
     }
@@ -681,6 +681,7 @@ export default function FoldersTab() {
                 <div className="flex justify-between items-center mb-2">
                   <span>
                     {currentJob.status === 'running' ? '⏳ Analyzing images...' : 
+                     currentJob.status === 'pending' ? '🕒 Queued' :
                      currentJob.status === 'completed' ? '✅ Completed' :
                      currentJob.status}
                   </span>
@@ -0,0 +1,210 @@
+import { useState, useEffect } from 'react'
+import { useElectronAPI } from '../hooks/useElectronAPI'
+import { useAppStore } from '../stores/appStore'
+import { useJobExport } from '../hooks/useJobExport'
+import JobQueuePanel from './JobQueuePanel'
+
+const STATUS_LABELS = {
+  pending: '⏳ Pending',
+  running: '⏳ Running',
+  paused: '⏸️ Paused',
+  completed: '✅ Completed',
+  completed_with_errors: '⚠️ Completed with errors',
+  cancelled: '✖️ Cancelled',
+}
+
+const TYPE_LABELS = {
+  generate: '🤖 Generate',
+  apply: '✅ Apply',
+  revert: '↩️ Revert',
+  'apply-inline': '✏️ Inline alt',
+}
+
+export default function HistoryTab({ onOpenJob }) {
+  const api = useElectronAPI()
+  const activeSiteId = useAppStore((state) => state.activeSiteId)
+  const openJob = useAppStore((state) => state.openJob)
+  const exportJob = useJobExport()
+
+  const [jobs, setJobs] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    if (activeSiteId) {
+      loadJobs()
+    }
+  }, [activeSiteId])
+
+  const loadJobs = async () => {
+    setLoading(true)
+    setError('')
+    try {
+      setJobs(await api.job.list(activeSiteId))
+    } catch (err) {
+      setError(err.message || 'Failed to load job history')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleOpen = async (jobId) => {
+    setError('')
+    try {
+      const job = await api.job.get(jobId)
+      if (!job) throw new Error('Job not found')
+
+      openJob(job)
+      onOpenJob?.()
+    } catch (err) {
+      setError(err.message || 'Failed to open job')
+    }
+  }
+
+  const handleResume = async (jobId) => {
+    setError('')
+    try {
+      await api.job.resume(jobId)
+      const job = await api.job.get(jobId)
+      openJob(job, { status: 'running' })
+      onOpenJob?.()
+    } catch (err) {
+      setError(err.message || 'Failed to resume job')
+    }
+  }
+
+  const handleRevert = async (jobId) => {
+    if (!window.confirm('Write the previous alt text back to WordPress for every item in this job?')) {
+      return
+    }
+    setError('')
+    try {
+      const { jobId: revertJobId } = await api.job.revert(jobId)
+      const job = await api.job.get(revertJobId)
+      openJob(job, { status: 'running' })
+      onOpenJob?.()
+    } catch (err) {
+      setError(err.message || 'Failed to revert job')
+    }
+  }
+
+  const handleExport = async (jobId, format) => {
+    setError('')
+    try {
+      await exportJob(jobId, format)
+    } catch (err) {
+      setError(err.message || 'Export failed')
+    }
+  }
+
+  if (!activeSiteId) {
+    return (
+      <div className="empty-state">
+        <div className="empty-state-icon">🔗</div>
+        <p>Please connect to a WordPress site first</p>
+      </div>
+    )
+  }
+
+  return (
+    <div>
+      <h1 className="page-title">Job History</h1>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <JobQueuePanel />
+
+      <div className="card">
+        <div className="flex justify-between items-center mb-4">
+          <span>
+            <strong>{jobs.length}</strong> jobs
+          </span>
+          <button className="btn btn-secondary" onClick={loadJobs} disabled={loading}>
+            {loading ? 'Loading...' : '🔄 Refresh'}
+          </button>
+        </div>
+
+        {!loading && jobs.length === 0 && (
+          <div className="empty-state">
+            <div className="empty-state-icon">🗂️</div>
+            <p>No jobs have been run for this site yet</p>
+          </div>
+        )}
+
+        <ul style={{ listStyle: 'none' }}>
+          {jobs.map((job) => (
+            <li
+              key={job.id}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'space-between',
+                gap: '16px',
+                padding: '12px 16px',
+                background: 'var(--bg-card)',
+                borderRadius: 'var(--radius)',
+                marginBottom: '8px',
+              }}
+            >
+              <div style={{ flex: 1, minWidth: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                  <strong>{TYPE_LABELS[job.type] || job.type}</strong>
+                  <span>
+                    {job.interrupted ? '⚡ Interrupted' : STATUS_LABELS[job.status] || job.status}
+                  </span>
+                </div>
+                <div style={{ fontSize: '12px', opacity: 0.7 }}>
+                  {new Date(job.createdAt || job.startedAt).toLocaleString()}
+                  {' · '}
+                  {job.completed} / {job.total}
+                  {job.failed > 0 && ` (${job.failed} failed)`}
+                </div>
+              </div>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexShrink: 0 }}>
+                {job.interrupted && (
+                  <button
+                    className="btn btn-primary"
+                    style={{ padding: '6px 12px', fontSize: '13px' }}
+                    onClick={() => handleResume(job.id)}
+                  >
+                    ▶️ Resume
+                  </button>
+                )}
+                <button
+                  className={`btn ${job.interrupted ? 'btn-secondary' : 'btn-primary'}`}
+                  style={{ padding: '6px 12px', fontSize: '13px' }}
+                  onClick={() => handleOpen(job.id)}
+                >
+                  Open
+                </button>
+                {['apply', 'revert', 'apply-inline'].includes(job.type) && job.completed > 0 && !job.interrupted && (
+                  <button
+                    className="btn btn-secondary"
+                    style={{ padding: '6px 12px', fontSize: '13px' }}
+                    onClick={() => handleRevert(job.id)}
+                  >
+                    ↩️ Revert
+                  </button>
+                )}
+                <button
+                  className="btn btn-secondary"
+                  style={{ padding: '6px 12px', fontSize: '13px' }}
+                  onClick={() => handleExport(job.id, 'csv')}
+                >
+                  📥 CSV
+                </button>
+                <button
+                  className="btn btn-secondary"
+                  style={{ padding: '6px 12px', fontSize: '13px' }}
+                  onClick={() => handleExport(job.id, 'json')}
+                >
+                  📥 JSON
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,131 @@
+import { useState, useEffect } from 'react'
+import { useElectronAPI } from '../hooks/useElectronAPI'
+import { useAppStore } from '../stores/appStore'
+
+const TYPE_LABELS = {
+  generate: '🤖 Generate',
+  apply: '✅ Apply',
+  revert: '↩️ Revert',
+  'apply-inline': '✏️ Inline alt',
+}
+
+const buttonStyle = { padding: '6px 12px', fontSize: '13px' }
+
+/**
+ * Running and waiting jobs of all sites, with controls to reorder or
+ * cancel waiting jobs. Renders nothing while the queue is empty.
+ */
+export default function JobQueuePanel() {
+  const api = useElectronAPI()
+  const sites = useAppStore((state) => state.sites)
+  const [entries, setEntries] = useState([])
+  const [error, setError] = useState('')
+
+  const loadQueue = () =>
+    api.job
+      .queue()
+      .then(setEntries)
+      .catch((err) => console.error('Failed to load job queue:', err))
+
+  useEffect(() => {
+    loadQueue()
+    // Jobs start and finish with progress events
+    return api.job.onProgress(() => loadQueue())
+  }, [api])
+
+  const handlePrioritize = async (jobId, priority) => {
+    setError('')
+    try {
+      await api.job.prioritize(jobId, priority)
+    } catch (err) {
+      setError(err.message || 'Failed to change priority')
+    }
+    loadQueue()
+  }
+
+  const handleCancel = async (jobId) => {
+    setError('')
+    try {
+      await api.job.cancel(jobId)
+    } catch (err) {
+      setError(err.message || 'Failed to cancel job')
+    }
+    loadQueue()
+  }
+
+  if (entries.length === 0) return null
+
+  const siteName = (siteId) => {
+    const site = sites.find((s) => s.id === siteId)
+    return site?.name || site?.url || siteId
+  }
+
+  return (
+    <div className="card">
+      <h2 className="card-title">Queue</h2>
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <ul style={{ listStyle: 'none' }}>
+        {entries.map((entry) => (
+          <li
+            key={entry.jobId}
+            style={{
+              display: 'flex',
+              alignItems: 'center',
+              justifyContent: 'space-between',
+              gap: '16px',
+              padding: '12px 16px',
+              background: 'var(--bg-card)',
+              borderRadius: 'var(--radius)',
+              marginBottom: '8px',
+            }}
+          >
+            <div style={{ flex: 1, minWidth: 0 }}>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <strong>{TYPE_LABELS[entry.type] || entry.type}</strong>
+                <span>{siteName(entry.siteId)}</span>
+                {entry.scheduleId && <span title="Started by a schedule">🕒</span>}
+              </div>
+              <div style={{ fontSize: '12px', opacity: 0.7 }}>
+                {entry.state === 'running'
+                  ? `${entry.status === 'paused' ? '⏸️ Paused' : '⏳ Running'} · ${entry.workers} workers`
+                  : `Waiting #${entry.position}`}
+                {' · '}
+                priority {entry.priority}
+                {' · '}
+                {entry.completed} / {entry.total}
+                {entry.failed > 0 && ` (${entry.failed} failed)`}
+              </div>
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexShrink: 0 }}>
+              {entry.state === 'waiting' && (
+                <>
+                  <button
+                    className="btn btn-secondary"
+                    style={buttonStyle}
+                    title="Raise priority"
+                    onClick={() => handlePrioritize(entry.jobId, entry.priority + 1)}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    style={buttonStyle}
+                    title="Lower priority"
+                    onClick={() => handlePrioritize(entry.jobId, entry.priority - 1)}
+                  >
+                    ↓
+                  </button>
+                </>
+              )}
+              <button className="btn btn-secondary" style={buttonStyle} onClick={() => handleCancel(entry.jobId)}>
+                Cancel
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
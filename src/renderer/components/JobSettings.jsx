@@ -0,0 +1,93 @@
+import { useState, useEffect } from 'react'
+import { useElectronAPI } from '../hooks/useElectronAPI'
+
+const NUMERIC_OPTIONS = [
+  { key: 'concurrency', label: 'Parallel items', min: 1, max: 10 },
+  { key: 'maxRetries', label: 'Attempts per item', min: 1, max: 10 },
+  { key: 'timeout', label: 'Timeout per item (s, 0 = none)', min: 0, max: 3600 },
+  { key: 'modelConcurrency', label: 'Parallel model calls', min: 1, max: 10 },
+  { key: 'writeConcurrency', label: 'Parallel WordPress writes', min: 1, max: 10 },
+]
+
+/**
+ * Builds the job:configure options from the form state, keeping only
+ * the values that differ from the job's current tuning.
+ * @param {Object} draft - Form state
+ * @param {Object} current - Tuning the job runs with
+ * @returns {Object} Changed options
+ */
+function toChanges(draft, current) {
+  const changes = {}
+  for (const { key } of NUMERIC_OPTIONS) {
+    const value = parseInt(draft[key])
+    if (value !== current[key]) changes[key] = value
+  }
+  if ((draft.model || '') !== (current.model || '')) changes.model = draft.model || ''
+  return changes
+}
+
+/**
+ * Editor for the tuning of a running job (concurrency, retries, timeout,
+ * model and the separate model and WordPress write limits).
+ */
+export default function JobSettings({ jobId, value, onChange }) {
+  const api = useElectronAPI()
+  const [draft, setDraft] = useState(value)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    setDraft(value)
+  }, [value])
+
+  const changes = toChanges(draft, value)
+  const changed = Object.keys(changes).length > 0
+
+  const handleApply = async () => {
+    setSaving(true)
+    setError('')
+    try {
+      const { options } = await api.job.configure(jobId, changes)
+      onChange(options)
+    } catch (err) {
+      setError(err.message || 'Failed to change job settings')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="mt-2">
+      <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(180px, 1fr))', gap: '8px 16px' }}>
+        {NUMERIC_OPTIONS.map(({ key, label, min, max }) => (
+          <div key={key}>
+            <label className="form-label">{label}</label>
+            <input
+              type="number"
+              className="form-input"
+              min={min}
+              max={max}
+              value={draft[key] ?? ''}
+              onChange={(e) => setDraft({ ...draft, [key]: e.target.value })}
+            />
+          </div>
+        ))}
+        <div>
+          <label className="form-label">Model (empty = site model)</label>
+          <input
+            type="text"
+            className="form-input"
+            value={draft.model || ''}
+            onChange={(e) => setDraft({ ...draft, model: e.target.value })}
+          />
+        </div>
+      </div>
+      <div className="flex items-center gap-2 mt-2">
+        <button className="btn btn-secondary" onClick={handleApply} disabled={!changed || saving}>
+          {saving ? 'Applying...' : 'Apply to running job'}
+        </button>
+        {error && <span style={{ color: 'var(--error)' }}>{error}</span>}
+      </div>
+    </div>
+  )
+}
@@ -1,22 +1,110 @@
+import { useState, useMemo } from 'react'
 import { useAppStore } from '../stores/appStore'
+import { useElectronAPI } from '../hooks/useElectronAPI'
 
-export default function MediaGrid({ items, selectable = false, showProposed = false }) {
+const INLINE_ISSUES = {
+  empty: 'Empty inline alt',
+  stale: 'Differs from library alt',
+  ok: 'Matches library alt',
+}
+
+const CANDIDATE_LABELS = {
+  concise: 'Concise',
+  detailed: 'Detailed',
+  neutral: 'SEO-neutral',
+  best: 'Suggested',
+}
+
+const FLAG_LABELS = {
+  containsText: 'Text',
+  containsPeople: 'People',
+  sensitive: 'Sensitive',
+}
+
+const ITEM_BUTTON_STYLE = { padding: '2px 8px', fontSize: '11px' }
+
+const FIELD_LABELS = {
+  caption: 'Caption',
+  description: 'Description',
+  title: 'Title',
+}
+
+export default function MediaGrid({ items, selectable = false, showProposed = false, onError }) {
+  const api = useElectronAPI()
   const selectedItems = useAppStore((state) => state.selectedItems)
   const toggleSelectItem = useAppStore((state) => state.toggleSelectItem)
   const updateMediaItem = useAppStore((state) => state.updateMediaItem)
+  const currentJob = useAppStore((state) => state.currentJob)
+  const setCurrentJob = useAppStore((state) => state.setCurrentJob)
+  // Item being regenerated with another model, and the model typed so far
+  const [regenerating, setRegenerating] = useState(undefined)
+
+  const jobItems = useMemo(
+    () => new Map((currentJob?.items || []).map((jobItem) => [jobItem.id, jobItem])),
+    [currentJob?.items]
+  )
+
+  const handleSkip = async (item) => {
+    try {
+      await api.job.skipItem(currentJob.jobId, item.id)
+    } catch (err) {
+      onError?.(err.message || 'Failed to skip item')
+    }
+  }
+
+  // Retrying a finished job queues it again, so its status changes
+  const handleRetry = async (item, model) => {
+    try {
+      const { status, position } = await api.job.retryItem(currentJob.jobId, item.id, model)
+      setCurrentJob({ ...useAppStore.getState().currentJob, status, position })
+      setRegenerating(undefined)
+    } catch (err) {
+      onError?.(err.message || 'Failed to retry item')
+    }
+  }
 
   const handleAltChange = (id, value) => {
     updateMediaItem(id, { proposedAlt: value })
   }
 
+  // Merging appends a candidate to the current text for manual editing
+  const handleMergeCandidate = (item, candidate) => {
+    const current = (item.proposedAlt || '').trim()
+    handleAltChange(item.id, current ? `${current} ${candidate.altText}` : candidate.altText)
+  }
+
+  // Decorative images get an intentionally empty alt; unmarking keeps the text for editing
+  const handleToggleDecorative = (item) => {
+    const decorative = !(item.decorative ?? item.markedDecorative === true)
+    updateMediaItem(item.id, decorative ? { decorative, proposedAlt: '' } : { decorative })
+  }
+
+  const handleTranslationChange = (item, mediaId, value) => {
+    updateMediaItem(item.id, {
+      proposedTranslations: item.proposedTranslations.map((t) =>
+        t.mediaId === mediaId ? { ...t, altText: value } : t
+      ),
+    })
+  }
+
+  const handleFieldChange = (item, field, value) => {
+    updateMediaItem(item.id, {
+      proposedFields: { ...item.proposedFields, [field]: value },
+    })
+  }
+
   return (
     <div className="media-grid">
       {items.map((item) => {
         const isSelected = selectedItems.includes(item.id)
+        const jobItem = jobItems.get(item.id)
+        const status = jobItem?.status ?? item.status
+        // Generated text follows its language's direction; otherwise let the browser detect it
+        const textDirection = item.direction || 'auto'
         
         const handleCardClick = (e) => {
-          // Don't toggle if clicking on textarea or checkbox
-          if (e.target.tagName === 'TEXTAREA' || e.target.tagName === 'INPUT') {
+          // Don't toggle if clicking on textarea, checkbox or button
+          if (['TEXTAREA', 'INPUT', 'BUTTON'].includes(e.target.tagName)) {
             return
           }
           if (selectable) {
@@ -56,8 +144,15 @@ export default function MediaGrid({ items, selectable = false, showProposed = fa
                 {item.filename || item.title}
               </div>
               <div className="media-alt">
-                {item.currentAlt ? (
-                  <span title={item.currentAlt}>
+                {(item.decorative ?? item.markedDecorative) ? (
+                  <span
+                    style={{ color: 'var(--text-secondary)' }}
+                    title="Purely decorative: applied with an intentionally empty alt text"
+                  >
+                    🎨 Decorative
+                  </span>
+                ) : item.currentAlt ? (
+                  <span title={item.currentAlt} dir="auto">
                     Alt: {item.currentAlt.slice(0, 50)}
                     {item.currentAlt.length > 50 && '...'}
                   </span>
@@ -69,20 +164,211 @@ export default function MediaGrid({ items, selectable = false, showProposed = fa
                   <span style={{ color: 'var(--warning)' }}>No alt text</span>
                 )}
               </div>
+              {item.language && (
+                <div
+                  style={{ fontSize: '11px', color: 'var(--text-secondary)', marginTop: '4px' }}
+                  title={item.translations?.map((t) => `${t.locale}: #${t.mediaId}`).join('\n')}
+                >
+                  🌐 {item.language}
+                  {item.translations?.length > 0 && ` + ${item.translations.length} translations`}
+                </div>
+              )}
+              {item.postId && (
+                <div style={{ fontSize: '11px', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                  <div title={item.postTitle}>
+                    📄 {item.postTitle || `#${item.postId}`} ({item.kind === 'block' ? 'image block' : 'classic'})
+                  </div>
+                  <div
+                    style={{ color: item.issue === 'ok' ? 'var(--text-secondary)' : 'var(--warning)' }}
+                    title={item.attachmentAlt ? `Library alt: ${item.attachmentAlt}` : 'Library alt is empty'}
+                  >
+                    {INLINE_ISSUES[item.issue]}
+                  </div>
+                </div>
+              )}
+              {typeof item.confidence === 'number' && (
+                <div style={{ fontSize: '11px', color: 'var(--text-secondary)', marginTop: '4px' }}>
+                  Confidence {Math.round(item.confidence * 100)}%
+                  {Object.entries(FLAG_LABELS)
+                    .filter(([flag]) => item.flags?.[flag])
+                    .map(([flag, label]) => ` · ${label}`)
+                    .join('')}
+                </div>
+              )}
+              {item.review && (
+                <div
+                  style={{
+                    fontSize: '11px',
+                    color: item.review.autoApprove ? 'var(--success)' : 'var(--warning)',
+                    marginTop: '4px',
+                  }}
+                  title={item.review.reasons.join('\n')}
+                >
+                  {item.review.autoApprove ? '✓ Auto-approved' : `👀 Needs review: ${item.review.reasons[0]}`}
+                </div>
+              )}
+              {item.altIssues?.length > 0 && (
+                <div
+                  style={{ fontSize: '11px', color: 'var(--warning)', marginTop: '4px' }}
+                  title="Candidate for regeneration"
+                >
+                  ⚠️ {item.altIssues.join(' · ')}
+                </div>
+              )}
               {showProposed && (
                 <div style={{ marginTop: '8px' }}>
+                  {item.candidates?.length > 1 && (
+                    <div style={{ marginBottom: '6px' }}>
+                      {item.candidates.map((candidate, index) => (
+                        <div
+                          key={`${candidate.style}-${index}`}
+                          className="flex items-center gap-2"
+                          style={{ fontSize: '12px', marginBottom: '4px' }}
+                        >
+                          <input
+                            type="radio"
+                            name={`candidate-${item.id}`}
+                            checked={item.proposedAlt === candidate.altText}
+                            onChange={() => handleAltChange(item.id, candidate.altText)}
+                          />
+                          <span
+                            style={{ flex: 1, color: candidate.valid ? 'inherit' : 'var(--warning)' }}
+                            title={candidate.issues?.join(' · ')}
+                            dir={textDirection}
+                          >
+                            <strong>{CANDIDATE_LABELS[candidate.style] || candidate.style}:</strong>{' '}
+                            {candidate.altText}
+                          </span>
+                          <button
+                            className="btn btn-secondary"
+                            style={{ padding: '2px 6px', fontSize: '11px' }}
+                            title="Append to the alt text below"
+                            onClick={() => handleMergeCandidate(item, candidate)}
+                          >
+                            +
+                          </button>
+                        </div>
+                      ))}
+                    </div>
+                  )}
                   <textarea
                     className="form-input"
                     style={{ fontSize: '12px', minHeight: '60px' }}
-                    placeholder="Proposed alt text..."
+                    placeholder={item.decorative ? 'Decorative: empty alt text' : 'Proposed alt text...'}
+                    dir={textDirection}
                     value={item.proposedAlt || ''}
                     onChange={(e) => handleAltChange(item.id, e.target.value)}
                   />
-                  {item.status && (
-                    <span className={`status-badge status-${item.status}`}>
-                      {item.status}
+                  <button
+                    className="btn btn-secondary"
+                    style={{ padding: '2px 8px', fontSize: '11px', marginTop: '4px' }}
+                    onClick={() => handleToggleDecorative(item)}
+                  >
+                    {(item.decorative ?? item.markedDecorative) ? 'Not decorative' : 'Mark decorative'}
+                  </button>
+                  {item.proposedTranslations?.map((translation) => (
+                    <div key={translation.mediaId} style={{ marginTop: '6px' }}>
+                      <label className="form-label" style={{ fontSize: '11px', marginBottom: '2px' }}>
+                        {translation.languageName || translation.locale} (#{translation.mediaId})
+                      </label>
+                      {translation.error ? (
+                        <div style={{ fontSize: '11px', color: 'var(--error)' }}>{translation.error}</div>
+                      ) : (
+                        <textarea
+                          className="form-input"
+                          style={{ fontSize: '12px', minHeight: '48px' }}
+                          dir={translation.direction || 'auto'}
+                          value={translation.altText || ''}
+                          onChange={(e) => handleTranslationChange(item, translation.mediaId, e.target.value)}
+                        />
+                      )}
+                    </div>
+                  ))}
+                  {Object.entries(item.proposedFields || {}).map(([field, value]) => (
+                    <div key={field} style={{ marginTop: '6px' }}>
+                      <label className="form-label" style={{ fontSize: '11px', marginBottom: '2px' }}>
+                        {FIELD_LABELS[field] || field}
+                        {item[field] ? ` (current: ${item[field].slice(0, 30)}${item[field].length > 30 ? '...' : ''})` : ''}
+                      </label>
+                      <textarea
+                        className="form-input"
+                        style={{ fontSize: '12px', minHeight: field === 'title' ? '32px' : '48px' }}
+                        dir={textDirection}
+                        value={value || ''}
+                        onChange={(e) => handleFieldChange(item, field, e.target.value)}
+                      />
+                    </div>
+                  ))}
+                  {status && (
+                    <span className={`status-badge status-${status}`}>
+                      {status}
                     </span>
                   )}
+                  {jobItem && (
+                    <div style={{ marginTop: '6px' }}>
+                      {jobItem.status === 'failed' && jobItem.error && (
+                        <div style={{ fontSize: '11px', color: 'var(--error)', marginBottom: '4px' }}>
+                          {jobItem.error} ({jobItem.attempts} {jobItem.attempts === 1 ? 'attempt' : 'attempts'})
+                        </div>
+                      )}
+                      {jobItem.result?.warnings?.map((warning) => (
+                        <div key={warning} style={{ fontSize: '11px', color: 'var(--warning)', marginBottom: '4px' }}>
+                          ⚠️ {warning}
+                        </div>
+                      ))}
+                      <div className="flex items-center gap-2">
+                        {['pending', 'processing', 'retry'].includes(jobItem.status) && (
+                          <button
+                            className="btn btn-secondary"
+                            style={ITEM_BUTTON_STYLE}
+                            title="Leave this image out of the job"
+                            onClick={() => handleSkip(item)}
+                          >
+                            ⏭️ Skip
+                          </button>
+                        )}
+                        {['failed', 'skipped'].includes(jobItem.status) && (
+                          <button className="btn btn-secondary" style={ITEM_BUTTON_STYLE} onClick={() => handleRetry(item)}>
+                            🔁 Retry
+                          </button>
+                        )}
+                        {jobItem.status === 'completed' && currentJob.type === 'generate' && (
+                          <button
+                            className="btn btn-secondary"
+                            style={ITEM_BUTTON_STYLE}
+                            onClick={() =>
+                              setRegenerating(
+                                regenerating?.id === item.id
+                                  ? undefined
+                                  : { id: item.id, model: jobItem.model || currentJob.options?.model || '' }
+                              )
+                            }
+                          >
+                            🔄 Regenerate
+                          </button>
+                        )}
+                      </div>
+                      {regenerating?.id === item.id && (
+                        <div className="flex items-center gap-2" style={{ marginTop: '4px' }}>
+                          <input
+                            type="text"
+                            className="form-input"
+                            style={{ fontSize: '12px' }}
+                            placeholder="Model (empty = job model)"
+                            value={regenerating.model}
+                            onChange={(e) => setRegenerating({ ...regenerating, model: e.target.value })}
+                          />
+                          <button
+                            className="btn btn-primary"
+                            style={ITEM_BUTTON_STYLE}
+                            onClick={() => handleRetry(item, regenerating.model)}
+                          >
+                            Go
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
             </div>
@@ -3,8 +3,11 @@ import { useElectronAPI } from '../hooks/useElectronAPI'
 import { useAppStore } from '../stores/appStore'
 import { useScanProgress } from '../hooks/useScanProgress'
 import { useJobProgress } from '../hooks/useJobProgress'
+import { useJobExport } from '../hooks/useJobExport'
 import MediaGrid from './MediaGrid'
 import ProgressBar from './ProgressBar'
+import JobSettings from './JobSettings'
+import ScanFilters, { DEFAULT_SCAN_FILTERS, toScanFilters } from './ScanFilters'
 
 export default function MediaTab() {
   const api = useElectronAPI()
@@ -17,17 +20,31 @@ export default function MediaTab() {
   const clearSelection = useAppStore((state) => state.clearSelection)
   const clearMediaItems = useAppStore((state) => state.clearMediaItems)
   const setCurrentJob = useAppStore((state) => state.setCurrentJob)
+  const openJob = useAppStore((state) => state.openJob)
+  const setMediaItems = useAppStore((state) => state.setMediaItems)
 
   const [scanning, setScanning] = useState(false)
+  const [scanSource, setScanSource] = useState('library')
   const [missingAltOnly, setMissingAltOnly] = useState(true)
   const [limit, setLimit] = useState('')
+  const [incremental, setIncremental] = useState(false)
+  const [showFilters, setShowFilters] = useState(false)
+  const [scanFilters, setScanFilters] = useState(DEFAULT_SCAN_FILTERS)
   const [error, setError] = useState('')
   const [verifyingSite, setVerifyingSite] = useState(false)
   const [siteUnreachable, setSiteUnreachable] = useState(false)
+  const [interruptedJob, setInterruptedJob] = useState(undefined)
+  const [extraFields, setExtraFields] = useState([])
+  const [reviewOnly, setReviewOnly] = useState(false)
+  const [decorativeFilter, setDecorativeFilter] = useState('all')
+  const [autoApplied, setAutoApplied] = useState(undefined)
+  const [showJobSettings, setShowJobSettings] = useState(false)
 
   useScanProgress()
   const currentJob = useJobProgress()
+  const exportJob = useJobExport()
   const isRunning = currentJob?.status === 'running'
+  const isQueued = currentJob?.status === 'pending'
 
   // Verify site is reachable when tab loads
   useEffect(() => {
@@ -36,6 +53,43 @@ export default function MediaTab() {
     }
   }, [activeSiteId])
 
+  // Pre-select the extra fields enabled in Settings
+  useEffect(() => {
+    api.settings
+      .get()
+      .then((s) => {
+        const mapping = s?.fieldMapping || {}
+        setExtraFields(Object.keys(mapping).filter((field) => mapping[field].enabled))
+      })
+      .catch(console.error)
+  }, [api])
+
+  // Auto-approved results are applied by the main process; show the apply job and the items left to review
+  useEffect(() => {
+    return api.job.onAutoApplied(({ jobId, applyJobId, total, review }) => {
+      // Scheduled jobs are auto-applied in the background
+      if (jobId !== useAppStore.getState().currentJob?.jobId) return
+      setCurrentJob({ jobId: applyJobId, status: 'running', total })
+      setAutoApplied({ total, review })
+      setReviewOnly(review > 0)
+    })
+  }, [api, setCurrentJob])
+
+  const toggleExtraField = (field) => {
+    setExtraFields((prev) =>
+      prev.includes(field) ? prev.filter((f) => f !== field) : [...prev, field]
+    )
+  }
+
+  // Offer to resume a job that was cut off by a quit or crash
+  useEffect(() => {
+    if (!activeSiteId) return
+    api.job
+      .list(activeSiteId)
+      .then((jobs) => setInterruptedJob(jobs.find((j) => j.interrupted)))
+      .catch(console.error)
+  }, [api, activeSiteId])
+
   const verifySite = async () => {
     setVerifyingSite(true)
     setSiteUnreachable(false)
@@ -58,6 +112,19 @@ export default function MediaTab() {
     selectedItems.includes(item.id)
   )
 
+  // Decorative items are applied with an intentionally empty alt text
+  const hasProposal = (item) => Boolean(item.proposedAlt) || (item.decorative === true && item.proposedAlt === '')
+  const isDecorative = (item) => item.decorative ?? item.markedDecorative === true
+
+  const hasReview = mediaItems.some((item) => item.review)
+  const hasDecorative = mediaItems.some(isDecorative)
+  const visibleItems = mediaItems.filter((item) => {
+    if (reviewOnly && !(item.review && !item.review.autoApprove)) return false
+    if (decorativeFilter === 'decorative' && !isDecorative(item)) return false
+    if (decorativeFilter === 'described' && isDecorative(item)) return false
+    return true
+  })
+
   // Scan handlers
   const handleScan = async () => {
     setScanning(true)
@@ -68,7 +135,29 @@ export default function MediaTab() {
         siteId: activeSiteId,
         missingAltOnly,
         limit: limit ? parseInt(limit) : undefined,
+        filters: toScanFilters(scanFilters),
+        incremental,
+      })
+    } catch (err) {
+      setError(err.message || 'Scan failed')
+    } finally {
+      setScanning(false)
+    }
+  }
+
+  // Inline usages: images in post content whose own alt attribute is empty or stale
+  const handleScanInline = async () => {
+    setScanning(true)
+    setError('')
+    clearMediaItems()
+    try {
+      const usages = await api.scan.inlineUsages({
+        siteId: activeSiteId,
+        issuesOnly: true,
+        limit: limit ? parseInt(limit) : undefined,
       })
+      // Suggest the library alt text; Generate replaces it with usage-specific alt
+      setMediaItems(usages.map((usage) => ({ ...usage, proposedAlt: usage.attachmentAlt || undefined })))
     } catch (err) {
       setError(err.message || 'Scan failed')
     } finally {
@@ -76,6 +165,17 @@ export default function MediaTab() {
     }
   }
 
+  const handleRebuildIndex = async () => {
+    setError('')
+    try {
+      await api.scan.clearIndex(activeSiteId)
+    } catch (err) {
+      setError(err.message || 'Failed to clear media index')
+      return
+    }
+    await handleScan()
+  }
+
   const handleCancelScan = async () => {
     await api.scan.cancel()
     setScanning(false)
@@ -85,29 +185,32 @@ export default function MediaTab() {
   const handleGenerateAlt = async () => {
     if (itemsToProcess.length === 0) return
     setError('')
+    setAutoApplied(undefined)
     try {
-      const { jobId } = await api.job.start({
+      const { jobId, options, status, position } = await api.job.start({
         type: 'generate',
         siteId: activeSiteId,
         items: itemsToProcess,
+        options: { fields: extraFields },
       })
-      setCurrentJob({ jobId, status: 'running', total: itemsToProcess.length })
+      setCurrentJob({ jobId, type: 'generate', status, position, total: itemsToProcess.length, options })
     } catch (err) {
       setError(err.message || 'Failed to start job')
     }
   }
 
   const handleApply = async () => {
-    const itemsWithAlt = itemsToProcess.filter((item) => item.proposedAlt)
+    const itemsWithAlt = itemsToProcess.filter(hasProposal)
     if (itemsWithAlt.length === 0) return
     setError('')
     try {
-      const { jobId } = await api.job.start({
-        type: 'apply',
+      const type = scanSource === 'inline' ? 'apply-inline' : 'apply'
+      const { jobId, options, status, position } = await api.job.start({
+        type,
         siteId: activeSiteId,
         items: itemsWithAlt,
       })
-      setCurrentJob({ jobId, status: 'running', total: itemsWithAlt.length })
+      setCurrentJob({ jobId, type, status, position, total: itemsWithAlt.length, options })
     } catch (err) {
       setError(err.message || 'Failed to start job')
     }
@@ -125,19 +228,28 @@ export default function MediaTab() {
     if (currentJob?.jobId) api.job.cancel(currentJob.jobId)
   }
 
-  const handleExport = async (format) => {
-    if (!currentJob?.jobId) return
-    const data = await api.job.export({ jobId: currentJob.jobId, format })
+  const handleRetryFailed = async () => {
+    setError('')
+    try {
+      const { status, position } = await api.job.retryFailed(currentJob.jobId)
+      setCurrentJob({ ...useAppStore.getState().currentJob, status, position })
+    } catch (err) {
+      setError(err.message || 'Failed to retry items')
+    }
+  }
+
+  const handleExport = (format) => exportJob(currentJob?.jobId, format)
 
-    const blob = new Blob([data], {
-      type: format === 'json' ? 'application/json' : 'text/csv',
-    })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `fotokopilot-export-${Date.now()}.${format}`
-    a.click()
-    URL.revokeObjectURL(url)
+  const handleResumeInterrupted = async () => {
+    setError('')
+    try {
+      await api.job.resume(interruptedJob.id)
+      const job = await api.job.get(interruptedJob.id)
+      openJob(job, { status: 'running' })
+      setInterruptedJob(undefined)
+    } catch (err) {
+      setError(err.message || 'Failed to resume job')
+    }
   }
 
   if (!activeSiteId) {
@@ -187,19 +299,80 @@ export default function MediaTab() {
 
       {error && <div className="alert alert-error">{error}</div>}
 
+      {interruptedJob && !isRunning && (
+        <div className="card flex justify-between items-center">
+          <span>
+            ⚡ An interrupted {interruptedJob.type} job was found
+            {` (${interruptedJob.completed} / ${interruptedJob.total} done)`}.
+            Resume where it stopped?
+          </span>
+          <div className="flex gap-2">
+            <button className="btn btn-primary" onClick={handleResumeInterrupted}>
+              ▶️ Resume
+            </button>
+            <button className="btn btn-secondary" onClick={() => setInterruptedJob(undefined)}>
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Scan Controls */}
       <div className="card">
         <div className="flex justify-between items-center">
           <div className="flex gap-4 items-center">
-            <label className="flex items-center gap-2">
-              <input
-                type="checkbox"
-                className="checkbox"
-                checked={missingAltOnly}
-                onChange={(e) => setMissingAltOnly(e.target.checked)}
-              />
-              Missing alt text only
-            </label>
+            <select
+              className="form-input"
+              style={{ width: 'auto' }}
+              value={scanSource}
+              onChange={(e) => {
+                setScanSource(e.target.value)
+                clearMediaItems()
+              }}
+              disabled={scanning || isRunning || isQueued}
+              title="Media library alt text, or the alt attribute of images inside post and page content"
+            >
+              <option value="library">Media library</option>
+              <option value="inline">Images in posts</option>
+            </select>
+
+            {scanSource === 'library' && (
+              <>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    className="checkbox"
+                    checked={missingAltOnly}
+                    onChange={(e) => setMissingAltOnly(e.target.checked)}
+                  />
+                  Missing alt text only
+                </label>
+
+                <label
+                  className="flex items-center gap-2"
+                  title="Fetch only media added or changed since the last incremental scan"
+                >
+                  <input
+                    type="checkbox"
+                    className="checkbox"
+                    checked={incremental}
+                    onChange={(e) => setIncremental(e.target.checked)}
+                  />
+                  Only changes since last scan
+                </label>
+                {incremental && (
+                  <button
+                    className="btn btn-secondary"
+                    style={{ padding: '4px 10px', fontSize: '12px' }}
+                    onClick={handleRebuildIndex}
+                    disabled={scanning || isRunning || isQueued}
+                    title="Deleted media is only dropped from the index by a full rescan"
+                  >
+                    Rebuild index
+                  </button>
+                )}
+              </>
+            )}
 
             <div className="flex items-center gap-2">
               <label className="form-label" style={{ marginBottom: 0 }}>
@@ -218,10 +391,18 @@ export default function MediaTab() {
           </div>
 
           <div className="flex gap-2">
+            {scanSource === 'library' && (
+              <button
+                className="btn btn-secondary"
+                onClick={() => setShowFilters(!showFilters)}
+              >
+                {showFilters ? 'Hide filters' : 'More filters'}
+              </button>
+            )}
             <button
               className="btn btn-primary"
-              onClick={handleScan}
-              disabled={scanning || isRunning}
+              onClick={scanSource === 'inline' ? handleScanInline : handleScan}
+              disabled={scanning || isRunning || isQueued}
             >
               {scanning ? '🔍 Scanning...' : '🔍 Scan'}
             </button>
@@ -232,6 +413,10 @@ export default function MediaTab() {
             )}
           </div>
         </div>
+
+        {showFilters && scanSource === 'library' && (
+          <ScanFilters siteId={activeSiteId} value={scanFilters} onChange={setScanFilters} />
+        )}
       </div>
 
       {/* Results & Actions */}
@@ -240,7 +425,7 @@ export default function MediaTab() {
           <div className="flex justify-between items-center mb-4">
             <div className="flex gap-4 items-center">
               <span>
-                <strong>{mediaItems.length}</strong> images found
+                <strong>{mediaItems.length}</strong> {scanSource === 'inline' ? 'image usages found' : 'images found'}
               </span>
               <span style={{ color: 'var(--text-secondary)' }}>
                 <strong>{selectedItems.length}</strong> selected
@@ -268,7 +453,8 @@ export default function MediaTab() {
             }}>
               <div className="flex justify-between items-center mb-2">
                 <span>
-                  {currentJob.status === 'running' ? '⏳ Processing...' : 
+                  {currentJob.status === 'running' ? '⏳ Processing...' :
+                   isQueued ? `🕒 Queued${currentJob.position ? ` (#${currentJob.position})` : ''}` :
                    currentJob.status === 'paused' ? '⏸️ Paused' :
                    currentJob.status === 'completed' ? '✅ Completed' :
                    currentJob.status === 'completed_with_errors' ? '⚠️ Completed with errors' :
@@ -277,12 +463,25 @@ export default function MediaTab() {
                 <span>
                   {currentJob.completed || 0} / {currentJob.total}
                   {currentJob.failed > 0 && ` (${currentJob.failed} failed)`}
+                  {currentJob.skipped > 0 && ` (${currentJob.skipped} skipped)`}
                 </span>
               </div>
               <ProgressBar
                 value={currentJob.completed || 0}
                 max={currentJob.total}
               />
+              {isRunning && currentJob.rate && (
+                <div className="mt-2" style={{ fontSize: '12px', color: 'var(--text-secondary)' }}>
+                  {currentJob.rate.itemsPerMinute} items/min · {currentJob.rate.concurrency} of{' '}
+                  {currentJob.rate.maxConcurrency} workers
+                  {currentJob.rate.concurrency < currentJob.rate.maxConcurrency && ' (slowed down by the server)'}
+                  {currentJob.rate.throttledUntil && (
+                    <span style={{ color: 'var(--warning)' }}>
+                      {' '}· paused until {new Date(currentJob.rate.throttledUntil).toLocaleTimeString()}
+                    </span>
+                  )}
+                </div>
+              )}
               <div className="flex gap-2 mt-2">
                 {isRunning && (
                   <>
@@ -294,11 +493,26 @@ export default function MediaTab() {
                     </button>
                   </>
                 )}
+                {isQueued && (
+                  <button className="btn btn-secondary" onClick={handleCancelJob}>
+                    Cancel
+                  </button>
+                )}
+                {(isRunning || isQueued || currentJob.status === 'paused') && currentJob.options && (
+                  <button className="btn btn-secondary" onClick={() => setShowJobSettings(!showJobSettings)}>
+                    {showJobSettings ? 'Hide job settings' : '⚙️ Job settings'}
+                  </button>
+                )}
                 {currentJob.status === 'paused' && (
                   <button className="btn btn-primary" onClick={handleResume}>
                     Resume
                   </button>
                 )}
+                {currentJob.status === 'completed_with_errors' && (
+                  <button className="btn btn-primary" onClick={handleRetryFailed}>
+                    🔁 Retry failed ({currentJob.failed})
+                  </button>
+                )}
                 {(currentJob.status === 'completed' ||
                   currentJob.status === 'completed_with_errors') && (
                   <>
@@ -317,15 +531,41 @@ export default function MediaTab() {
                   </>
                 )}
               </div>
+              {showJobSettings && (isRunning || isQueued || currentJob.status === 'paused') && currentJob.options && (
+                <JobSettings
+                  jobId={currentJob.jobId}
+                  value={currentJob.options}
+                  onChange={(options) => setCurrentJob({ ...currentJob, options })}
+                />
+              )}
             </div>
           )}
 
           {/* Action Buttons */}
+          <div className="flex gap-4 items-center mb-4">
+            <span style={{ color: 'var(--text-secondary)' }}>Also generate:</span>
+            {[
+              ['caption', 'Caption'],
+              ['description', 'Description'],
+              ['title', 'Title'],
+            ].map(([field, label]) => (
+              <label key={field} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  className="checkbox"
+                  checked={extraFields.includes(field)}
+                  onChange={() => toggleExtraField(field)}
+                  disabled={isRunning || isQueued}
+                />
+                {label}
+              </label>
+            ))}
+          </div>
           <div className="flex gap-2 mb-4">
             <button
               className="btn btn-primary"
               onClick={handleGenerateAlt}
-              disabled={selectedItems.length === 0 || isRunning}
+              disabled={selectedItems.length === 0 || isRunning || isQueued}
             >
               🤖 Generate Alt Text ({selectedItems.length})
             </button>
@@ -333,22 +573,60 @@ export default function MediaTab() {
               className="btn btn-secondary"
               onClick={handleApply}
               disabled={
-                itemsToProcess.filter((i) => i.proposedAlt).length === 0 ||
-                isRunning
+                itemsToProcess.filter(hasProposal).length === 0 ||
+                isRunning ||
+                isQueued
               }
             >
-              ✅ Apply to WordPress
+              {scanSource === 'inline' ? '✏️ Rewrite inline alt' : '✅ Apply to WordPress'}
             </button>
           </div>
 
-          <MediaGrid items={mediaItems} selectable showProposed />
+          {(hasReview || hasDecorative) && (
+            <div className="flex gap-4 items-center mb-4">
+              {autoApplied && (
+                <span>
+                  ✅ {autoApplied.total} auto-applied · {autoApplied.review} need review
+                </span>
+              )}
+              {hasReview && (
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    className="checkbox"
+                    checked={reviewOnly}
+                    onChange={(e) => setReviewOnly(e.target.checked)}
+                  />
+                  Needs review only
+                </label>
+              )}
+              {hasDecorative && (
+                <select
+                  className="form-input"
+                  style={{ width: 'auto' }}
+                  value={decorativeFilter}
+                  onChange={(e) => setDecorativeFilter(e.target.value)}
+                >
+                  <option value="all">All images</option>
+                  <option value="decorative">Decorative only</option>
+                  <option value="described">Hide decorative</option>
+                </select>
+              )}
+            </div>
+          )}
+
+          <MediaGrid items={visibleItems} selectable showProposed onError={setError} />
         </div>
       )}
 
       {!scanning && mediaItems.length === 0 && (
         <div className="empty-state">
           <div className="empty-state-icon">🔍</div>
-          <p>Click "Scan" to find images in your media library</p>
+          <p>
+            {scanSource === 'inline'
+              ? 'Click "Scan" to find images in posts and pages with empty or outdated alt text'
+              : 'Click "Scan" to find images in your media library'}
+          </p>
         </div>
       )}
     </div>
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react'
+import { useElectronAPI } from '../hooks/useElectronAPI'
+
+const EXCLUDABLE_TYPES = [
+  { mime: 'image/svg+xml', label: 'SVG' },
+  { mime: 'image/gif', label: 'GIF' },
+]
+
+/**
+ * Builds the `filters` object sent with scan:start from the form state,
+ * dropping empty values.
+ * @param {Object} filters - Form state
+ * @returns {Object} Scan filters
+ */
+export function toScanFilters(filters) {
+  const result = {}
+  if (filters.after) result.after = filters.after
+  if (filters.before) result.before = filters.before
+  if (filters.author) result.author = parseInt(filters.author)
+  if (filters.excludeMimeTypes.length > 0) result.excludeMimeTypes = filters.excludeMimeTypes
+  if (filters.attachment !== 'any') result.attachment = filters.attachment
+  if (filters.search.trim()) result.search = filters.search.trim()
+  if (filters.altShorterThan) result.altShorterThan = parseInt(filters.altShorterThan)
+  if (filters.invalidAltOnly) result.invalidAltOnly = true
+  if (filters.lowQualityAlt) result.lowQualityAlt = true
+  return result
+}
+
+export const DEFAULT_SCAN_FILTERS = {
+  after: '',
+  before: '',
+  author: '',
+  excludeMimeTypes: [],
+  attachment: 'any',
+  search: '',
+  altShorterThan: '',
+  invalidAltOnly: false,
+  lowQualityAlt: false,
+}
+
+export default function ScanFilters({ siteId, value, onChange }) {
+  const api = useElectronAPI()
+  const [authors, setAuthors] = useState([])
+
+  useEffect(() => {
+    if (!siteId) return
+    api.scan.authors(siteId).then(setAuthors).catch(() => setAuthors([]))
+  }, [api, siteId])
+
+  const update = (key, fieldValue) => onChange({ ...value, [key]: fieldValue })
+
+  const toggleExcluded = (mime) =>
+    update(
+      'excludeMimeTypes',
+      value.excludeMimeTypes.includes(mime)
+        ? value.excludeMimeTypes.filter((m) => m !== mime)
+        : [...value.excludeMimeTypes, mime]
+    )
+
+  return (
+    <div className="mt-4" style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '12px 16px' }}>
+      <div>
+        <label className="form-label">Uploaded after</label>
+        <input
+          type="date"
+          className="form-input"
+          value={value.after}
+          onChange={(e) => update('after', e.target.value)}
+        />
+      </div>
+      <div>
+        <label className="form-label">Uploaded before</label>
+        <input
+          type="date"
+          className="form-input"
+          value={value.before}
+          onChange={(e) => update('before', e.target.value)}
+        />
+      </div>
+      <div>
+        <label className="form-label">Author</label>
+        <select
+          className="form-input"
+          value={value.author}
+          onChange={(e) => update('author', e.target.value)}
+        >
+          <option value="">Any author</option>
+          {authors.map((author) => (
+            <option key={author.id} value={author.id}>
+              {author.name}
+            </option>
+          ))}
+        </select>
+      </div>
+      <div>
+        <label className="form-label">Attached to a post</label>
+        <select
+          className="form-input"
+          value={value.attachment}
+          onChange={(e) => update('attachment', e.target.value)}
+        >
+          <option value="any">Any</option>
+          <option value="attached">Attached only</option>
+          <option value="unattached">Unattached only</option>
+        </select>
+      </div>
+      <div>
+        <label className="form-label">Search</label>
+        <input
+          type="text"
+          className="form-input"
+          placeholder="Title, filename..."
+          value={value.search}
+          onChange={(e) => update('search', e.target.value)}
+        />
+      </div>
+      <div>
+        <label className="form-label">Alt text shorter than</label>
+        <input
+          type="number"
+          className="form-input"
+          placeholder="Any length"
+          value={value.altShorterThan}
+          onChange={(e) => update('altShorterThan', e.target.value)}
+          min="1"
+        />
+      </div>
+      <div>
+        <label className="form-label">Exclude types</label>
+        <div className="flex gap-4 items-center">
+          {EXCLUDABLE_TYPES.map(({ mime, label }) => (
+            <label key={mime} className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                className="checkbox"
+                checked={value.excludeMimeTypes.includes(mime)}
+                onChange={() => toggleExcluded(mime)}
+              />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+      <div>
+        <label className="form-label">Existing alt text</label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            className="checkbox"
+            checked={value.invalidAltOnly}
+            onChange={(e) => update('invalidAltOnly', e.target.checked)}
+          />
+          Fails validation
+        </label>
+        <label className="flex items-center gap-2">
+          <input
+            type="checkbox"
+            className="checkbox"
+            checked={value.lowQualityAlt}
+            onChange={(e) => update('lowQualityAlt', e.target.checked)}
+          />
+          Looks low quality
+        </label>
+      </div>
+    </div>
+  )
+}
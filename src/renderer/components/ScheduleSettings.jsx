@@ -0,0 +1,193 @@
+import { useState, useEffect } from 'react'
+import { useElectronAPI } from '../hooks/useElectronAPI'
+import { useAppStore } from '../stores/appStore'
+
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Describes a schedule's next and last run for display.
+ * @param {Object} [status] - Entry from schedule:list
+ * @returns {string}
+ */
+function describeRuns(status) {
+  if (!status) return 'Save settings to activate'
+  const parts = []
+  if (status.running) parts.push('Scanning now')
+  else if (status.nextRunAt) parts.push(`Next run ${new Date(status.nextRunAt).toLocaleString()}`)
+  if (status.lastRun) {
+    const { at, total, error } = status.lastRun
+    const outcome = error ? `failed: ${error}` : total > 0 ? `${total} images queued` : 'nothing to do'
+    parts.push(`last run ${new Date(at).toLocaleString()} (${outcome})`)
+  }
+  return parts.join(' · ')
+}
+
+/**
+ * Editor for scheduled runs: scan a site for missing alt text at a time
+ * of day and queue a generate job for what it finds.
+ */
+export default function ScheduleSettings({ schedules = [], sites, onChange }) {
+  const api = useElectronAPI()
+  const savedSettings = useAppStore((state) => state.settings)
+  const [status, setStatus] = useState({})
+  const [error, setError] = useState('')
+
+  const loadStatus = () =>
+    api.schedule
+      .list()
+      .then((list) => setStatus(Object.fromEntries(list.map((entry) => [entry.id, entry]))))
+      .catch((err) => console.error('Failed to load schedules:', err))
+
+  // The main process only knows saved schedules, so reload after a save
+  useEffect(() => {
+    loadStatus()
+  }, [api, savedSettings])
+
+  const update = (id, changes) =>
+    onChange(schedules.map((schedule) => (schedule.id === id ? { ...schedule, ...changes } : schedule)))
+
+  const toggleDay = (schedule, day) => {
+    const days = schedule.days || []
+    update(schedule.id, { days: days.includes(day) ? days.filter((d) => d !== day) : [...days, day].sort() })
+  }
+
+  const handleAdd = () =>
+    onChange([
+      ...schedules,
+      {
+        id: crypto.randomUUID(),
+        siteId: sites[0]?.id,
+        enabled: true,
+        time: '02:00',
+        days: [],
+        missingAltOnly: true,
+        priority: 0,
+      },
+    ])
+
+  const handleRunNow = async (id) => {
+    setError('')
+    try {
+      await api.schedule.runNow(id)
+    } catch (err) {
+      setError(err.message || 'Failed to run schedule')
+    }
+    loadStatus()
+  }
+
+  return (
+    <div>
+      {schedules.map((schedule) => (
+        <div
+          key={schedule.id}
+          className="mb-4"
+          style={{ padding: '12px', background: 'var(--bg-tertiary)', borderRadius: 'var(--radius)' }}
+        >
+          <div className="flex items-center gap-4" style={{ flexWrap: 'wrap' }}>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                className="checkbox"
+                checked={schedule.enabled}
+                onChange={(e) => update(schedule.id, { enabled: e.target.checked })}
+              />
+              <span>Enabled</span>
+            </label>
+            <select
+              className="form-input"
+              style={{ width: '220px' }}
+              value={schedule.siteId || ''}
+              onChange={(e) => update(schedule.id, { siteId: e.target.value })}
+            >
+              {sites.map((site) => (
+                <option key={site.id} value={site.id}>
+                  {site.name || site.url}
+                </option>
+              ))}
+            </select>
+            <input
+              type="time"
+              className="form-input"
+              style={{ width: '120px' }}
+              value={schedule.time}
+              onChange={(e) => update(schedule.id, { time: e.target.value })}
+            />
+            <div className="flex items-center gap-2">
+              {DAYS.map((label, day) => (
+                <label key={label} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    className="checkbox"
+                    checked={(schedule.days || []).includes(day)}
+                    onChange={() => toggleDay(schedule, day)}
+                  />
+                  <span>{label}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="flex items-center gap-4 mt-2" style={{ flexWrap: 'wrap' }}>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                className="checkbox"
+                checked={schedule.missingAltOnly ?? true}
+                onChange={(e) => update(schedule.id, { missingAltOnly: e.target.checked })}
+              />
+              <span>Missing alt text only</span>
+            </label>
+            <label className="flex items-center gap-2">
+              <span>Max images</span>
+              <input
+                type="number"
+                className="form-input"
+                style={{ width: '100px' }}
+                min="1"
+                value={schedule.limit ?? ''}
+                onChange={(e) => update(schedule.id, { limit: e.target.value ? parseInt(e.target.value) : undefined })}
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <span>Priority</span>
+              <input
+                type="number"
+                className="form-input"
+                style={{ width: '80px' }}
+                value={schedule.priority ?? 0}
+                onChange={(e) => update(schedule.id, { priority: parseInt(e.target.value) || 0 })}
+              />
+            </label>
+            <button
+              className="btn btn-secondary"
+              onClick={() => handleRunNow(schedule.id)}
+              disabled={!status[schedule.id] || status[schedule.id].running}
+            >
+              ▶️ Run now
+            </button>
+            <button
+              className="btn btn-secondary"
+              onClick={() => onChange(schedules.filter((s) => s.id !== schedule.id))}
+            >
+              Remove
+            </button>
+          </div>
+
+          <small style={{ color: 'var(--text-secondary)', display: 'block', marginTop: '8px' }}>
+            {describeRuns(status[schedule.id])}
+          </small>
+        </div>
+      ))}
+
+      {error && <div style={{ color: 'var(--error)', marginBottom: '8px' }}>{error}</div>}
+
+      <button className="btn btn-secondary" onClick={handleAdd} disabled={sites.length === 0}>
+        + Add schedule
+      </button>
+      <small style={{ color: 'var(--text-secondary)', display: 'block', marginTop: '8px' }}>
+        With no days selected a schedule runs every day. The scan queues a generate job with its priority;
+        results wait for review unless auto-approve is on.
+      </small>
+    </div>
+  )
+}
@@ -1,11 +1,35 @@
 import { useState, useEffect } from 'react'
 import { useElectronAPI } from '../hooks/useElectronAPI'
 import { useAppStore } from '../stores/appStore'
+import ScheduleSettings from './ScheduleSettings'
+
+const PROVIDERS = [
+  { id: 'copilot', name: 'GitHub Copilot' },
+  { id: 'openai', name: 'OpenAI-compatible HTTP' },
+]
+
+const PROMPT_VARIABLES = ['maxLength', 'language', 'siteName', 'title', 'filename', 'caption', 'postTitle']
+
+const REVIEW_FLAG_OPTIONS = [
+  ['containsText', 'Contain text'],
+  ['containsPeople', 'Show people'],
+  ['sensitive', 'May be sensitive'],
+]
+
+const EXTRA_FIELDS = [
+  { id: 'caption', label: 'Caption' },
+  { id: 'description', label: 'Description' },
+  { id: 'title', label: 'Title' },
+]
 
 export default function SettingsTab() {
   const api = useElectronAPI()
   const settings = useAppStore((state) => state.settings)
   const setSettings = useAppStore((state) => state.setSettings)
+  const activeSiteId = useAppStore((state) => state.activeSiteId)
+  const sites = useAppStore((state) => state.sites)
+  const activeSite = sites.find((site) => site.id === activeSiteId)
+  const mediaItems = useAppStore((state) => state.mediaItems)
 
   const [localSettings, setLocalSettings] = useState(settings)
   const [saved, setSaved] = useState(false)
@@ -14,6 +38,12 @@ export default function SettingsTab() {
     { id: 'gpt-4o-mini', name: 'GPT-4o Mini', supportsVision: true },
   ])
   const [loadingModels, setLoadingModels] = useState(false)
+  const [openaiModels, setOpenaiModels] = useState([])
+  const [providerStatus, setProviderStatus] = useState(undefined)
+  const [testingProvider, setTestingProvider] = useState(false)
+  const [promptPreview, setPromptPreview] = useState(undefined)
+  const [cacheStats, setCacheStats] = useState(undefined)
+  const [clearingCache, setClearingCache] = useState(false)
 
   useEffect(() => {
     api.settings.get().then((s) => {
@@ -40,9 +70,27 @@ export default function SettingsTab() {
       })
   }, [api])
 
+  useEffect(() => {
+    api.cache.stats().then(setCacheStats).catch((err) => {
+      console.error('Failed to load cache stats:', err)
+    })
+  }, [api])
+
+  const handleClearCache = async (siteId) => {
+    setClearingCache(true)
+    try {
+      setCacheStats(await api.cache.clear(siteId))
+    } catch (err) {
+      console.error('Failed to clear cache:', err)
+    } finally {
+      setClearingCache(false)
+    }
+  }
+
   const handleSave = async () => {
     await api.settings.set(localSettings)
     setSettings(localSettings)
+    api.cache.stats().then(setCacheStats).catch(() => {})
     setSaved(true)
     setTimeout(() => setSaved(false), 2000)
   }
@@ -51,6 +99,111 @@ export default function SettingsTab() {
     setLocalSettings((prev) => ({ ...prev, [key]: value }))
   }
 
+  const updateOpenAi = (key, value) => {
+    setLocalSettings((prev) => ({ ...prev, openai: { ...prev.openai, [key]: value } }))
+  }
+
+  const updateImagePreprocessing = (key, value) => {
+    setLocalSettings((prev) => ({
+      ...prev,
+      imagePreprocessing: { ...prev.imagePreprocessing, [key]: value },
+    }))
+  }
+
+  const updateSiteProvider = (provider) => {
+    setLocalSettings((prev) => {
+      const siteProviders = { ...prev.siteProviders }
+      if (provider) {
+        siteProviders[activeSiteId] = provider
+      } else {
+        delete siteProviders[activeSiteId]
+      }
+      return { ...prev, siteProviders }
+    })
+  }
+
+  const updateSiteLocale = (locale) => {
+    setLocalSettings((prev) => {
+      const siteLocales = { ...prev.siteLocales }
+      if (locale.trim()) {
+        siteLocales[activeSiteId] = locale.trim()
+      } else {
+        delete siteLocales[activeSiteId]
+      }
+      return { ...prev, siteLocales }
+    })
+  }
+
+  const handleTestOpenAi = async () => {
+    setTestingProvider(true)
+    setProviderStatus(undefined)
+    try {
+      const params = { provider: 'openai', openai: localSettings.openai }
+      const status = await api.provider.status(params)
+      setProviderStatus(status)
+      if (status.running) {
+        setOpenaiModels(await api.provider.listModels(params))
+      }
+    } catch (err) {
+      setProviderStatus({ running: false, error: err.message })
+    } finally {
+      setTestingProvider(false)
+    }
+  }
+
+  const sitePrompts = localSettings.sitePrompts?.[activeSiteId] || {}
+  const styleGuide = sitePrompts.styleGuide || {}
+
+  const updateSitePrompts = (key, value) => {
+    setLocalSettings((prev) => ({
+      ...prev,
+      sitePrompts: {
+        ...prev.sitePrompts,
+        [activeSiteId]: { ...prev.sitePrompts?.[activeSiteId], [key]: value },
+      },
+    }))
+  }
+
+  const updateStyleGuide = (key, value) => {
+    updateSitePrompts('styleGuide', { ...styleGuide, [key]: value })
+  }
+
+  const handlePreviewPrompt = async (withFolders) => {
+    try {
+      const preview = await api.provider.previewPrompt({
+        siteId: activeSiteId,
+        prompts: sitePrompts,
+        item: mediaItems[0],
+        withFolders,
+      })
+      setPromptPreview(preview)
+    } catch (err) {
+      setPromptPreview({ error: err.message })
+    }
+  }
+
+  const updateFieldRule = (field, key, value) => {
+    setLocalSettings((prev) => ({
+      ...prev,
+      fieldMapping: {
+        ...prev.fieldMapping,
+        [field]: { ...prev.fieldMapping?.[field], [key]: value },
+      },
+    }))
+  }
+
+  const updateAutoApprove = (key, value) => {
+    setLocalSettings((prev) => ({
+      ...prev,
+      autoApprove: { ...prev.autoApprove, [key]: value },
+    }))
+  }
+
+  const toggleReviewFlag = (flag) => {
+    const flags = localSettings.autoApprove?.reviewFlags || []
+    updateAutoApprove('reviewFlags', flags.includes(flag) ? flags.filter((f) => f !== flag) : [...flags, flag])
+  }
+
   return (
     <div>
       <h1 className="page-title">Settings</h1>
@@ -79,8 +232,308 @@ export default function SettingsTab() {
             Recommended: 125-150 characters
           </small>
         </div>
+
+        <div className="form-group">
+          <label className="form-label">Repair attempts</label>
+          <input
+            type="number"
+            className="form-input"
+            style={{ width: '150px' }}
+            value={localSettings.maxRepairAttempts ?? 2}
+            onChange={(e) => updateSetting('maxRepairAttempts', parseInt(e.target.value))}
+            min="0"
+            max="5"
+          />
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            When generated alt text fails validation, simple fixes are applied first; then the model
+            is asked again with the problems listed, up to this many times.
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Suggestions per image</label>
+          <select
+            className="form-input"
+            style={{ width: '300px' }}
+            value={localSettings.altTextCandidates || 1}
+            onChange={(e) => updateSetting('altTextCandidates', parseInt(e.target.value))}
+          >
+            <option value={1}>1 (single suggestion)</option>
+            <option value={2}>2 (concise, detailed)</option>
+            <option value={3}>3 (concise, detailed, SEO-neutral)</option>
+          </select>
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Alternatives are generated in the same request; pick or combine them when reviewing.
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label className="flex items-center gap-2 form-label">
+            <input
+              type="checkbox"
+              className="checkbox"
+              checked={localSettings.generateTranslations !== false}
+              onChange={(e) => updateSetting('generateTranslations', e.target.checked)}
+            />
+            Generate alt text for translations
+          </label>
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            On WPML and Polylang sites, each translated copy of an image gets alt text in its own
+            language. Adds one request per language.
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label className="flex items-center gap-2 form-label">
+            <input
+              type="checkbox"
+              className="checkbox"
+              checked={!!localSettings.usePostContext}
+              onChange={(e) => updateSetting('usePostContext', e.target.checked)}
+            />
+            Use post context
+          </label>
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Include the title, excerpt and nearby text of the post each image is attached to or
+            used in. Adds a few WordPress requests per image.
+          </small>
+        </div>
+      </div>
+
+      <div className="card">
+        <h2 className="card-title">Auto-approve</h2>
+
+        <div className="form-group">
+          <label className="flex items-center gap-2 form-label">
+            <input
+              type="checkbox"
+              className="checkbox"
+              checked={!!localSettings.autoApprove?.enabled}
+              onChange={(e) => updateAutoApprove('enabled', e.target.checked)}
+            />
+            Apply confident results without review
+          </label>
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            When a generate job finishes, alt text that passes validation and reaches the
+            confidence threshold is applied to WordPress. Everything else is left for review.
+          </small>
+        </div>
+
+        {localSettings.autoApprove?.enabled && (
+          <>
+            <div className="form-group">
+              <label className="form-label">Minimum confidence</label>
+              <input
+                type="number"
+                className="form-input"
+                style={{ width: '150px' }}
+                value={localSettings.autoApprove?.minConfidence ?? 0.9}
+                onChange={(e) => updateAutoApprove('minConfidence', parseFloat(e.target.value))}
+                min="0"
+                max="1"
+                step="0.05"
+              />
+            </div>
+
+            <div className="form-group">
+              <label className="form-label">Always review images that</label>
+              {REVIEW_FLAG_OPTIONS.map(([flag, label]) => (
+                <label key={flag} className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    className="checkbox"
+                    checked={(localSettings.autoApprove?.reviewFlags || []).includes(flag)}
+                    onChange={() => toggleReviewFlag(flag)}
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="card-title">Additional Fields</h2>
+        <small style={{ color: 'var(--text-secondary)', display: 'block', marginBottom: '16px' }}>
+          Also fill caption, description and title when generating alt text. Enabled fields are
+          pre-selected in the Alt Text tab.
+        </small>
+
+        {EXTRA_FIELDS.map(({ id, label }) => {
+          const rule = localSettings.fieldMapping?.[id] || {}
+          return (
+            <div className="form-group" key={id}>
+              <label className="flex items-center gap-2 form-label">
+                <input
+                  type="checkbox"
+                  className="checkbox"
+                  checked={!!rule.enabled}
+                  onChange={(e) => updateFieldRule(id, 'enabled', e.target.checked)}
+                />
+                {label}
+              </label>
+              <input
+                type="text"
+                className="form-input"
+                value={rule.prompt || ''}
+                onChange={(e) => updateFieldRule(id, 'prompt', e.target.value)}
+                placeholder={`Instruction for the ${label.toLowerCase()}`}
+              />
+              <div className="flex gap-4 items-center mt-2">
+                <label className="flex items-center gap-2">
+                  Max length
+                  <input
+                    type="number"
+                    className="form-input"
+                    style={{ width: '100px' }}
+                    value={rule.maxLength || ''}
+                    onChange={(e) => updateFieldRule(id, 'maxLength', parseInt(e.target.value))}
+                    min="10"
+                    max="2000"
+                  />
+                </label>
+                <label className="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    className="checkbox"
+                    checked={!!rule.onlyIfEmpty}
+                    onChange={(e) => updateFieldRule(id, 'onlyIfEmpty', e.target.checked)}
+                  />
+                  Only if empty
+                </label>
+              </div>
+            </div>
+          )
+        })}
       </div>
 
+      {activeSiteId && (
+        <div className="card">
+          <h2 className="card-title">
+            Prompts for {activeSite?.name || activeSite?.url || 'this site'}
+          </h2>
+          <small style={{ color: 'var(--text-secondary)', display: 'block', marginBottom: '16px' }}>
+            Leave a template empty to use the built-in prompt. Variables:{' '}
+            {PROMPT_VARIABLES.map((name) => `{{${name}}}`).join(' ')}
+          </small>
+
+          <div className="form-group">
+            <label className="form-label">Language</label>
+            <input
+              type="text"
+              className="form-input"
+              style={{ width: '200px' }}
+              value={localSettings.siteLocales?.[activeSiteId] || ''}
+              onChange={(e) => updateSiteLocale(e.target.value)}
+              placeholder={activeSite?.locale || 'en_US'}
+            />
+            <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+              WordPress locale or BCP-47 tag (e.g. nb_NO, pt-BR, ar). Leave empty to use the
+              site language. Right-to-left languages are edited right to left.
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Alt text prompt</label>
+            <textarea
+              className="form-input"
+              style={{ minHeight: '100px', fontFamily: 'monospace', fontSize: '12px' }}
+              value={sitePrompts.altText || ''}
+              onChange={(e) => updateSitePrompts('altText', e.target.value)}
+              placeholder="You write alt text for {{siteName}} in {{language}}, at most {{maxLength}} characters..."
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Folder suggestion prompt</label>
+            <textarea
+              className="form-input"
+              style={{ minHeight: '100px', fontFamily: 'monospace', fontSize: '12px' }}
+              value={sitePrompts.folder || ''}
+              onChange={(e) => updateSitePrompts('folder', e.target.value)}
+              placeholder="You organize the media library of {{siteName}}. Respond in {{language}}..."
+            />
+          </div>
+
+          <h3 style={{ fontSize: '14px', margin: '16px 0 8px' }}>Style guide</h3>
+
+          <div className="form-group">
+            <label className="form-label">Tone</label>
+            <input
+              type="text"
+              className="form-input"
+              value={styleGuide.tone || ''}
+              onChange={(e) => updateStyleGuide('tone', e.target.value)}
+              placeholder="Warm, plain-spoken, no marketing language"
+            />
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Banned words</label>
+            <input
+              type="text"
+              className="form-input"
+              value={(styleGuide.bannedWords || []).join(',')}
+              onChange={(e) => updateStyleGuide('bannedWords', e.target.value.split(','))}
+              placeholder="stunning, amazing, cheap"
+            />
+            <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+              Comma-separated. Generated alt text containing these words is flagged.
+            </small>
+          </div>
+
+          <div className="form-group">
+            <label className="form-label">Preferred terminology</label>
+            <textarea
+              className="form-input"
+              style={{ minHeight: '60px' }}
+              value={styleGuide.terminology || ''}
+              onChange={(e) => updateStyleGuide('terminology', e.target.value)}
+              placeholder={'"team member", not "employee"\n"wheelchair user", not "wheelchair-bound"'}
+            />
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button className="btn btn-secondary" onClick={() => handlePreviewPrompt(false)}>
+              Preview alt text prompt
+            </button>
+            <button className="btn btn-secondary" onClick={() => handlePreviewPrompt(true)}>
+              Preview folder prompt
+            </button>
+            {promptPreview && (
+              <button className="btn btn-secondary" onClick={() => setPromptPreview(undefined)}>
+                Close preview
+              </button>
+            )}
+          </div>
+
+          {promptPreview && (
+            promptPreview.error ? (
+              <div className="alert alert-error mt-2">{promptPreview.error}</div>
+            ) : (
+              <pre
+                style={{
+                  marginTop: '12px',
+                  padding: '12px',
+                  background: 'var(--bg-tertiary)',
+                  borderRadius: '4px',
+                  fontSize: '12px',
+                  whiteSpace: 'pre-wrap',
+                  maxHeight: '400px',
+                  overflow: 'auto',
+                }}
+              >
+                {`SYSTEM:\n${promptPreview.systemPrompt}\n\nUSER:\n${promptPreview.prompt}`}
+              </pre>
+            )
+          )}
+          <small style={{ color: 'var(--text-secondary)', display: 'block', marginTop: '8px' }}>
+            Previews use the first scanned item, or a sample item when nothing has been scanned.
+          </small>
+        </div>
+      )}
+
       <div className="card">
         <h2 className="card-title">Processing</h2>
 
@@ -101,6 +554,193 @@ export default function SettingsTab() {
             Higher values are faster but may hit rate limits
           </small>
         </div>
+
+        <div className="form-group">
+          <label className="form-label">Total workers across jobs</label>
+          <input
+            type="number"
+            className="form-input"
+            style={{ width: '150px' }}
+            value={localSettings.globalConcurrency || 6}
+            onChange={(e) => updateSetting('globalConcurrency', parseInt(e.target.value))}
+            min="1"
+            max="20"
+          />
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Jobs for several sites share this budget; further jobs wait in the queue by priority
+          </small>
+        </div>
+
+        <div className="form-group">
+          <div className="flex gap-4">
+            <div>
+              <label className="form-label">Parallel model calls</label>
+              <input
+                type="number"
+                className="form-input"
+                style={{ width: '150px' }}
+                value={localSettings.modelConcurrency || 3}
+                onChange={(e) => updateSetting('modelConcurrency', parseInt(e.target.value))}
+                min="1"
+                max="10"
+              />
+            </div>
+            <div>
+              <label className="form-label">Parallel WordPress writes</label>
+              <input
+                type="number"
+                className="form-input"
+                style={{ width: '150px' }}
+                value={localSettings.writeConcurrency || 2}
+                onChange={(e) => updateSetting('writeConcurrency', parseInt(e.target.value))}
+                min="1"
+                max="10"
+              />
+            </div>
+          </div>
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Copilot and WordPress are limited separately, so a slow site does not hold up generation
+          </small>
+        </div>
+
+        <div className="form-group">
+          <div className="flex gap-4">
+            <div>
+              <label className="form-label">Attempts per item</label>
+              <input
+                type="number"
+                className="form-input"
+                style={{ width: '150px' }}
+                value={localSettings.maxRetries || 3}
+                onChange={(e) => updateSetting('maxRetries', parseInt(e.target.value))}
+                min="1"
+                max="10"
+              />
+            </div>
+            <div>
+              <label className="form-label">Timeout per item (seconds)</label>
+              <input
+                type="number"
+                className="form-input"
+                style={{ width: '150px' }}
+                value={localSettings.itemTimeout ?? 120}
+                onChange={(e) => updateSetting('itemTimeout', parseInt(e.target.value) || 0)}
+                min="0"
+                max="3600"
+              />
+            </div>
+          </div>
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Defaults for new jobs; a running job can be changed from its progress panel. 0 disables the timeout.
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Image resolution</label>
+          <select
+            className="form-input"
+            style={{ width: '300px' }}
+            value={localSettings.imagePreprocessing?.targetSize || 1024}
+            onChange={(e) => updateImagePreprocessing('targetSize', parseInt(e.target.value))}
+          >
+            <option value={512}>512 px (cheapest)</option>
+            <option value={768}>768 px</option>
+            <option value={1024}>1024 px (recommended)</option>
+            <option value={1536}>1536 px</option>
+            <option value={2048}>2048 px (most detail)</option>
+          </select>
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Longest edge of images sent to the model. The closest uncropped WordPress size is
+            downloaded, converted to JPEG, PNG or WebP, and stripped of EXIF data including GPS.
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Max image size (KB)</label>
+          <input
+            type="number"
+            className="form-input"
+            style={{ width: '150px' }}
+            value={Math.round((localSettings.imagePreprocessing?.maxBytes || 1024 * 1024) / 1024)}
+            onChange={(e) => updateImagePreprocessing('maxBytes', parseInt(e.target.value) * 1024)}
+            min="100"
+            max="20000"
+          />
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Larger images are recompressed, then scaled down, until they fit
+          </small>
+        </div>
+      </div>
+
+      <div className="card">
+        <h2 className="card-title">Scheduled Runs</h2>
+
+        <div className="form-group">
+          <ScheduleSettings
+            schedules={localSettings.schedules}
+            sites={sites}
+            onChange={(schedules) => updateSetting('schedules', schedules)}
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="flex items-center gap-2">
+            <input
+              type="checkbox"
+              className="checkbox"
+              checked={localSettings.runInTray || false}
+              onChange={(e) => updateSetting('runInTray', e.target.checked)}
+            />
+            <span>Keep running in the system tray when the window is closed</span>
+          </label>
+          <small style={{ color: 'var(--text-secondary)', display: 'block', marginLeft: '24px' }}>
+            Schedules only run while the app is open or in the tray
+          </small>
+        </div>
+      </div>
+
+      <div className="card">
+        <h2 className="card-title">Image Cache</h2>
+
+        <div className="form-group">
+          <label className="form-label">Cache size limit (MB)</label>
+          <input
+            type="number"
+            className="form-input"
+            style={{ width: '150px' }}
+            value={Math.round((localSettings.cacheMaxSize || 500 * 1024 * 1024) / (1024 * 1024))}
+            onChange={(e) => updateSetting('cacheMaxSize', parseInt(e.target.value) * 1024 * 1024)}
+            min="50"
+            max="10000"
+          />
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Downloaded images are kept between sessions; the least recently used are removed first
+          </small>
+        </div>
+
+        {cacheStats && (
+          <div style={{ fontSize: '13px', color: 'var(--text-secondary)', marginBottom: '12px' }}>
+            {cacheStats.entries} images, {(cacheStats.size / (1024 * 1024)).toFixed(1)} MB of{' '}
+            {Math.round(cacheStats.maxSize / (1024 * 1024))} MB · {cacheStats.hits} hits, {cacheStats.misses} misses
+            {cacheStats.hits + cacheStats.misses > 0 &&
+              ` (${Math.round((cacheStats.hits / (cacheStats.hits + cacheStats.misses)) * 100)}% hit rate)`}
+          </div>
+        )}
+
+        <div className="flex items-center gap-2">
+          <button className="btn btn-secondary" onClick={() => handleClearCache()} disabled={clearingCache}>
+            Clear cache
+          </button>
+          {activeSiteId && (
+            <button
+              className="btn btn-secondary"
+              onClick={() => handleClearCache(activeSiteId)}
+              disabled={clearingCache}
+            >
+              Clear {activeSite?.name || 'this site'}'s images
+            </button>
+          )}
+        </div>
       </div>
 
       <div className="card">
@@ -120,6 +760,108 @@ export default function SettingsTab() {
         </div>
       </div>
 
+      <div className="card">
+        <h2 className="card-title">Vision Provider</h2>
+
+        <div className="form-group">
+          <label className="form-label">Default provider</label>
+          <select
+            className="form-input"
+            style={{ width: '250px' }}
+            value={localSettings.visionProvider || 'copilot'}
+            onChange={(e) => updateSetting('visionProvider', e.target.value)}
+          >
+            {PROVIDERS.map((provider) => (
+              <option key={provider.id} value={provider.id}>
+                {provider.name}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {activeSiteId && (
+          <div className="form-group">
+            <label className="form-label">
+              Provider for {activeSite?.name || activeSite?.url || 'this site'}
+            </label>
+            <select
+              className="form-input"
+              style={{ width: '250px' }}
+              value={localSettings.siteProviders?.[activeSiteId] || ''}
+              onChange={(e) => updateSiteProvider(e.target.value)}
+            >
+              <option value="">Use default</option>
+              {PROVIDERS.map((provider) => (
+                <option key={provider.id} value={provider.id}>
+                  {provider.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <h2 className="card-title">OpenAI-compatible Server</h2>
+
+        <div className="form-group">
+          <label className="form-label">Base URL</label>
+          <input
+            type="text"
+            className="form-input"
+            value={localSettings.openai?.baseUrl || ''}
+            onChange={(e) => updateOpenAi('baseUrl', e.target.value.trim())}
+            placeholder="http://localhost:11434/v1"
+          />
+          <small style={{ color: 'var(--text-secondary)', display: 'block' }}>
+            Any server with <code>/chat/completions</code> and image input: OpenAI, Ollama, llama.cpp
+          </small>
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">API key</label>
+          <input
+            type="password"
+            className="form-input"
+            style={{ width: '250px' }}
+            value={localSettings.openai?.apiKey || ''}
+            onChange={(e) => updateOpenAi('apiKey', e.target.value.trim())}
+            placeholder="Not needed for local servers"
+          />
+        </div>
+
+        <div className="form-group">
+          <label className="form-label">Model</label>
+          <input
+            type="text"
+            className="form-input"
+            style={{ width: '250px' }}
+            list="openai-models"
+            value={localSettings.openai?.model || ''}
+            onChange={(e) => updateOpenAi('model', e.target.value.trim())}
+            placeholder="llava"
+          />
+          <datalist id="openai-models">
+            {openaiModels.map((model) => (
+              <option key={model.id} value={model.id} />
+            ))}
+          </datalist>
+        </div>
+
+        <div className="flex items-center gap-2">
+          <button className="btn btn-secondary" onClick={handleTestOpenAi} disabled={testingProvider}>
+            {testingProvider ? 'Testing...' : 'Test connection'}
+          </button>
+          {providerStatus && (
+            <span style={{ color: providerStatus.running ? 'var(--success)' : 'var(--error)' }}>
+              {providerStatus.running
+                ? `✓ Connected (${providerStatus.models} models)`
+                : `✗ ${providerStatus.error}`}
+            </span>
+          )}
+        </div>
+      </div>
+
       <div className="card">
         <h2 className="card-title">GitHub Copilot</h2>
 
@@ -0,0 +1,34 @@
+/**
+ * @fileoverview Hook for exporting job results as a downloaded file.
+ * @module renderer/hooks/useJobExport
+ */
+
+import { useCallback } from 'react'
+import { useElectronAPI } from './useElectronAPI'
+
+/**
+ * Returns a function that exports a job (running or from history) and
+ * triggers a download of the CSV or JSON file.
+ * @returns {(jobId: string, format: 'csv'|'json') => Promise<void>}
+ */
+export function useJobExport() {
+  const api = useElectronAPI()
+
+  return useCallback(
+    async (jobId, format) => {
+      if (!jobId) return
+      const data = await api.job.export({ jobId, format })
+
+      const blob = new Blob([data], {
+        type: format === 'json' ? 'application/json' : 'text/csv',
+      })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `fotokopilot-export-${Date.now()}.${format}`
+      a.click()
+      URL.revokeObjectURL(url)
+    },
+    [api]
+  )
+}
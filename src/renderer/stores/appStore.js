@@ -14,6 +14,15 @@ import { create } from 'zustand'
  * @property {string} [thumbnailUrl] - Thumbnail URL
  * @property {string} [currentAlt] - Current alt text
  * @property {string} [proposedAlt] - AI-generated alt text
+ * @property {Object<string, string>} [proposedFields] - AI-generated caption/description/title
+ * @property {Array<{style: string, altText: string, valid: boolean, issues: string[]}>} [candidates] - Alternative alt text suggestions
+ * @property {number|null} [confidence] - Model confidence in the generated alt text (0-1)
+ * @property {Object<string, boolean>} [flags] - Review flags (containsText, containsPeople, sensitive)
+ * @property {{autoApprove: boolean, reasons: string[]}} [review] - Auto-approve decision
+ * @property {boolean} [decorative] - Classified as decorative: apply an intentionally empty alt text
+ * @property {boolean} [markedDecorative] - Already marked decorative in WordPress
+ * @property {'ltr'|'rtl'} [direction] - Text direction of the proposed alt text's language
+ * @property {Array<{mediaId: number, locale: string, languageName?: string, direction?: string, altText?: string, error?: string}>} [proposedTranslations] - Alt text for translated attachments
  * @property {Object} [suggestedFolder] - AI-suggested folder assignment
  */
 
@@ -146,23 +155,74 @@ export const useAppStore = create((set, get) => ({
   setCurrentJob: (job) => set({ currentJob: job }),
   
   /**
-   * Updates job progress and syncs proposedAlt to media items.
+   * Loads a stored job into the media view: its items become the media
+   * items (with their results as proposed alt text) and it becomes the current job.
+   * @param {Object} job - Job returned by job:get
+   * @param {Object} [overrides] - Extra fields for currentJob (e.g. status)
+   */
+  openJob: (job, overrides = {}) =>
+    set({
+      mediaItems: job.items.map((item) => ({
+        ...item,
+        proposedAlt: item.proposedAlt || item.result?.altText,
+        proposedFields: item.proposedFields || item.result?.fields,
+        candidates: item.result?.candidates,
+        confidence: item.result?.confidence,
+        flags: item.result?.flags,
+        review: item.result?.review,
+        decorative: item.decorative ?? item.result?.decorative,
+        direction: item.result?.direction,
+        proposedTranslations: item.proposedTranslations || item.result?.translations,
+      })),
+      selectedItems: [],
+      currentJob: {
+        jobId: job.id,
+        type: job.type,
+        status: job.status,
+        total: job.total,
+        completed: job.completed,
+        failed: job.failed,
+        skipped: job.skipped,
+        // Same shape as progress items, for the per-item controls
+        items: job.items.map(({ id, status, error, attempts, model, result }) => ({ id, status, error, attempts, model, result })),
+        ...overrides,
+      },
+    }),
+
+  /**
+   * Updates job progress and syncs proposedAlt to media items. Progress
+   * of jobs other than the current one is ignored.
    * @param {Object} progress - Job progress data
    */
   updateJobProgress: (progress) =>
     set((state) => {
+      // Queued and scheduled jobs of other sites report progress too
+      if (progress.jobId !== state.currentJob?.jobId) return {}
+
       // Update currentJob with progress
       const newCurrentJob = state.currentJob
         ? { ...state.currentJob, ...progress }
         : undefined
 
-      // Update mediaItems with proposedAlt from completed job items
+      // Update mediaItems with proposedAlt/proposedFields from completed job items
       let newMediaItems = state.mediaItems
       if (progress.items && progress.items.length > 0) {
         newMediaItems = state.mediaItems.map((mediaItem) => {
           const jobItem = progress.items.find((ji) => ji.id === mediaItem.id)
-          if (jobItem && jobItem.proposedAlt) {
-            return { ...mediaItem, proposedAlt: jobItem.proposedAlt }
+          // Decorative results have an empty proposedAlt, so only a missing one is skipped
+          if (jobItem && jobItem.proposedAlt !== undefined) {
+            return {
+              ...mediaItem,
+              proposedAlt: jobItem.proposedAlt,
+              proposedFields: jobItem.proposedFields || mediaItem.proposedFields,
+              candidates: jobItem.result?.candidates || mediaItem.candidates,
+              confidence: jobItem.result?.confidence ?? mediaItem.confidence,
+              flags: jobItem.result?.flags || mediaItem.flags,
+              review: jobItem.result?.review || mediaItem.review,
+              decorative: jobItem.result?.decorative ?? mediaItem.decorative,
+              direction: jobItem.result?.direction || mediaItem.direction,
+              proposedTranslations: jobItem.result?.translations || mediaItem.proposedTranslations,
+            }
           }
           return mediaItem
         })
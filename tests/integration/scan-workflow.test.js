@@ -3,16 +3,26 @@ import { setupServer } from 'msw/node'
 import { wpHandlers, vmfHandlers } from '../mocks/wp-server.js'
 import { createWpClient } from '../../src/main/services/wp-client.js'
 import { JobQueue } from '../../src/main/services/job-queue.js'
-
-vi.mock('../../src/main/services/copilot-adapter.js', () => ({
-  initCopilot: vi.fn(),
-  stopCopilot: vi.fn(),
-  generateAltText: vi.fn().mockResolvedValue({
-    altText: 'Generated alt text for test image',
-    valid: true,
-    issues: [],
-  }),
-}))
+import { createVisionProvider } from '../../src/main/services/vision-provider.js'
+
+/**
+ * Creates a vision backend that answers every prompt with the same alt text.
+ * @param {string} altText - Alt text to reply with
+ * @returns {import('../../src/main/services/vision-provider.js').VisionBackend}
+ */
+function createFakeBackend(altText) {
+  const reply = JSON.stringify({ alt_text: altText })
+  return {
+    id: 'fake',
+    complete: vi.fn().mockResolvedValue(reply),
+    openSession: vi.fn(async () => ({
+      send: vi.fn().mockResolvedValue(reply),
+      close: vi.fn(),
+    })),
+    listModels: vi.fn().mockResolvedValue([]),
+    status: vi.fn().mockResolvedValue({ running: true }),
+  }
+}
 
 const server = setupServer(...wpHandlers, ...vmfHandlers)
 
@@ -38,10 +48,11 @@ describe('Scan and Generate Workflow', () => {
 
     expect(scannedItems.length).toBeGreaterThan(0)
 
-    const { generateAltText } = await import('../../src/main/services/copilot-adapter.js')
+    const backend = createFakeBackend('Golden retriever catching a frisbee in a park')
+    const provider = createVisionProvider(backend, { model: 'test-model' })
 
-    const generateHandler = async (item) => {
-      const result = await generateAltText('/fake/path.jpg')
+    const generateHandler = async (item, { signal }) => {
+      const result = await provider.generateAltText(`/fake/${item.id}.jpg`, { maxLength: 125, signal })
       return { altText: result.altText, valid: result.valid }
     }
 
@@ -50,11 +61,14 @@ describe('Scan and Generate Workflow', () => {
 
     expect(generateResult.status).toBe('completed')
     expect(generateResult.completed).toBe(scannedItems.length)
+    expect(backend.openSession).toHaveBeenCalledTimes(scannedItems.length)
+    expect(backend.openSession).toHaveBeenCalledWith(expect.objectContaining({ model: 'test-model' }))
+    for (const item of generateResult.items) {
+      expect(item.proposedAlt).toBe('Golden retriever catching a frisbee in a park')
+      expect(item.result.valid).toBe(true)
+    }
 
-    const itemsWithAlt = generateResult.items.map((item) => ({
-      ...item,
-      proposedAlt: item.result?.altText || 'Generated alt text for test image',
-    }))
+    const itemsWithAlt = generateResult.items.map((item) => ({ ...item, proposedAlt: item.result.altText }))
 
     const applyHandler = async (item) => {
       return wpClient.updateAltText(item.id, item.proposedAlt)
@@ -0,0 +1,65 @@
+import { vi } from 'vitest'
+import { DECORATIVE_META_KEY, readMediaFields } from '../../src/main/services/wp-client.js'
+
+/**
+ * Creates an in-memory stand-in for createWpClient. Media objects use the
+ * REST shape (`alt_text`, `caption.raw`, `meta`); posts hold raw content.
+ * @param {Object} [data] - Initial site data
+ * @param {Object<number, Object>} [data.media] - Media objects by ID
+ * @param {Object<string, string>} [data.posts] - Post content by `<type>:<id>`
+ * @param {Object} [options] - Fake behavior
+ * @param {boolean} [options.storesDecorative=true] - Whether the decorative meta key is registered
+ * @returns {Object} Client with the methods the item handlers use, all spies
+ */
+export function createFakeWpClient({ media = {}, posts = {} } = {}, { storesDecorative = true } = {}) {
+  const client = {
+    media,
+    posts,
+    getSiteDetails: vi.fn(async () => ({ name: 'Test Site', locale: 'en_US' })),
+    getPostContext: vi.fn(async () => []),
+    getMedia: vi.fn(async (id, { signal } = {}) => {
+      signal?.throwIfAborted()
+      if (!media[id]) throw Object.assign(new Error('Media not found'), { status: 404 })
+      return structuredClone(media[id])
+    }),
+    updateMedia: vi.fn(async (id, fields) => {
+      const stored = media[id]
+      if (!stored) throw Object.assign(new Error('Media not found'), { status: 404 })
+      if (fields.altText !== undefined) stored.alt_text = fields.altText
+      for (const field of ['caption', 'description', 'title']) {
+        if (fields[field] !== undefined) stored[field] = { raw: fields[field] }
+      }
+      if (fields.decorative !== undefined && storesDecorative) {
+        stored.meta = { ...stored.meta, [DECORATIVE_META_KEY]: fields.decorative }
+      }
+      return readMediaFields(stored)
+    }),
+    getPostContent: vi.fn(async (type, id) => ({ id, content: posts[`${type}:${id}`] })),
+    updatePostContent: vi.fn(async (type, id, content) => {
+      // Lets concurrent writers overlap, so lost updates would show
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      posts[`${type}:${id}`] = content
+      return { id }
+    }),
+    withSignal: () => client,
+  }
+  return client
+}
+
+/**
+ * Creates a media object in the REST shape.
+ * @param {number} id - Media ID
+ * @param {Object} [props] - Fields to set (`alt_text`, `caption`, ...)
+ * @returns {Object}
+ */
+export function mediaObject(id, { caption = '', description = '', title = '', ...props } = {}) {
+  return {
+    id,
+    alt_text: '',
+    caption: { raw: caption },
+    description: { raw: description },
+    title: { raw: title },
+    meta: {},
+    ...props,
+  }
+}
@@ -27,6 +27,8 @@ export const wpHandlers = [
         slug: `test-image-${id}`,
         title: { rendered: `Test Image ${id}` },
         alt_text: id % 3 === 0 ? '' : `Alt text for image ${id}`,
+        caption: { rendered: id % 2 === 0 ? `<p>Caption for image ${id}</p>\n` : '' },
+        description: { rendered: '' },
         source_url: `https://test.local/wp-content/uploads/image-${id}.jpg`,
         mime_type: 'image/jpeg',
         media_details: {
@@ -55,7 +57,9 @@ export const wpHandlers = [
     return HttpResponse.json({
       id: parseInt(params.id),
       alt_text: body.alt_text,
-      title: { rendered: `Test Image ${params.id}` },
+      title: { raw: body.title ?? `Test Image ${params.id}`, rendered: `Test Image ${params.id}` },
+      caption: { raw: body.caption ?? '', rendered: body.caption ? `<p>${body.caption}</p>` : '' },
+      description: { raw: body.description ?? '', rendered: '' },
     })
   }),
 
@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest'
+import { untilAborted, sleep } from '../../src/main/utils/abort.js'
+
+describe('untilAborted', () => {
+  it('settles like the promise without a signal or abort', async () => {
+    expect(await untilAborted(Promise.resolve('done'))).toBe('done')
+    expect(await untilAborted(Promise.resolve('done'), new AbortController().signal)).toBe('done')
+  })
+
+  it('rejects with the reason as soon as the signal aborts', async () => {
+    const controller = new AbortController()
+    const waiting = untilAborted(new Promise(() => {}), controller.signal)
+
+    controller.abort(new Error('Cancelled'))
+    await expect(waiting).rejects.toThrow('Cancelled')
+    await expect(untilAborted(Promise.resolve('late'), controller.signal)).rejects.toThrow('Cancelled')
+  })
+})
+
+describe('sleep', () => {
+  it('ends early when the signal aborts', async () => {
+    const controller = new AbortController()
+    const started = Date.now()
+    const slept = sleep(60000, controller.signal)
+
+    controller.abort(new Error('Cancelled'))
+    await expect(slept).rejects.toThrow('Cancelled')
+    expect(Date.now() - started).toBeLessThan(1000)
+  })
+})
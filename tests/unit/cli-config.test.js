@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { loadCliConfig } from '../../src/cli/config.js'
+
+describe('loadCliConfig', () => {
+  let dir
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'fotokopilot-cli-'))
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('reads credentials from environment variables', async () => {
+    const env = {
+      FOTOKOPILOT_WP_URL: 'https://example.com',
+      FOTOKOPILOT_WP_USERNAME: 'admin',
+      FOTOKOPILOT_WP_APP_PASSWORD: 'xxxx xxxx',
+    }
+
+    const { credentials, settings } = await loadCliConfig({ env })
+
+    expect(credentials).toEqual({ url: 'https://example.com', username: 'admin', password: 'xxxx xxxx' })
+    expect(settings.maxAltLength).toBe(125)
+  })
+
+  it('reads a config file and merges settings with the defaults', async () => {
+    const path = join(dir, 'config.json')
+    await writeFile(
+      path,
+      JSON.stringify({
+        url: 'https://example.com',
+        username: 'admin',
+        password: 'from-file',
+        settings: { copilotModel: 'gpt-4.1', fieldMapping: { caption: { enabled: true } } },
+      })
+    )
+
+    const { credentials, settings } = await loadCliConfig({
+      env: { FOTOKOPILOT_CONFIG: path, FOTOKOPILOT_WP_APP_PASSWORD: 'from-env' },
+    })
+
+    expect(credentials.password).toBe('from-env')
+    expect(settings.copilotModel).toBe('gpt-4.1')
+    expect(settings.fieldMapping.caption.enabled).toBe(true)
+    expect(settings.fieldMapping.caption.maxLength).toBe(150)
+  })
+
+  it('names the missing credentials', async () => {
+    await expect(loadCliConfig({ env: { FOTOKOPILOT_WP_URL: 'https://example.com' } })).rejects.toThrow(
+      'FOTOKOPILOT_WP_USERNAME, FOTOKOPILOT_WP_APP_PASSWORD'
+    )
+  })
+
+  it('reports an unreadable config file', async () => {
+    await expect(loadCliConfig({ configPath: join(dir, 'missing.json'), env: {} })).rejects.toThrow(
+      'Cannot read config file'
+    )
+  })
+})
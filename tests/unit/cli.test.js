@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { mkdtemp, rm, writeFile, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createFakeWpClient, mediaObject } from '../mocks/wp-client-fake.js'
+
+const state = vi.hoisted(() => ({ client: undefined, provider: undefined, stopCopilot: undefined }))
+
+vi.mock('../../src/main/services/wp-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createWpClient: () => state.client,
+}))
+vi.mock('../../src/main/services/vision-provider.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getVisionProvider: () => state.provider,
+}))
+vi.mock('../../src/main/services/copilot-adapter.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  stopCopilot: (...args) => state.stopCopilot(...args),
+}))
+vi.mock('../../src/main/services/thumbnail-cache.js', () => ({
+  getThumbnailPath: async () => '/tmp/image.jpg',
+  releaseThumbnail: async () => {},
+}))
+
+const { main } = await import('../../src/cli/index.js')
+
+describe('cli', () => {
+  let dir
+
+  /**
+   * Runs the CLI with a config file for the given settings.
+   * @param {string[]} args - Command and options
+   * @param {Object} [settings] - Settings in the config file
+   * @returns {Promise<{code: number, job: Object}>} Exit code and the saved job
+   */
+  async function run(args, settings = {}) {
+    const config = join(dir, 'config.json')
+    await writeFile(config, JSON.stringify({ url: 'https://test.local', username: 'admin', password: 'secret', settings }))
+    const save = join(dir, 'job.json')
+    const code = await main([...args, '-c', config, '-s', save, '-o', join(dir, 'changes.csv')])
+    return { code, job: JSON.parse(await readFile(save, 'utf8')) }
+  }
+
+  beforeEach(async () => {
+    dir = await mkdtemp(join(tmpdir(), 'fotokopilot-cli-'))
+    state.stopCopilot = vi.fn(async () => {})
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  describe('apply', () => {
+    it('writes decorative markers and translated copies from a generate job', async () => {
+      state.client = createFakeWpClient({
+        media: { 1: mediaObject(1, { alt_text: 'Swirl' }), 2: mediaObject(2), 3: mediaObject(3) },
+      })
+      const generated = join(dir, 'generated.json')
+      await writeFile(generated, JSON.stringify({
+        items: [
+          { id: 1, status: 'completed', proposedAlt: '', result: { altText: '', decorative: true } },
+          {
+            id: 2,
+            status: 'completed',
+            proposedAlt: 'A red bicycle',
+            result: {
+              altText: 'A red bicycle',
+              translations: [{ mediaId: 3, locale: 'de_DE', altText: 'Ein rotes Fahrrad' }],
+            },
+          },
+          { id: 4, status: 'failed', error: 'Model overloaded' },
+        ],
+      }))
+
+      const { code, job } = await run(['apply', '-j', generated])
+
+      expect(code).toBe(0)
+      expect(job).toMatchObject({ type: 'apply', total: 2, completed: 2 })
+      expect(state.client.media[1]).toMatchObject({ alt_text: '', meta: { fotokopilot_decorative: true } })
+      expect(state.client.media[2].alt_text).toBe('A red bicycle')
+      expect(state.client.media[3].alt_text).toBe('Ein rotes Fahrrad')
+    })
+
+    it('rewrites inline usages in their posts', async () => {
+      state.client = createFakeWpClient({
+        posts: { 'posts:5': '<!-- wp:image {"id":12} --><figure><img src="/a.jpg" alt="" class="wp-image-12"/></figure><!-- /wp:image -->' },
+      })
+      const generated = join(dir, 'generated.json')
+      await writeFile(generated, JSON.stringify({
+        items: [{
+          id: 'posts:5:12:0',
+          postType: 'posts',
+          postId: 5,
+          attachmentId: 12,
+          occurrence: 0,
+          status: 'completed',
+          proposedAlt: 'A cat',
+          result: { altText: 'A cat' },
+        }],
+      }))
+
+      const { job } = await run(['apply', '-j', generated])
+
+      expect(job).toMatchObject({ type: 'apply-inline', completed: 1 })
+      expect(state.client.posts['posts:5']).toContain('alt="A cat"')
+      expect(state.client.updateMedia).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('generate', () => {
+    const input = async () => {
+      const path = join(dir, 'items.json')
+      await writeFile(path, JSON.stringify([{ id: 1, sourceUrl: 'https://test.local/a.jpg' }]))
+      return path
+    }
+
+    beforeEach(() => {
+      state.client = createFakeWpClient()
+      state.provider = { generateAltText: async () => ({ altText: 'A cat', valid: true, issues: [] }) }
+    })
+
+    it('stops the Copilot CLI it used', async () => {
+      await run(['generate', '-i', await input()])
+
+      expect(state.stopCopilot).toHaveBeenCalledTimes(1)
+    })
+
+    it('leaves Copilot alone when the site uses another provider', async () => {
+      const { job } = await run(['generate', '-i', await input()], { visionProvider: 'openai' })
+
+      expect(job.completed).toBe(1)
+      expect(state.stopCopilot).not.toHaveBeenCalled()
+    })
+  })
+})
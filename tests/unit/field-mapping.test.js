@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import {
+  stripHtml,
+  resolveFieldRequests,
+  normalizeFields,
+  selectFieldsToApply,
+} from '../../src/main/utils/field-mapping.js'
+
+const fieldMapping = {
+  caption: { enabled: true, prompt: 'Short caption', maxLength: 50, onlyIfEmpty: true },
+  description: { enabled: false, prompt: 'Long description', maxLength: 200, onlyIfEmpty: false },
+  title: { enabled: true, prompt: 'Title', maxLength: 20, onlyIfEmpty: true },
+}
+
+describe('stripHtml', () => {
+  it('removes tags and collapses whitespace', () => {
+    expect(stripHtml('<p>A  caption&nbsp;here</p>\n')).toBe('A caption here')
+  })
+
+  it('returns empty string for missing input', () => {
+    expect(stripHtml(undefined)).toBe('')
+  })
+})
+
+describe('resolveFieldRequests', () => {
+  it('uses enabled rules when no fields are selected', () => {
+    const requests = resolveFieldRequests({ caption: '', title: '' }, fieldMapping)
+    expect(Object.keys(requests)).toEqual(['caption', 'title'])
+    expect(requests.caption).toEqual({ prompt: 'Short caption', maxLength: 50 })
+  })
+
+  it('uses the fields selected for the job', () => {
+    const requests = resolveFieldRequests({}, fieldMapping, ['description'])
+    expect(Object.keys(requests)).toEqual(['description'])
+  })
+
+  it('skips fields that already have a value when onlyIfEmpty is set', () => {
+    const requests = resolveFieldRequests(
+      { caption: '<p>Existing</p>', title: '', description: 'Existing' },
+      fieldMapping,
+      ['caption', 'description', 'title']
+    )
+    expect(Object.keys(requests)).toEqual(['description', 'title'])
+  })
+})
+
+describe('normalizeFields', () => {
+  it('keeps only requested fields and enforces max length', () => {
+    const fields = normalizeFields(
+      { caption: 'A caption', title: 'A title that is far too long for the limit', extra: 'x' },
+      { caption: { maxLength: 50 }, title: { maxLength: 20 } }
+    )
+    expect(fields.caption).toBe('A caption')
+    expect(fields.title.length).toBeLessThanOrEqual(20)
+    expect(fields.extra).toBeUndefined()
+  })
+
+  it('drops empty values', () => {
+    expect(normalizeFields({ caption: '  ' }, { caption: { maxLength: 50 } })).toEqual({})
+  })
+})
+
+describe('selectFieldsToApply', () => {
+  it('honors onlyIfEmpty against current values', () => {
+    const fields = selectFieldsToApply(
+      {
+        caption: 'Existing caption',
+        description: 'Existing description',
+        proposedFields: { caption: 'New caption', description: 'New description', title: 'New' },
+      },
+      fieldMapping
+    )
+    expect(fields).toEqual({ description: 'New description', title: 'New' })
+  })
+
+  it('ignores unknown fields', () => {
+    expect(selectFieldsToApply({ proposedFields: { slug: 'x' } }, fieldMapping)).toEqual({})
+  })
+})
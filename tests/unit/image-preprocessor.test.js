@@ -0,0 +1,145 @@
+import { describe, it, expect } from 'vitest'
+import sharp from 'sharp'
+import { selectImageSize, preprocessImage } from '../../src/main/services/image-preprocessor.js'
+
+const SIZES = [
+  { name: 'thumbnail', url: 'https://example.com/a-150x150.jpg', width: 150, height: 150, mimeType: 'image/jpeg' },
+  { name: 'medium', url: 'https://example.com/a-300x200.jpg', width: 300, height: 200, mimeType: 'image/jpeg' },
+  { name: 'large', url: 'https://example.com/a-1024x683.jpg', width: 1024, height: 683, mimeType: 'image/jpeg' },
+  { name: 'full', url: 'https://example.com/a.jpg', width: 4000, height: 2667, mimeType: 'image/jpeg' },
+]
+
+/**
+ * Creates a test image.
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {import('sharp').Sharp}
+ */
+function createImage(width, height) {
+  return sharp({ create: { width, height, channels: 3, background: { r: 200, g: 120, b: 40 } } })
+}
+
+describe('selectImageSize', () => {
+  it('picks the smallest size that reaches the target', () => {
+    expect(selectImageSize(SIZES, 1024).name).toBe('large')
+    expect(selectImageSize(SIZES, 250).name).toBe('medium')
+  })
+
+  it('skips cropped sizes', () => {
+    expect(selectImageSize(SIZES, 100).name).toBe('medium')
+  })
+
+  it('falls back to the largest size below the target', () => {
+    expect(selectImageSize(SIZES.slice(0, 3), 2048).name).toBe('large')
+  })
+
+  it('prefers a supported format that reaches the target', () => {
+    const sizes = [
+      { name: 'large', url: 'https://example.com/a-1024.jpg', width: 1024, height: 768, mimeType: 'image/jpeg' },
+      { name: 'full', url: 'https://example.com/a.heic', width: 1024, height: 768, mimeType: 'image/heic' },
+    ]
+    expect(selectImageSize(sizes, 1024).name).toBe('large')
+  })
+
+  it('picks an unsupported original when no converted size is large enough', () => {
+    const sizes = [
+      { name: 'medium', url: 'https://example.com/a-300.jpg', width: 300, height: 225, mimeType: 'image/jpeg' },
+      { name: 'full', url: 'https://example.com/a.avif', width: 2000, height: 1500, mimeType: 'image/avif' },
+    ]
+    expect(selectImageSize(sizes, 1024).name).toBe('full')
+  })
+
+  it('skips HEIC sizes, which cannot be decoded, even when they are the largest', () => {
+    const sizes = [
+      { name: 'medium', url: 'https://example.com/a-300.jpg', width: 300, height: 225, mimeType: 'image/jpeg' },
+      { name: 'full', url: 'https://example.com/a.heic', width: 4032, height: 3024, mimeType: 'image/heic' },
+    ]
+    expect(selectImageSize(sizes, 1024).name).toBe('medium')
+    expect(selectImageSize(sizes.slice(1), 1024)).toBeUndefined()
+  })
+
+  it('returns undefined without sizes', () => {
+    expect(selectImageSize(undefined)).toBeUndefined()
+    expect(selectImageSize([])).toBeUndefined()
+  })
+})
+
+describe('preprocessImage', () => {
+  it('scales large images down to the target size', async () => {
+    const input = await createImage(3000, 2000).jpeg().toBuffer()
+    const result = await preprocessImage(input, { targetSize: 1024 })
+
+    expect(result.format).toBe('jpeg')
+    expect(result.extension).toBe('jpg')
+    expect(result.width).toBe(1024)
+    expect(result.height).toBe(683)
+  })
+
+  it('does not enlarge small images', async () => {
+    const input = await createImage(400, 300).png().toBuffer()
+    const result = await preprocessImage(input, { targetSize: 1024 })
+
+    expect(result.format).toBe('png')
+    expect(result.width).toBe(400)
+  })
+
+  it('strips EXIF data including GPS coordinates', async () => {
+    const input = await createImage(800, 600)
+      .jpeg()
+      .withExif({ IFD0: { Make: 'Camera' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '59/1 54/1 0/1' } })
+      .toBuffer()
+    expect((await sharp(input).metadata()).exif).toBeDefined()
+
+    const result = await preprocessImage(input)
+    expect((await sharp(result.data).metadata()).exif).toBeUndefined()
+  })
+
+  it('converts formats models cannot read', async () => {
+    const input = await createImage(600, 400).tiff().toBuffer()
+    const result = await preprocessImage(input)
+
+    expect(result.format).toBe('jpeg')
+    expect((await sharp(result.data).metadata()).format).toBe('jpeg')
+  })
+
+  it('rasterizes SVG at the target size', async () => {
+    const svg = Buffer.from(
+      '<svg xmlns="http://www.w3.org/2000/svg" width="24" height="24"><circle cx="12" cy="12" r="10" fill="red"/></svg>'
+    )
+    const result = await preprocessImage(svg, { targetSize: 512 })
+
+    expect(result.format).toBe('png')
+    expect(result.width).toBe(512)
+  })
+
+  it('compresses images over the size cap', async () => {
+    const noise = Buffer.alloc(1200 * 900 * 3)
+    for (let i = 0; i < noise.length; i++) noise[i] = (i * 7919) % 251
+    const input = await sharp(noise, { raw: { width: 1200, height: 900, channels: 3 } }).jpeg({ quality: 100 }).toBuffer()
+
+    const result = await preprocessImage(input, { targetSize: 1200, maxBytes: 100 * 1024 })
+    expect(result.data.length).toBeLessThanOrEqual(100 * 1024)
+  })
+
+  it('rejects HEIC images as unsupported without retrying', async () => {
+    // An iPhone photo's ftyp box; the rest of the file does not matter
+    const heic = Buffer.concat([Buffer.from([0, 0, 0, 24]), Buffer.from('ftypheic\0\0\0\0mif1heic', 'latin1'), Buffer.alloc(64)])
+
+    await expect(preprocessImage(heic)).rejects.toMatchObject({
+      message: expect.stringContaining('HEIC cannot be decoded'),
+      code: 'UNSUPPORTED_FORMAT',
+      permanent: true,
+    })
+  })
+
+  it('still converts AVIF, which shares the HEIF container', async () => {
+    const input = await createImage(600, 400).avif().toBuffer()
+    const result = await preprocessImage(input)
+
+    expect(result.format).toBe('jpeg')
+  })
+
+  it('rejects data that is not an image', async () => {
+    await expect(preprocessImage(Buffer.from('not an image'))).rejects.toThrow('Unsupported image format')
+  })
+})
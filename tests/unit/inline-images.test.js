@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest'
+import {
+  findInlineImages,
+  classifyInlineAlt,
+  replaceInlineAlt,
+} from '../../src/main/utils/inline-images.js'
+
+const BLOCK = `<!-- wp:image {"id":12,"sizeSlug":"large"} -->
+<figure class="wp-block-image size-large"><img src="https://example.com/cat-1024x768.jpg" alt="" class="wp-image-12"/></figure>
+<!-- /wp:image -->`
+
+const CLASSIC = '<p><img class="alignleft size-medium wp-image-7" src="https://example.com/dog.jpg" width="300"> Rex</p>'
+
+describe('findInlineImages', () => {
+  it('finds block and classic images with their attachment IDs', () => {
+    const images = findInlineImages(`${BLOCK}\n${CLASSIC}\n<img src="https://cdn.example.org/external.png" alt="x">`)
+
+    expect(images).toMatchObject([
+      { attachmentId: 12, occurrence: 0, alt: '', kind: 'block', src: 'https://example.com/cat-1024x768.jpg' },
+      { attachmentId: 7, occurrence: 0, alt: null, kind: 'classic' },
+    ])
+  })
+
+  it('uses the block ID when the image has no wp-image class', () => {
+    const content = '<!-- wp:image {"id":9} --><figure><img src="/a.jpg" alt="A"/></figure><!-- /wp:image -->'
+
+    expect(findInlineImages(content)).toMatchObject([{ attachmentId: 9, alt: 'A', kind: 'block' }])
+  })
+
+  it('counts repeated uses of the same attachment', () => {
+    expect(findInlineImages(`${BLOCK}${BLOCK}`).map((i) => i.occurrence)).toEqual([0, 1])
+  })
+})
+
+describe('classifyInlineAlt', () => {
+  it('reports empty, stale and matching alt text', () => {
+    expect(classifyInlineAlt(null, 'A cat')).toBe('empty')
+    expect(classifyInlineAlt('  ', 'A cat')).toBe('empty')
+    expect(classifyInlineAlt('An old cat photo', 'A cat')).toBe('stale')
+    expect(classifyInlineAlt('A  cat ', 'A cat')).toBe('ok')
+  })
+})
+
+describe('replaceInlineAlt', () => {
+  it('rewrites the alt attribute of the targeted image only', () => {
+    const content = `${BLOCK}${BLOCK}`
+
+    const result = replaceInlineAlt(content, { attachmentId: 12, occurrence: 1, alt: 'Cat & "friend"' })
+
+    const images = findInlineImages(result.content)
+    expect(images.map((i) => i.alt)).toEqual(['', 'Cat & "friend"'])
+    expect(result.content).toContain('alt="Cat &amp; &quot;friend&quot;" class="wp-image-12"')
+    expect(result.previousAlt).toBe('')
+  })
+
+  it('adds a missing alt attribute', () => {
+    const result = replaceInlineAlt(CLASSIC, { attachmentId: 7, alt: 'Dog on a lawn' })
+
+    expect(result.content).toContain('<img alt="Dog on a lawn" class="alignleft')
+  })
+
+  it('fails when the image is gone', () => {
+    expect(() => replaceInlineAlt(CLASSIC, { attachmentId: 12, alt: 'x' })).toThrow('no longer in the post content')
+  })
+})
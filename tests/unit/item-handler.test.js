@@ -0,0 +1,302 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+import { createFakeWpClient, mediaObject } from '../mocks/wp-client-fake.js'
+import { mergeSettings } from '../../src/main/utils/settings-defaults.js'
+import { findInlineImages } from '../../src/main/utils/inline-images.js'
+
+const state = vi.hoisted(() => ({ provider: undefined }))
+
+vi.mock('../../src/main/services/vision-provider.js', () => ({ getVisionProvider: () => state.provider }))
+vi.mock('../../src/main/services/thumbnail-cache.js', () => ({
+  getThumbnailPath: async () => '/tmp/image.jpg',
+  releaseThumbnail: async () => {},
+}))
+
+const { createItemHandler } = await import('../../src/main/services/item-handler.js')
+
+/**
+ * Builds block markup for an attachment image.
+ * @param {number} id - Attachment ID
+ * @param {string} alt - Alt text
+ * @returns {string}
+ */
+const imageBlock = (id, alt) =>
+  `<!-- wp:image {"id":${id}} --><figure><img src="/img-${id}.jpg" alt="${alt}" class="wp-image-${id}"/></figure><!-- /wp:image -->`
+
+describe('createItemHandler', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  describe('generate translations', () => {
+    const settings = mergeSettings({ generateTranslations: true })
+    const item = {
+      id: 1,
+      sourceUrl: 'https://test.local/cat.jpg',
+      translations: [
+        { mediaId: 2, locale: 'de_DE' },
+        { mediaId: 3, locale: 'ar' },
+      ],
+    }
+
+    it('generates alt text in the language of each translation', async () => {
+      state.provider = {
+        generateAltText: vi.fn(async (imagePath, options) => ({
+          altText: `Cat (${options.variables.language ?? 'own language'})`,
+          valid: true,
+          issues: [],
+        })),
+      }
+      const handler = await createItemHandler({ type: 'generate', wpClient: createFakeWpClient(), settings })
+
+      const result = await handler(item)
+
+      expect(state.provider.generateAltText).toHaveBeenCalledTimes(3)
+      expect(result.translations).toMatchObject([
+        { mediaId: 2, locale: 'de_DE', languageName: 'German', direction: 'ltr', altText: 'Cat (German)' },
+        { mediaId: 3, locale: 'ar', languageName: 'Arabic', direction: 'rtl', altText: 'Cat (Arabic)' },
+      ])
+    })
+
+    it('reports a failed translation on its entry and keeps the item', async () => {
+      state.provider = {
+        generateAltText: vi.fn(async (imagePath, options) => {
+          if (options.variables.language === 'German') throw new Error('Model overloaded')
+          return { altText: 'Cat', valid: true, issues: [] }
+        }),
+      }
+      const handler = await createItemHandler({ type: 'generate', wpClient: createFakeWpClient(), settings })
+
+      const result = await handler(item)
+
+      expect(result.altText).toBe('Cat')
+      expect(result.translations[0]).toEqual({ mediaId: 2, locale: 'de_DE', languageName: 'German', error: 'Model overloaded' })
+      expect(result.translations[1]).toMatchObject({ mediaId: 3, altText: 'Cat' })
+    })
+
+    it('keeps decorative images decorative in every language without asking the model again', async () => {
+      state.provider = { generateAltText: vi.fn(async () => ({ altText: '', decorative: true, valid: true, issues: [] })) }
+      const handler = await createItemHandler({ type: 'generate', wpClient: createFakeWpClient(), settings })
+
+      const result = await handler(item)
+
+      expect(state.provider.generateAltText).toHaveBeenCalledTimes(1)
+      expect(result.translations.map(({ altText, decorative }) => ({ altText, decorative }))).toEqual([
+        { altText: '', decorative: true },
+        { altText: '', decorative: true },
+      ])
+    })
+  })
+
+  describe('service limits', () => {
+    /**
+     * Creates a provider whose calls wait until released, tracking how many run at once.
+     * @returns {Object} Provider with `calls`, `running`, `peak` and `releaseAll`
+     */
+    function createBlockingProvider() {
+      const provider = {
+        calls: [],
+        running: 0,
+        peak: 0,
+        generateAltText: vi.fn((imagePath, options) => {
+          provider.running++
+          provider.peak = Math.max(provider.peak, provider.running)
+          return new Promise((resolve) => {
+            provider.calls.push({
+              model: options.model,
+              release: () => {
+                provider.running--
+                resolve({ altText: 'Cat', valid: true, issues: [] })
+              },
+            })
+          })
+        }),
+        releaseAll: () => provider.calls.forEach((call) => call.release()),
+      }
+      return provider
+    }
+
+    const tick = () => new Promise((resolve) => setTimeout(resolve, 5))
+
+    it('caps concurrent model calls at modelConcurrency', async () => {
+      state.provider = createBlockingProvider()
+      const handler = await createItemHandler({
+        type: 'generate',
+        wpClient: createFakeWpClient(),
+        settings: mergeSettings(),
+        options: { modelConcurrency: 2 },
+      })
+
+      const results = [1, 2, 3, 4].map((id) => handler({ id, sourceUrl: `https://test.local/${id}.jpg` }))
+      await tick()
+      expect(state.provider.generateAltText).toHaveBeenCalledTimes(2)
+
+      state.provider.calls[0].release()
+      await tick()
+      expect(state.provider.generateAltText).toHaveBeenCalledTimes(3)
+
+      state.provider.releaseAll()
+      await tick()
+      state.provider.releaseAll()
+      await Promise.all(results)
+      expect(state.provider.peak).toBe(2)
+    })
+
+    it('applies model and limit changes to the items that start afterwards', async () => {
+      state.provider = createBlockingProvider()
+      const handler = await createItemHandler({
+        type: 'generate',
+        wpClient: createFakeWpClient(),
+        settings: mergeSettings(),
+        options: { model: 'gpt-4.1', modelConcurrency: 1 },
+      })
+
+      const first = handler({ id: 1, sourceUrl: 'https://test.local/1.jpg' })
+      await tick()
+      handler.configure({ model: 'gpt-5-mini', modelConcurrency: 3 })
+      const results = [first, ...[2, 3].map((id) => handler({ id, sourceUrl: `https://test.local/${id}.jpg` }))]
+      await tick()
+      state.provider.releaseAll()
+      await Promise.all(results)
+
+      expect(state.provider.calls.map((call) => call.model)).toEqual(['gpt-4.1', 'gpt-5-mini', 'gpt-5-mini'])
+      expect(state.provider.peak).toBe(3)
+    })
+
+    it('caps concurrent WordPress writes at writeConcurrency', async () => {
+      const wpClient = createFakeWpClient({ media: { 1: mediaObject(1), 2: mediaObject(2), 3: mediaObject(3) } })
+      const updateMedia = wpClient.updateMedia.getMockImplementation()
+      let running = 0
+      let peak = 0
+      wpClient.updateMedia.mockImplementation(async (...args) => {
+        peak = Math.max(peak, ++running)
+        await tick()
+        running--
+        return updateMedia(...args)
+      })
+      const handler = await createItemHandler({
+        type: 'apply',
+        wpClient,
+        settings: mergeSettings(),
+        options: { writeConcurrency: 1 },
+      })
+
+      await Promise.all([1, 2, 3].map((id) => handler({ id, proposedAlt: `Alt ${id}` })))
+
+      expect(peak).toBe(1)
+      expect(wpClient.media[3].alt_text).toBe('Alt 3')
+    })
+  })
+
+  describe('apply-inline', () => {
+    const usage = (occurrence, alt) => ({
+      id: `posts:5:12:${occurrence}`,
+      postType: 'posts',
+      postId: 5,
+      attachmentId: 12,
+      occurrence,
+      proposedAlt: alt,
+    })
+
+    it('rewrites the image in the post and journals the alt it replaced', async () => {
+      const wpClient = createFakeWpClient({ posts: { 'posts:5': `<p>Intro</p>${imageBlock(12, 'Old cat')}` } })
+      const handler = await createItemHandler({ type: 'apply-inline', wpClient, settings: mergeSettings() })
+
+      const result = await handler(usage(0, 'A cat asleep on a rug'))
+
+      expect(result).toEqual({ applied: true, previousAlt: 'Old cat', appliedAlt: 'A cat asleep on a rug' })
+      expect(wpClient.posts['posts:5']).toContain('<p>Intro</p>')
+      expect(findInlineImages(wpClient.posts['posts:5'])).toMatchObject([{ attachmentId: 12, alt: 'A cat asleep on a rug' }])
+    })
+
+    it('applies two uses in the same post one after the other', async () => {
+      const wpClient = createFakeWpClient({ posts: { 'posts:5': `${imageBlock(12, '')}<p>Text</p>${imageBlock(12, '')}` } })
+      const handler = await createItemHandler({ type: 'apply-inline', wpClient, settings: mergeSettings() })
+
+      const results = await Promise.all([handler(usage(0, 'First cat')), handler(usage(1, 'Second cat'))])
+
+      expect(results.map((r) => r.previousAlt)).toEqual(['', ''])
+      // Without the post lock the second write would be based on stale content
+      expect(findInlineImages(wpClient.posts['posts:5']).map((image) => image.alt)).toEqual(['First cat', 'Second cat'])
+      expect(wpClient.updatePostContent).toHaveBeenCalledTimes(2)
+    })
+
+    it('leaves an image whose alt changed since it was applied when reverting', async () => {
+      const wpClient = createFakeWpClient({ posts: { 'posts:5': imageBlock(12, 'Edited by hand') } })
+      const handler = await createItemHandler({ type: 'apply-inline', wpClient, settings: mergeSettings() })
+
+      await expect(handler({ ...usage(0, 'Old cat'), expectedAlt: 'A cat asleep on a rug' })).rejects.toMatchObject({
+        code: 'DRIFTED',
+      })
+      expect(wpClient.updatePostContent).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('apply cancellation', () => {
+    it('does not read or write media once the job is cancelled', async () => {
+      const wpClient = createFakeWpClient({ media: { 1: mediaObject(1) } })
+      const handler = await createItemHandler({ type: 'apply', wpClient, settings: mergeSettings() })
+      const controller = new AbortController()
+      controller.abort(new Error('Cancelled'))
+
+      await expect(handler({ id: 1, proposedAlt: 'A cat' }, { signal: controller.signal })).rejects.toThrow('Cancelled')
+      expect(wpClient.getMedia).toHaveBeenCalledWith(1, { signal: controller.signal })
+      expect(wpClient.updateMedia).not.toHaveBeenCalled()
+    })
+
+    it('stops before the next translation when the job is cancelled', async () => {
+      const wpClient = createFakeWpClient({ media: { 1: mediaObject(1), 2: mediaObject(2), 3: mediaObject(3) } })
+      const handler = await createItemHandler({ type: 'apply', wpClient, settings: mergeSettings() })
+      const controller = new AbortController()
+      const updateMedia = wpClient.updateMedia.getMockImplementation()
+      wpClient.updateMedia.mockImplementation(async (id, fields) => {
+        if (id === 2) controller.abort(new Error('Cancelled'))
+        return updateMedia(id, fields)
+      })
+
+      const item = {
+        id: 1,
+        proposedAlt: 'A cat',
+        proposedTranslations: [
+          { mediaId: 2, locale: 'de_DE', altText: 'Eine Katze' },
+          { mediaId: 3, locale: 'fr_FR', altText: 'Un chat' },
+        ],
+      }
+      await expect(handler(item, { signal: controller.signal })).rejects.toThrow('Cancelled')
+      expect(wpClient.media[3].alt_text).toBe('')
+    })
+  })
+
+  describe('apply decorative', () => {
+    it('marks decorative images and reports what WordPress stored', async () => {
+      const wpClient = createFakeWpClient({ media: { 1: mediaObject(1, { alt_text: 'Swirl' }) } })
+      const handler = await createItemHandler({ type: 'apply', wpClient, settings: mergeSettings() })
+
+      const result = await handler({ id: 1, proposedAlt: '', decorative: true })
+
+      expect(wpClient.updateMedia).toHaveBeenCalledWith(1, expect.objectContaining({ altText: '', decorative: true }))
+      expect(result).toMatchObject({ previousAlt: 'Swirl', previousDecorative: false, appliedDecorative: true })
+      expect(result.warnings).toBeUndefined()
+    })
+
+    it('warns when WordPress drops the decorative marker', async () => {
+      const wpClient = createFakeWpClient({ media: { 1: mediaObject(1) } }, { storesDecorative: false })
+      const handler = await createItemHandler({ type: 'apply', wpClient, settings: mergeSettings() })
+      vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const result = await handler({ id: 1, proposedAlt: '', decorative: true })
+
+      expect(result.appliedDecorative).toBe(false)
+      expect(result.warnings).toEqual([expect.stringContaining('show_in_rest')])
+    })
+
+    it('clears the marker when a marked image gets alt text', async () => {
+      const wpClient = createFakeWpClient({ media: { 1: mediaObject(1, { meta: { fotokopilot_decorative: true } }) } })
+      const handler = await createItemHandler({ type: 'apply', wpClient, settings: mergeSettings() })
+
+      const result = await handler({ id: 1, proposedAlt: 'Company logo', markedDecorative: true })
+
+      expect(result).toMatchObject({ previousDecorative: true, appliedDecorative: false, appliedAlt: 'Company logo' })
+      expect(wpClient.media[1].meta.fotokopilot_decorative).toBe(false)
+    })
+  })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { formatJobExport, getJobChanges } from '../../src/main/services/job-export.js'
+
+const job = {
+  id: 'job-1',
+  items: [
+    { id: 1, filename: 'dog', currentAlt: '', status: 'completed', result: { altText: 'A dog, running' } },
+    {
+      id: 2,
+      filename: 'cat',
+      currentAlt: 'Cat',
+      status: 'completed',
+      result: { previousAlt: 'Cat', appliedAlt: 'A "grey" cat asleep' },
+    },
+    { id: 3, filename: 'bird', currentAlt: '', status: 'failed', error: 'Timeout' },
+  ],
+}
+
+describe('getJobChanges', () => {
+  it('uses journaled alt text for applied items', () => {
+    const changes = getJobChanges(job)
+    expect(changes[1]).toMatchObject({ oldAlt: 'Cat', newAlt: 'A "grey" cat asleep' })
+    expect(changes[2]).toMatchObject({ newAlt: undefined, status: 'failed', error: 'Timeout' })
+  })
+})
+
+describe('formatJobExport', () => {
+  it('formats CSV with escaped values', () => {
+    expect(formatJobExport(job, 'csv')).toBe(
+      [
+        'id,filename,old_alt,new_alt,status,error',
+        '1,dog,,"A dog, running",completed,',
+        '2,cat,Cat,"A ""grey"" cat asleep",completed,',
+        '3,bird,,,failed,Timeout',
+      ].join('\n')
+    )
+  })
+
+  it('formats pretty-printed JSON', () => {
+    const parsed = JSON.parse(formatJobExport(job, 'json'))
+    expect(parsed).toHaveLength(3)
+    expect(parsed[0]).toEqual({
+      id: 1,
+      filename: 'dog',
+      oldAlt: '',
+      newAlt: 'A dog, running',
+      status: 'completed',
+    })
+  })
+})
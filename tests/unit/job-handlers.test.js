@@ -0,0 +1,348 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { setupServer } from 'msw/node'
+import { http, HttpResponse } from 'msw'
+import { createFakeWpClient, mediaObject } from '../mocks/wp-client-fake.js'
+
+const state = vi.hoisted(() => ({ dir: undefined, client: undefined, provider: undefined, settings: {}, saves: [] }))
+
+vi.mock('electron', () => ({ app: { getPath: () => state.dir } }))
+vi.mock('../../src/main/services/credential-store.js', () => ({
+  getCredentials: async () => ({ url: 'https://test.local', username: 'admin', password: 'secret' }),
+}))
+vi.mock('../../src/main/services/settings-store.js', async () => {
+  const { mergeSettings } = await import('../../src/main/utils/settings-defaults.js')
+  return { getSettings: async () => mergeSettings(state.settings) }
+})
+vi.mock('../../src/main/services/wp-client.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  createWpClient: () => state.client,
+}))
+vi.mock('../../src/main/services/vision-provider.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getVisionProvider: () => state.provider,
+}))
+vi.mock('../../src/main/services/thumbnail-cache.js', () => ({
+  getThumbnailPath: async () => '/tmp/image.jpg',
+  releaseThumbnail: async () => {},
+}))
+vi.mock('../../src/main/services/job-store.js', async (importOriginal) => {
+  const original = await importOriginal()
+  return {
+    ...original,
+    createJobStore: (dir) => {
+      const store = original.createJobStore(dir)
+      const save = store.save
+      // Records the state each save wrote, as the job object keeps changing
+      store.save = (job) => {
+        state.saves.push({ jobId: job.id, status: job.status, completed: job.completed })
+        return save(job)
+      }
+      return store
+    },
+  }
+})
+vi.mock('../../src/main/services/run-scheduler.js', () => ({ startRunScheduler: () => ({ list: () => [] }) }))
+
+const { jobHandlers } = await import('../../src/main/ipc/job.handlers.js')
+const { createWpClient } = await vi.importActual('../../src/main/services/wp-client.js')
+
+const FINISHED = ['completed', 'completed_with_errors', 'cancelled']
+
+describe('job handlers', () => {
+  const mainWindow = { webContents: { send: vi.fn() } }
+  let handlers
+
+  const call = (channel, ...args) => handlers.find((h) => h.channel === channel).handler(...args)
+
+  /**
+   * Resolves with the job once it has finished.
+   * @param {string} jobId - Job identifier
+   * @returns {Promise<Object>} Serialized job
+   */
+  async function finished(jobId) {
+    for (;;) {
+      const job = await call('job:get', jobId)
+      if (FINISHED.includes(job.status)) return job
+      await new Promise((r) => setTimeout(r, 5))
+    }
+  }
+
+  /**
+   * Runs an apply job for the items and waits for it.
+   * @param {Object[]} items - Items with proposed values
+   * @returns {Promise<Object>} Finished job
+   */
+  async function apply(items) {
+    const { jobId } = await call('job:start', { type: 'apply', siteId: 'site-1', items })
+    return finished(jobId)
+  }
+
+  beforeAll(async () => {
+    state.dir = await mkdtemp(join(tmpdir(), 'fotokopilot-jobs-'))
+    handlers = jobHandlers(mainWindow)
+  })
+
+  afterAll(async () => {
+    await rm(state.dir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    state.settings = {}
+    mainWindow.webContents.send.mockClear()
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  describe('apply journal', () => {
+    it('journals the live values of every field and translation', async () => {
+      state.client = createFakeWpClient({
+        media: {
+          1: mediaObject(1, { alt_text: 'Edited in WordPress', title: 'Live title' }),
+          2: mediaObject(2, { alt_text: 'Alt auf Deutsch' }),
+        },
+      })
+
+      const job = await apply([
+        {
+          id: 1,
+          // Scanned before the edit in WordPress
+          currentAlt: 'Scanned alt',
+          proposedAlt: 'New alt',
+          proposedFields: { title: 'New title' },
+          proposedTranslations: [{ mediaId: 2, locale: 'de_DE', altText: 'Neuer Alt' }],
+        },
+      ])
+
+      expect(job.status).toBe('completed')
+      expect(job.items[0].result).toMatchObject({
+        previousAlt: 'Edited in WordPress',
+        appliedAlt: 'New alt',
+        previousFields: { title: 'Live title' },
+        appliedFields: { title: 'New title' },
+        appliedTranslations: [{ mediaId: 2, locale: 'de_DE', previousAlt: 'Alt auf Deutsch', appliedAlt: 'Neuer Alt' }],
+      })
+    })
+
+    it('reverts the journaled values', async () => {
+      state.client = createFakeWpClient({
+        media: {
+          1: mediaObject(1, { alt_text: 'Old alt', title: 'Old title' }),
+          2: mediaObject(2, { alt_text: 'Alter Alt' }),
+        },
+      })
+      const applied = await apply([
+        {
+          id: 1,
+          proposedAlt: 'New alt',
+          proposedFields: { title: 'New title' },
+          proposedTranslations: [{ mediaId: 2, locale: 'de_DE', altText: 'Neuer Alt' }],
+        },
+      ])
+
+      const { jobId } = await call('job:revert', applied.id)
+      const revert = await finished(jobId)
+
+      expect(revert.status).toBe('completed')
+      expect(state.client.media[1]).toMatchObject({ alt_text: 'Old alt', title: { raw: 'Old title' } })
+      expect(state.client.media[2].alt_text).toBe('Alter Alt')
+    })
+
+    it('leaves items and translations edited after the apply alone', async () => {
+      state.client = createFakeWpClient({
+        media: {
+          1: mediaObject(1, { alt_text: 'Old one' }),
+          2: mediaObject(2, { alt_text: 'Old two' }),
+          3: mediaObject(3, { alt_text: 'Alt drei' }),
+        },
+      })
+      const applied = await apply([
+        { id: 1, proposedAlt: 'New one' },
+        { id: 2, proposedAlt: 'New two', proposedTranslations: [{ mediaId: 3, locale: 'de_DE', altText: 'Neu drei' }] },
+      ])
+      state.client.media[1].alt_text = 'Edited by an editor'
+      state.client.media[3].alt_text = 'Vom Redakteur'
+
+      const { jobId } = await call('job:revert', applied.id)
+      const revert = await finished(jobId)
+
+      expect(revert.status).toBe('completed_with_errors')
+      expect(revert.items[0]).toMatchObject({ status: 'failed', error: expect.stringContaining('changed after it was applied') })
+      expect(state.client.media[1].alt_text).toBe('Edited by an editor')
+      expect(state.client.media[2].alt_text).toBe('Old two')
+      expect(state.client.media[3].alt_text).toBe('Vom Redakteur')
+      expect(revert.items[1].result.driftedTranslations).toEqual([{ mediaId: 3, locale: 'de_DE' }])
+    })
+
+    describe('against the REST API', () => {
+      const CAPTION = '<em>Tom &amp; Jerry</em> at the <a href="/beach">beach</a>'
+      let stored
+
+      // Like WordPress, raw values are only sent in edit context
+      const toResponse = (edit) => {
+        const field = (raw) => ({ rendered: `<p>${raw}</p>\n`, ...(edit && { raw }) })
+        return { id: 1, alt_text: stored.altText, caption: field(stored.caption), description: field(''), title: field(''), meta: {} }
+      }
+      const server = setupServer(
+        http.get('https://test.local/wp-json/', () => HttpResponse.json({ name: 'Test Site', language: 'en_US' })),
+        http.get('https://test.local/wp-json/wp/v2/media/1', ({ request }) =>
+          HttpResponse.json(toResponse(new URL(request.url).searchParams.get('context') === 'edit'))
+        ),
+        http.post('https://test.local/wp-json/wp/v2/media/1', async ({ request }) => {
+          const body = await request.json()
+          stored = { altText: body.alt_text ?? stored.altText, caption: body.caption ?? stored.caption }
+          return HttpResponse.json(toResponse(true))
+        })
+      )
+
+      beforeAll(() => server.listen({ onUnhandledRequest: 'error' }))
+      afterAll(() => server.close())
+
+      it('restores a caption with markup and entities as it was stored', async () => {
+        stored = { altText: 'Old alt', caption: CAPTION }
+        state.client = createWpClient({ url: 'https://test.local', username: 'admin', password: 'secret' })
+        const applied = await apply([{ id: 1, proposedAlt: 'New alt', proposedFields: { caption: 'New caption' } }])
+
+        const { jobId } = await call('job:revert', applied.id)
+        const revert = await finished(jobId)
+
+        expect(applied.items[0].result.previousFields).toEqual({ caption: CAPTION })
+        expect(revert.status).toBe('completed')
+        expect(stored).toEqual({ altText: 'Old alt', caption: CAPTION })
+      })
+    })
+
+    it('only reverts jobs that wrote to WordPress', async () => {
+      state.client = createFakeWpClient()
+      state.provider = { generateAltText: async () => ({ altText: 'Alt' }) }
+      const { jobId } = await call('job:start', { type: 'generate', siteId: 'site-1', items: [{ id: 1, sourceUrl: 'x' }] })
+      await finished(jobId)
+
+      await expect(call('job:revert', jobId)).rejects.toThrow('Only apply, revert and inline apply jobs can be reverted')
+    })
+  })
+
+  describe('saving', () => {
+    const savesOf = (jobId) => state.saves.filter((save) => save.jobId === jobId)
+
+    it('saves a running job in batches and once it finishes', async () => {
+      const media = Object.fromEntries(Array.from({ length: 60 }, (_, i) => [i + 1, mediaObject(i + 1)]))
+      state.client = createFakeWpClient({ media })
+
+      const job = await apply(Object.keys(media).map((id) => ({ id: Number(id), proposedAlt: `Alt ${id}` })))
+      const saves = savesOf(job.id)
+
+      // 60 items emit well over 100 progress events
+      expect(saves.length).toBeLessThanOrEqual(6)
+      expect(saves.at(-1)).toEqual({ jobId: job.id, status: 'completed', completed: 60 })
+      // The finished job is saved once; the final progress event neither saves it again nor tracks it anew
+      expect(saves.filter((save) => save.status === 'completed')).toHaveLength(1)
+    })
+
+    it('saves at once when a job is paused or cancelled', async () => {
+      let release
+      const blocked = new Promise((resolve) => (release = resolve))
+      state.client = createFakeWpClient()
+      state.provider = { generateAltText: vi.fn(async () => (await blocked, { altText: 'Alt', valid: true, issues: [] })) }
+      const { jobId } = await call('job:start', { type: 'generate', siteId: 'site-1', items: [{ id: 1, sourceUrl: 'x' }] })
+      await new Promise((r) => setTimeout(r, 10))
+
+      await call('job:pause', jobId)
+      expect(savesOf(jobId).at(-1)).toMatchObject({ status: 'paused' })
+
+      await call('job:cancel', jobId)
+      release()
+      await finished(jobId)
+      expect(savesOf(jobId).at(-1)).toMatchObject({ status: 'cancelled' })
+    })
+  })
+
+  describe('configure', () => {
+    it('changes the tuning of a running job and rejects other options', async () => {
+      let release
+      const blocked = new Promise((resolve) => (release = resolve))
+      state.client = createFakeWpClient()
+      state.provider = { generateAltText: vi.fn(async () => (await blocked, { altText: 'Alt', valid: true, issues: [] })) }
+      const { jobId } = await call('job:start', {
+        type: 'generate',
+        siteId: 'site-1',
+        items: [{ id: 1, sourceUrl: 'x' }],
+        options: { fields: ['caption'] },
+      })
+
+      await expect(call('job:configure', { jobId, options: { withFolders: true } })).rejects.toThrow(
+        'withFolders cannot be changed'
+      )
+      const { options } = await call('job:configure', { jobId, options: { modelConcurrency: 2, model: 'gpt-4.1' } })
+      release()
+      const job = await finished(jobId)
+
+      expect(options).toMatchObject({ modelConcurrency: 2, model: 'gpt-4.1' })
+      expect(job.options).toEqual({ fields: ['caption'], modelConcurrency: 2, model: 'gpt-4.1' })
+    })
+  })
+
+  describe('auto-apply', () => {
+    const REPLIES = {
+      'confident.jpg': { altText: 'Red bicycle leaning on a brick wall', confidence: 0.95, flags: {} },
+      'unsure.jpg': { altText: 'Something blue', confidence: 0.5, flags: {} },
+      'flagged.jpg': { altText: 'Crowd at a protest march', confidence: 0.97, flags: { sensitive: true } },
+    }
+
+    /**
+     * Resolves with the first job:autoApplied event sent to the window.
+     * @returns {Promise<Object>}
+     */
+    async function autoApplied() {
+      for (;;) {
+        const call = mainWindow.webContents.send.mock.calls.find(([channel]) => channel === 'job:autoApplied')
+        if (call) return call[1]
+        await new Promise((r) => setTimeout(r, 5))
+      }
+    }
+
+    beforeEach(() => {
+      state.client = createFakeWpClient({ media: { 1: mediaObject(1), 2: mediaObject(2), 3: mediaObject(3) } })
+      state.provider = {
+        generateAltText: vi.fn(async (imagePath, options) => ({
+          valid: true,
+          issues: [],
+          ...REPLIES[options.variables.filename],
+        })),
+      }
+    })
+
+    const items = [
+      { id: 1, filename: 'confident.jpg' },
+      { id: 2, filename: 'unsure.jpg' },
+      { id: 3, filename: 'flagged.jpg' },
+    ]
+
+    it('applies approved results of a finished generate job and holds the rest back', async () => {
+      state.settings = { autoApprove: { enabled: true, minConfidence: 0.9, reviewFlags: ['sensitive'] } }
+
+      const { jobId } = await call('job:start', { type: 'generate', siteId: 'site-1', items })
+      const generate = await finished(jobId)
+      const event = await autoApplied()
+      const applyJob = await finished(event.applyJobId)
+
+      expect(event).toMatchObject({ jobId, total: 1, review: 2 })
+      expect(applyJob).toMatchObject({ type: 'apply', autoApplyOf: jobId, status: 'completed', total: 1 })
+      expect(state.client.media[1].alt_text).toBe('Red bicycle leaning on a brick wall')
+      expect(state.client.media[2].alt_text).toBe('')
+      expect(state.client.media[3].alt_text).toBe('')
+      expect(generate.items.map((i) => i.result.review.autoApprove)).toEqual([true, false, false])
+      expect((await call('job:get', jobId)).items.map((i) => i.autoApplied === true)).toEqual([true, false, false])
+    })
+
+    it('applies nothing while auto-approve is off', async () => {
+      const { jobId } = await call('job:start', { type: 'generate', siteId: 'site-1', items })
+      await finished(jobId)
+      await new Promise((r) => setTimeout(r, 20))
+
+      expect(mainWindow.webContents.send).not.toHaveBeenCalledWith('job:autoApplied', expect.anything())
+      expect(state.client.updateMedia).not.toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import { validateJobOptions, validateJobTuning, resolveJobOptions } from '../../src/main/utils/job-options.js'
+import { DEFAULT_SETTINGS } from '../../src/main/utils/settings-defaults.js'
+
+describe('validateJobOptions', () => {
+  it('accepts tuning options in range and passes other options through', () => {
+    const options = { concurrency: 5, maxRetries: 1, timeout: 0, writeConcurrency: 1, fields: ['caption'] }
+    expect(validateJobOptions(options)).toEqual(options)
+  })
+
+  it('rejects out-of-range and non-integer values, listing every issue', () => {
+    expect(() => validateJobOptions({ concurrency: 0, timeout: 1.5 })).toThrow(
+      'Invalid job options: concurrency must be a whole number from 1 to 10; timeout must be a whole number from 0 to 3600'
+    )
+    expect(() => validateJobOptions({ modelConcurrency: '3' })).toThrow('modelConcurrency')
+    expect(() => validateJobOptions({ model: 42 })).toThrow('model must be a string')
+  })
+
+  it('trims the model', () => {
+    expect(validateJobOptions({ model: ' gpt-4.1 ' }).model).toBe('gpt-4.1')
+    expect(validateJobOptions({ model: ' ' }).model).toBe('')
+  })
+})
+
+describe('validateJobTuning', () => {
+  it('accepts the tunable options', () => {
+    const changes = { concurrency: 2, maxRetries: 3, timeout: 60, model: 'gpt-4.1', modelConcurrency: 1, writeConcurrency: 2 }
+    expect(validateJobTuning(changes)).toEqual(changes)
+  })
+
+  it('rejects options that cannot change while a job runs', () => {
+    expect(() => validateJobTuning({ concurrency: 2, withFolders: true, fields: [] })).toThrow(
+      'Invalid job options: withFolders, fields cannot be changed'
+    )
+  })
+
+  it('still checks the ranges', () => {
+    expect(() => validateJobTuning({ writeConcurrency: 11 })).toThrow('writeConcurrency must be a whole number from 1 to 10')
+  })
+})
+
+describe('resolveJobOptions', () => {
+  it('prefers job options over settings and settings over defaults', () => {
+    const tuning = resolveJobOptions({ concurrency: 6, itemTimeout: 30 }, { concurrency: 2, model: 'gpt-4.1' })
+
+    expect(tuning).toEqual({
+      concurrency: 2,
+      maxRetries: DEFAULT_SETTINGS.maxRetries,
+      timeout: 30,
+      modelConcurrency: DEFAULT_SETTINGS.modelConcurrency,
+      writeConcurrency: DEFAULT_SETTINGS.writeConcurrency,
+      model: 'gpt-4.1',
+    })
+  })
+
+  it('leaves out an empty model so the site model is used', () => {
+    expect(resolveJobOptions(DEFAULT_SETTINGS, { model: '' })).not.toHaveProperty('model')
+  })
+})
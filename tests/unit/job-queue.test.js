@@ -105,6 +105,107 @@ describe('JobQueue', () => {
     })
   })
 
+  describe('rate control', () => {
+    beforeEach(() => {
+      queue = new JobQueue({ concurrency: 2, maxRetries: 3, baseRetryDelay: 10 })
+    })
+
+    it('does not retry permanent errors', async () => {
+      const error = Object.assign(new Error('Media not found'), { status: 404 })
+      const handler = vi.fn().mockRejectedValue(error)
+
+      queue.createJob('test-job', [{ id: 1 }], handler)
+      const result = await queue.start('test-job')
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(result.items[0].status).toBe('failed')
+    })
+
+    it('reduces concurrency when throttled', async () => {
+      const items = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }, { id: 6 }]
+      let concurrent = 0
+      let throttled = false
+      const concurrencyAfterThrottle = []
+
+      const handler = vi.fn(async (item) => {
+        if (throttled) concurrencyAfterThrottle.push(concurrent + 1)
+        concurrent++
+        await new Promise((r) => setTimeout(r, 20))
+        concurrent--
+        if (item.id === 1 && item.attempts === 1) {
+          throttled = true
+          throw Object.assign(new Error('Rate limited'), { status: 429, code: 'RATE_LIMITED' })
+        }
+        return { success: true }
+      })
+
+      queue.createJob('test-job', items, handler, {})
+      const result = await queue.start('test-job', { concurrency: 4 })
+
+      expect(result.completed).toBe(6)
+      expect(Math.max(...concurrencyAfterThrottle)).toBeLessThan(4)
+    })
+
+    it('uses the retry limit and timeout of the run', async () => {
+      const handler = vi.fn(() => new Promise((r) => setTimeout(r, 200)))
+
+      queue.createJob('test-job', [{ id: 1 }], handler)
+      const result = await queue.start('test-job', { maxRetries: 2, timeout: 20 })
+
+      expect(handler).toHaveBeenCalledTimes(2)
+      expect(result.items[0].error).toBe('Timed out after 0.02 seconds')
+    })
+
+    it('aborts the work of a timed-out attempt', async () => {
+      const signals = []
+      const handler = vi.fn((item, { signal }) => {
+        signals.push(signal)
+        return new Promise(() => {})
+      })
+
+      queue.createJob('test-job', [{ id: 1 }], handler)
+      await queue.start('test-job', { maxRetries: 1, timeout: 20 })
+
+      expect(signals).toHaveLength(1)
+      expect(signals[0].aborted).toBe(true)
+      expect(signals[0].reason.code).toBe('TIMEOUT')
+    })
+
+    it('changes the options of a running job', async () => {
+      const items = Array.from({ length: 6 }, (_, i) => ({ id: i + 1 }))
+      let concurrent = 0
+      let maxConcurrent = 0
+
+      const handler = vi.fn(async () => {
+        concurrent++
+        maxConcurrent = Math.max(maxConcurrent, concurrent)
+        await new Promise((r) => setTimeout(r, 20))
+        concurrent--
+        return {}
+      })
+
+      queue.createJob('test-job', items, handler)
+      const jobPromise = queue.start('test-job', { concurrency: 1 })
+      expect(queue.configure('test-job', { concurrency: 3 })).toBe(true)
+      await jobPromise
+
+      expect(maxConcurrent).toBe(3)
+      expect(queue.configure('test-job', { concurrency: 1 })).toBe(false)
+    })
+
+    it('includes the current rate in progress events', async () => {
+      const progressEvents = []
+      queue.on('job:progress', (data) => progressEvents.push(data))
+
+      queue.createJob('test-job', [{ id: 1 }, { id: 2 }], vi.fn().mockResolvedValue({}))
+      await queue.start('test-job', { concurrency: 5 })
+
+      const withRate = progressEvents.filter((event) => event.rate)
+      expect(withRate.length).toBeGreaterThan(0)
+      expect(withRate[withRate.length - 1].rate).toMatchObject({ concurrency: 5, maxConcurrency: 5, itemsPerMinute: 2 })
+    })
+  })
+
   describe('pause and resume', () => {
     it('pauses and resumes job', async () => {
       const items = [{ id: 1 }, { id: 2 }, { id: 3 }, { id: 4 }]
@@ -153,6 +254,173 @@ describe('JobQueue', () => {
       expect(result.status).toBe('cancelled')
       expect(processed).toBeLessThan(4)
     })
+
+    it('finishes a job that has not started', () => {
+      const finished = vi.fn()
+      queue.on('job:finished', finished)
+      queue.createJob('test-job', [{ id: 1 }], async () => ({}))
+
+      queue.cancel('test-job')
+
+      expect(queue.getJob('test-job').status).toBe('cancelled')
+      expect(finished).toHaveBeenCalledWith({
+        jobId: 'test-job',
+        status: 'cancelled',
+        completed: 0,
+        failed: 0,
+        skipped: 0,
+        duration: 0,
+      })
+    })
+
+    it('aborts the items in flight', async () => {
+      const signals = []
+      queue.createJob('test-job', [{ id: 1 }, { id: 2 }, { id: 3 }], (item, { signal }) => {
+        signals.push(signal)
+        // Never settles: only the abort ends the attempt
+        return new Promise(() => {})
+      })
+      const jobPromise = queue.start('test-job')
+      await new Promise((r) => setTimeout(r, 10))
+
+      queue.cancel('test-job')
+      const result = await jobPromise
+
+      expect(signals).toHaveLength(2)
+      expect(signals.every((signal) => signal.aborted)).toBe(true)
+      expect(result.status).toBe('cancelled')
+      // Cancelled items did not fail
+      expect(result.failed).toBe(0)
+      expect(result.items.map((item) => item.status)).toEqual(['pending', 'pending', 'pending'])
+      expect(result.items[0].error).toBeUndefined()
+    })
+
+    it('stops waiting to retry', async () => {
+      const error = Object.assign(new Error('Service unavailable'), { status: 503 })
+      const handler = vi.fn().mockRejectedValue(error)
+      queue = new JobQueue({ concurrency: 1, maxRetries: 3, baseRetryDelay: 60000 })
+
+      queue.createJob('test-job', [{ id: 1 }], handler)
+      const jobPromise = queue.start('test-job')
+      await new Promise((r) => setTimeout(r, 10))
+      expect(queue.getJob('test-job').items[0].status).toBe('retry')
+
+      queue.cancel('test-job')
+      const result = await jobPromise
+
+      expect(handler).toHaveBeenCalledTimes(1)
+      expect(result.status).toBe('cancelled')
+      expect(result.failed).toBe(0)
+      expect(result.items[0].status).toBe('pending')
+    })
+  })
+
+  describe('item operations', () => {
+    it('skips a pending item', async () => {
+      const handler = vi.fn(async () => ({}))
+      queue.createJob('test-job', [{ id: 1 }, { id: 2 }], handler)
+
+      expect(queue.skipItem('test-job', 2)).toBe(true)
+      const result = await queue.start('test-job')
+
+      expect(handler.mock.calls.map(([item]) => item.id)).toEqual([1])
+      expect(result.items[1].status).toBe('skipped')
+      expect(result.skipped).toBe(1)
+      expect(result.status).toBe('completed')
+    })
+
+    it('stops waiting for a stuck item when it is skipped', async () => {
+      queue.createJob('test-job', [{ id: 1 }, { id: 2 }], async (item) =>
+        item.id === 1 ? new Promise(() => {}) : { altText: 'Two' }
+      )
+      const jobPromise = queue.start('test-job')
+      await new Promise((r) => setTimeout(r, 10))
+
+      expect(queue.skipItem('test-job', 1)).toBe(true)
+      const result = await jobPromise
+
+      expect(result.status).toBe('completed')
+      expect(result.completed).toBe(1)
+      expect(result.skipped).toBe(1)
+      expect(queue.skipItem('test-job', 2)).toBe(false)
+    })
+
+    it('retries the failed items of a finished job', async () => {
+      let fail = true
+      const handler = vi.fn(async (item) => {
+        if (item.id === 2 && fail) throw Object.assign(new Error('Not found'), { status: 404 })
+        return { altText: `Alt ${item.id}` }
+      })
+      queue.createJob('test-job', [{ id: 1 }, { id: 2 }], handler)
+      const first = await queue.start('test-job')
+      expect(first.status).toBe('completed_with_errors')
+
+      fail = false
+      expect(queue.retryItems('test-job', [2])).toBe(1)
+      expect(queue.getJob('test-job')).toMatchObject({ status: 'pending', failed: 0 })
+
+      const result = await queue.start('test-job')
+      expect(handler).toHaveBeenCalledTimes(3)
+      expect(result).toMatchObject({ status: 'completed', completed: 2, failed: 0 })
+      expect(result.items[1].proposedAlt).toBe('Alt 2')
+    })
+
+    it('regenerates a completed item with overrides while the job runs', async () => {
+      let release
+      const gate = new Promise((r) => (release = r))
+      const handler = vi.fn(async (item) => {
+        if (item.id === 2) await gate
+        return { altText: `Alt ${item.id} ${item.model || 'default'}` }
+      })
+      queue.createJob('test-job', [{ id: 1 }, { id: 2 }], handler)
+      const jobPromise = queue.start('test-job')
+      await new Promise((r) => setTimeout(r, 10))
+
+      expect(queue.retryItems('test-job', [1, 2], { model: 'gpt-4.1' })).toBe(1)
+      release()
+      const result = await jobPromise
+
+      expect(handler).toHaveBeenCalledTimes(3)
+      expect(result.completed).toBe(2)
+      expect(result.items[0]).toMatchObject({ model: 'gpt-4.1', proposedAlt: 'Alt 1 gpt-4.1' })
+      expect(result.items[1].proposedAlt).toBe('Alt 2 default')
+    })
+  })
+
+  describe('restoreJob', () => {
+    it('skips completed items and re-queues unfinished ones', async () => {
+      const snapshot = {
+        id: 'saved-job',
+        siteId: 'site-1',
+        type: 'generate',
+        status: 'running',
+        total: 5,
+        completed: 2,
+        failed: 1,
+        items: [
+          { id: 1, status: 'completed', attempts: 1, result: { altText: 'One' } },
+          { id: 2, status: 'completed', attempts: 1, result: { altText: 'Two' } },
+          { id: 3, status: 'failed', attempts: 3, error: 'Boom' },
+          { id: 4, status: 'processing', attempts: 1 },
+          { id: 5, status: 'pending', attempts: 0 },
+        ],
+      }
+      const handler = vi.fn(async (item) => ({ altText: `Alt ${item.id}` }))
+
+      const job = queue.restoreJob(snapshot, handler)
+      expect(job.status).toBe('pending')
+      expect(job.siteId).toBe('site-1')
+      expect(job.items[3].status).toBe('pending')
+
+      const result = await queue.start('saved-job')
+
+      expect(handler).toHaveBeenCalledTimes(2)
+      expect(handler.mock.calls.map(([item]) => item.id)).toEqual([4, 5])
+      expect(result.completed).toBe(4)
+      expect(result.failed).toBe(1)
+      expect(result.status).toBe('completed_with_errors')
+      expect(result.items[0].result.altText).toBe('One')
+    })
   })
 
   describe('getStats', () => {
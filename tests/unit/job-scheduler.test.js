@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach } from 'vitest'
+import { JobQueue } from '../../src/main/services/job-queue.js'
+import { createJobScheduler } from '../../src/main/services/job-scheduler.js'
+
+/**
+ * Creates a job whose items wait until the test releases them.
+ * @param {JobQueue} queue - Queue to add the job to
+ * @param {string} jobId - Job identifier
+ * @param {number} [count=1] - Number of items
+ * @returns {{release: function(): void, started: number[]}}
+ */
+function blockedJob(queue, jobId, count = 1) {
+  let release
+  const gate = new Promise((resolve) => (release = resolve))
+  const started = []
+  const items = Array.from({ length: count }, (_, i) => ({ id: i }))
+  queue.createJob(jobId, items, async (item) => {
+    started.push(item.id)
+    await gate
+    return {}
+  })
+  return { release, started }
+}
+
+const tick = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+/**
+ * Resolves once a job has finished.
+ * @param {JobQueue} queue - Queue running the job
+ * @param {string} jobId - Job identifier
+ * @returns {Promise<void>}
+ */
+function finished(queue, jobId) {
+  return new Promise((resolve) => {
+    queue.on('job:finished', (data) => data.jobId === jobId && resolve())
+  })
+}
+
+describe('createJobScheduler', () => {
+  let queue
+
+  beforeEach(() => {
+    queue = new JobQueue({ concurrency: 2, maxRetries: 1 })
+  })
+
+  it('starts jobs right away while budget is free', async () => {
+    const scheduler = createJobScheduler(queue, { budget: 4 })
+    const a = blockedJob(queue, 'a', 2)
+    const b = blockedJob(queue, 'b', 2)
+
+    scheduler.enqueue('a')
+    scheduler.enqueue('b')
+    await tick()
+
+    expect(a.started).toHaveLength(2)
+    expect(b.started).toHaveLength(2)
+    expect(scheduler.list().map((entry) => entry.state)).toEqual(['running', 'running'])
+    a.release()
+    b.release()
+  })
+
+  it('lets jobs wait when the budget is used up and starts them in priority order', async () => {
+    const scheduler = createJobScheduler(queue, { budget: 2 })
+    const first = blockedJob(queue, 'first', 2)
+    blockedJob(queue, 'low')
+    blockedJob(queue, 'high')
+
+    scheduler.enqueue('first')
+    scheduler.enqueue('low', { priority: 0 })
+    const entry = scheduler.enqueue('high', { priority: 5 })
+
+    expect(entry).toMatchObject({ state: 'waiting', position: 1 })
+    expect(scheduler.list().map((e) => e.jobId)).toEqual(['first', 'high', 'low'])
+
+    const done = finished(queue, 'first')
+    first.release()
+    await done
+    await tick()
+
+    // The high priority job takes the whole budget, so the other one keeps waiting
+    expect(queue.getJob('high').status).toBe('running')
+    expect(queue.getJob('low').status).toBe('pending')
+  })
+
+  it('gives a job only the workers left in the budget and tops it up later', async () => {
+    const scheduler = createJobScheduler(queue, { budget: 3 })
+    const a = blockedJob(queue, 'a', 2)
+    const b = blockedJob(queue, 'b', 4)
+
+    scheduler.enqueue('a')
+    scheduler.enqueue('b', { runOptions: { concurrency: 3 } })
+    await tick()
+
+    expect(b.started).toHaveLength(1)
+
+    const done = finished(queue, 'a')
+    a.release()
+    await done
+    await tick()
+
+    expect(scheduler.list()).toEqual([expect.objectContaining({ jobId: 'b', workers: 3 })])
+    expect(b.started).toHaveLength(3)
+    b.release()
+  })
+
+  it('skips jobs cancelled while waiting', async () => {
+    const scheduler = createJobScheduler(queue, { budget: 1 })
+    const first = blockedJob(queue, 'first')
+    const cancelled = blockedJob(queue, 'cancelled')
+
+    scheduler.enqueue('first', { runOptions: { concurrency: 1 } })
+    scheduler.enqueue('cancelled')
+    queue.cancel('cancelled')
+
+    expect(scheduler.list().map((e) => e.jobId)).toEqual(['first'])
+
+    const done = finished(queue, 'first')
+    first.release()
+    await done
+    await tick()
+
+    expect(cancelled.started).toHaveLength(0)
+    expect(scheduler.list()).toEqual([])
+  })
+
+  it('reorders waiting jobs when their priority changes', () => {
+    const scheduler = createJobScheduler(queue, { budget: 1 })
+    blockedJob(queue, 'first').release()
+    blockedJob(queue, 'a')
+    blockedJob(queue, 'b')
+
+    scheduler.enqueue('first', { runOptions: { concurrency: 1 } })
+    scheduler.enqueue('a')
+    scheduler.enqueue('b')
+
+    expect(scheduler.prioritize('b', 1)).toBe(true)
+    expect(scheduler.list().map((e) => e.jobId)).toEqual(['first', 'b', 'a'])
+    expect(queue.getJob('b').priority).toBe(1)
+    expect(scheduler.prioritize('first', 1)).toBe(false)
+  })
+
+  it('applies run options to waiting and running jobs', async () => {
+    const scheduler = createJobScheduler(queue, { budget: 2 })
+    const running = blockedJob(queue, 'running', 3)
+    blockedJob(queue, 'waiting')
+
+    scheduler.enqueue('running', { runOptions: { concurrency: 2 } })
+    scheduler.enqueue('waiting')
+    expect(scheduler.list().map((e) => e.state)).toEqual(['running', 'waiting'])
+
+    // The budget is used up, so the running job cannot get four workers
+    expect(scheduler.configure('running', { concurrency: 4 })).toBe(true)
+    await tick()
+    expect(scheduler.list()[0].workers).toBe(2)
+    expect(running.started).toHaveLength(2)
+
+    expect(scheduler.configure('waiting', { maxRetries: 5 })).toBe(true)
+    expect(scheduler.configure('unknown', { maxRetries: 5 })).toBe(false)
+    running.release()
+  })
+
+  it('uses a larger budget right away', async () => {
+    const scheduler = createJobScheduler(queue, { budget: 1 })
+    const a = blockedJob(queue, 'a')
+    const b = blockedJob(queue, 'b')
+
+    scheduler.enqueue('a', { runOptions: { concurrency: 1 } })
+    scheduler.enqueue('b', { runOptions: { concurrency: 1 } })
+    scheduler.setBudget(2)
+    await tick()
+
+    expect(b.started).toHaveLength(1)
+    a.release()
+    b.release()
+  })
+})
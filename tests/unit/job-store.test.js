@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, readdir } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createJobStore, serializeJob } from '../../src/main/services/job-store.js'
+import { JobQueue } from '../../src/main/services/job-queue.js'
+
+describe('JobStore', () => {
+  let baseDir
+  let store
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'fotokopilot-jobs-'))
+    store = createJobStore(baseDir)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  describe('serializeJob', () => {
+    it('drops the handler and runtime flags', () => {
+      const queue = new JobQueue()
+      const job = queue.createJob('job-1', [{ id: 1 }], async () => ({}), {
+        siteId: 'site-1',
+        type: 'generate',
+      })
+
+      const snapshot = serializeJob(job)
+
+      expect(snapshot.handler).toBeUndefined()
+      expect(snapshot.paused).toBeUndefined()
+      expect(snapshot.siteId).toBe('site-1')
+      expect(snapshot.type).toBe('generate')
+      expect(snapshot.items[0].status).toBe('pending')
+    })
+  })
+
+  describe('save and load', () => {
+    it('persists a job with its items and results', async () => {
+      const queue = new JobQueue({ concurrency: 2 })
+      queue.createJob(
+        'job-1',
+        [{ id: 1, filename: 'a' }, { id: 2, filename: 'b' }],
+        async (item) => ({ altText: `Alt ${item.id}` }),
+        { siteId: 'site-1', type: 'generate' }
+      )
+      const job = await queue.start('job-1')
+
+      await store.save(job)
+      const loaded = await store.load('site-1', 'job-1')
+
+      expect(loaded.status).toBe('completed')
+      expect(loaded.items).toHaveLength(2)
+      expect(loaded.items[0].result.altText).toBe('Alt 1')
+      expect(loaded.items[1].proposedAlt).toBe('Alt 2')
+    })
+
+    it('coalesces writes and keeps the latest state', async () => {
+      const queue = new JobQueue()
+      const job = queue.createJob('job-1', [{ id: 1 }], async () => ({}), {
+        siteId: 'site-1',
+      })
+
+      store.save(job)
+      job.status = 'running'
+      store.save(job)
+      job.status = 'completed'
+      await store.save(job)
+      await store.flush()
+
+      const loaded = await store.load('site-1', 'job-1')
+      expect(loaded.status).toBe('completed')
+
+      const files = await readdir(join(baseDir, 'site-1'))
+      expect(files).toEqual(['job-1.json'])
+    })
+
+    it('ignores jobs without a site', async () => {
+      await store.save({ id: 'orphan', items: [] })
+      expect(await store.list('undefined')).toEqual([])
+    })
+
+    it('returns undefined for unknown jobs', async () => {
+      expect(await store.load('site-1', 'missing')).toBeUndefined()
+      expect(await store.find('missing')).toBeUndefined()
+    })
+  })
+
+  describe('find', () => {
+    it('finds a job by ID without knowing the site', async () => {
+      await store.save({ id: 'job-2', siteId: 'site-2', status: 'completed', items: [] })
+
+      const found = await store.find('job-2')
+      expect(found.siteId).toBe('site-2')
+    })
+  })
+
+  describe('list', () => {
+    it('lists job summaries for a site, newest first', async () => {
+      await store.save({ id: 'old', siteId: 'site-1', createdAt: 1, total: 1, items: [{ id: 1 }] })
+      await store.save({ id: 'new', siteId: 'site-1', createdAt: 2, total: 1, items: [{ id: 1 }] })
+      await store.save({ id: 'other', siteId: 'site-2', createdAt: 3, items: [] })
+
+      const jobs = await store.list('site-1')
+
+      expect(jobs.map((j) => j.id)).toEqual(['new', 'old'])
+      expect(jobs[0].items).toBeUndefined()
+    })
+  })
+
+  describe('remove', () => {
+    it('deletes a stored job', async () => {
+      await store.save({ id: 'job-1', siteId: 'site-1', items: [] })
+      await store.remove('site-1', 'job-1')
+
+      expect(await store.load('site-1', 'job-1')).toBeUndefined()
+    })
+  })
+})
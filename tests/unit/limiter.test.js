@@ -0,0 +1,62 @@
+import { describe, it, expect, vi } from 'vitest'
+import { createLimiter } from '../../src/main/utils/limiter.js'
+
+describe('createLimiter', () => {
+  /**
+   * Runs tasks through a limiter and records the highest number running at once.
+   * @param {Object} limiter - Limiter under test
+   * @param {number} count - Tasks to run
+   * @returns {Promise<number>} Peak concurrency
+   */
+  async function peakConcurrency(limiter, count) {
+    let running = 0
+    let peak = 0
+    await Promise.all(
+      Array.from({ length: count }, () =>
+        limiter.run(async () => {
+          running++
+          peak = Math.max(peak, running)
+          await new Promise((r) => setTimeout(r, 10))
+          running--
+        })
+      )
+    )
+    return peak
+  }
+
+  it('runs at most `limit` tasks at once', async () => {
+    expect(await peakConcurrency(createLimiter(2), 6)).toBe(2)
+  })
+
+  it('starts queued tasks when the limit grows', async () => {
+    const limiter = createLimiter(1)
+    const done = peakConcurrency(limiter, 4)
+    limiter.setLimit(4)
+    expect(await done).toBe(4)
+  })
+
+  it('returns task results and releases the slot on errors', async () => {
+    const limiter = createLimiter(1)
+    await expect(limiter.run(async () => { throw new Error('Boom') })).rejects.toThrow('Boom')
+    expect(await limiter.run(async () => 'ok')).toBe('ok')
+    expect(limiter.active).toBe(0)
+  })
+
+  it('drops queued tasks whose signal aborts', async () => {
+    const limiter = createLimiter(1)
+    let release
+    const first = limiter.run(() => new Promise((r) => (release = r)))
+    const controller = new AbortController()
+    const task = vi.fn()
+    const queued = limiter.run(task, controller.signal)
+
+    controller.abort(new Error('Cancelled'))
+    await expect(queued).rejects.toThrow('Cancelled')
+    expect(limiter.queued).toBe(0)
+
+    release()
+    await first
+    expect(task).not.toHaveBeenCalled()
+    await expect(limiter.run(task, controller.signal)).rejects.toThrow('Cancelled')
+  })
+})
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { toLanguageTag, getLanguageName, getTextDirection } from '../../src/main/utils/locale.js'
+
+describe('toLanguageTag', () => {
+  it('converts WordPress locales to BCP-47 tags', () => {
+    expect(toLanguageTag('nb_NO')).toBe('nb-NO')
+    expect(toLanguageTag('es_419')).toBe('es-419')
+    expect(toLanguageTag('pt-BR')).toBe('pt-BR')
+    expect(toLanguageTag('nb')).toBe('nb')
+  })
+
+  it('drops WordPress variants', () => {
+    expect(toLanguageTag('de_DE_formal')).toBe('de-DE')
+    expect(toLanguageTag('pt_PT_ao90')).toBe('pt-PT')
+  })
+
+  it('canonicalizes three-letter WordPress language codes', () => {
+    expect(toLanguageTag('bel')).toBe('be')
+    expect(toLanguageTag('oci')).toBe('oc')
+  })
+
+  it('returns undefined for empty or invalid locales', () => {
+    expect(toLanguageTag('')).toBeUndefined()
+    expect(toLanguageTag(undefined)).toBeUndefined()
+    expect(toLanguageTag('x')).toBeUndefined()
+  })
+})
+
+describe('getLanguageName', () => {
+  it('resolves locales beyond the common ones', () => {
+    expect(getLanguageName('is_IS')).toBe('Icelandic')
+    expect(getLanguageName('uk')).toBe('Ukrainian')
+    expect(getLanguageName('ckb')).toBe('Central Kurdish')
+    expect(getLanguageName('bel')).toBe('Belarusian')
+  })
+
+  it('leaves out the region', () => {
+    expect(getLanguageName('pt_BR')).toBe('Portuguese')
+    expect(getLanguageName('de_CH_informal')).toBe('German')
+    expect(getLanguageName('es-419')).toBe('Spanish')
+  })
+
+  it('keeps the script for Chinese', () => {
+    expect(getLanguageName('zh_CN')).toBe('Chinese (Simplified)')
+    expect(getLanguageName('zh_TW')).toBe('Chinese (Traditional)')
+    expect(getLanguageName('zh_HK')).toBe('Chinese (Traditional)')
+  })
+
+  it('names WordPress languages missing from CLDR', () => {
+    expect(getLanguageName('azb')).toBe('South Azerbaijani')
+    expect(getLanguageName('skr')).toBe('Saraiki')
+  })
+
+  it('defaults to English for unknown locales', () => {
+    expect(getLanguageName('unknown_XX')).toBe('English')
+    expect(getLanguageName('')).toBe('English')
+  })
+})
+
+describe('getTextDirection', () => {
+  it('detects right-to-left languages', () => {
+    for (const locale of ['ar', 'he_IL', 'fa_IR', 'ur', 'ckb', 'ps', 'ary', 'dv', 'haz']) {
+      expect(getTextDirection(locale)).toBe('rtl')
+    }
+  })
+
+  it('defaults to left-to-right', () => {
+    expect(getTextDirection('en_US')).toBe('ltr')
+    expect(getTextDirection('zh_CN')).toBe('ltr')
+    expect(getTextDirection('unknown_XX')).toBe('ltr')
+    expect(getTextDirection(undefined)).toBe('ltr')
+  })
+})
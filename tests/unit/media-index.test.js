@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import {
+  createMediaIndexStore,
+  mergeMediaItems,
+  incrementalCursor,
+  queryMediaIndex,
+} from '../../src/main/services/media-index.js'
+
+const media = (id, overrides = {}) => ({
+  id,
+  sourceUrl: `https://example.com/${id}.jpg`,
+  thumbnailUrl: `https://example.com/${id}-150x150.jpg`,
+  filename: `image-${id}`,
+  title: `Image ${id}`,
+  caption: '',
+  description: '',
+  currentAlt: '',
+  mimeType: 'image/jpeg',
+  parentId: 0,
+  author: 1,
+  date: `2024-01-0${id}T10:00:00`,
+  modified: `2024-02-0${id}T10:00:00`,
+  ...overrides,
+})
+
+describe('MediaIndex', () => {
+  let baseDir
+  let store
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'fotokopilot-index-'))
+    store = createMediaIndexStore(baseDir)
+  })
+
+  afterEach(async () => {
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  describe('mergeMediaItems', () => {
+    it('adds new items, replaces changed ones and advances the cursor', () => {
+      const index = { siteId: 'site-1', items: new Map() }
+
+      expect(mergeMediaItems(index, [media(1), media(2)])).toEqual({ added: 2, updated: 0 })
+      expect(index.lastModified).toBe('2024-02-02T10:00:00')
+
+      const changed = media(1, { currentAlt: 'A red bicycle', modified: '2024-02-05T08:00:00' })
+      expect(mergeMediaItems(index, [changed, media(3)])).toEqual({ added: 1, updated: 1 })
+
+      expect(index.items.size).toBe(3)
+      expect(index.items.get(1).currentAlt).toBe('A red bicycle')
+      expect(index.lastModified).toBe('2024-02-05T08:00:00')
+    })
+
+    it('does not store scan-specific alt issues', () => {
+      const index = { siteId: 'site-1', items: new Map() }
+      mergeMediaItems(index, [media(1, { altIssues: ['Single word'] })])
+      expect(index.items.get(1).altIssues).toBeUndefined()
+    })
+  })
+
+  describe('incrementalCursor', () => {
+    it('requires a full scan for an empty index', () => {
+      expect(incrementalCursor({ items: new Map() })).toBeUndefined()
+    })
+
+    it('goes back one second from the last modified date', () => {
+      expect(incrementalCursor({ lastModified: '2024-02-05T08:00:00' })).toBe('2024-02-05T07:59:59')
+    })
+  })
+
+  describe('queryMediaIndex', () => {
+    it('applies query and alt text filters, newest first', () => {
+      const index = { siteId: 'site-1', items: new Map() }
+      mergeMediaItems(index, [
+        media(1),
+        media(2, { currentAlt: 'A lighthouse on a cliff at dusk' }),
+        media(3, { parentId: 12 }),
+        media(4, { mimeType: 'image/svg+xml' }),
+      ])
+
+      expect(queryMediaIndex(index).map((i) => i.id)).toEqual([4, 3, 2, 1])
+      expect(
+        queryMediaIndex(index, {
+          missingAltOnly: true,
+          excludeMimeTypes: ['image/svg+xml'],
+        }).map((i) => i.id)
+      ).toEqual([3, 1])
+      expect(queryMediaIndex(index, { attachment: 'attached' }).map((i) => i.id)).toEqual([3])
+      expect(queryMediaIndex(index, { after: '2024-01-02', before: '2024-01-03' }).map((i) => i.id)).toEqual([3, 2])
+      expect(queryMediaIndex(index, { search: 'image 1' }).map((i) => i.id)).toEqual([1])
+      expect(queryMediaIndex(index, { limit: 2 }).map((i) => i.id)).toEqual([4, 3])
+    })
+  })
+
+  describe('save and load', () => {
+    it('round-trips an index', async () => {
+      const index = await store.load('site-1')
+      expect(index.items.size).toBe(0)
+
+      mergeMediaItems(index, [media(1), media(2)])
+      await store.save(index)
+
+      const loaded = await store.load('site-1')
+      expect(loaded.items.get(2).thumbnailUrl).toBe('https://example.com/2-150x150.jpg')
+      expect(loaded.lastModified).toBe('2024-02-02T10:00:00')
+      expect(loaded.updatedAt).toBeTypeOf('number')
+    })
+
+    it('removes an index', async () => {
+      const index = await store.load('site-1')
+      mergeMediaItems(index, [media(1)])
+      await store.save(index)
+
+      await store.remove('site-1')
+
+      expect((await store.load('site-1')).items.size).toBe(0)
+    })
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
+import { setupServer } from 'msw/node'
+import { http, HttpResponse } from 'msw'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { createOpenAiBackend } from '../../src/main/services/openai-provider.js'
+
+const BASE_URL = 'http://localhost:11434/v1'
+const server = setupServer()
+
+describe('OpenAI-compatible backend', () => {
+  let dir
+  let imagePath
+
+  beforeAll(async () => {
+    server.listen({ onUnhandledRequest: 'error' })
+    dir = await mkdtemp(join(tmpdir(), 'fotokopilot-openai-'))
+    imagePath = join(dir, 'image.png')
+    await writeFile(imagePath, Buffer.from('fake-png'))
+  })
+
+  afterEach(() => server.resetHandlers())
+
+  afterAll(async () => {
+    server.close()
+    await rm(dir, { recursive: true, force: true })
+  })
+
+  it('sends the prompts and image as a chat completion', async () => {
+    let body
+    let authorization
+    server.use(
+      http.post(`${BASE_URL}/chat/completions`, async ({ request }) => {
+        body = await request.json()
+        authorization = request.headers.get('Authorization')
+        return HttpResponse.json({
+          choices: [{ message: { role: 'assistant', content: '{"alt_text":"A lighthouse"}' } }],
+        })
+      })
+    )
+    const backend = createOpenAiBackend({ baseUrl: `${BASE_URL}/`, apiKey: 'secret' })
+
+    const content = await backend.complete({
+      systemPrompt: 'System',
+      prompt: 'Describe',
+      imagePath,
+      model: 'llava',
+    })
+
+    expect(content).toBe('{"alt_text":"A lighthouse"}')
+    expect(authorization).toBe('Bearer secret')
+    expect(body.model).toBe('llava')
+    expect(body.messages[0]).toEqual({ role: 'system', content: 'System' })
+    expect(body.messages[1].content[0]).toEqual({ type: 'text', text: 'Describe' })
+    expect(body.messages[1].content[1].image_url.url).toBe(
+      `data:image/png;base64,${Buffer.from('fake-png').toString('base64')}`
+    )
+  })
+
+  it('resends the conversation for follow-up messages in a session', async () => {
+    const bodies = []
+    server.use(
+      http.post(`${BASE_URL}/chat/completions`, async ({ request }) => {
+        bodies.push(await request.json())
+        return HttpResponse.json({
+          choices: [{ message: { role: 'assistant', content: `{"alt_text":"Reply ${bodies.length}"}` } }],
+        })
+      })
+    )
+    const backend = createOpenAiBackend({ baseUrl: BASE_URL })
+
+    const session = await backend.openSession({ systemPrompt: 'System', model: 'llava' })
+    await session.send({ prompt: 'Describe', imagePath })
+    const content = await session.send({ prompt: 'Shorter please' })
+
+    expect(content).toBe('{"alt_text":"Reply 2"}')
+    expect(bodies[1].messages).toHaveLength(4)
+    expect(bodies[1].messages[2]).toEqual({ role: 'assistant', content: '{"alt_text":"Reply 1"}' })
+    expect(bodies[1].messages[3]).toEqual({ role: 'user', content: 'Shorter please' })
+  })
+
+  it('reports server errors with the status code', async () => {
+    server.use(
+      http.post(`${BASE_URL}/chat/completions`, () =>
+        HttpResponse.json({ error: 'model not found' }, { status: 404 })
+      )
+    )
+    const backend = createOpenAiBackend({ baseUrl: BASE_URL })
+
+    await expect(
+      backend.complete({ systemPrompt: 'S', prompt: 'P', imagePath, model: 'missing' })
+    ).rejects.toThrow('OpenAI-compatible server returned 404')
+  })
+
+  it('lists models and reports status', async () => {
+    server.use(
+      http.get(`${BASE_URL}/models`, () =>
+        HttpResponse.json({ data: [{ id: 'llava' }, { id: 'qwen2-vl' }] })
+      )
+    )
+    const backend = createOpenAiBackend({ baseUrl: BASE_URL })
+
+    expect((await backend.listModels()).map((m) => m.id)).toEqual(['llava', 'qwen2-vl'])
+    expect(await backend.status()).toEqual({ running: true, models: 2 })
+  })
+
+  it('reports an unreachable server as not running', async () => {
+    server.use(http.get(`${BASE_URL}/models`, () => HttpResponse.error()))
+    const backend = createOpenAiBackend({ baseUrl: BASE_URL })
+
+    const status = await backend.status()
+
+    expect(status.running).toBe(false)
+    expect(status.error).toBeTruthy()
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest'
+import { extractImageContext, imageFileStem } from '../../src/main/utils/post-context.js'
+
+describe('imageFileStem', () => {
+  it('strips the extension and the -scaled suffix', () => {
+    expect(imageFileStem('https://example.com/wp-content/uploads/2025/01/team-photo-scaled.jpg?v=2')).toBe('team-photo')
+    expect(imageFileStem(undefined)).toBe('')
+  })
+})
+
+describe('extractImageContext', () => {
+  const image = { id: 12, sourceUrl: 'https://example.com/wp-content/uploads/cat.png' }
+
+  it('returns null when the image is not used', () => {
+    expect(extractImageContext('<p>Just text</p><img src="/uploads/dog.png">', image)).toBeNull()
+  })
+
+  it('picks the paragraph closest to the image', () => {
+    const html =
+      '<p>Intro far above.</p><p>Long filler paragraph.</p><p>Meet Whiskers, our office cat.</p>' +
+      '<figure class="wp-block-image"><img src="https://example.com/wp-content/uploads/cat-300x200.png" class="wp-image-12"></figure>' +
+      '<p>After the image, but further away than the paragraph right above it.</p>'
+
+    expect(extractImageContext(html, image)).toEqual({ paragraph: 'Meet Whiskers, our office cat.', caption: '' })
+  })
+
+  it('uses the paragraph that wraps the image in classic content', () => {
+    const html = '<p>Earlier.</p><p><img class="alignleft wp-image-12" src="/x.png"> Whiskers &amp; friends</p>'
+
+    expect(extractImageContext(html, image).paragraph).toBe('Whiskers & friends')
+  })
+
+  it('truncates long paragraphs on a word boundary', () => {
+    const html = `<img class="wp-image-12"><p>${'word '.repeat(200)}</p>`
+
+    const { paragraph } = extractImageContext(html, image)
+    expect(paragraph.length).toBeLessThanOrEqual(401)
+    expect(paragraph.endsWith('word…')).toBe(true)
+  })
+})
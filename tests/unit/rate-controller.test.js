@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import {
+  parseRetryAfter,
+  classifyError,
+  createRateController,
+} from '../../src/main/services/rate-controller.js'
+
+/**
+ * Builds an error the way the WordPress and OpenAI clients do.
+ * @param {string} message - Error message
+ * @param {Object} [props] - status, code, retryAfter, permanent
+ * @returns {Error}
+ */
+function httpError(message, props = {}) {
+  return Object.assign(new Error(message), props)
+}
+
+describe('parseRetryAfter', () => {
+  it('parses seconds', () => {
+    expect(parseRetryAfter('120')).toBe(120)
+  })
+
+  it('parses HTTP dates relative to now', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT')
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:30 GMT', now)).toBe(30)
+    expect(parseRetryAfter('Wed, 21 Oct 2026 07:27:00 GMT', now)).toBe(0)
+  })
+
+  it('returns undefined for missing or invalid values', () => {
+    expect(parseRetryAfter(null)).toBeUndefined()
+    expect(parseRetryAfter('soon')).toBeUndefined()
+  })
+})
+
+describe('classifyError', () => {
+  it('treats 429, 503 and rate limit messages as throttling', () => {
+    expect(classifyError(httpError('Rate limited', { status: 429, retryAfter: 30 }))).toEqual({
+      retryable: true,
+      throttled: true,
+      retryAfterMs: 30000,
+    })
+    expect(classifyError(httpError('Unavailable', { status: 503 })).throttled).toBe(true)
+    expect(classifyError(httpError('Rate limit exceeded for model')).throttled).toBe(true)
+  })
+
+  it('does not retry authentication, missing media or validation errors', () => {
+    expect(classifyError(httpError('Unauthorized', { status: 401, code: 'UNAUTHORIZED' })).retryable).toBe(false)
+    expect(classifyError(httpError('Not found', { status: 404 })).retryable).toBe(false)
+    expect(classifyError(httpError('Invalid parameter', { code: 'rest_invalid_param' })).retryable).toBe(false)
+    expect(classifyError(httpError('No image URL available', { permanent: true })).retryable).toBe(false)
+  })
+
+  it('retries network and server errors', () => {
+    expect(classifyError(new Error('fetch failed'))).toEqual({ retryable: true, throttled: false })
+    expect(classifyError(httpError('Server error', { status: 500 })).retryable).toBe(true)
+  })
+})
+
+describe('createRateController', () => {
+  it('halves concurrency on throttling and grows it back on success', () => {
+    const rate = createRateController({ concurrency: 4 })
+
+    rate.onError({ retryable: true, throttled: true })
+    expect(rate.concurrency).toBe(2)
+    rate.onError({ retryable: true, throttled: true })
+    rate.onError({ retryable: true, throttled: true })
+    expect(rate.concurrency).toBe(1)
+
+    rate.onSuccess()
+    expect(rate.concurrency).toBe(2)
+    rate.onSuccess()
+    rate.onSuccess()
+    expect(rate.concurrency).toBe(3)
+    for (let i = 0; i < 10; i++) rate.onSuccess()
+    expect(rate.concurrency).toBe(4)
+  })
+
+  it('applies a new maximum at once unless throttled', () => {
+    const rate = createRateController({ concurrency: 2 })
+    rate.setMaxConcurrency(5)
+    expect(rate.concurrency).toBe(5)
+
+    rate.onError({ retryable: true, throttled: true })
+    rate.setMaxConcurrency(8)
+    expect(rate.concurrency).toBe(2)
+    rate.setMaxConcurrency(1)
+    expect(rate.concurrency).toBe(1)
+    expect(rate.snapshot().maxConcurrency).toBe(1)
+  })
+
+  it('ignores errors that are not throttling', () => {
+    const rate = createRateController({ concurrency: 3 })
+    rate.onError({ retryable: true, throttled: false })
+    expect(rate.concurrency).toBe(3)
+  })
+
+  it('pauses for the server-requested time', () => {
+    const rate = createRateController()
+    expect(rate.wait()).toBe(0)
+
+    rate.onError({ retryable: true, throttled: true, retryAfterMs: 5000 })
+    expect(rate.wait()).toBeGreaterThan(4000)
+    expect(rate.retryDelay(1, { retryable: true, throttled: false })).toBeGreaterThan(4000)
+    expect(rate.snapshot().throttledUntil).toBeGreaterThan(Date.now())
+  })
+
+  it('backs off exponentially without Retry-After', () => {
+    const rate = createRateController({ baseDelay: 100, maxDelay: 1000 })
+    const failure = { retryable: true, throttled: false }
+
+    expect(rate.retryDelay(1, failure)).toBeGreaterThanOrEqual(150)
+    expect(rate.retryDelay(1, failure)).toBeLessThanOrEqual(200)
+    expect(rate.retryDelay(10, failure)).toBeLessThanOrEqual(1000)
+  })
+
+  it('reports items finished in the last minute', () => {
+    const rate = createRateController({ concurrency: 2 })
+    rate.onSuccess()
+    rate.onFailure()
+
+    expect(rate.snapshot()).toEqual({ concurrency: 2, maxConcurrency: 2, itemsPerMinute: 2 })
+  })
+})
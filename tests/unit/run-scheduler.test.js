@@ -0,0 +1,87 @@
+import { describe, it, expect, vi } from 'vitest'
+import { nextRunAt, createRunScheduler } from '../../src/main/services/run-scheduler.js'
+
+/** Wednesday 21 October 2026, 10:00 local time */
+const WEDNESDAY = new Date(2026, 9, 21, 10, 0).getTime()
+
+const schedule = (props = {}) => ({ id: 'nightly', siteId: 'site-1', enabled: true, time: '02:00', ...props })
+
+describe('nextRunAt', () => {
+  it('returns the next occurrence of the time of day', () => {
+    expect(nextRunAt(schedule(), WEDNESDAY)).toBe(new Date(2026, 9, 22, 2, 0).getTime())
+    expect(nextRunAt(schedule({ time: '18:30' }), WEDNESDAY)).toBe(new Date(2026, 9, 21, 18, 30).getTime())
+  })
+
+  it('only picks the selected weekdays', () => {
+    // Sunday and Monday
+    expect(nextRunAt(schedule({ days: [0, 1] }), WEDNESDAY)).toBe(new Date(2026, 9, 25, 2, 0).getTime())
+    // Wednesday at a time that has passed runs next week
+    expect(nextRunAt(schedule({ days: [3], time: '09:00' }), WEDNESDAY)).toBe(
+      new Date(2026, 9, 28, 9, 0).getTime()
+    )
+  })
+
+  it('returns undefined for disabled schedules and invalid times', () => {
+    expect(nextRunAt(schedule({ enabled: false }), WEDNESDAY)).toBeUndefined()
+    expect(nextRunAt(schedule({ time: '25:00' }), WEDNESDAY)).toBeUndefined()
+    expect(nextRunAt(schedule({ time: 'nightly' }), WEDNESDAY)).toBeUndefined()
+  })
+})
+
+describe('createRunScheduler', () => {
+  it('runs due schedules once and records the outcome', async () => {
+    let time = WEDNESDAY
+    const run = vi.fn().mockResolvedValue({ jobId: 'job-1', total: 12 })
+    const scheduler = createRunScheduler({ run, now: () => time })
+    scheduler.update([schedule({ time: '10:30' })])
+
+    expect(await scheduler.check()).toEqual([])
+
+    time = new Date(2026, 9, 21, 10, 31).getTime()
+    expect(await scheduler.check()).toEqual([{ at: time, jobId: 'job-1', total: 12 }])
+    expect(await scheduler.check()).toEqual([])
+    expect(run).toHaveBeenCalledTimes(1)
+
+    const [entry] = scheduler.list()
+    expect(entry.lastRun).toMatchObject({ total: 12 })
+    expect(entry.nextRunAt).toBe(new Date(2026, 9, 22, 10, 30).getTime())
+  })
+
+  it('records failed runs', async () => {
+    const run = vi.fn().mockRejectedValue(new Error('Site unreachable'))
+    const scheduler = createRunScheduler({ run, now: () => WEDNESDAY })
+    scheduler.update([schedule()])
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+
+    const record = await scheduler.runNow('nightly')
+
+    expect(record.error).toBe('Site unreachable')
+    expect(scheduler.list()[0].lastRun.error).toBe('Site unreachable')
+  })
+
+  it('does not start a schedule whose previous run is still scanning', async () => {
+    let finish
+    const run = vi.fn(() => new Promise((resolve) => (finish = resolve)))
+    const scheduler = createRunScheduler({ run, now: () => WEDNESDAY })
+    scheduler.update([schedule()])
+
+    const first = scheduler.runNow('nightly')
+    expect(scheduler.list()[0].running).toBe(true)
+    await expect(scheduler.runNow('nightly')).rejects.toThrow('already running')
+
+    finish({ total: 0 })
+    await first
+    expect(scheduler.list()[0].running).toBe(false)
+  })
+
+  it('runs disabled schedules on demand but rejects unknown ones', async () => {
+    const run = vi.fn().mockResolvedValue({ total: 0 })
+    const scheduler = createRunScheduler({ run, now: () => WEDNESDAY })
+    scheduler.update([schedule({ enabled: false })])
+
+    expect(scheduler.list()[0].nextRunAt).toBeUndefined()
+    await scheduler.runNow('nightly')
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ id: 'nightly' }))
+    await expect(scheduler.runNow('other')).rejects.toThrow('Schedule not found')
+  })
+})
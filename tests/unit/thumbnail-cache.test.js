@@ -0,0 +1,236 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach } from 'vitest'
+import { mkdtemp, rm, readdir, readFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { basename, join } from 'node:path'
+import { setupServer } from 'msw/node'
+import { http, HttpResponse } from 'msw'
+import sharp from 'sharp'
+import { createThumbnailCache } from '../../src/main/services/thumbnail-cache.js'
+
+let downloads = 0
+let red
+let blue
+
+const server = setupServer(
+  http.get('https://test.local/wp-content/uploads/:file', ({ params }) => {
+    downloads++
+    const body = params.file.startsWith('blue') ? blue : red
+    return new HttpResponse(body, { headers: { 'Content-Type': 'image/jpeg' } })
+  })
+)
+
+/**
+ * Creates a JPEG filled with one color.
+ * @param {Object} color - RGB color
+ * @returns {Promise<Buffer>}
+ */
+function createImage(color) {
+  return sharp({ create: { width: 200, height: 100, channels: 3, background: color } }).jpeg().toBuffer()
+}
+
+beforeAll(async () => {
+  red = await createImage({ r: 255, g: 0, b: 0 })
+  blue = await createImage({ r: 0, g: 0, b: 255 })
+  server.listen({ onUnhandledRequest: 'error' })
+})
+afterAll(() => server.close())
+
+describe('ThumbnailCache', () => {
+  let baseDir
+
+  beforeEach(async () => {
+    baseDir = await mkdtemp(join(tmpdir(), 'fotokopilot-cache-'))
+    downloads = 0
+  })
+
+  afterEach(async () => {
+    server.resetHandlers()
+    await rm(baseDir, { recursive: true, force: true })
+  })
+
+  it('downloads once and counts hits and misses', async () => {
+    const cache = createThumbnailCache(baseDir)
+    const item = { sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }
+
+    const first = await cache.getThumbnailPath(item)
+    const second = await cache.getThumbnailPath(item)
+
+    expect(second).toBe(first)
+    expect(downloads).toBe(1)
+    expect(await cache.getStats()).toMatchObject({ entries: 1, files: 1, hits: 1, misses: 1 })
+  })
+
+  it('deduplicates concurrent downloads of the same image', async () => {
+    const cache = createThumbnailCache(baseDir)
+    const item = { sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }
+
+    const [a, b] = await Promise.all([cache.getThumbnailPath(item), cache.getThumbnailPath(item)])
+
+    expect(a).toBe(b)
+    expect(downloads).toBe(1)
+  })
+
+  it('stores identical images once', async () => {
+    const cache = createThumbnailCache(baseDir)
+
+    const a = await cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' })
+    const b = await cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/red-copy.jpg' })
+
+    expect(a).toBe(b)
+    expect(await cache.getStats()).toMatchObject({ entries: 2, files: 1 })
+  })
+
+  it('keeps the index and statistics across restarts', async () => {
+    const item = { sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }
+    const path = await createThumbnailCache(baseDir).getThumbnailPath(item)
+
+    const reopened = createThumbnailCache(baseDir)
+    expect(await reopened.getThumbnailPath(item)).toBe(path)
+    expect(downloads).toBe(1)
+    expect(await reopened.getStats()).toMatchObject({ hits: 1, misses: 1 })
+
+    const index = JSON.parse(await readFile(join(baseDir, 'index.json'), 'utf8'))
+    expect(Object.values(index.entries)[0].file).toMatch(/^[0-9a-f]{16}\.jpg$/)
+  })
+
+  it('evicts the least recently used images over the limit', async () => {
+    const cache = createThumbnailCache(baseDir)
+    const redItem = { sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }
+    const blueItem = { sourceUrl: 'https://test.local/wp-content/uploads/blue.jpg' }
+
+    await cache.getThumbnailPath(redItem)
+    await new Promise((resolve) => setTimeout(resolve, 5))
+    await cache.getThumbnailPath(blueItem)
+    const { size } = await cache.getStats()
+
+    await cache.setMaxSize(size - 1)
+    expect(await cache.getStats()).toMatchObject({ entries: 1 })
+
+    await cache.getThumbnailPath(blueItem)
+    expect(downloads).toBe(2)
+  })
+
+  it('purges one site and leaves the others', async () => {
+    const cache = createThumbnailCache(baseDir)
+    await cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }, { siteId: 'a' })
+    await cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/blue.jpg' }, { siteId: 'b' })
+
+    await cache.clear('a')
+
+    expect(await cache.getStats()).toMatchObject({ entries: 1, files: 1, misses: 2 })
+    expect(await readdir(join(baseDir, 'files'))).toHaveLength(1)
+  })
+
+  it('keeps the copy of another site that uses the same URL', async () => {
+    const cache = createThumbnailCache(baseDir)
+    const item = { sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }
+    await cache.getThumbnailPath(item, { siteId: 'a' })
+    await cache.getThumbnailPath(item, { siteId: 'b' })
+
+    await cache.clear('a')
+
+    expect(await cache.getStats()).toMatchObject({ entries: 1, files: 1 })
+    await cache.getThumbnailPath(item, { siteId: 'b' })
+    expect(downloads).toBe(2)
+  })
+
+  it('saves the access times of hits after a delay', async () => {
+    const cache = createThumbnailCache(baseDir)
+    const item = { sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }
+    await cache.getThumbnailPath(item)
+    await cache.getThumbnailPath(item)
+    await cache.getThumbnailPath(item)
+
+    const readHits = async () => JSON.parse(await readFile(join(baseDir, 'index.json'), 'utf8')).hits
+    expect(await readHits()).toBe(0)
+    await cache.flush()
+    expect(await readHits()).toBe(2)
+  })
+
+  it('keeps held files until they are released', async () => {
+    const cache = createThumbnailCache(baseDir)
+    const path = await cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }, { hold: true })
+
+    await cache.setMaxSize(1)
+    expect(await cache.getStats()).toMatchObject({ entries: 1 })
+
+    await cache.clear()
+    expect(await cache.getStats()).toMatchObject({ entries: 0 })
+    expect(await readdir(join(baseDir, 'files'))).toEqual([basename(path)])
+
+    await cache.release(path)
+    expect(await readdir(join(baseDir, 'files'))).toHaveLength(0)
+  })
+
+  it('hands a finished download to a holding caller before anything can evict it', async () => {
+    const cache = createThumbnailCache(baseDir)
+    const item = { sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' }
+
+    // The first caller clears the cache as soon as the shared download is done,
+    // while the second, holding caller is still being handed the file
+    const first = cache.getThumbnailPath(item).then(() => cache.clear())
+    const held = cache.getThumbnailPath(item, { hold: true, signal: new AbortController().signal })
+    const [path] = await Promise.all([held, first])
+
+    expect(await readdir(join(baseDir, 'files'))).toEqual([basename(path)])
+    await cache.release(path)
+    expect(await readdir(join(baseDir, 'files'))).toHaveLength(0)
+  })
+
+  it('clears everything and resets statistics', async () => {
+    const cache = createThumbnailCache(baseDir)
+    await cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' })
+
+    await cache.clear()
+
+    expect(await cache.getStats()).toMatchObject({ entries: 0, files: 0, size: 0, hits: 0, misses: 0 })
+    expect(await readdir(join(baseDir, 'files'))).toHaveLength(0)
+  })
+
+  it('removes files the index does not know about', async () => {
+    const cache = createThumbnailCache(baseDir)
+    await cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/red.jpg' })
+    await rm(join(baseDir, 'index.json'))
+
+    const reopened = createThumbnailCache(baseDir)
+    expect(await reopened.getStats()).toMatchObject({ entries: 0 })
+    expect(await readdir(join(baseDir, 'files'))).toHaveLength(0)
+  })
+
+  it('reports failed downloads', async () => {
+    server.use(http.get('https://test.local/wp-content/uploads/missing.jpg', () => new HttpResponse(null, { status: 404 })))
+    const cache = createThumbnailCache(baseDir)
+
+    await expect(
+      cache.getThumbnailPath({ sourceUrl: 'https://test.local/wp-content/uploads/missing.jpg' })
+    ).rejects.toThrow('Failed to download image: 404')
+    expect(await cache.getStats()).toMatchObject({ entries: 0 })
+  })
+
+  it('keeps a shared download while someone waits and aborts it when nobody does', async () => {
+    let requestSignal
+    server.use(
+      http.get('https://test.local/wp-content/uploads/slow.jpg', ({ request }) => {
+        requestSignal = request.signal
+        return new Promise((resolve) => request.signal.addEventListener('abort', () => resolve(HttpResponse.error())))
+      })
+    )
+    const cache = createThumbnailCache(baseDir)
+    const item = { sourceUrl: 'https://test.local/wp-content/uploads/slow.jpg' }
+    const first = new AbortController()
+    const second = new AbortController()
+
+    const a = cache.getThumbnailPath(item, { signal: first.signal })
+    const b = cache.getThumbnailPath(item, { signal: second.signal })
+    first.abort(new Error('Skipped'))
+    await expect(a).rejects.toThrow('Skipped')
+    await new Promise((resolve) => setTimeout(resolve, 10))
+    expect(requestSignal.aborted).toBe(false)
+
+    second.abort(new Error('Cancelled'))
+    await expect(b).rejects.toThrow('Cancelled')
+    await new Promise((resolve) => setTimeout(resolve, 10))
+    expect(requestSignal.aborted).toBe(true)
+    expect(await cache.getStats()).toMatchObject({ entries: 0 })
+  })
+})
@@ -1,5 +1,12 @@
 import { describe, it, expect } from 'vitest'
-import { validateAltText, sanitizeAltText } from '../../src/main/utils/validation.js'
+import {
+  validateAltText,
+  sanitizeAltText,
+  assessAltQuality,
+  createAltQualityChecker,
+  findBannedWords,
+  evaluateAutoApprove,
+} from '../../src/main/utils/validation.js'
 
 describe('validateAltText', () => {
   it('accepts valid alt text', () => {
@@ -113,3 +120,103 @@ describe('sanitizeAltText', () => {
     expect(sanitizeAltText(undefined)).toBe('')
   })
 })
+
+describe('findBannedWords', () => {
+  it('matches whole words case-insensitively', () => {
+    expect(findBannedWords('Amazing sunset over the bay', ['amazing', 'bay area'])).toEqual([
+      'Contains banned word: "amazing"',
+    ])
+  })
+
+  it('does not match inside other words', () => {
+    expect(findBannedWords('Cheapside market stalls', ['cheap'])).toEqual([])
+  })
+
+  it('handles empty input', () => {
+    expect(findBannedWords('', ['cheap'])).toEqual([])
+    expect(findBannedWords('Cheap seats')).toEqual([])
+  })
+})
+
+describe('evaluateAutoApprove', () => {
+  const rule = { minConfidence: 0.9, reviewFlags: ['sensitive'] }
+
+  it('approves valid, confident results without review flags', () => {
+    const result = { valid: true, issues: [], confidence: 0.95, flags: { containsPeople: true } }
+    expect(evaluateAutoApprove(result, rule)).toEqual({ autoApprove: true, reasons: [] })
+  })
+
+  it('sends low confidence and missing scores to review', () => {
+    expect(evaluateAutoApprove({ valid: true, confidence: 0.6 }, rule).reasons).toEqual([
+      'Confidence 0.60 is below 0.9',
+    ])
+    expect(evaluateAutoApprove({ valid: true, confidence: null }, rule).reasons).toEqual([
+      'No confidence score',
+    ])
+  })
+
+  it('sends invalid and flagged results to review', () => {
+    const result = { valid: false, issues: ['Too long'], confidence: 0.99, flags: { sensitive: true } }
+    expect(evaluateAutoApprove(result, rule)).toEqual({
+      autoApprove: false,
+      reasons: ['Too long', 'Flagged: possibly sensitive'],
+    })
+  })
+})
+
+describe('assessAltQuality', () => {
+  it('accepts descriptive alt text', () => {
+    expect(assessAltQuality('Golden retriever running on a sandy beach')).toEqual([])
+  })
+
+  it('ignores empty alt text', () => {
+    expect(assessAltQuality('')).toEqual([])
+    expect(assessAltQuality(undefined)).toEqual([])
+  })
+
+  it('flags alt text equal to the filename or title', () => {
+    expect(assessAltQuality('Summer party 2024', { filename: 'summer-party-2024' })).toContain(
+      'Same as filename'
+    )
+    expect(assessAltQuality('Team photo', { title: 'Team Photo' })).toContain('Same as title')
+  })
+
+  it('flags generic and single-word alt text', () => {
+    expect(assessAltQuality('Logo')).toEqual(['Generic alt text'])
+    expect(assessAltQuality('Sunset')).toEqual(['Single word'])
+  })
+
+  it('includes validation issues', () => {
+    expect(assessAltQuality('Image of a dog on the grass')).toContain(
+      'Starts with forbidden prefix: "image of"'
+    )
+  })
+})
+
+describe('createAltQualityChecker', () => {
+  it('releases held items once alt text is duplicated enough times', () => {
+    const checker = createAltQualityChecker({ duplicateThreshold: 3 })
+    const alt = 'Our office building downtown'
+
+    expect(checker.check(alt, { payload: 1 })).toEqual({ issues: [], release: [] })
+    expect(checker.check(alt, { payload: 2 })).toEqual({ issues: [], release: [] })
+
+    const third = checker.check(alt, { payload: 3 })
+    expect(third.issues).toEqual(['Duplicated across 3+ items'])
+    expect(third.release.map((r) => r.payload)).toEqual([1, 2])
+
+    const fourth = checker.check(alt, { payload: 4 })
+    expect(fourth.issues).toEqual(['Duplicated across 4+ items'])
+    expect(fourth.release).toEqual([])
+  })
+
+  it('does not hold items that are already emitted', () => {
+    const checker = createAltQualityChecker({ duplicateThreshold: 2 })
+
+    checker.check('Sunset', { payload: 1 })
+    checker.check('A quiet harbour at dawn', { matched: true, payload: 2 })
+    const result = checker.check('A quiet harbour at dawn', { payload: 3 })
+
+    expect(result.release).toEqual([])
+  })
+})
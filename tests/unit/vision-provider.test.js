@@ -0,0 +1,341 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+import {
+  createVisionProvider,
+  resolveProviderConfig,
+  clearSessionSuggestedFolders,
+  getSessionSuggestedFolders,
+} from '../../src/main/services/vision-provider.js'
+import {
+  parseJsonResponse,
+  renderPromptTemplate,
+  buildPromptVariables,
+  buildStyleGuideInstruction,
+  getSitePrompts,
+  getCandidateStyles,
+  ALT_TEXT_SYSTEM_PROMPT,
+} from '../../src/main/utils/vision-prompts.js'
+import { mergeSettings } from '../../src/main/utils/settings-defaults.js'
+
+function createFakeBackend(...replies) {
+  const complete = vi.fn()
+  for (const reply of replies) {
+    complete.mockResolvedValueOnce(typeof reply === 'string' ? reply : JSON.stringify(reply))
+  }
+  const last = replies[replies.length - 1]
+  complete.mockResolvedValue(typeof last === 'string' ? last : JSON.stringify(last))
+
+  return {
+    id: 'fake',
+    complete,
+    // Session messages go through complete, so tests can inspect every prompt
+    openSession: vi.fn(async (options) => ({
+      send: (message) => complete({ ...options, ...message }),
+      close: vi.fn(),
+    })),
+    listModels: vi.fn().mockResolvedValue([]),
+    status: vi.fn().mockResolvedValue({ running: true }),
+  }
+}
+
+describe('createVisionProvider', () => {
+  beforeEach(() => {
+    clearSessionSuggestedFolders()
+  })
+
+  it('generates and validates alt text through the backend', async () => {
+    const backend = createFakeBackend({ alt_text: 'Golden retriever catching a frisbee', caption: ' Fetch! ' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/dog.jpg', {
+      maxLength: 100,
+      fields: { caption: { prompt: 'A caption', maxLength: 50 } },
+    })
+
+    expect(result).toMatchObject({
+      altText: 'Golden retriever catching a frisbee',
+      fields: { caption: 'Fetch!' },
+      valid: true,
+    })
+    const request = backend.complete.mock.calls[0][0]
+    expect(request.model).toBe('llava')
+    expect(request.imagePath).toBe('/tmp/dog.jpg')
+    expect(request.prompt).toContain('Maximum length: 100 characters')
+    expect(request.prompt).toContain('"caption": A caption')
+  })
+
+  it('returns the confidence score and review flags', async () => {
+    const backend = createFakeBackend({
+      alt_text: 'Nurse taking a patient’s blood pressure',
+      confidence: '0.82',
+      contains_people: true,
+      sensitive: true,
+    })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/clinic.jpg')
+
+    expect(result.confidence).toBe(0.82)
+    expect(result.flags).toEqual({ containsText: false, containsPeople: true, sensitive: true })
+    expect(backend.complete.mock.calls[0][0].prompt).toContain('"confidence": 0.0 to 1.0')
+  })
+
+  it('reports a missing confidence score as null', async () => {
+    const backend = createFakeBackend({ alt_text: 'Red bicycle leaning on a fence' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    expect((await provider.generateAltText('/tmp/bike.jpg')).confidence).toBeNull()
+  })
+
+  it('fixes a forbidden prefix without asking the model again', async () => {
+    const backend = createFakeBackend({ alt_text: 'Image of a harbour at dawn' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/harbour.jpg')
+
+    expect(result).toMatchObject({ altText: 'A harbour at dawn', valid: true, issues: [] })
+    expect(result.attemptHistory.map((a) => a.source)).toEqual(['model', 'sanitize'])
+    expect(backend.complete).toHaveBeenCalledTimes(1)
+  })
+
+  it('re-prompts the same session with the issues until the alt text is valid', async () => {
+    const backend = createFakeBackend(
+      { alt_text: 'Cheap cheap cheap shoes on sale', confidence: 0.7 },
+      { alt_text: 'Cheap running shoes on a shelf' },
+      { alt_text: 'Running shoes on a shop shelf' }
+    )
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/shoes.jpg', {
+      prompts: { styleGuide: { bannedWords: ['cheap'] } },
+    })
+
+    expect(result).toMatchObject({ altText: 'Running shoes on a shop shelf', valid: true, confidence: 0.7 })
+    expect(result.attemptHistory.map((a) => a.source)).toEqual(['model', 'reprompt', 'reprompt'])
+    expect(backend.openSession).toHaveBeenCalledTimes(1)
+    const repair = backend.complete.mock.calls[1][0]
+    expect(repair.prompt).toContain('- Possible keyword stuffing detected')
+    expect(repair.imagePath).toBeUndefined()
+  })
+
+  it('stops after the configured repair attempts and keeps the best attempt', async () => {
+    const backend = createFakeBackend(
+      { alt_text: 'Photo of a cheap car' },
+      { alt_text: 'A cheap car' }
+    )
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/car.jpg', {
+      repairAttempts: 1,
+      prompts: { styleGuide: { bannedWords: ['cheap'] } },
+    })
+
+    expect(backend.complete).toHaveBeenCalledTimes(2)
+    expect(result.valid).toBe(false)
+    expect(result.issues).toEqual(['Contains banned word: "cheap"'])
+    expect(result.attemptHistory.map((a) => a.source)).toEqual(['model', 'sanitize', 'reprompt'])
+  })
+
+  it('classifies decorative images with an empty alt text and no repair', async () => {
+    const backend = createFakeBackend({ alt_text: 'Abstract swirl', decorative: true, confidence: 0.95 })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/swirl.png')
+
+    expect(result).toMatchObject({ altText: '', decorative: true, valid: true, attemptHistory: [] })
+    expect(backend.complete).toHaveBeenCalledTimes(1)
+  })
+
+  it('lets a call override the default model', async () => {
+    const backend = createFakeBackend({ alt_text: 'Red bicycle leaning on a fence' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    await provider.generateAltText('/tmp/bike.jpg', { model: 'gpt-4o' })
+
+    expect(backend.complete.mock.calls[0][0].model).toBe('gpt-4o')
+  })
+
+  it('remembers new folders suggested during the session', async () => {
+    const backend = createFakeBackend(
+      '```json\n{"visual_description":"Team at a desk","action":"new","new_folder_path":"People/Team","confidence":0.9}\n```'
+    )
+    const provider = createVisionProvider(backend, { model: 'gpt-4o' })
+
+    const first = await provider.suggestFolder('/tmp/team.jpg', [], { languageName: 'Norwegian (Bokmål)' })
+    expect(first).toMatchObject({ altText: 'Team at a desk', action: 'new', newFolderPath: 'People/Team' })
+    expect(getSessionSuggestedFolders()).toEqual(['People/Team'])
+
+    await provider.suggestFolder('/tmp/team2.jpg', [])
+    const secondPrompt = backend.complete.mock.calls[1][0].prompt
+    expect(secondPrompt).toContain('FOLDERS SUGGESTED THIS SESSION')
+    expect(backend.complete.mock.calls[0][0].systemPrompt).toContain('Respond in Norwegian (Bokmål)')
+  })
+
+  it('returns validated alternative candidates in one request', async () => {
+    const backend = createFakeBackend({
+      alt_text: 'Chef plating a salad',
+      candidates: [
+        { style: 'concise', alt_text: 'Chef plating a salad' },
+        { style: 'detailed', alt_text: 'Chef in a white apron plating a green salad in a busy restaurant kitchen' },
+        { style: 'neutral', alt_text: ' ' },
+      ],
+    })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/chef.jpg', {
+      maxLength: 50,
+      candidates: getCandidateStyles(3),
+    })
+
+    expect(backend.complete).toHaveBeenCalledTimes(1)
+    expect(backend.complete.mock.calls[0][0].prompt).toContain('"detailed": Uses the available length')
+    expect(result.altText).toBe('Chef plating a salad')
+    expect(result.candidates).toHaveLength(2)
+    expect(result.candidates[0]).toMatchObject({ style: 'concise', valid: true })
+    expect(result.candidates[1]).toMatchObject({ style: 'detailed', valid: false })
+  })
+
+  it('asks for no candidates by default', async () => {
+    const backend = createFakeBackend({ alt_text: 'Red bicycle leaning on a fence' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/bike.jpg', { candidates: getCandidateStyles(1) })
+
+    expect(result.candidates).toEqual([])
+    expect(backend.complete.mock.calls[0][0].prompt).not.toContain('ALTERNATIVES')
+  })
+})
+
+describe('site prompts', () => {
+  const prompts = {
+    altText: 'Write alt text for {{siteName}} in {{language}}, max {{maxLength}} chars. Article: {{postTitle}}',
+    folder: '',
+    styleGuide: { tone: 'Plain and friendly', bannedWords: ['stunning', ' '], terminology: 'say "team member"' },
+  }
+  const variables = buildPromptVariables(
+    { title: 'Team', filename: 'team-jpg', postTitle: 'About us' },
+    { maxLength: 100, languageName: 'Swedish', siteName: 'Acme' }
+  )
+
+  it('renders the site template with variables, output format and style guide', async () => {
+    const backend = createFakeBackend({ alt_text: 'Two people at a desk' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    await provider.generateAltText('/tmp/team.jpg', { maxLength: 100, prompts, variables })
+
+    const { systemPrompt } = backend.complete.mock.calls[0][0]
+    expect(systemPrompt).toMatch(/^Write alt text for Acme in Swedish, max 100 chars\. Article: About us/)
+    expect(systemPrompt).toContain('{"alt_text":"..."}')
+    expect(systemPrompt).toContain('- Tone: Plain and friendly')
+    expect(systemPrompt).toContain('- Never use these words or phrases: "stunning"\n')
+    expect(systemPrompt).toContain('  - say "team member"')
+  })
+
+  it('keeps the built-in prompts when templates are empty', async () => {
+    const backend = createFakeBackend({ alt_text: 'Two people at a desk', action: 'skip' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    await provider.generateAltText('/tmp/team.jpg', { prompts: getSitePrompts({}, 'site-1') })
+    await provider.suggestFolder('/tmp/team.jpg', [], { prompts, variables })
+
+    expect(backend.complete.mock.calls[0][0].systemPrompt).toBe(ALT_TEXT_SYSTEM_PROMPT)
+    const folderPrompt = backend.complete.mock.calls[1][0].systemPrompt
+    expect(folderPrompt).toContain('Respond in Swedish')
+    expect(folderPrompt).toContain('STYLE GUIDE:')
+  })
+
+  it('flags banned words in the generated alt text', async () => {
+    const backend = createFakeBackend({ alt_text: 'Stunning view over the harbour' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    const result = await provider.generateAltText('/tmp/view.jpg', { prompts, variables })
+
+    expect(result.valid).toBe(false)
+    expect(result.issues).toEqual(['Contains banned word: "stunning"'])
+  })
+
+  it('adds post context to the user prompt and the postTitle variable', async () => {
+    const backend = createFakeBackend({ alt_text: 'Two people at a desk' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+    const posts = [{ id: 3, title: 'Meet the team', excerpt: '', caption: '', paragraph: 'Anna and Ola run support.', parent: true }]
+
+    await provider.generateAltText('/tmp/team.jpg', {
+      prompts: { ...prompts, altText: 'Site {{siteName}}: {{postTitle}}' },
+      variables: buildPromptVariables({}, { maxLength: 125, siteName: 'Acme', posts }),
+      metadata: { posts },
+    })
+
+    const request = backend.complete.mock.calls[0][0]
+    expect(request.systemPrompt).toMatch(/^Site Acme: Meet the team/)
+    expect(request.prompt).toContain('POST CONTEXT (where the image is used):\n- Attached to: "Meet the team"')
+    expect(request.prompt).toContain('  Text near the image: Anna and Ola run support.')
+    expect(request.prompt).not.toContain('IMAGE METADATA')
+  })
+
+  it('asks for alt text in the site or translation language', async () => {
+    const backend = createFakeBackend({ alt_text: 'Hund som fanger en frisbee' })
+    const provider = createVisionProvider(backend, { model: 'llava' })
+
+    await provider.generateAltText('/tmp/dog.jpg', { variables: { language: 'Norwegian (Bokmål)' } })
+    await provider.generateAltText('/tmp/dog.jpg', { variables: { language: 'English' } })
+
+    expect(backend.complete.mock.calls[0][0].systemPrompt).toContain('Write the alt text in Norwegian (Bokmål)')
+    expect(backend.complete.mock.calls[1][0].systemPrompt).toBe(ALT_TEXT_SYSTEM_PROMPT)
+  })
+
+  it('leaves unknown variables in place', () => {
+    expect(renderPromptTemplate('{{ siteName }} / {{unknown}}', { siteName: 'Acme' })).toBe('Acme / {{unknown}}')
+  })
+
+  it('omits an empty style guide', () => {
+    expect(buildStyleGuideInstruction({ tone: ' ', bannedWords: [], terminology: '\n' })).toBe('')
+  })
+
+  it('reads per-site prompts with defaults', () => {
+    const settings = mergeSettings({ sitePrompts: { 'site-1': { altText: 'Custom' } } })
+
+    expect(getSitePrompts(settings, 'site-1')).toEqual({
+      altText: 'Custom',
+      folder: '',
+      styleGuide: { tone: '', bannedWords: [], terminology: '' },
+    })
+    expect(getSitePrompts(settings, 'site-2').altText).toBe('')
+  })
+})
+
+describe('resolveProviderConfig', () => {
+  it('uses Copilot by default', () => {
+    expect(resolveProviderConfig(mergeSettings({}), 'site-1')).toEqual({
+      provider: 'copilot',
+      model: 'gpt-4o',
+    })
+  })
+
+  it('prefers the per-site provider over the default', () => {
+    const settings = mergeSettings({
+      siteProviders: { 'site-2': 'openai' },
+      openai: { baseUrl: 'http://gpu-box:8080/v1', model: 'qwen2-vl' },
+    })
+
+    expect(resolveProviderConfig(settings, 'site-1').provider).toBe('copilot')
+    expect(resolveProviderConfig(settings, 'site-2')).toEqual({
+      provider: 'openai',
+      baseUrl: 'http://gpu-box:8080/v1',
+      apiKey: '',
+      model: 'qwen2-vl',
+    })
+  })
+})
+
+describe('parseJsonResponse', () => {
+  it('extracts JSON from surrounding prose', () => {
+    expect(parseJsonResponse('Sure! {"alt_text":"A cat"} Hope that helps.')).toEqual({ alt_text: 'A cat' })
+  })
+
+  it('recovers truncated JSON', () => {
+    expect(parseJsonResponse('{"alt_text":"A cat","meta":{"a":1}')).toEqual({ alt_text: 'A cat', meta: { a: 1 } })
+  })
+
+  it('throws when there is no JSON', () => {
+    expect(() => parseJsonResponse('I cannot see the image')).toThrow('No JSON found in model response')
+  })
+})
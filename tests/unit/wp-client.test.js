@@ -1,7 +1,8 @@
 import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest'
 import { setupServer } from 'msw/node'
+import { http, HttpResponse } from 'msw'
 import { wpHandlers, vmfHandlers, errorHandlers } from '../mocks/wp-server.js'
-import { createWpClient } from '../../src/main/services/wp-client.js'
+import { createWpClient, DECORATIVE_META_KEY } from '../../src/main/services/wp-client.js'
 
 const server = setupServer(...wpHandlers, ...vmfHandlers)
 
@@ -104,6 +105,178 @@ describe('WpClient', () => {
       expect(items.length).toBe(3)
     })
 
+    it('passes server-side filters as query parameters', async () => {
+      let query
+      server.use(
+        http.get('*/wp-json/wp/v2/media', ({ request }) => {
+          query = new URL(request.url).searchParams
+          return HttpResponse.json([], { headers: { 'X-WP-TotalPages': '1' } })
+        })
+      )
+      const client = createWpClient(credentials)
+
+      const scan = client.scanMedia({
+        after: '2024-01-01',
+        before: '2024-06-30',
+        author: 2,
+        mimeTypes: ['image/png'],
+        attachment: 'unattached',
+        search: 'beach',
+      })
+      const items = []
+      for await (const item of scan) items.push(item)
+
+      expect(items).toEqual([])
+      expect(query.get('after')).toBe('2024-01-01T00:00:00')
+      expect(query.get('before')).toBe('2024-06-30T23:59:59')
+      expect(query.get('author')).toBe('2')
+      expect(query.get('mime_type')).toBe('image/png')
+      expect(query.get('parent')).toBe('0')
+      expect(query.get('search')).toBe('beach')
+      expect(query.get('media_type')).toBe('image')
+    })
+
+    it('requests only changed media, oldest change first, for incremental scans', async () => {
+      let query
+      server.use(
+        http.get('*/wp-json/wp/v2/media', ({ request }) => {
+          query = new URL(request.url).searchParams
+          return HttpResponse.json([], { headers: { 'X-WP-TotalPages': '1' } })
+        })
+      )
+      const client = createWpClient(credentials)
+
+      const scan = client.scanMedia({ modifiedAfter: '2024-03-01T12:00:00', orderBy: 'modified' })
+      for await (const item of scan) void item
+
+      expect(query.get('modified_after')).toBe('2024-03-01T12:00:00')
+      expect(query.get('orderby')).toBe('modified')
+      expect(query.get('order')).toBe('asc')
+    })
+
+    it('applies MIME exclusions and alt text filters locally', async () => {
+      server.use(
+        http.get('*/wp-json/wp/v2/media', () =>
+          HttpResponse.json(
+            [
+              { id: 1, alt_text: '', mime_type: 'image/jpeg' },
+              { id: 2, alt_text: 'Dog', mime_type: 'image/jpeg' },
+              { id: 3, alt_text: 'IMG_4032', mime_type: 'image/jpeg' },
+              { id: 4, alt_text: 'Golden retriever running on a beach', mime_type: 'image/jpeg' },
+              { id: 5, alt_text: '', mime_type: 'image/svg+xml' },
+            ],
+            { headers: { 'X-WP-TotalPages': '1' } }
+          )
+        )
+      )
+      const client = createWpClient(credentials)
+      const ids = []
+
+      const scan = client.scanMedia({
+        missingAltOnly: true,
+        altShorterThan: 5,
+        invalidAltOnly: true,
+        excludeMimeTypes: ['image/svg+xml'],
+      })
+      for await (const item of scan) ids.push(item.id)
+
+      expect(ids).toEqual([1, 2, 3])
+    })
+
+    it('reads WPML and Polylang translations and skips translated copies', async () => {
+      server.use(
+        http.get('*/wp-json/wp/v2/media', () =>
+          HttpResponse.json(
+            [
+              {
+                id: 1,
+                alt_text: '',
+                mime_type: 'image/jpeg',
+                wpml_current_locale: 'en_US',
+                wpml_translations: [{ locale: 'nb_NO', id: 2 }],
+              },
+              { id: 2, alt_text: '', mime_type: 'image/jpeg', wpml_current_locale: 'nb_NO', wpml_translations: [] },
+              { id: 3, alt_text: '', mime_type: 'image/jpeg', lang: 'de', translations: { de: 3, fr: 4 } },
+              { id: 5, alt_text: '', mime_type: 'image/jpeg' },
+            ],
+            { headers: { 'X-WP-TotalPages': '1' } }
+          )
+        )
+      )
+      const client = createWpClient(credentials)
+      const items = []
+      for await (const item of client.scanMedia({})) items.push(item)
+
+      expect(items.map((i) => i.id)).toEqual([1, 3, 5])
+      expect(items[0]).toMatchObject({ language: 'en_US', translations: [{ mediaId: 2, locale: 'nb_NO' }] })
+      expect(items[1]).toMatchObject({ language: 'de', translations: [{ mediaId: 4, locale: 'fr' }] })
+      expect(items[2].translations).toBeUndefined()
+    })
+
+    it('does not report images marked decorative as missing alt text', async () => {
+      server.use(
+        http.get('*/wp-json/wp/v2/media', () =>
+          HttpResponse.json(
+            [
+              { id: 1, alt_text: '', mime_type: 'image/jpeg' },
+              { id: 2, alt_text: '', mime_type: 'image/png', meta: { [DECORATIVE_META_KEY]: true } },
+            ],
+            { headers: { 'X-WP-TotalPages': '1' } }
+          )
+        )
+      )
+      const client = createWpClient(credentials)
+      const all = []
+      for await (const item of client.scanMedia({})) all.push(item)
+      const missing = []
+      for await (const item of client.scanMedia({ missingAltOnly: true })) missing.push(item.id)
+
+      expect(all[1].markedDecorative).toBe(true)
+      expect(missing).toEqual([1])
+    })
+
+    it('flags low-quality and duplicated alt text', async () => {
+      server.use(
+        http.get('*/wp-json/wp/v2/media', () =>
+          HttpResponse.json(
+            [
+              { id: 1, slug: 'beach-day', alt_text: 'Beach day', mime_type: 'image/jpeg' },
+              { id: 2, slug: 'a', alt_text: 'Company headquarters at night', mime_type: 'image/jpeg' },
+              { id: 3, slug: 'b', alt_text: 'Company headquarters at night', mime_type: 'image/jpeg' },
+              { id: 4, slug: 'c', alt_text: 'Two kids flying a red kite', mime_type: 'image/jpeg' },
+              { id: 5, slug: 'd', alt_text: 'Company headquarters at night', mime_type: 'image/jpeg' },
+              { id: 6, slug: 'e', alt_text: '', mime_type: 'image/jpeg' },
+            ],
+            { headers: { 'X-WP-TotalPages': '1' } }
+          )
+        )
+      )
+      const client = createWpClient(credentials)
+      const items = []
+
+      for await (const item of client.scanMedia({ lowQualityAlt: true, missingAltOnly: true })) {
+        items.push(item)
+      }
+
+      expect(items.map((i) => i.id)).toEqual([1, 2, 3, 5, 6])
+      expect(items[0].altIssues).toEqual(['Same as filename'])
+      expect(items[1].altIssues).toEqual(['Duplicated across 3+ items'])
+      expect(items[4].altIssues).toBeUndefined()
+    })
+
+    it('includes caption and description as plain text', async () => {
+      const client = createWpClient(credentials)
+      const items = []
+
+      for await (const item of client.scanMedia({ limit: 2 })) {
+        items.push(item)
+      }
+
+      expect(items[0].caption).toBe('')
+      expect(items[1].caption).toBe('Caption for image 2')
+      expect(items[1].description).toBe('')
+    })
+
     it('filters missing alt text only', async () => {
       const client = createWpClient(credentials)
       const items = []
@@ -141,6 +314,156 @@ describe('WpClient', () => {
     })
   })
 
+  describe('listAuthors', () => {
+    it('lists users for the author filter', async () => {
+      server.use(
+        http.get('*/wp-json/wp/v2/users', () =>
+          HttpResponse.json([{ id: 1, name: 'Admin', slug: 'admin' }])
+        )
+      )
+      const client = createWpClient(credentials)
+
+      expect(await client.listAuthors()).toEqual([{ id: 1, name: 'Admin' }])
+    })
+  })
+
+  describe('updateMedia', () => {
+    it('updates alt text and extra fields in one request', async () => {
+      const client = createWpClient(credentials)
+      const result = await client.updateMedia(1, {
+        altText: 'New alt text',
+        caption: 'New caption',
+        title: 'New title',
+      })
+
+      expect(result.altText).toBe('New alt text')
+      expect(result.caption).toBe('New caption')
+      expect(result.title).toBe('New title')
+    })
+
+    it('writes the decorative marker as post meta', async () => {
+      let body
+      server.use(
+        http.post('*/wp-json/wp/v2/media/:id', async ({ request }) => {
+          body = await request.json()
+          return HttpResponse.json({ id: 1, alt_text: '', meta: body.meta })
+        })
+      )
+      const client = createWpClient(credentials)
+
+      const result = await client.updateMedia(1, { altText: '', decorative: true })
+
+      expect(body).toEqual({ alt_text: '', meta: { [DECORATIVE_META_KEY]: true } })
+      expect(result.decorative).toBe(true)
+    })
+  })
+
+  describe('getPostContext', () => {
+    const item = { id: 7, parentId: 42, sourceUrl: 'https://test.local/wp-content/uploads/2025/05/harbour-view.jpg' }
+
+    it('returns the parent post first, then posts that embed the image', async () => {
+      const searches = []
+      server.use(
+        http.get('*/wp-json/wp/v2/posts/42', () =>
+          HttpResponse.json({
+            id: 42,
+            title: { rendered: 'Summer in Bergen' },
+            excerpt: { rendered: '<p>A week by the sea.</p>' },
+            content: { rendered: '<p>No image here.</p>' },
+          })
+        ),
+        http.get('*/wp-json/wp/v2/posts', ({ request }) => {
+          searches.push(new URL(request.url).searchParams.get('search'))
+          return HttpResponse.json([
+            {
+              id: 43,
+              title: { rendered: 'Harbour guide' },
+              excerpt: { rendered: '' },
+              content: {
+                rendered:
+                  '<p>The fish market opens at seven.</p><figure><img class="wp-image-7" src="https://test.local/wp-content/uploads/2025/05/harbour-view-1024x768.jpg"><figcaption>Bryggen at dawn</figcaption></figure>',
+              },
+            },
+            { id: 44, title: { rendered: 'Unrelated' }, excerpt: { rendered: '' }, content: { rendered: '<p>harbour-view tips</p>' } },
+          ])
+        }),
+        http.get('*/wp-json/wp/v2/pages', () => HttpResponse.json([]))
+      )
+      const client = createWpClient(credentials)
+
+      const contexts = await client.getPostContext(item)
+
+      expect(searches).toEqual(['harbour-view'])
+      expect(contexts).toEqual([
+        { id: 42, type: 'posts', title: 'Summer in Bergen', excerpt: 'A week by the sea.', paragraph: '', caption: '', parent: true },
+        {
+          id: 43,
+          type: 'posts',
+          title: 'Harbour guide',
+          excerpt: '',
+          paragraph: 'The fish market opens at seven.',
+          caption: 'Bryggen at dawn',
+          parent: false,
+        },
+      ])
+    })
+
+    it('falls back to pages for the parent', async () => {
+      server.use(
+        http.get('*/wp-json/wp/v2/posts/42', () => HttpResponse.json({ code: 'rest_post_invalid_id' }, { status: 404 })),
+        http.get('*/wp-json/wp/v2/pages/42', () =>
+          HttpResponse.json({ id: 42, title: { rendered: 'About &#8220;us&#8221;' }, excerpt: { rendered: '' }, content: { rendered: '' } })
+        ),
+        http.get('*/wp-json/wp/v2/posts', () => HttpResponse.json([])),
+        http.get('*/wp-json/wp/v2/pages', () => HttpResponse.json([]))
+      )
+      const client = createWpClient(credentials)
+
+      const contexts = await client.getPostContext(item)
+
+      expect(contexts).toHaveLength(1)
+      expect(contexts[0]).toMatchObject({ type: 'pages', title: 'About “us”', parent: true })
+    })
+  })
+
+  describe('scanInlineUsages', () => {
+    it('yields images whose inline alt is empty or differs from the attachment', async () => {
+      const content =
+        '<!-- wp:image {"id":1} --><figure><img src="https://test.local/a.jpg" alt="" class="wp-image-1"/></figure><!-- /wp:image -->' +
+        '<p>Second image below.</p><img class="wp-image-2" src="https://test.local/b.jpg" alt="Library alt">'
+      server.use(
+        http.get('*/wp-json/wp/v2/posts', ({ request }) => {
+          expect(new URL(request.url).searchParams.get('context')).toBe('edit')
+          return HttpResponse.json([{ id: 5, title: { raw: 'Hello', rendered: 'Hello' }, excerpt: { rendered: '' }, content: { raw: content } }])
+        }),
+        http.get('*/wp-json/wp/v2/pages', () => HttpResponse.json([])),
+        http.get('*/wp-json/wp/v2/media', ({ request }) => {
+          expect(new URL(request.url).searchParams.get('include')).toBe('1,2')
+          return HttpResponse.json([
+            { id: 1, source_url: 'https://test.local/a.jpg', alt_text: 'A red door', slug: 'a', post: 5 },
+            { id: 2, source_url: 'https://test.local/b.jpg', alt_text: 'Library alt', slug: 'b', post: 0 },
+          ])
+        })
+      )
+      const client = createWpClient(credentials)
+
+      const usages = []
+      for await (const usage of client.scanInlineUsages()) usages.push(usage)
+
+      expect(usages).toHaveLength(1)
+      expect(usages[0]).toMatchObject({
+        id: 'posts:5:1:0',
+        postTitle: 'Hello',
+        attachmentId: 1,
+        kind: 'block',
+        currentAlt: '',
+        attachmentAlt: 'A red door',
+        issue: 'empty',
+        postContext: { parent: true, paragraph: 'Second image below.' },
+      })
+    })
+  })
+
   describe('error handling', () => {
     it('handles 401 unauthorized', async () => {
       server.use(errorHandlers.unauthorized)
@@ -164,4 +487,31 @@ describe('WpClient', () => {
       }
     })
   })
+
+  describe('abort signals', () => {
+    it('aborts the requests of a client created with a signal', async () => {
+      const controller = new AbortController()
+      const client = createWpClient(credentials, { signal: controller.signal })
+      controller.abort()
+
+      await expect(client.getSiteDetails()).rejects.toMatchObject({ name: 'AbortError' })
+    })
+
+    it('aborts a media read with its own signal', async () => {
+      const controller = new AbortController()
+      controller.abort(new Error('Cancelled'))
+
+      await expect(createWpClient(credentials).getMedia(1, { signal: controller.signal })).rejects.toThrow('Cancelled')
+    })
+
+    it('binds a copy of the client to another signal', async () => {
+      const controller = new AbortController()
+      const client = createWpClient(credentials)
+      const bound = client.withSignal(controller.signal)
+      controller.abort(new Error('Cancelled'))
+
+      await expect(bound.getMedia(1)).rejects.toThrow('Cancelled')
+      expect((await client.getSiteDetails()).name).toBe('Test WordPress Site')
+    })
+  })
 })